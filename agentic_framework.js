@@ -0,0 +1,320 @@
+const Ajv = require('ajv').default;
+const { buildAnalysisPrompt, buildRulePackSection, renderSystemPrompt } = require('./analysis_prompts');
+const { DC_NODE_OUTPUT_SCHEMA } = require('./analysis_schemas');
+const { createProvider } = require('./llm_providers');
+const { applyChangeSet, CHANGE_STATUS } = require('./prompt_patcher');
+const { getTokenizer } = require('./token_accounting');
+const { compressPrompt } = require('./prompt_compression');
+
+// Initialize core components
+const ajv = new Ajv({ allErrors: true });
+
+// Configuration
+const AGENT_CONFIG = {
+  maxIterations: 3,
+  confidenceThreshold: 0.85,
+  tokenSafetyMargin: 0.15
+};
+
+// ========== Agent Classes ==========
+
+class ContextManager {
+  constructor(modelConfig = {}) {
+    this.modelConfig = { 
+      max_tokens: 4000,
+      ...modelConfig 
+    };
+    this.encoder = getTokenizer(this.modelConfig.model);
+  }
+
+  calculateTokenBudget() {
+    return Math.max(0, Math.floor(this.modelConfig.max_tokens * (1 - AGENT_CONFIG.tokenSafetyMargin)));
+  }
+
+  truncateToFit(content, reservedTokens = 0) {
+    const maxTokens = Math.max(0, this.calculateTokenBudget() - reservedTokens);
+    const tokens = this.encoder.encode(content);
+    return tokens.length > maxTokens 
+      ? this.encoder.decode(tokens.slice(0, maxTokens))
+      : content;
+  }
+}
+
+class DiagnosticAgent {
+  constructor(contextManager, llm) {
+    this.contextManager = contextManager;
+    this.llm = llm;
+    this.schema = DC_NODE_OUTPUT_SCHEMA;
+  }
+
+  async analyze(inputs, { rulePack = null } = {}) {
+    const prompt = this.buildAnalysisPrompt(inputs, rulePack);
+    const response = await this.queryLLM(prompt);
+    return this.validateResponse(response);
+  }
+
+  buildAnalysisPrompt(inputs, rulePack = null) {
+    // The rule pack is added after truncation, so a small budget never cuts it
+    const rules = buildRulePackSection(rulePack);
+    const truncated = this.contextManager.truncateToFit(renderSystemPrompt(), 1500 + this.contextManager.encoder.count(rules));
+    const systemPrompt = rules ? `${truncated}\n\n${rules}` : truncated;
+    return `${buildAnalysisPrompt('dc_node', inputs, { systemPrompt })}
+
+IMPORTANT: Respond with raw JSON only. Do not include Markdown formatting, code blocks, or any text before or after the JSON.`;
+  }
+
+  async queryLLM(prompt) {
+    const response = await this.llm.complete({
+      messages: [{ role: 'user', content: prompt }],
+      temperature: 0.7,
+      maxTokens: 2000
+    });
+    return response.content;
+  }
+
+  validateResponse(response) {
+    try {
+      let cleanedResponse = response;
+      if (response.includes('```')) {
+        const jsonMatch = response.match(/```(?:json)?\s*([\s\S]*?)```/);
+        if (jsonMatch && jsonMatch[1]) {
+          cleanedResponse = jsonMatch[1].trim();
+        }
+      }
+      
+      const json = JSON.parse(cleanedResponse);
+      const validate = ajv.compile(this.schema);
+      
+      if (!validate(json)) {
+        throw new Error(`Invalid response: ${ajv.errorsText(validate.errors)}`);
+      }
+      return json;
+    } catch (e) {
+      console.error("Raw response:", response);
+      throw new Error(`Response validation failed: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Applies DiagnosticAgent modifications to the DC node prompt. Each
+ * modification is anchored on its `current` text (exact, then
+ * whitespace-normalised, then fuzzy) and only that span is replaced; edits
+ * whose anchor is missing or matches several locations are refused.
+ */
+class PromptSurgeon {
+  applyModifications(originalPrompt, modifications) {
+    const { patchedPrompts, results } = applyChangeSet(
+      { dc_node_prompt: originalPrompt },
+      { modifications }
+    );
+
+    results
+      .filter(result => result.status !== CHANGE_STATUS.APPLIED)
+      .forEach(result => {
+        console.warn(`Refused modification ${result.index}: ${result.status}`, modifications[result.index]);
+      });
+
+    return {
+      prompt: patchedPrompts.dc_node_prompt,
+      results
+    };
+  }
+}
+
+/**
+ * Compresses the patched prompt towards the token budget without losing
+ * instructions (see prompt_compression.js). Compressions that would drop an
+ * instruction are rejected and the prompt is returned unchanged.
+ */
+class OptimizationAgent {
+  constructor(contextManager) {
+    this.contextManager = contextManager;
+  }
+
+  /**
+   * Returns `{ prompt, report }`. `mustKeep` lists instructions that must
+   * survive verbatim; `budget` defaults to the context manager's budget.
+   */
+  compressPrompt(prompt, { mustKeep = [], budget = this.contextManager.calculateTokenBudget() } = {}) {
+    return compressPrompt(prompt, {
+      budget,
+      mustKeep,
+      count: text => this.contextManager.encoder.count(text)
+    });
+  }
+}
+
+class ValidationAgent {
+  constructor(llm) {
+    this.llm = llm;
+    this.schema = {
+      type: 'object',
+      required: ['valid', 'confidence'],
+      properties: {
+        valid: { type: 'boolean' },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        issues: { type: 'array', items: { type: 'string' } }
+      }
+    };
+  }
+
+  async validate(solution, { rulePack = null } = {}) {
+    const validationPrompt = this.buildValidationPrompt(solution, rulePack);
+    const response = await this.llm.complete({
+      messages: [{ role: 'user', content: validationPrompt }],
+      temperature: 0.3,
+      maxTokens: 500
+    });
+    
+    return this.parseValidationResult(response.content);
+  }
+
+  buildValidationPrompt(solution, rulePack = null) {
+    return `${renderSystemPrompt(rulePack)}
+    
+    Validate this prompt modification:
+    ${JSON.stringify(solution, null, 2)}
+    
+    Check for:
+    1. Instruction conflicts
+    2. Skill execution compliance
+    3. Token efficiency
+    4. Output format compliance
+    
+    Respond with JSON:
+    {
+      "valid": boolean,
+      "confidence": number (0-1),
+      "issues": string[]
+    }`;
+  }
+
+  parseValidationResult(response) {
+    try {
+      const result = JSON.parse(response);
+      const validate = ajv.compile(this.schema);
+      
+      if (!validate(result)) {
+        throw new Error(ajv.errorsText(validate.errors));
+      }
+      return result;
+    } catch (e) {
+      console.error('Invalid validation response:', response);
+      return { valid: false, confidence: 0, issues: ['Validation failed'] };
+    }
+  }
+}
+
+class AgenticFramework {
+  constructor(modelConfig = {}, llm = createProvider()) {
+    this.contextManager = new ContextManager(modelConfig);
+    this.diagnosticAgent = new DiagnosticAgent(this.contextManager, llm);
+    this.surgeon = new PromptSurgeon();
+    this.optimizer = new OptimizationAgent(this.contextManager);
+    this.validator = new ValidationAgent(llm);
+  }
+
+  /**
+   * Diagnose, patch, compress and validate until the validation confidence
+   * reaches the threshold. `onEvent(type, data)` receives `iteration`,
+   * `step-started`, `step-completed` and `validation` events. `rulePack`
+   * holds the bot's own rules for the analyzer's system prompt.
+   */
+  async analyze(inputs, { onEvent = () => {}, rulePack = null } = {}) {
+    let state = {
+      dc_node_prompt: inputs.dc_node_prompt,
+      conversationHistory: inputs.conversationHistory,
+      targetBotResponse: inputs.targetBotResponse,
+      userFeedback: inputs.userFeedback,
+      executionContext: inputs.executionContext,
+      configured_variables: inputs.configured_variables,
+      configured_skills: inputs.configured_skills,
+      skill_execution_status: inputs.skill_execution_status,
+      model_configuration: inputs.model_configuration,
+      model_response_configuration: inputs.model_response_configuration,
+      iteration: 0,
+      tokenUsage: []
+    };
+
+    const runStep = async (step, iteration, fn) => {
+      onEvent('step-started', { step, iteration });
+      const result = await fn();
+      onEvent('step-completed', { step, iteration, result });
+      return result;
+    };
+
+    for (let i = 0; i < AGENT_CONFIG.maxIterations; i++) {
+      const iteration = i + 1;
+      onEvent('iteration', { iteration, maxIterations: AGENT_CONFIG.maxIterations });
+
+      try {
+        const diagnosis = await runStep('diagnosis', iteration, () => this.diagnosticAgent.analyze(state, { rulePack }));
+        const surgery = await runStep('surgery', iteration, () => this.surgeon.applyModifications(
+          state.dc_node_prompt,
+          diagnosis.prompt_changes.modifications || []
+        ));
+        state.modificationResults = surgery.results;
+        
+        const compression = await runStep('optimization', iteration, () => this.optimizer.compressPrompt(surgery.prompt, {
+          mustKeep: inputs.mustKeepInstructions || []
+        }));
+        state.dc_node_prompt = compression.prompt;
+        state.compressionReport = compression.report;
+        const validation = await runStep('validation', iteration, () => this.validator.validate({
+          original: inputs.dc_node_prompt,
+          modified: state.dc_node_prompt,
+          analysis: diagnosis
+        }, { rulePack }));
+        onEvent('validation', {
+          iteration,
+          ...validation,
+          threshold: AGENT_CONFIG.confidenceThreshold,
+          accepted: validation.confidence >= AGENT_CONFIG.confidenceThreshold
+        });
+
+        // Track token usage (initialize if undefined)
+        const tokenUsage = validation.tokenUsage || 0;
+        state.tokenUsage.push(tokenUsage);
+        state.iteration++;
+
+        if (validation.confidence >= AGENT_CONFIG.confidenceThreshold) {
+          return {
+            status: 'success',
+            analysis: diagnosis,
+            modified_prompt: state.dc_node_prompt,
+            modification_results: state.modificationResults,
+            compression_report: state.compressionReport,
+            validation: validation,
+            iterations: state.iteration,
+            tokens_used: state.tokenUsage.reduce((a, b) => a + b, 0)
+          };
+        }
+      } catch (e) {
+        console.error(`Iteration ${iteration} failed:`, e);
+        state.lastError = e.message;
+        onEvent('iteration', { iteration, maxIterations: AGENT_CONFIG.maxIterations, error: e.message });
+      }
+    }
+
+    return {
+      status: 'max_iterations_reached',
+      final_prompt: state.dc_node_prompt,
+      modification_results: state.modificationResults || [],
+      compression_report: state.compressionReport || null,
+      iterations: state.iteration,
+      tokens_used: state.tokenUsage.reduce((a, b) => a + b, 0),
+      last_error: state.lastError || 'Unknown error'
+    };
+  }
+}
+
+module.exports = {
+  AGENT_CONFIG,
+  ContextManager,
+  DiagnosticAgent,
+  PromptSurgeon,
+  OptimizationAgent,
+  ValidationAgent,
+  AgenticFramework
+};
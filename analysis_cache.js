@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { PROMPT_LIBRARY, resolveBotType } = require('./analysis_prompts');
+const { version: ANALYZER_VERSION } = require('./package.json');
+
+/**
+ * Cache of successful analysis responses, enabled with USE_CACHE=true.
+ *
+ * Keys are the SHA-256 of the full normalised request together with the
+ * analyzer version and the prompt library checksums, so any change to the
+ * bot configuration, the analyzer model or the analyzer prompts misses.
+ * Entries expire after ANALYSIS_CACHE_TTL_SECONDS and the least recently
+ * used entries are evicted beyond ANALYSIS_CACHE_MAX_ENTRIES or
+ * ANALYSIS_CACHE_MAX_BYTES.
+ */
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+const CACHE_CONFIG = {
+  enabled: process.env.USE_CACHE === 'true',
+  directory: path.join(DATA_DIR, 'cache'),
+  ttlSeconds: parseInt(process.env.ANALYSIS_CACHE_TTL_SECONDS, 10) || 24 * 60 * 60,
+  maxEntries: parseInt(process.env.ANALYSIS_CACHE_MAX_ENTRIES, 10) || 500,
+  maxBytes: parseInt(process.env.ANALYSIS_CACHE_MAX_BYTES, 10) || 50 * 1024 * 1024
+};
+
+// ========== Cache Keys ==========
+
+/**
+ * Recursively sort object keys, drop undefined/null values and normalise
+ * line endings so equivalent requests serialise identically.
+ */
+function normalizeValue(value) {
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (typeof value === 'string') return value.replace(/\r\n?/g, '\n');
+  if (value && typeof value === 'object') {
+    const normalized = {};
+    Object.keys(value).sort().forEach(key => {
+      if (value[key] !== undefined && value[key] !== null) {
+        normalized[key] = normalizeValue(value[key]);
+      }
+    });
+    return normalized;
+  }
+  return value;
+}
+
+/**
+ * Cache key for an analysis request. Defaults that change the analysis
+ * (bot type, engine, provider and model) are resolved before hashing so
+ * explicit and implicit requests share an entry. `namespace` keeps servers
+ * running different pipelines over the same request apart.
+ */
+function computeCacheKey(body, { namespace = 'analyze-prompt' } = {}) {
+  const { botType, engine, llm = {}, ...request } = body;
+  const material = normalizeValue({
+    namespace,
+    request,
+    botType: resolveBotType(body),
+    engine: engine || 'single',
+    llm: {
+      provider: llm.provider || process.env.LLM_PROVIDER || 'openai',
+      model: llm.model || process.env.LLM_MODEL || null
+    },
+    analyzerVersion: ANALYZER_VERSION,
+    libraryChecksums: PROMPT_LIBRARY.checksums
+  });
+
+  return crypto.createHash('sha256').update(JSON.stringify(material)).digest('hex');
+}
+
+/**
+ * Read the request's Cache-Control header. `no-cache` skips the lookup but
+ * still stores the fresh result; `no-store` neither reads nor writes.
+ */
+function parseCacheControl(header = '') {
+  const directives = header.toLowerCase().split(',').map(directive => directive.trim());
+  if (directives.includes('no-store')) return 'no-store';
+  if (directives.includes('no-cache')) return 'no-cache';
+  return 'default';
+}
+
+// ========== Cache Store ==========
+
+class AnalysisCache {
+  constructor(config = CACHE_CONFIG) {
+    this.config = config;
+    this.enabled = config.enabled;
+    // key -> { size, expiresAt }, in least recently used order
+    this.index = null;
+    this.totalBytes = 0;
+    this.loading = null;
+  }
+
+  entryPath(key) {
+    return path.join(this.config.directory, `${key}.json`);
+  }
+
+  /**
+   * Build the in-memory index from the entries already on disk, oldest
+   * access first. Concurrent first calls share one scan.
+   */
+  loadIndex() {
+    if (!this.loading) {
+      this.loading = this.readIndex().catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Unreadable entries are removed rather than failing every lookup, and
+   * entries beyond the limits are evicted before the index is used.
+   */
+  async readIndex() {
+    let files;
+    try {
+      files = await fs.readdir(this.config.directory);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      files = [];
+    }
+
+    const entries = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(async file => {
+          const filePath = path.join(this.config.directory, file);
+          try {
+            const stats = await fs.stat(filePath);
+            const entry = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            if (typeof entry.expiresAt !== 'number') throw new Error('Entry has no expiry');
+            return { key: path.basename(file, '.json'), size: stats.size, expiresAt: entry.expiresAt, accessedAt: stats.mtimeMs };
+          } catch (error) {
+            if (error.code !== 'ENOENT') {
+              console.warn(`Removing unreadable cache entry ${file}: ${error.message}`);
+              await fs.rm(filePath, { force: true });
+            }
+            return null;
+          }
+        })
+    );
+
+    const index = new Map();
+    let totalBytes = 0;
+    entries
+      .filter(Boolean)
+      .sort((a, b) => a.accessedAt - b.accessedAt)
+      .forEach(({ key, size, expiresAt }) => {
+        index.set(key, { size, expiresAt });
+        totalBytes += size;
+      });
+
+    this.index = index;
+    this.totalBytes = totalBytes;
+    await this.evict();
+  }
+
+  async get(key) {
+    await this.loadIndex();
+    const meta = this.index.get(key);
+    if (!meta) return null;
+
+    if (Date.now() > meta.expiresAt) {
+      await this.delete(key);
+      return null;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(this.entryPath(key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.forget(key);
+      return null;
+    }
+
+    // Move to the most recently used position, on disk and in memory
+    this.index.delete(key);
+    this.index.set(key, meta);
+    const now = new Date();
+    await fs.utimes(this.entryPath(key), now, now);
+
+    return { statusCode: entry.statusCode, body: entry.body };
+  }
+
+  async set(key, { statusCode, body }) {
+    await this.loadIndex();
+    const now = Date.now();
+    const content = JSON.stringify({
+      key,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: now + this.config.ttlSeconds * 1000,
+      statusCode,
+      body
+    });
+    const size = Buffer.byteLength(content);
+    if (size > this.config.maxBytes) return;
+
+    await fs.mkdir(this.config.directory, { recursive: true });
+    await fs.writeFile(this.entryPath(key), content, 'utf8');
+
+    this.forget(key);
+    this.index.set(key, { size, expiresAt: now + this.config.ttlSeconds * 1000 });
+    this.totalBytes += size;
+
+    await this.evict();
+  }
+
+  forget(key) {
+    const meta = this.index.get(key);
+    if (!meta) return;
+    this.totalBytes -= meta.size;
+    this.index.delete(key);
+  }
+
+  async delete(key) {
+    this.forget(key);
+    await fs.rm(this.entryPath(key), { force: true });
+  }
+
+  /**
+   * Drop expired entries, then least recently used ones until the cache is
+   * within its entry and byte limits.
+   */
+  async evict() {
+    const now = Date.now();
+    for (const [key, meta] of this.index) {
+      if (now > meta.expiresAt) await this.delete(key);
+    }
+
+    while (this.index.size > this.config.maxEntries || this.totalBytes > this.config.maxBytes) {
+      const oldestKey = this.index.keys().next().value;
+      await this.delete(oldestKey);
+    }
+  }
+}
+
+let analysisCache = null;
+
+function getAnalysisCache() {
+  if (!analysisCache) analysisCache = new AnalysisCache();
+  return analysisCache;
+}
+
+module.exports = {
+  CACHE_CONFIG,
+  AnalysisCache,
+  computeCacheKey,
+  parseCacheControl,
+  getAnalysisCache
+};
@@ -0,0 +1,550 @@
+const crypto = require('crypto');
+const path = require('path');
+const {
+  AGENTIC_OUTPUT_SCHEMA,
+  NLP_OUTPUT_SCHEMA,
+  ROUTING_OUTPUT_SCHEMA,
+  DC_NODE_OUTPUT_SCHEMA,
+  withKnowledgeBaseAssessment
+} = require('./analysis_schemas');
+
+// Load prompt library with verification
+const PROMPT_LIBRARY = (() => {
+  const lib = require(path.join(__dirname, 'prompt_library'));
+  const verifyChecksum = (content, expected) => {
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+    if (hash !== expected) throw new Error(`Prompt checksum mismatch`);
+  };
+
+  Object.entries(lib.checksums).forEach(([key, checksum]) => {
+    verifyChecksum(lib[key], checksum);
+  });
+
+  return lib;
+})();
+
+// ========== Bot Types ==========
+
+/**
+ * Every bot type the debugger can analyze. Each entry knows how to validate
+ * its inputs, build its analysis prompt, which schema the LLM output must
+ * satisfy, how to pair the analyzed prompts with the change set the
+ * analysis suggests for them, and how to assemble those prompts into the
+ * system prompt the bot itself runs with.
+ */
+const BOT_TYPES = {
+  agentic: {
+    label: 'Agentic Bot',
+    components: ['AGENT', 'KNOWLEDGE_BASE', 'CONVERSATION'],
+    schema: AGENTIC_OUTPUT_SCHEMA,
+    validate(inputs) {
+      const configuredPrompts = inputs.configuredPrompts || {};
+      const requiredPrompts = ['AGENT', 'KNOWLEDGE_BASE', 'CONVERSATION'];
+      const missingPrompts = requiredPrompts.filter(prompt => !configuredPrompts[prompt]);
+
+      if (missingPrompts.length > 0) {
+        return `Missing required prompts for Agentic Bot: ${missingPrompts.join(', ')}`;
+      }
+      return validateConversationTools(configuredPrompts.CONVERSATION);
+    },
+    buildPrompt: (inputs, options) => buildAgenticAnalysisPrompt(inputs, options),
+    getPrompts(inputs) {
+      const prompts = expandConversationTools(inputs.configuredPrompts);
+      const tools = Object.keys(prompts).filter(component => parseToolComponent(component));
+      return pickPrompts(prompts, [...this.components, ...tools]);
+    },
+    getChangeSet: analysis => analysis.promptChanges || {},
+    renderBotPrompt(prompts, inputs) {
+      const tools = getConversationTools((inputs.configuredPrompts || {}).CONVERSATION) || {};
+      return Object.keys(prompts)
+        .filter(component => prompts[component] && !component.startsWith(TOOL_DESCRIPTION_PREFIX))
+        .map(component => {
+          const tool = parseToolComponent(component);
+          if (!tool) return `## ${component}\n${prompts[component]}`;
+
+          const { name } = tools[tool.toolId] || {};
+          const description = prompts[toolComponent('TOOL_DESCRIPTION', tool.toolId)];
+          return [
+            `## CONVERSATION tool ${tool.toolId}${name ? ` (${name})` : ''}`,
+            description ? `Description: ${description}` : null,
+            prompts[component]
+          ].filter(Boolean).join('\n');
+        })
+        .join('\n\n');
+    }
+  },
+
+  nlp: {
+    label: 'NLP Bot',
+    components: ['SYSTEM_PROMPT', 'ADDITIONAL_INSTRUCTIONS'],
+    schema: NLP_OUTPUT_SCHEMA,
+    validate(inputs) {
+      if (!(inputs.configuredPrompts || {}).SYSTEM_PROMPT) {
+        return 'Missing required SYSTEM_PROMPT for NLP Bot';
+      }
+      return null;
+    },
+    buildPrompt: (inputs, options) => buildNlpAnalysisPrompt(inputs, options),
+    getPrompts(inputs) {
+      return pickPrompts(inputs.configuredPrompts, this.components);
+    },
+    getChangeSet: analysis => analysis.promptChanges || {},
+    renderBotPrompt: prompts => [prompts.SYSTEM_PROMPT, prompts.ADDITIONAL_INSTRUCTIONS]
+      .filter(Boolean)
+      .join('\n\n')
+  },
+
+  dc_node: {
+    label: 'DC Node Bot',
+    components: ['dc_node_prompt', 'variable_prompt', 'model_configuration'],
+    schema: DC_NODE_OUTPUT_SCHEMA,
+    validate(inputs) {
+      if (!inputs.dc_node_prompt) {
+        return 'Missing required DC Node prompt.';
+      }
+      return null;
+    },
+    buildPrompt: (inputs, options) => buildDcNodeAnalysisPrompt(inputs, options),
+    getPrompts: inputs => ({ dc_node_prompt: inputs.dc_node_prompt }),
+    getChangeSet: analysis => ({
+      modifications: (analysis.prompt_changes || {}).modifications || []
+    }),
+    renderBotPrompt(prompts, inputs) {
+      const variables = (inputs.configured_variables || [])
+        .map(variable => `### ${variable.variable_name}\n${variable.variable_content}`);
+      const skills = (inputs.configured_skills || [])
+        .map(skill => `### ${skill.skill_name}\n${skill.skill_description}`);
+
+      return [
+        prompts.dc_node_prompt,
+        variables.length ? `## VARIABLES\n${variables.join('\n\n')}` : null,
+        skills.length ? `## SKILLS\n${skills.join('\n\n')}` : null
+      ].filter(Boolean).join('\n\n');
+    }
+  }
+};
+
+function pickPrompts(configuredPrompts = {}, components) {
+  const prompts = {};
+  components
+    .filter(component => typeof configuredPrompts[component] === 'string')
+    .forEach(component => { prompts[component] = configuredPrompts[component]; });
+  return prompts;
+}
+
+// ========== Conversation Tools ==========
+
+/**
+ * An agentic bot's `configuredPrompts.CONVERSATION` is either one prompt or
+ * a map of tool id to `{ name, description, prompt }` for bots with several
+ * CONVERSATION tools. Each tool's prompt is analyzed and patched as its own
+ * component, `CONVERSATION:<toolId>`, and its description (which the AGENT
+ * routes on) as `TOOL_DESCRIPTION:<toolId>`. Changes name the tool with
+ * `toolId`.
+ */
+const TOOL_COMPONENTS = ['CONVERSATION', 'TOOL_DESCRIPTION'];
+const TOOL_DESCRIPTION_PREFIX = 'TOOL_DESCRIPTION:';
+
+function getConversationTools(conversation) {
+  return conversation && typeof conversation === 'object' && !Array.isArray(conversation) ? conversation : null;
+}
+
+function toolComponent(component, toolId) {
+  return `${component}:${toolId}`;
+}
+
+/**
+ * `{ component, toolId }` of a `CONVERSATION:<toolId>` or
+ * `TOOL_DESCRIPTION:<toolId>` component, or null.
+ */
+function parseToolComponent(key) {
+  const match = typeof key === 'string' && key.match(/^([A-Z_]+):(.+)$/);
+  return match && TOOL_COMPONENTS.includes(match[1]) ? { component: match[1], toolId: match[2] } : null;
+}
+
+/**
+ * `configuredPrompts` with a CONVERSATION tool map replaced by the
+ * `CONVERSATION:<toolId>` and `TOOL_DESCRIPTION:<toolId>` prompts of every
+ * tool.
+ */
+function expandConversationTools(configuredPrompts = {}) {
+  const tools = getConversationTools(configuredPrompts.CONVERSATION);
+  if (!tools) return { ...configuredPrompts };
+
+  const { CONVERSATION, ...prompts } = configuredPrompts;
+  Object.entries(tools).forEach(([toolId, tool]) => {
+    prompts[toolComponent('CONVERSATION', toolId)] = (tool || {}).prompt;
+  });
+  Object.entries(tools).forEach(([toolId, tool]) => {
+    prompts[toolComponent('TOOL_DESCRIPTION', toolId)] = (tool || {}).description || '';
+  });
+  return prompts;
+}
+
+function validateConversationTools(conversation) {
+  if (typeof conversation === 'string') return null;
+
+  const tools = getConversationTools(conversation);
+  if (!tools || Object.keys(tools).length === 0) {
+    return 'CONVERSATION must be a prompt or a map of tool id to { name, description, prompt }';
+  }
+  for (const [toolId, tool] of Object.entries(tools)) {
+    if (!/^[\w.-]+$/.test(toolId)) {
+      return `Invalid CONVERSATION tool id "${toolId}": use letters, digits, ".", "_" or "-"`;
+    }
+    if (!tool || typeof tool.prompt !== 'string' || !tool.prompt) {
+      return `CONVERSATION tool ${toolId} is missing its prompt`;
+    }
+    const invalid = ['name', 'description'].filter(field => tool[field] !== undefined && typeof tool[field] !== 'string');
+    if (invalid.length > 0) return `CONVERSATION tool ${toolId}: ${invalid.join(', ')} must be strings`;
+  }
+  return null;
+}
+
+/**
+ * Bot ids name per-bot files (suites, prompt versions, rule packs), so they
+ * are limited to word characters, dots and dashes.
+ */
+function isValidBotId(botId) {
+  return typeof botId === 'string' && /^\w[\w.-]*$/.test(botId);
+}
+
+/**
+ * Work out which bot type a request targets. An explicit `botType` wins;
+ * older clients are still understood through `isAgenticBot` and the
+ * presence of `dc_node_prompt`.
+ */
+function resolveBotType(inputs) {
+  if (inputs.botType) return inputs.botType;
+  if (inputs.dc_node_prompt && !inputs.configuredPrompts) return 'dc_node';
+  return inputs.isAgenticBot === false ? 'nlp' : 'agentic';
+}
+
+/**
+ * Validate the bot-type specific inputs. Returns an error message, or null
+ * when the inputs are usable.
+ */
+function validateBotInputs(botType, inputs) {
+  const definition = BOT_TYPES[botType];
+  if (!definition) {
+    return `Unsupported botType "${botType}". Expected one of: ${Object.keys(BOT_TYPES).join(', ')}`;
+  }
+  return definition.validate(inputs);
+}
+
+function buildAnalysisPrompt(botType, inputs, options = {}) {
+  return BOT_TYPES[botType].buildPrompt(inputs, options);
+}
+
+// ========== Prompt Builders ==========
+
+/**
+ * Conversation, feedback and logs for the targeted turn. Shared by every
+ * bot type so the LLM always sees the same evidence layout.
+ */
+function buildConversationSection({ conversationHistory, targetBotResponse, userFeedback, executionContext }) {
+  return `# CONVERSATION HISTORY TILL THAT MESSAGE
+${JSON.stringify(conversationHistory, null, 2)}
+
+# TARGETED BOT RESPONSE
+${JSON.stringify(targetBotResponse, null, 2)}
+
+# USER FEEDBACK ON THE TARGET BOT RESPONSE
+${JSON.stringify(userFeedback, null, 2)}
+
+# IMPORTANT LOGS AND REASONING FOR THE TARGETED USER MESSAGE PROCESSING
+${JSON.stringify(executionContext || {}, null, 2)}`;
+}
+
+/**
+ * Passages retrieved from the bot's knowledge base for the targeted user
+ * message (see knowledge_base.js), so the analysis can tell a prompt
+ * problem from content missing from the knowledge base.
+ */
+function buildRetrievedKnowledgeSection({ query, passages }) {
+  const passageList = passages.length
+    ? passages.map(passage => `## PASSAGE ${passage.id}
+Source: ${passage.document}${passage.section ? ` > ${passage.section}` : ''}${passage.page ? ` (page ${passage.page})` : ''}
+${passage.text}`).join('\n\n')
+    : 'No passage of the knowledge base matched the targeted user message.';
+
+  return `# RETRIEVED KNOWLEDGE BASE PASSAGES
+The passages of the bot's knowledge base that best match the targeted user message (BM25 search for ${JSON.stringify(query)}).
+
+${passageList}
+
+# KNOWLEDGE BASE ASSESSMENT
+- Decide whether these passages contain the answer the user needed.
+- If the answer was available but the bot did not use it correctly, the failure is a prompt problem: suggest prompt changes.
+- If the answer is missing from the knowledge base, no prompt change can fix it: say what content is missing instead of compensating for it in the prompts.`;
+}
+
+/**
+ * Verdicts of the grounding check (see grounding_check.js) on the claims
+ * of the target bot response.
+ */
+function buildGroundingSection({ claims, summary }) {
+  const claimList = claims.length
+    ? claims.map(claim => `- [${claim.verdict}] ${JSON.stringify(claim.text)}: ${claim.explanation}`).join('\n')
+    : '- The response makes no checkable claim.';
+
+  return `# GROUNDING CHECK OF THE TARGET BOT RESPONSE
+Each claim of the target bot response was checked against the bot's sources (${summary.supported} of ${summary.total} supported).
+${claimList}
+
+- Unsupported and contradicted claims are hallucinations. Explain which instructions let the bot make them and suggest changes that keep the bot to its sources.
+- Do not suggest changes for supported claims unless the user feedback is about them.`;
+}
+
+/**
+ * Customer-specific rules of the analyzed bot, from its rule pack (see
+ * rule_packs.js). Empty when the bot has no rules.
+ */
+function buildRulePackSection(rulePack, { heading = '# BOT-SPECIFIC RULES', indent = '' } = {}) {
+  if (!rulePack || rulePack.rules.length === 0) return '';
+  const source = `rule pack${rulePack.title ? ` "${rulePack.title}"` : ''}, version ${rulePack.version}`;
+  return [
+    heading,
+    `The analyzed bot must follow these rules (${source}). A response that breaks one of them is a failure, and suggested changes must enforce them:`,
+    ...rulePack.rules.map(rule => `- ${rule}`)
+  ].map(line => `${indent}${line}`).join('\n');
+}
+
+/**
+ * The analyzer's system prompt for DC node bots, with the bot's rule pack
+ * in its {{BOT_RULES}} slot. The slot is dropped when there are no rules.
+ */
+function renderSystemPrompt(rulePack = null) {
+  const rules = buildRulePackSection(rulePack, { heading: '## **BOT-SPECIFIC RULES**', indent: '  ' });
+  return PROMPT_LIBRARY.system.replace(/[ \t]*\{\{BOT_RULES\}\}\n*/, rules ? `${rules}\n\n` : '');
+}
+
+function buildOutputSection(schema) {
+  return `# OUTPUT
+- You must respond with the prompt modifications required based on the user feedback.
+- Your response should be in valid JSON format matching the schema:
+${JSON.stringify(schema, null, 2)}`;
+}
+
+function buildAgenticAnalysisPrompt(inputs, { knowledge = null, grounding = null, rulePack = null } = {}) {
+  const { configuredPrompts, knowledgeBaseUrls } = inputs;
+
+  const configuredPromptsSection = `# CONFIGURED PROMPTS USED BY DIFFERENT COMPONENTS
+## AGENT
+${configuredPrompts.AGENT || 'Not provided'}
+
+## KNOWLEDGE_BASE
+${configuredPrompts.KNOWLEDGE_BASE || 'Not provided'}
+
+${buildConversationToolsSection(configuredPrompts.CONVERSATION)}`;
+
+  return `${PROMPT_LIBRARY.analystIntroduction}
+
+${PROMPT_LIBRARY.agenticArchitecture}
+
+${PROMPT_LIBRARY.evaluationGuidelines}
+${rulePack && rulePack.rules.length ? `
+${buildRulePackSection(rulePack)}
+` : ''}
+${buildConversationSection(inputs)}
+
+${configuredPromptsSection}
+${knowledgeBaseUrls ? `
+# KNOWLEDGE BASE URLS
+${JSON.stringify(knowledgeBaseUrls, null, 2)}
+` : ''}${knowledge ? `
+${buildRetrievedKnowledgeSection(knowledge)}
+` : ''}${grounding ? `
+${buildGroundingSection(grounding)}
+` : ''}
+${buildOutputSection(knowledge ? withKnowledgeBaseAssessment(AGENTIC_OUTPUT_SCHEMA) : AGENTIC_OUTPUT_SCHEMA)}`;
+}
+
+function buildConversationToolsSection(conversation) {
+  const tools = getConversationTools(conversation);
+  if (!tools) {
+    return `## CONVERSATION
+${conversation || 'Not provided'}`;
+  }
+
+  const toolSections = Object.entries(tools).map(([toolId, tool]) => `### CONVERSATION TOOL "${toolId}"
+Name: ${tool.name || toolId}
+Description: ${tool.description || 'Not provided'}
+Prompt:
+${tool.prompt}`);
+
+  return `## CONVERSATION
+This bot has ${toolSections.length} CONVERSATION tools. Every change to a CONVERSATION tool MUST set "toolId" to the id of the tool it targets.
+
+${toolSections.join('\n\n')}`;
+}
+
+/**
+ * Routing diagnosis for agentic bots. `chosenTool` is the routing decision
+ * read from the execution context (`{ tool, toolId }`), or null when the
+ * logs do not record it and the LLM has to infer it.
+ */
+function buildRoutingAnalysisPrompt(inputs, { chosenTool = null } = {}) {
+  const { configuredPrompts } = inputs;
+  const tools = getConversationTools(configuredPrompts.CONVERSATION);
+
+  const conversationTools = tools
+    ? Object.entries(tools).map(([toolId, tool]) => `- CONVERSATION tool "${toolId}" (${tool.name || toolId}): ${tool.description || 'No description provided'}`)
+    : ['- CONVERSATION: a single scripted conversation tool (no description configured)'];
+
+  const chosenToolSection = chosenTool
+    ? `${chosenTool.tool}${chosenTool.toolId ? ` (tool id "${chosenTool.toolId}")` : ''}, as recorded in the execution logs.`
+    : 'Not recorded in the execution logs; infer it from the logs and the targeted bot response.';
+
+  return `${PROMPT_LIBRARY.analystIntroduction}
+
+${PROMPT_LIBRARY.agenticArchitecture}
+
+${buildConversationSection(inputs)}
+
+# AGENT PROMPT
+${configuredPrompts.AGENT}
+
+# TOOLS THE AGENT CAN ROUTE TO
+- KNOWLEDGE_BASE: answers questions from the configured knowledge base.
+${conversationTools.join('\n')}
+- SMALLTALK: greetings and casual conversation.
+- GENERIC_QUERY: general questions outside the configured knowledge and conversations.
+- FALLBACK: messages no other tool can handle.
+
+# TOOL CHOSEN BY THE AGENT FOR THE TARGETED USER MESSAGE
+${chosenToolSection}
+
+# TASK
+Diagnose only the routing of the targeted user message.
+- Decide which tool should have handled the message and whether the AGENT misrouted it.
+- When it was misrouted, fix the routing: change the AGENT prompt (component AGENT) or the description of a CONVERSATION tool (component TOOL_DESCRIPTION with its "toolId"). Never change the prompt of the tool itself.
+- When the routing was correct, return empty promptChanges; the problem lies in the tool that handled the message.
+
+${buildOutputSection(ROUTING_OUTPUT_SCHEMA)}`;
+}
+
+function buildNlpAnalysisPrompt(inputs, { knowledge = null, grounding = null, rulePack = null } = {}) {
+  const { configuredPrompts, knowledgeBaseUrls } = inputs;
+
+  const configuredPromptsSection = `# CONFIGURED PROMPTS
+## SYSTEM_PROMPT
+${configuredPrompts.SYSTEM_PROMPT || 'Not provided'}
+
+## ADDITIONAL_INSTRUCTIONS (if any)
+${configuredPrompts.ADDITIONAL_INSTRUCTIONS || 'Not provided'}`;
+
+  return `${PROMPT_LIBRARY.analystIntroduction}
+
+${PROMPT_LIBRARY.nlpArchitecture}
+
+${PROMPT_LIBRARY.evaluationGuidelines}
+${rulePack && rulePack.rules.length ? `
+${buildRulePackSection(rulePack)}
+` : ''}
+${buildConversationSection(inputs)}
+
+${configuredPromptsSection}
+${knowledgeBaseUrls ? `
+# KNOWLEDGE BASE URLS
+${JSON.stringify(knowledgeBaseUrls, null, 2)}
+` : ''}${knowledge ? `
+${buildRetrievedKnowledgeSection(knowledge)}
+` : ''}${grounding ? `
+${buildGroundingSection(grounding)}
+` : ''}
+${buildOutputSection(knowledge ? withKnowledgeBaseAssessment(NLP_OUTPUT_SCHEMA) : NLP_OUTPUT_SCHEMA)}`;
+}
+
+/**
+ * The DC node prompt is also used by the AgenticFramework, which passes a
+ * token-fitted `systemPrompt` in place of the rendered system prompt.
+ */
+function buildDcNodeAnalysisPrompt(inputs, { systemPrompt = null, grounding = null, rulePack = null } = {}) {
+  const {
+    dc_node_prompt,
+    configured_variables,
+    configured_skills,
+    skill_execution_status,
+    model_configuration,
+    model_response_configuration
+  } = inputs;
+
+  let variablesDisplay = `## **CONFIGURED VARIABLES**`;
+  if (configured_variables && configured_variables.length > 0) {
+    configured_variables.forEach((variable, index) => {
+      variablesDisplay += `
+### Variable ${index + 1}: ${variable.variable_name}
+${variable.variable_content}`;
+    });
+  } else {
+    variablesDisplay += `
+No variables configured.`;
+  }
+
+  let skillsDisplay = `## **CONFIGURED SKILLS**`;
+  if (configured_skills && configured_skills.length > 0) {
+    configured_skills.forEach((skill, index) => {
+      skillsDisplay += `
+### Skill ${index + 1}: ${skill.skill_name}
+${skill.skill_description}`;
+    });
+  } else {
+    skillsDisplay += `
+No skills configured.`;
+  }
+
+  const skillExecutionStatus = `## **SKILL EXECUTION STATUS**
+${skill_execution_status !== undefined ? `Skill ${skill_execution_status ? 'was' : 'was NOT'} executed based on DC Node logs.` : 'Skill execution status not provided.'}`;
+
+  const modelConfigDisplay = `## **MODEL CONFIGURATION**
+${model_configuration ? JSON.stringify(model_configuration, null, 2) : 'No model configuration provided.'}`;
+
+  const modelResponseConfigDisplay = `## **MODEL RESPONSE CONFIGURATION**
+${model_response_configuration ? JSON.stringify(model_response_configuration, null, 2) : 'No model response configuration provided.'}`;
+
+  return `${systemPrompt || renderSystemPrompt(rulePack)}
+
+${PROMPT_LIBRARY.architecture}
+
+${PROMPT_LIBRARY.failureTypes}
+
+${PROMPT_LIBRARY.antiPatterns}
+
+${buildConversationSection(inputs)}
+
+## **DC NODE PROMPT**
+${dc_node_prompt}
+
+${variablesDisplay}
+
+${skillsDisplay}
+
+${skillExecutionStatus}
+
+${modelConfigDisplay}
+
+${modelResponseConfigDisplay}
+${grounding ? `
+${buildGroundingSection(grounding)}
+` : ''}
+${PROMPT_LIBRARY.outputFormat}
+
+Analyze the conversation, feedback, and bot configuration carefully. First, conduct your internal reasoning and self-consistency checks without including them in your output. Then generate your final analysis in the required JSON format.`;
+}
+
+module.exports = {
+  PROMPT_LIBRARY,
+  BOT_TYPES,
+  isValidBotId,
+  resolveBotType,
+  validateBotInputs,
+  buildAnalysisPrompt,
+  buildRulePackSection,
+  renderSystemPrompt,
+  buildRoutingAnalysisPrompt,
+  getConversationTools,
+  expandConversationTools,
+  toolComponent,
+  parseToolComponent
+};
@@ -0,0 +1,421 @@
+/**
+ * JSON schemas describing the analysis output expected from the LLM for
+ * each bot type. The same objects are rendered into the analysis prompts
+ * and used by ajv to validate the responses, so the two cannot drift.
+ */
+
+// How paths are resolved (see prompt_paths.js), so the LLM returns ones that can scope edits
+const PATH_FORMAT = 'For a JSON prompt use a JSON pointer or dot path (e.g. "/flows/0/message" or "flows[0].message"); for a Markdown prompt use the heading path (e.g. "## Guidelines > ### Escalation"). Use an empty string when the instruction is not inside a specific field or section.';
+
+/**
+ * Build the gapAnalysis / promptChanges / expectedImpact schema shared by
+ * the Agentic and NLP bots. Only the component enum, the wording of the
+ * path descriptions and the agentic `toolId` differ between the two.
+ */
+function buildChangeSetSchema({ components, scope, pathDescriptions, toolIdDescription = null }) {
+  const path = action => ({
+    type: 'string',
+    description: `${pathDescriptions[action]} ${PATH_FORMAT}`
+  });
+  // Agentic bots can have several CONVERSATION tools; a change names the one it targets
+  const toolId = toolIdDescription ? { toolId: { type: 'string', description: toolIdDescription } } : {};
+
+  const component = action => ({
+    type: 'string',
+    description: `Component type ${action}.`,
+    enum: components
+  });
+
+  return {
+    type: 'object',
+    required: ['gapAnalysis', 'promptChanges', 'expectedImpact'],
+    properties: {
+      gapAnalysis: {
+        type: 'string',
+        description: "Detailed analysis of the user feedback, the reason why the assistant didn't behave as expected, and an assessment of the prompt's effectiveness in achieving the conversational goal."
+      },
+      promptChanges: {
+        type: 'object',
+        description: 'Prompt modifications required based on the user feedback.',
+        properties: {
+          modifications: {
+            type: 'array',
+            description: `List of instructions to be modified in ${scope}.`,
+            items: {
+              type: 'object',
+              properties: {
+                component: component('where the instruction is to be modified'),
+                ...toolId,
+                path: path('modification'),
+                current: {
+                  type: 'string',
+                  description: 'Current instruction text to be replaced.'
+                },
+                updated: {
+                  type: 'string',
+                  description: 'Updated instruction text.'
+                },
+                reasoning: {
+                  type: 'string',
+                  description: 'Detailed reasoning for the modification.'
+                }
+              }
+            }
+          },
+          deletions: {
+            type: 'array',
+            description: `List of instructions to be deleted from ${scope}.`,
+            items: {
+              type: 'object',
+              properties: {
+                component: component('where the instruction is to be deleted'),
+                ...toolId,
+                path: path('deletion'),
+                instructionText: {
+                  type: 'string',
+                  description: 'Current instruction text to be deleted.'
+                },
+                reasoning: {
+                  type: 'string',
+                  description: 'Detailed reasoning for the deletion.'
+                }
+              }
+            }
+          },
+          additions: {
+            type: 'array',
+            description: `List of instructions to be added in ${scope}.`,
+            items: {
+              type: 'object',
+              properties: {
+                component: component('in which the instruction needs to be added'),
+                ...toolId,
+                path: path('addition'),
+                preText: {
+                  type: 'string',
+                  description: 'Instruction text after which the new instruction is to be added.'
+                },
+                newInstruction: {
+                  type: 'string',
+                  description: 'New instructions to be added.'
+                },
+                reasoning: {
+                  type: 'string',
+                  description: 'Reasoning for adding the new instructions.'
+                }
+              }
+            }
+          }
+        }
+      },
+      expectedImpact: {
+        type: 'string',
+        description: "Detailed impact expectation report of the prompt modifications on the assistant's behavior and what all things should be tested after the modifications."
+      }
+    }
+  };
+}
+
+const COMPONENT_PATH_DESCRIPTIONS = {
+  modification: 'Full Path of the field inside the component prompt in which the instruction to be modified.',
+  deletion: 'Full Path of the field inside the component prompt from which the instruction needs to be deleted.',
+  addition: 'Full Path of the field inside the component prompt where the new instructions are to be added.'
+};
+
+const AGENTIC_OUTPUT_SCHEMA = buildChangeSetSchema({
+  components: ['AGENT', 'KNOWLEDGE_BASE', 'CONVERSATION'],
+  scope: 'a component',
+  pathDescriptions: COMPONENT_PATH_DESCRIPTIONS,
+  toolIdDescription: 'Id of the CONVERSATION tool the change targets, when the bot has several CONVERSATION tools. Omit it for other components.'
+});
+
+const NLP_OUTPUT_SCHEMA = buildChangeSetSchema({
+  components: ['SYSTEM_PROMPT', 'ADDITIONAL_INSTRUCTIONS'],
+  scope: 'the system prompt',
+  pathDescriptions: {
+    modification: 'Section or category inside the system prompt where the instruction to be modified exists.',
+    deletion: 'Section or category inside the system prompt from which the instruction needs to be deleted.',
+    addition: 'Section or category inside the system prompt where the new instructions are to be added.'
+  }
+});
+
+// Tools the AGENT of an agentic bot can route a user message to
+const ROUTING_TOOLS = ['KNOWLEDGE_BASE', 'CONVERSATION', 'SMALLTALK', 'GENERIC_QUERY', 'FALLBACK'];
+
+/**
+ * Routing diagnosis of an agentic bot: which tool handled the turn, which
+ * should have, and the changes to the AGENT prompt and CONVERSATION tool
+ * descriptions that fix a misroute.
+ */
+const ROUTING_CHANGE_SET_SCHEMA = buildChangeSetSchema({
+  components: ['AGENT', 'TOOL_DESCRIPTION'],
+  scope: 'the AGENT prompt or a CONVERSATION tool description',
+  pathDescriptions: COMPONENT_PATH_DESCRIPTIONS,
+  toolIdDescription: 'Id of the CONVERSATION tool whose description the change targets. Required for TOOL_DESCRIPTION changes.'
+});
+
+const ROUTING_OUTPUT_SCHEMA = {
+  ...ROUTING_CHANGE_SET_SCHEMA,
+  required: ['routing', ...ROUTING_CHANGE_SET_SCHEMA.required],
+  properties: {
+    routing: {
+      type: 'object',
+      description: 'Routing decision of the AGENT for the targeted user message.',
+      required: ['chosenTool', 'expectedTool', 'misrouted', 'confidence', 'reasoning'],
+      properties: {
+        chosenTool: {
+          type: 'string',
+          description: 'Tool the AGENT routed the targeted user message to.',
+          enum: ROUTING_TOOLS
+        },
+        chosenToolId: {
+          type: 'string',
+          description: 'Id of the CONVERSATION tool the AGENT chose, when chosenTool is CONVERSATION.'
+        },
+        expectedTool: {
+          type: 'string',
+          description: 'Tool that should have handled the targeted user message.',
+          enum: ROUTING_TOOLS
+        },
+        expectedToolId: {
+          type: 'string',
+          description: 'Id of the CONVERSATION tool that should have handled the message, when expectedTool is CONVERSATION.'
+        },
+        misrouted: {
+          type: 'boolean',
+          description: 'Whether the AGENT routed the message to the wrong tool.'
+        },
+        confidence: {
+          type: 'number',
+          minimum: 0,
+          maximum: 1,
+          description: 'Confidence in the routing diagnosis.'
+        },
+        reasoning: {
+          type: 'string',
+          description: 'Why the expected tool should have handled the message, citing the AGENT prompt and tool descriptions.'
+        }
+      }
+    },
+    ...ROUTING_CHANGE_SET_SCHEMA.properties
+  }
+};
+
+/**
+ * `schema` extended with the knowledge base assessment asked for when the
+ * analysis is given passages retrieved from the bot's knowledge base. Built
+ * once per base schema, so Ajv (which caches compiled validators by schema
+ * object) compiles each variant only once.
+ */
+const knowledgeBaseVariants = new WeakMap();
+
+function withKnowledgeBaseAssessment(schema) {
+  if (!knowledgeBaseVariants.has(schema)) knowledgeBaseVariants.set(schema, buildKnowledgeBaseVariant(schema));
+  return knowledgeBaseVariants.get(schema);
+}
+
+function buildKnowledgeBaseVariant(schema) {
+  return {
+    ...schema,
+    required: [...schema.required, 'knowledgeBaseAssessment'],
+    properties: {
+      ...schema.properties,
+      knowledgeBaseAssessment: {
+        type: 'object',
+        description: 'Whether the knowledge base held the answer to the targeted user message, based on the retrieved passages.',
+        required: ['answerInKnowledgeBase', 'diagnosis', 'reasoning'],
+        properties: {
+          answerInKnowledgeBase: {
+            type: 'string',
+            enum: ['present', 'partial', 'missing'],
+            description: 'Whether the retrieved passages contain the answer the user needed.'
+          },
+          diagnosis: {
+            type: 'string',
+            enum: ['prompt_problem', 'content_missing', 'both'],
+            description: 'prompt_problem when the answer was available but the bot did not use it correctly, content_missing when the knowledge base lacks it.'
+          },
+          supportingPassageIds: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Ids of the passages that contain the answer.'
+          },
+          missingContent: {
+            type: 'string',
+            description: 'The content that should be added to the knowledge base, when it is missing.'
+          },
+          reasoning: {
+            type: 'string',
+            description: 'Why the response failed with respect to the knowledge base content.'
+          }
+        }
+      }
+    }
+  };
+}
+
+const DC_NODE_OUTPUT_SCHEMA = {
+  type: 'object',
+  required: [
+    'issue_identified',
+    'root_cause_analysis',
+    'prompt_changes',
+    'expected_impact',
+    'test_scenarios',
+    'model_configuration_analysis',
+    'confidence_score'
+  ],
+  properties: {
+    issue_identified: {
+      type: 'string',
+      description: "A clear, specific description of the exact issue detected in the chatbot's behavior, with concrete examples from the conversation."
+    },
+    root_cause_analysis: {
+      type: 'string',
+      description: 'Comprehensive technical explanation of why the issue occurred, based on detailed analysis of the prompt, configured variables, skills, and execution logs. Include specific references to problematic sections.'
+    },
+    model_configuration_analysis: {
+      type: 'object',
+      description: "Detailed analysis of how model and response configurations impact the chatbot's performance",
+      properties: {
+        configuration_impact: {
+          type: 'string',
+          description: 'Explanation of how current model configurations contribute to the identified issue'
+        },
+        recommended_configuration_changes: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              parameter: {
+                type: 'string',
+                description: 'Specific model or response configuration parameter to modify'
+              },
+              current_value: {
+                type: 'string',
+                description: 'Current value of the parameter'
+              },
+              recommended_value: {
+                type: 'string',
+                description: 'Suggested new value for the parameter'
+              },
+              rationale: {
+                type: 'string',
+                description: 'Detailed explanation for why this configuration change is recommended'
+              }
+            }
+          }
+        },
+        performance_limitations: {
+          type: 'array',
+          items: {
+            type: 'string',
+            description: 'Specific limitations in the current model or response configuration that may be hindering performance'
+          }
+        }
+      }
+    },
+    prompt_changes: {
+      type: 'object',
+      description: 'Comprehensive and explicit details of all required prompt modifications that MUST be implemented exactly as specified.',
+      properties: {
+        modifications: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['target', 'path', 'current', 'updated', 'reasoning'],
+            properties: {
+              target: {
+                type: 'string',
+                enum: ['dc_node_prompt', 'variable_prompt', 'model_configuration']
+              },
+              path: {
+                type: 'string',
+                description: `Exact path/location within the component where the modification MUST be applied. ${PATH_FORMAT}`
+              },
+              current: {
+                type: 'string',
+                description: 'Complete original text that MUST be replaced'
+              },
+              updated: {
+                type: 'string',
+                description: 'Complete replacement text that MUST be inserted exactly as written'
+              },
+              reasoning: {
+                type: 'string',
+                description: 'Detailed technical explanation of how this modification resolves the identified issue'
+              }
+            }
+          }
+        }
+      }
+    },
+    expected_impact: {
+      type: 'string',
+      description: "Precise explanation of how the proposed changes will improve the chatbot's performance"
+    },
+    risks_and_tradeoffs: {
+      type: 'string',
+      description: 'Comprehensive analysis of potential risks, unintended consequences, or trade-offs associated with implementing the proposed fixes'
+    },
+    test_scenarios: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['scenario', 'user_input', 'expected_outcome', 'validation_criteria'],
+        properties: {
+          scenario: {
+            type: 'string',
+            description: 'Detailed description of the test scenario'
+          },
+          user_input: {
+            type: 'string',
+            description: 'Exact sample user input text for testing the fix'
+          },
+          expected_outcome: {
+            type: 'string',
+            description: 'Precise description of the expected behavior after implementing the fix'
+          },
+          validation_criteria: {
+            type: 'string',
+            description: 'Specific measurable criteria to determine if the fix was successful'
+          }
+        }
+      }
+    },
+    implementation_guide: {
+      type: 'object',
+      properties: {
+        priority: {
+          type: 'string',
+          enum: ['high', 'medium', 'low']
+        },
+        difficulty: {
+          type: 'string',
+          enum: ['easy', 'moderate', 'complex']
+        },
+        implementation_steps: {
+          type: 'array',
+          items: {
+            type: 'string'
+          }
+        }
+      }
+    },
+    confidence_score: {
+      type: 'string',
+      description: 'Assessment of confidence level that the proposed fixes will completely resolve the identified issues',
+      enum: ['High', 'Medium', 'Low']
+    }
+  }
+};
+
+module.exports = {
+  buildChangeSetSchema,
+  withKnowledgeBaseAssessment,
+  AGENTIC_OUTPUT_SCHEMA,
+  NLP_OUTPUT_SCHEMA,
+  ROUTING_TOOLS,
+  ROUTING_OUTPUT_SCHEMA,
+  DC_NODE_OUTPUT_SCHEMA
+};
@@ -0,0 +1,383 @@
+const Ajv = require('ajv').default;
+const {
+  BOT_TYPES,
+  resolveBotType,
+  validateBotInputs,
+  buildAnalysisPrompt,
+  buildRoutingAnalysisPrompt
+} = require('./analysis_prompts');
+const { ROUTING_OUTPUT_SCHEMA, withKnowledgeBaseAssessment } = require('./analysis_schemas');
+const { extractChosenTool, finalizeRoutingAnalysis } = require('./routing_analysis');
+const { AgenticFramework } = require('./agentic_framework');
+const { runStepPipeline } = require('./step_pipeline');
+const { createProvider, validateProviderOptions, RecordingProvider } = require('./llm_providers');
+const { getAnalysisStore, createAnalysisRecord } = require('./analysis_store');
+const { getAnalysisCache, computeCacheKey } = require('./analysis_cache');
+const { addScenariosFromAnalysis } = require('./regression_suites');
+const { applyChangeSet } = require('./prompt_patcher');
+const { renderComponentDiffs } = require('./diff_renderer');
+const { extractTargetTurn } = require('./bot_simulator');
+const { isValidKnowledgeBaseId, getKnowledgeBaseStore, retrieveKnowledge } = require('./knowledge_base');
+const { hasGroundingSources, checkGrounding } = require('./grounding_check');
+const { accountTokens } = require('./token_accounting');
+const { lintBotPrompts } = require('./prompt_linter');
+const { loadRulePack } = require('./rule_packs');
+
+const ajv = new Ajv({ allErrors: true });
+
+/**
+ * Analysis engines. `single` sends one analysis prompt to the LLM,
+ * `framework` runs the iterative AgenticFramework and `pipeline` the
+ * five-step analysis pipeline (both DC node bots only). `routing` diagnoses
+ * the tool routing of agentic bots.
+ */
+const ENGINES = {
+  single: { botTypes: Object.keys(BOT_TYPES) },
+  framework: { botTypes: ['dc_node'] },
+  pipeline: { botTypes: ['dc_node'] },
+  routing: { botTypes: ['agentic'] }
+};
+
+// Bot types whose analysis can be grounded in an uploaded knowledge base (`knowledgeBaseId`)
+const KNOWLEDGE_BASE_BOT_TYPES = ['agentic', 'nlp'];
+
+// Engines that inject the rule pack of the analyzed bot (`botId`) into the analyzer prompt
+const RULE_PACK_ENGINES = ['single', 'framework'];
+
+/**
+ * Validate an analysis request. Returns an error message, or null when the
+ * request can be analyzed.
+ */
+function validateAnalysisRequest(body) {
+  const { conversationHistory, targetBotResponse, userFeedback, engine = 'single' } = body;
+
+  if (!conversationHistory || !targetBotResponse || !userFeedback) {
+    return 'Missing required fields. Provide conversationHistory, targetBotResponse, and userFeedback.';
+  }
+
+  const botType = resolveBotType(body);
+  const botError = validateBotInputs(botType, body);
+  if (botError) return botError;
+
+  const providerError = validateProviderOptions(body.llm);
+  if (providerError) return providerError;
+
+  if (!ENGINES[engine]) {
+    return `Unsupported engine "${engine}". Expected one of: ${Object.keys(ENGINES).join(', ')}`;
+  }
+  if (!ENGINES[engine].botTypes.includes(botType)) {
+    return `The ${engine} engine does not support ${BOT_TYPES[botType].label}s`;
+  }
+
+  if (body.knowledgeBaseId !== undefined) {
+    if (!isValidKnowledgeBaseId(body.knowledgeBaseId)) {
+      return 'knowledgeBaseId must contain only letters, digits, ".", "_" and "-"';
+    }
+    if (engine !== 'single' || !KNOWLEDGE_BASE_BOT_TYPES.includes(botType)) {
+      return `Knowledge base retrieval is only supported by the single engine, for ${KNOWLEDGE_BASE_BOT_TYPES.join(' and ')} bots`;
+    }
+  }
+
+  if (body.rulePackVersion !== undefined) {
+    if (!body.botId) return 'rulePackVersion needs the botId of the rule pack';
+    if (!/^(\d+|head|latest)$/.test(String(body.rulePackVersion))) {
+      return 'rulePackVersion must be a version number, "head" or "latest"';
+    }
+    if (!RULE_PACK_ENGINES.includes(engine)) {
+      return `Rule packs are only supported by the ${RULE_PACK_ENGINES.join(' and ')} engines`;
+    }
+  }
+
+  const { mustKeepInstructions } = body;
+  if (mustKeepInstructions !== undefined &&
+      (!Array.isArray(mustKeepInstructions) || mustKeepInstructions.some(text => typeof text !== 'string' || !text.trim()))) {
+    return 'mustKeepInstructions must be an array of non-empty strings';
+  }
+
+  if (body.checkGrounding !== undefined && typeof body.checkGrounding !== 'boolean') {
+    return 'checkGrounding must be a boolean';
+  }
+  if (body.checkGrounding) {
+    if (engine !== 'single') return 'The grounding check is only supported by the single engine';
+    if (!hasGroundingSources(body)) {
+      return 'The grounding check needs configured_variables with content or a knowledgeBaseId';
+    }
+  }
+  return null;
+}
+
+/**
+ * Run an analysis for a validated request and persist it to the analysis
+ * history. Resolves to the HTTP status and body that should be returned to
+ * the client; the body carries the `analysisId` of the stored record.
+ *
+ * When the analysis cache is enabled, `cacheMode` (from the request's
+ * Cache-Control header) decides whether a cached response may be returned
+ * (`default`), only refreshed (`no-cache`) or left untouched (`no-store`).
+ * `cacheStatus` reports HIT, MISS or BYPASS.
+ *
+ * `onEvent(type, data)` receives the engine's progress events and aborting
+ * `signal` cancels the analysis before its next LLM call.
+ */
+async function runAnalysis(body, { cacheMode = 'default', onEvent = () => {}, signal } = {}) {
+  const cache = getAnalysisCache();
+  const cacheKey = cache.enabled ? computeCacheKey(await withSourceRevisions(body)) : null;
+
+  if (cacheKey && cacheMode === 'default') {
+    const cached = await readCache(cache, cacheKey);
+    if (cached) return { ...cached, cacheStatus: 'HIT' };
+  }
+
+  const outcome = await runUncachedAnalysis(body, onEvent, signal);
+
+  if (cacheKey && cacheMode !== 'no-store' && outcome.statusCode === 200) {
+    await writeCache(cache, cacheKey, outcome);
+  }
+  if (cacheKey) outcome.cacheStatus = cacheMode === 'default' ? 'MISS' : 'BYPASS';
+  return outcome;
+}
+
+/**
+ * Cached analyses are only valid for the knowledge base revision they
+ * retrieved from and the rule pack they were given.
+ */
+async function withSourceRevisions(body) {
+  const sources = {};
+  if (body.knowledgeBaseId) {
+    const knowledgeBase = await getKnowledgeBaseStore().get(body.knowledgeBaseId);
+    sources.knowledgeBaseRevision = knowledgeBase ? knowledgeBase.revision : null;
+  }
+  if (body.botId) {
+    const rulePack = await loadRulePack(body.botId, body.rulePackVersion);
+    sources.rulePackChecksum = rulePack ? rulePack.checksum : null;
+  }
+  return { ...body, ...sources };
+}
+
+// The cache is an optimisation; errors reading or writing it never fail an analysis
+async function readCache(cache, key) {
+  try {
+    return await cache.get(key);
+  } catch (error) {
+    console.error('Error reading analysis cache:', error);
+    return null;
+  }
+}
+
+async function writeCache(cache, key, outcome) {
+  try {
+    await cache.set(key, outcome);
+  } catch (error) {
+    console.error('Error writing analysis cache:', error);
+  }
+}
+
+async function runUncachedAnalysis(body, onEvent, signal) {
+  const botType = resolveBotType(body);
+  const engine = body.engine || 'single';
+  const llm = new RecordingProvider(createProvider(body.llm), { signal });
+  const startedAt = new Date();
+
+  let outcome = null;
+  let failure = null;
+  try {
+    // Static checks run before any LLM call
+    const lint = lintBotPrompts(botType, body);
+    outcome = await executeAnalysis(botType, engine, body, llm, onEvent);
+    outcome.body.tokens = accountTokens(botType, body);
+    outcome.body.lint = lint;
+  } catch (error) {
+    failure = error;
+  }
+
+  const record = createAnalysisRecord({
+    inputs: body,
+    botType,
+    engine,
+    llm,
+    outcome,
+    error: failure,
+    startedAt,
+    completedAt: new Date()
+  });
+  try {
+    await getAnalysisStore().save(record);
+  } catch (error) {
+    // History is best effort; never fail an analysis because it could not be stored
+    console.error('Error storing analysis:', error);
+  }
+  if (outcome && outcome.statusCode === 200) {
+    try {
+      await addScenariosFromAnalysis(record);
+    } catch (error) {
+      console.error('Error adding test scenarios to the regression suite:', error);
+    }
+  }
+
+  if (failure) throw failure;
+  outcome.body.analysisId = record.id;
+  return outcome;
+}
+
+async function executeAnalysis(botType, engine, body, llm, onEvent) {
+  let rulePack = null;
+  if (body.botId && RULE_PACK_ENGINES.includes(engine)) {
+    rulePack = await loadRulePack(body.botId, body.rulePackVersion);
+    if (!rulePack && body.rulePackVersion !== undefined) {
+      return { statusCode: 404, body: { error: `Rule pack version ${body.rulePackVersion} of bot ${body.botId} not found` } };
+    }
+  }
+
+  if (engine === 'framework') {
+    const framework = new AgenticFramework(body.model_configuration, llm);
+    const result = await framework.analyze(body, { onEvent, rulePack });
+    if (hasRules(rulePack)) result.rulePack = describeRulePack(rulePack);
+    result.diff = {
+      components: renderComponentDiffs(
+        { dc_node_prompt: body.dc_node_prompt },
+        { dc_node_prompt: result.modified_prompt || result.final_prompt }
+      )
+    };
+    return {
+      statusCode: result.status === 'success' ? 200 : 422,
+      body: result
+    };
+  }
+
+  if (engine === 'pipeline') {
+    const analysis = await runStepPipeline(body, llm, { onEvent });
+    return {
+      statusCode: analysis.error ? 502 : 200,
+      body: { ...analysis, diff: buildAnalysisDiff(botType, body, analysis) }
+    };
+  }
+
+  if (engine === 'routing') {
+    const chosenTool = extractChosenTool(body);
+    onEvent('step-started', { step: 'routing' });
+    const analysis = finalizeRoutingAnalysis(validateAnalysisResponse(
+      await analyzeLLMPrompt(buildRoutingAnalysisPrompt(body, { chosenTool }), llm),
+      ROUTING_OUTPUT_SCHEMA
+    ), chosenTool);
+    onEvent('step-completed', { step: 'routing', result: analysis });
+
+    return {
+      statusCode: 200,
+      body: { ...analysis, diff: buildAnalysisDiff(botType, body, analysis) }
+    };
+  }
+
+  let knowledge = null;
+  if (body.knowledgeBaseId) {
+    onEvent('step-started', { step: 'retrieval' });
+    knowledge = await retrieveKnowledge(body.knowledgeBaseId, targetUserMessage(body));
+    if (!knowledge) {
+      return { statusCode: 404, body: { error: `Knowledge base ${body.knowledgeBaseId} not found` } };
+    }
+    onEvent('step-completed', { step: 'retrieval', result: knowledge });
+  }
+
+  let grounding = null;
+  if (body.checkGrounding) {
+    onEvent('step-started', { step: 'grounding' });
+    grounding = await checkGrounding(body, llm);
+    if (!grounding) {
+      return { statusCode: 404, body: { error: `Knowledge base ${body.knowledgeBaseId} not found` } };
+    }
+    onEvent('step-completed', { step: 'grounding', result: grounding });
+  }
+
+  onEvent('step-started', { step: 'analysis' });
+  const analysisPrompt = buildAnalysisPrompt(botType, body, { knowledge, grounding, rulePack });
+  const schema = BOT_TYPES[botType].schema;
+  const analysis = validateAnalysisResponse(
+    await analyzeLLMPrompt(analysisPrompt, llm),
+    knowledge ? withKnowledgeBaseAssessment(schema) : schema
+  );
+  onEvent('step-completed', { step: 'analysis', result: analysis });
+
+  return {
+    statusCode: 200,
+    body: {
+      ...analysis,
+      ...(knowledge ? { knowledgeBase: knowledge } : {}),
+      ...(grounding ? { grounding } : {}),
+      ...(hasRules(rulePack) ? { rulePack: describeRulePack(rulePack) } : {}),
+      diff: buildAnalysisDiff(botType, body, analysis)
+    }
+  };
+}
+
+function hasRules(rulePack) {
+  return Boolean(rulePack && rulePack.rules.length);
+}
+
+function describeRulePack({ botId, version, title, checksum }) {
+  return { botId, version, title, checksum };
+}
+
+/**
+ * The user message the failing response answered: the retrieval query for
+ * knowledge base grounded analyses. Falls back to the user feedback when
+ * the history holds no user message.
+ */
+function targetUserMessage(body) {
+  const turn = extractTargetTurn(body.conversationHistory);
+  return turn ? turn.userMessage : String(body.userFeedback);
+}
+
+/**
+ * Apply the suggested changes to the analyzed prompts and render what would
+ * change, so reviewers see the edits in context.
+ */
+function buildAnalysisDiff(botType, body, analysis) {
+  const definition = BOT_TYPES[botType];
+  const originalPrompts = definition.getPrompts(body);
+  const { patchedPrompts, results, summary } = applyChangeSet(originalPrompts, definition.getChangeSet(analysis));
+
+  return {
+    components: renderComponentDiffs(originalPrompts, patchedPrompts),
+    results,
+    summary
+  };
+}
+
+/**
+ * The change set suggested by one analysis result. Framework runs nest the
+ * DC node analysis under `analysis`.
+ */
+function getResultChangeSet(botType, engine, result) {
+  const analysis = engine === 'framework' ? result.analysis : result;
+  return analysis ? BOT_TYPES[botType].getChangeSet(analysis) : {};
+}
+
+async function analyzeLLMPrompt(prompt, llm) {
+  const response = await llm.complete({
+    messages: [{ role: 'user', content: prompt }],
+    temperature: 1,
+    maxTokens: 4000
+  });
+
+  return response.content;
+}
+
+function validateAnalysisResponse(analysisString, schema) {
+  const jsonMatch = analysisString.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) throw new Error('LLM response is not valid JSON');
+
+  const json = JSON.parse(jsonMatch[0]);
+  const validate = ajv.compile(schema);
+  if (!validate(json)) {
+    throw new Error(`LLM response does not match the output schema: ${ajv.errorsText(validate.errors)}`);
+  }
+  return json;
+}
+
+module.exports = {
+  ENGINES,
+  KNOWLEDGE_BASE_BOT_TYPES,
+  RULE_PACK_ENGINES,
+  validateAnalysisRequest,
+  runAnalysis,
+  getResultChangeSet
+};
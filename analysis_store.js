@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Persistent analysis history. A store exposes:
+ *
+ *   save(record)    -> Promise<record>
+ *   get(id)         -> Promise<record | null>
+ *   list(filters)   -> Promise<summary[]>  (newest first)
+ *
+ * `filters` may hold botId, botType, from, to (Date), confidence (array of
+ * High/Medium/Low), limit and offset. The backend is chosen with
+ * ANALYSIS_STORE (`fs`, the default, or `sqlite`).
+ */
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const CONFIDENCE_LEVELS = ['High', 'Medium', 'Low'];
+
+/**
+ * Fields returned by list(); the full record (inputs, raw LLM output,
+ * parsed result) is only returned by get().
+ */
+function summarize(record) {
+  return {
+    id: record.id,
+    botId: record.botId,
+    botType: record.botType,
+    engine: record.engine,
+    createdAt: record.createdAt,
+    statusCode: record.statusCode,
+    confidence: record.confidence,
+    routing: record.routing || null,
+    model: record.model,
+    durationMs: record.timings.durationMs,
+    error: record.error || null
+  };
+}
+
+function matchesFilters(record, { botId, botType, from, to, confidence }) {
+  const createdAt = new Date(record.createdAt);
+  if (botId && record.botId !== botId) return false;
+  if (botType && record.botType !== botType) return false;
+  if (from && createdAt < from) return false;
+  if (to && createdAt > to) return false;
+  if (confidence && confidence.length && !confidence.includes(record.confidence)) return false;
+  return true;
+}
+
+// ========== File System Backend ==========
+
+class FileSystemAnalysisStore {
+  constructor({ directory = path.join(DATA_DIR, 'analyses') } = {}) {
+    this.directory = directory;
+    // file name -> summary, or null for an unreadable record
+    this.summaries = new Map();
+  }
+
+  recordPath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  async save(record) {
+    await fs.mkdir(this.directory, { recursive: true });
+    // Write then rename so a crash never leaves a half-written record
+    const tempPath = `${this.recordPath(record.id)}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(record), 'utf8');
+    await fs.rename(tempPath, this.recordPath(record.id));
+    this.summaries.set(`${record.id}.json`, summarize(record));
+    return record;
+  }
+
+  async get(id) {
+    // Ids are generated UUIDs; refuse anything that could escape the directory
+    if (!/^[\w-]+$/.test(id)) return null;
+    try {
+      return JSON.parse(await fs.readFile(this.recordPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * The summary of a record file, or null when it cannot be read. Unreadable
+   * records are logged and left out of listings.
+   */
+  async readSummary(file) {
+    try {
+      return summarize(JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8')));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn(`Skipping unreadable analysis record ${file}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Summaries are kept in memory, so a listing only reads the records
+   * written since the previous one.
+   */
+  async list(filters = {}) {
+    const { limit = 50, offset = 0 } = filters;
+
+    let files;
+    try {
+      files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    await Promise.all(
+      files
+        .filter(file => !this.summaries.has(file))
+        .map(async file => this.summaries.set(file, await this.readSummary(file)))
+    );
+    const present = new Set(files);
+    for (const file of this.summaries.keys()) {
+      if (!present.has(file)) this.summaries.delete(file);
+    }
+
+    return files
+      .map(file => this.summaries.get(file))
+      .filter(summary => summary && matchesFilters(summary, filters))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(offset, offset + limit);
+  }
+}
+
+// ========== SQLite Backend ==========
+
+class SqliteAnalysisStore {
+  constructor({ filename = process.env.ANALYSIS_DB_PATH || path.join(DATA_DIR, 'analyses.db') } = {}) {
+    // Required lazily so the native module is only loaded when selected
+    const Database = require('better-sqlite3');
+    require('fs').mkdirSync(path.dirname(filename), { recursive: true });
+
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS analyses (
+        id TEXT PRIMARY KEY,
+        bot_id TEXT,
+        bot_type TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        confidence TEXT,
+        record TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS analyses_bot_id ON analyses (bot_id, created_at);
+      CREATE INDEX IF NOT EXISTS analyses_created_at ON analyses (created_at);
+    `);
+  }
+
+  async save(record) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO analyses (id, bot_id, bot_type, created_at, confidence, record)
+      VALUES (@id, @botId, @botType, @createdAt, @confidence, @record)
+    `).run({
+      id: record.id,
+      botId: record.botId,
+      botType: record.botType,
+      createdAt: record.createdAt,
+      confidence: record.confidence,
+      record: JSON.stringify(record)
+    });
+    return record;
+  }
+
+  async get(id) {
+    const row = this.db.prepare('SELECT record FROM analyses WHERE id = ?').get(id);
+    return row ? JSON.parse(row.record) : null;
+  }
+
+  async list(filters = {}) {
+    const { botId, botType, from, to, confidence, limit = 50, offset = 0 } = filters;
+    const conditions = [];
+    const params = {};
+
+    if (botId) {
+      conditions.push('bot_id = @botId');
+      params.botId = botId;
+    }
+    if (botType) {
+      conditions.push('bot_type = @botType');
+      params.botType = botType;
+    }
+    if (from) {
+      conditions.push('created_at >= @from');
+      params.from = from.toISOString();
+    }
+    if (to) {
+      conditions.push('created_at <= @to');
+      params.to = to.toISOString();
+    }
+    if (confidence && confidence.length) {
+      conditions.push(`confidence IN (${confidence.map((_, i) => `@confidence${i}`).join(', ')})`);
+      confidence.forEach((level, i) => { params[`confidence${i}`] = level; });
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = this.db.prepare(`
+      SELECT record FROM analyses ${where}
+      ORDER BY created_at DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit, offset });
+
+    return rows.map(row => summarize(JSON.parse(row.record)));
+  }
+}
+
+// ========== Records ==========
+
+const STORES = {
+  fs: FileSystemAnalysisStore,
+  sqlite: SqliteAnalysisStore
+};
+
+let analysisStore = null;
+
+function getAnalysisStore() {
+  if (!analysisStore) {
+    const backend = process.env.ANALYSIS_STORE || 'fs';
+    const Store = STORES[backend];
+    if (!Store) throw new Error(`Unsupported ANALYSIS_STORE "${backend}"`);
+    analysisStore = new Store();
+  }
+  return analysisStore;
+}
+
+/**
+ * Normalise the confidence reported by the different engines to
+ * High/Medium/Low: DC node analyses report `confidence_score`, the
+ * framework a numeric validation confidence and routing analyses a numeric
+ * routing confidence.
+ */
+function extractConfidence(result) {
+  if (!result) return null;
+  if (CONFIDENCE_LEVELS.includes(result.confidence_score)) return result.confidence_score;
+
+  const score = result.validation ? result.validation.confidence : (result.routing || {}).confidence;
+  if (typeof score === 'number') {
+    if (score >= 0.85) return 'High';
+    if (score >= 0.6) return 'Medium';
+    return 'Low';
+  }
+  return null;
+}
+
+/**
+ * The routing decision of a routing analysis, kept on the record so routing
+ * confusion can be summarized from list() results.
+ */
+function extractRouting(result) {
+  const routing = result && result.routing;
+  if (!routing) return null;
+
+  const { chosenTool, chosenToolId = null, expectedTool, expectedToolId = null, misrouted } = routing;
+  return { chosenTool, chosenToolId, expectedTool, expectedToolId, misrouted };
+}
+
+/**
+ * Build the persisted record for one analysis run.
+ */
+function createAnalysisRecord({ inputs, botType, engine, llm, outcome, error, startedAt, completedAt }) {
+  const result = outcome ? outcome.body : null;
+
+  return {
+    id: crypto.randomUUID(),
+    botId: inputs.botId || null,
+    botType,
+    engine,
+    createdAt: startedAt.toISOString(),
+    statusCode: outcome ? outcome.statusCode : 500,
+    confidence: extractConfidence(result),
+    routing: extractRouting(result),
+    model: {
+      provider: llm.name,
+      model: llm.calls.length ? llm.calls[llm.calls.length - 1].model : llm.defaultModel
+    },
+    timings: {
+      startedAt: startedAt.toISOString(),
+      completedAt: completedAt.toISOString(),
+      durationMs: completedAt - startedAt,
+      llmCalls: llm.calls.map(call => call.durationMs)
+    },
+    inputs,
+    rawOutput: llm.calls.map(call => call.content),
+    usage: llm.calls.map(call => call.usage),
+    result,
+    error: error ? error.message : null
+  };
+}
+
+module.exports = {
+  CONFIDENCE_LEVELS,
+  FileSystemAnalysisStore,
+  SqliteAnalysisStore,
+  getAnalysisStore,
+  createAnalysisRecord
+};
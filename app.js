@@ -1,18 +1,57 @@
 const express = require('express');
 const bodyParser = require('body-parser');
-const OpenAI = require('openai');
-const _ = require('lodash');
 const cors = require('cors');
-dotenv = require('dotenv');
+const dotenv = require('dotenv');
 dotenv.config();
 
+const { validateAnalysisRequest, runAnalysis } = require('./analysis_service');
+const { applyChangeSet, validateChangeSet } = require('./prompt_patcher');
+const { expandConversationTools, isValidBotId, resolveBotType, validateBotInputs } = require('./analysis_prompts');
+const { parseContext, renderDiff, renderComponentDiffs } = require('./diff_renderer');
+const { getAnalysisStore, CONFIDENCE_LEVELS } = require('./analysis_store');
+const { parseCacheControl } = require('./analysis_cache');
+const { getJobQueue, describeJob, JOB_STATUS } = require('./job_queue');
+const { validateBatchRequest, runBatchAnalysis } = require('./batch_analysis');
+const { verifyFix } = require('./fix_verifier');
+const { runGroundingCheck } = require('./grounding_check');
+const { rewritePrompt } = require('./prompt_rewriter');
+const { lintPrompt, lintBotPrompts, summarizeFindings, validateConfiguredNames, configuredNames } = require('./prompt_linter');
+const { checkSkillNames } = require('./skill_names');
+const { summarizeRoutingConfusion } = require('./routing_analysis');
+const {
+  validateScenarios,
+  getSuiteStore,
+  addScenariosFromAnalysis,
+  runSuite,
+  getSuiteHistory
+} = require('./regression_suites');
+const {
+  PROMPT_COMPONENTS,
+  isPromptComponent,
+  isValidTag,
+  resolveVersion,
+  describeVersion,
+  getPromptVersionStore,
+  acceptAnalysis
+} = require('./prompt_versions');
+const { getReview, reviewChange, applyReview } = require('./change_reviews');
+const {
+  isValidKnowledgeBaseId,
+  getKnowledgeBaseStore,
+  describeKnowledgeBase,
+  KB_CONFIG
+} = require('./knowledge_base');
+const { DOCUMENT_FORMATS, detectFormat } = require('./kb_documents');
+const { validateRulePack, resolveRulePackVersion, getRulePackStore } = require('./rule_packs');
+
 const app = express();
 
 // Configure CORS
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Cache-Control'],
+  exposedHeaders: ['X-Cache'],
   credentials: true,
   maxAge: 86400 // 24 hours
 }));
@@ -22,496 +61,978 @@ app.options('/api/analyze-prompt', (req, res) => {
   res.status(200).end();
 });
 
-
 app.use(bodyParser.json({ limit: '50mb' }));
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
+/**
+ * Analyze a bad bot response for any supported bot type.
+ * `botType` selects agentic, nlp or dc_node; `engine: "framework"` runs the
+ * iterative AgenticFramework and `engine: "pipeline"` the five-step
+ * pipeline for DC node bots, `engine: "routing"` the routing diagnosis for
+ * agentic bots.
+ */
+app.post('/api/analyze-prompt', async (req, res) => {
+  try {
+    const validationError = validateAnalysisRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { statusCode, body, cacheStatus } = await runAnalysis(req.body, {
+      cacheMode: parseCacheControl(req.get('Cache-Control'))
+    });
+    if (cacheStatus) res.set('X-Cache', cacheStatus);
+    return res.status(statusCode).json(body);
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred during prompt analysis',
+      details: error.message
+    });
+  }
 });
 
-app.post('/api/analyze-prompt', async (req, res) => {
+/**
+ * Same analysis as /api/analyze-prompt, streamed as Server-Sent Events:
+ * `step-started`, `step-completed`, `iteration` and `validation` while the
+ * engine runs, then `final` with the status code and body (or `error`).
+ */
+app.post('/api/analyze-prompt/stream', async (req, res) => {
+  const validationError = validateAnalysisRequest(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  const send = (event, data) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
   try {
-    const {
-      conversationHistory,
-      targetBotResponse,
-      userFeedback,
-      executionContext,
-      configuredPrompts,
-      knowledgeBaseUrls,
-      isAgenticBot = true // New boolean parameter to differentiate bot types
-    } = req.body;
-
-    if (!conversationHistory || !targetBotResponse || !userFeedback) {
-      return res.status(400).json({
-        error: 'Missing required fields. Provide conversationHistory, targetBotResponse, and userFeedback.'
+    const { statusCode, body, cacheStatus } = await runAnalysis(req.body, {
+      cacheMode: parseCacheControl(req.get('Cache-Control')),
+      onEvent: send
+    });
+    send('final', { statusCode, cacheStatus: cacheStatus || null, body });
+  } catch (error) {
+    console.error('Error:', error);
+    send('error', {
+      error: 'An error occurred during prompt analysis',
+      details: error.message
+    });
+  }
+  return res.end();
+});
+
+/**
+ * Analyze several feedback items (`items`) against one bot configuration
+ * and return the per-item analyses with a consolidated change set.
+ */
+app.post('/api/analyze-batch', async (req, res) => {
+  try {
+    const validationError = validateBatchRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await runBatchAnalysis(req.body, {
+      cacheMode: parseCacheControl(req.get('Cache-Control'))
+    });
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred during batch analysis',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Replay the targeted user turn with the original and the patched prompts
+ * and let an LLM judge whether the user feedback is now satisfied.
+ */
+app.post('/api/verify-fix', async (req, res) => {
+  try {
+    const { statusCode, body } = await verifyFix(req.body);
+    return res.status(statusCode).json(body);
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while verifying the fix',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Check the claims of a bot response against its configured variables and
+ * uploaded knowledge base, outside an analysis.
+ */
+app.post('/api/check-grounding', async (req, res) => {
+  try {
+    const { statusCode, body } = await runGroundingCheck(req.body);
+    return res.status(statusCode).json(body);
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while checking grounding',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Rewrite a whole prompt to fit the token limit of its model configuration.
+ */
+app.post('/api/rewrite-prompt', async (req, res) => {
+  try {
+    const { statusCode, body } = await rewritePrompt(req.body);
+    return res.status(statusCode).json(body);
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while rewriting the prompt',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Apply a change set (modifications, deletions, additions) to the original
+ * configured prompts and return the patched prompts with a per-change status.
+ */
+app.post('/api/apply-changes', (req, res) => {
+  try {
+    const { configuredPrompts, promptChanges } = req.body;
+
+    if (!configuredPrompts || typeof configuredPrompts !== 'object') {
+      return res.status(400).json({ error: 'Missing required field configuredPrompts.' });
+    }
+    if (Array.isArray(configuredPrompts)) {
+      return res.status(400).json({ error: 'configuredPrompts must map each component to its prompt' });
+    }
+    if (!promptChanges) {
+      return res.status(400).json({ error: 'Missing required field promptChanges.' });
+    }
+    const changeSetError = validateChangeSet(promptChanges);
+    if (changeSetError) {
+      return res.status(400).json({ error: changeSetError });
+    }
+
+    const prompts = expandConversationTools(configuredPrompts);
+    const result = applyChangeSet(prompts, promptChanges);
+    return res.status(200).json({
+      ...result,
+      diffs: renderComponentDiffs(prompts, result.patchedPrompts)
+    });
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while applying prompt changes',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Static lint of a single `prompt`, or of every prompt component of a bot
+ * configuration (the same fields as /api/analyze-prompt).
+ */
+app.post('/api/lint-prompt', (req, res) => {
+  try {
+    const { prompt, model_configuration } = req.body;
+    const namesError = validateConfiguredNames(req.body);
+    if (namesError) {
+      return res.status(400).json({ error: namesError });
+    }
+
+    if (prompt !== undefined) {
+      if (typeof prompt !== 'string' || !prompt.trim()) {
+        return res.status(400).json({ error: 'prompt must be a non-empty string' });
+      }
+      const findings = lintPrompt(prompt, {
+        ...configuredNames(req.body),
+        model: (model_configuration || {}).model
       });
+      return res.status(200).json({ findings, summary: summarizeFindings(findings) });
     }
 
-    // Validate required prompts based on bot type
-    if (isAgenticBot) {
-      const requiredPrompts = ['AGENT', 'KNOWLEDGE_BASE', 'CONVERSATION'];
-      const missingPrompts = requiredPrompts.filter(prompt => !configuredPrompts[prompt]);
+    const botType = resolveBotType(req.body);
+    const botError = validateBotInputs(botType, req.body);
+    if (botError) {
+      return res.status(400).json({ error: `Provide prompt, or a bot configuration. ${botError}` });
+    }
+    return res.status(200).json({ botType, ...lintBotPrompts(botType, req.body) });
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while linting the prompt',
+      details: error.message
+    });
+  }
+});
 
-      if (missingPrompts.length > 0) {
-        return res.status(400).json({
-          error: `Missing required prompts for Agentic Bot: ${missingPrompts.join(', ')}`
-        });
+/**
+ * Cross-reference the skill names of a DC node bot's prompt and variable
+ * prompts with its configured skills, and propose exact-name corrections.
+ */
+app.post('/api/check-skill-names', (req, res) => {
+  try {
+    const { dc_node_prompt, configured_variables, configured_skills } = req.body;
+
+    if (typeof dc_node_prompt !== 'string' || !dc_node_prompt.trim()) {
+      return res.status(400).json({ error: 'dc_node_prompt must be a non-empty string' });
+    }
+    if (!Array.isArray(configured_skills) || configured_skills.length === 0) {
+      return res.status(400).json({ error: 'configured_skills must be a non-empty array' });
+    }
+    if (configured_variables !== undefined && !Array.isArray(configured_variables)) {
+      return res.status(400).json({ error: 'configured_variables must be an array' });
+    }
+
+    return res.status(200).json(checkSkillNames(req.body));
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while checking skill names',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Render the diff between an original and a patched prompt as unified text,
+ * a hunk list and an HTML side-by-side table.
+ */
+app.post('/api/render-diff', (req, res) => {
+  const { original, patched, context } = req.body;
+
+  if (typeof original !== 'string' || typeof patched !== 'string') {
+    return res.status(400).json({ error: 'Provide original and patched prompt text.' });
+  }
+  if (parseContext(context) === null) {
+    return res.status(400).json({ error: 'context must be a non-negative integer' });
+  }
+
+  return res.status(200).json(renderDiff(original, patched, { context: parseContext(context) }));
+});
+
+/**
+ * List stored analyses, newest first.
+ * Query: botId, botType, from, to (ISO dates), confidence (comma separated
+ * High/Medium/Low), limit (max 200) and offset.
+ */
+app.get('/api/analyses', async (req, res) => {
+  try {
+    const { botId, botType, from, to, confidence, limit = '50', offset = '0' } = req.query;
+    const filters = {
+      botId,
+      botType,
+      limit: Math.min(parseInt(limit, 10) || 50, 200),
+      offset: parseInt(offset, 10) || 0
+    };
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value === undefined) continue;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({ error: `Invalid ${name} date: ${value}` });
       }
-    } else {
-      // For NLP Bot, require system prompt
-      if (!configuredPrompts.SYSTEM_PROMPT) {
+      filters[name] = date;
+    }
+
+    if (confidence) {
+      filters.confidence = confidence.split(',');
+      const invalid = filters.confidence.filter(level => !CONFIDENCE_LEVELS.includes(level));
+      if (invalid.length > 0) {
         return res.status(400).json({
-          error: 'Missing required SYSTEM_PROMPT for NLP Bot'
+          error: `Invalid confidence: ${invalid.join(', ')}. Expected ${CONFIDENCE_LEVELS.join(', ')}`
         });
       }
     }
 
-    const analysisPrompt = buildAnalysisPrompt(
-      conversationHistory,
-      targetBotResponse,
-      userFeedback,
-      executionContext,
-      configuredPrompts,
-      knowledgeBaseUrls,
-      isAgenticBot
-    );
+    const analyses = await getAnalysisStore().list(filters);
+    return res.status(200).json({ analyses });
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while listing analyses',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Routing confusion across stored routing analyses of agentic bots.
+ * Query: botId, from, to (ISO dates) and limit (analyses scanned, max 5000).
+ */
+app.get('/api/routing/confusion', async (req, res) => {
+  try {
+    const { botId, from, to, limit = '1000' } = req.query;
+    const filters = {
+      botId,
+      botType: 'agentic',
+      limit: Math.min(parseInt(limit, 10) || 1000, 5000)
+    };
 
-    const analysis = await analyzeLLMPrompt(analysisPrompt);
-    const validatedResponse = validateAnalysisResponse(analysis);
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value === undefined) continue;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({ error: `Invalid ${name} date: ${value}` });
+      }
+      filters[name] = date;
+    }
 
-    return res.status(200).json(validatedResponse);
+    const analyses = await getAnalysisStore().list(filters);
+    return res.status(200).json({ botId: botId || null, ...summarizeRoutingConfusion(analyses) });
   } catch (error) {
     console.error('Error:', error);
     return res.status(500).json({
-      error: 'An error occurred during prompt analysis',
+      error: 'An error occurred while summarizing routing confusion',
       details: error.message
     });
   }
 });
 
-function buildAnalysisPrompt(
-  conversationHistory, 
-  targetBotResponse, 
-  userFeedback, 
-  executionContext, 
-  configuredPrompts, 
-  knowledgeBaseUrls, 
-  isAgenticBot
-) {
-  // Common prompt sections
-  const introduction = `
-    # INTRODUCTION
-    - You are an AI assistant which helps the user modify the prompt instructions based on their feedback on some previous conversation.
-    - You are an expert in writing Prompt instructions for a LLM. Each of your instructions must be very clear to understand and must not be ambiguous.
-    - You must go through the entire prompt before you start modifying the instructions.
-    - You should first try to understand the user's feedback and the reason why the assistant didn't behave as expected by the user. Only then you should modify the instructions.
-    - You must not add a conflicting instruction with the existing instructions. Replace the conflicting instruction with the new one.
-
-    # PURPOSE
-    - You are given with all the available details below for the user feedback on certain response of the assistant.
-    - You must take your time and respond with your analysis and the prompt modifications required based on the user feedback.
-
-    # CHAIN-OF-THOUGHT REASONING PROCESS
-    Before providing your final recommendations, follow these reasoning steps:
-    1. First, identify the specific issue or gap in the current prompt based on user feedback.
-    2. Consider the conversational context and execution logs to understand why the model behaved as it did.
-    3. Analyze whether the issue is due to ambiguity, contradiction, missing instructions, or over-constraint.
-    4. Generate 3-5 possible solutions to address the identified issue.
-    5. Evaluate each solution against criteria like clarity, specificity, and alignment with user intent.
-    6. Select the best solution(s) and provide detailed reasoning for your choice.
-
-    # SELF-CONSISTENCY CHECKS
-    After formulating your initial recommendations:
-    - Generate alternative perspectives on the same problem.
-    - Identify any contradictions or inconsistencies in your reasoning.
-    - Verify that your proposed changes are logically coherent with the existing prompt.
-    - Ensure your recommendations address the root cause rather than symptoms.
-    - Check that your suggestions wouldn't create new issues elsewhere in the prompt.
-
-    # EVALUATION CRITERIA FOR PROMPT CHANGES
-    Consider these dimensions when analyzing prompts:
-    - CLARITY: Is the instruction expressed in unambiguous language?
-    - SPECIFICITY: Does it provide concrete guidance rather than vague principles?
-    - CONTEXTUAL AWARENESS: Does it account for the conversation's history and state?
-    - USER INTENT ALIGNMENT: Does it help fulfill what the user is ultimately trying to accomplish?
-    - ROBUSTNESS: Will it handle variations in user inputs?
-    - ETHICAL BOUNDARIES: Does it maintain appropriate guardrails?
-
-    # ANTI-PATTERNS TO AVOID
-    Avoid recommending prompt changes that:
-    - Use vague qualifiers (e.g., "try to", "if possible")
-    - Contain contradictory instructions
-    - Lack actionable specificity
-    - Create circular logic
-    - Rely on undefined terms or concepts
-    - Assume capabilities beyond what the model can do
-    - Introduce unnecessary complexity
-
-    # TEMPORAL CONTEXT AWARENESS
-    When analyzing conversation history:
-    - Pay special attention to shifts in user intent throughout the conversation
-    - Note how previous model responses may have set expectations
-    - Identify any context that may have been lost or misinterpreted
-    - Consider how the timing and sequence of messages affects interpretation
-
-    # EDGE CASE HANDLING
-    For each recommendation, consider how it would handle:
-    - Ambiguous or incomplete user inputs
-    - Requests that are at the boundary of what's allowed
-    - Multi-part or complex requests
-    - Requests that require knowledge beyond what's available
-    - Emotionally charged interactions
-
-    # CONFIDENCE SCORING
-    For each recommended change, assign a confidence level (High, Medium, Low) and explain what factors influenced this assessment.
-
-    # IMPACT PREDICTION METRICS
-    For the expected impact section, include:
-    - Specific test scenarios that should be run to verify improvement
-    - Percentage estimates of potential improvement in relevant dimensions
-    - Potential side effects or trade-offs of implementing the changes
-    - Key metrics to monitor after implementation
-    `;
-
-  // Bot type specific architectural details
-  let architecturalDetails = '';
-  let configuredPromptsSection = '';
-  let outputSchema = '';
-
-  if (isAgenticBot) {
-    // Agentic Bot architecture
-    architecturalDetails = `
-# IMPORTANT ARCHITECTURAL DETAILS FOR UNDERSTANDING
- - On a high level, there are 2 components involved in the conversation: AGENT & TOOLS
- - AGENT
-  - This is the first layer of LLM through which all the user messages pass through.
-  - It has access to different types of tools which can handle different type of user queries or requests.
-  - Based on the current user message and conversation history, the AGENT decides which tool should be used to handle the current user query.
- - TOOLS
-  - These are the second layer of LLM which are specialized in handling specific type of user queries or requests.
-  - There are only 5 types of tools: KNOWLEDGE_BASE, CONVERSATION, SMALLTALK, GENERIC_QUERY & FALLBACK
-  - KNOWLEDGE_BASE: This is a system defined tool which can answer the user query by referring to a FAQ document or a website. This usually contain urls to websites with information fed.
-  - CONVERSATION: There can be multiple instances of this tool with different ids in the chatbot. These are user defined tools to handle a use case or a flow. E.g. Book a flight, Book a hotel, Cancel flight etc..
-  - SMALLTALK: This is a system defined tool which can handle user queries like greetings, goodbyes, thanks etc..
-  - GENERIC_QUERY: This is a system defined tool which can handle generic user queries which are out of scope.
-  - FALLBACK: This is a system defined tool which is used when the user query falls in the scope of the bot but no tool is available to handle it.
- - For a user message, only one tool can generate the bot response. The AGENT decides which tool should be used.
- - Response for the tools SMALLTALK and GENERIC_QUERY are generated by the AGENT itself. The response for the tools KNOWLEDGE_BASE and CONVERSATION are generated by the respective tools.
- - Make changes in the agent prompt only if the user feedback is related to SMALLTALK, GENERIC_QUERY, or the FALLBACK tool.`;
-
-    // Configured prompts section for Agentic Bot
-    configuredPromptsSection = `
-# CONFIGURED PROMPTS USED BY DIFFERENT COMPONENTS
-## AGENT
-${configuredPrompts.AGENT || 'Not provided'}
-
-## KNOWLEDGE_BASE
-${configuredPrompts.KNOWLEDGE_BASE || 'Not provided'}
-
-## CONVERSATION
-${configuredPrompts.CONVERSATION || 'Not provided'}`;
-
-    // Output schema for Agentic Bot
-    outputSchema = `
-    {
-      "type": "object",
-      "properties": {
-        "gapAnalysis": {
-          "type": "string",
-          "description": "Detailed analysis of the user feedback, the reason why the assistant didn't behave as expected, and an assessment of the prompt's effectiveness in achieving the conversational goal."
-        },
-        "promptChanges": {
-          "type": "object",
-          "description": "Prompt modifications required based on the user feedback.",
-          "properties": {
-            "modifications": {
-              "type": "array",
-              "description": "List of instructions to be modified in a component.",
-              "items": {
-                "type": "object",
-                "properties": {
-                  "component": {
-                    "type": "string",
-                    "description": "Component type where the instruction is to be modified.",
-                    "enum": ["AGENT", "KNOWLEDGE_BASE", "CONVERSATION"]
-                  },
-                  "path": {
-                    "type": "string",
-                    "description": "Full Path of the field inside the component prompt in which the instruction to be modified."
-                  },
-                  "current": {
-                    "type": "string",
-                    "description": "Current instruction text to be replaced."
-                  },
-                  "updated": {
-                    "type": "string",
-                    "description": "Updated instruction text."
-                  },
-                  "reasoning": {
-                    "type": "string",
-                    "description": "Detailed reasoning for the modification."
-                  }
-                }
-              }
-            },
-            "deletions": {
-              "type": "array",
-              "description": "List of instructions to be deleted from a component.",
-              "items": {
-                "type": "object",
-                "properties": {
-                  "component": {
-                    "type": "string",
-                    "description": "Component type where the instruction is to be deleted.",
-                    "enum": ["AGENT", "KNOWLEDGE_BASE", "CONVERSATION"]
-                  },
-                  "path": {
-                    "type": "string",
-                    "description": "Full Path of the field inside the component prompt from which the instruction needs to be deleted."
-                  },
-                  "instructionText": {
-                    "type": "string",
-                    "description": "Current instruction text to be deleted."
-                  },
-                  "reasoning": {
-                    "type": "string",
-                    "description": "Detailed reasoning for the deletion."
-                  }
-                }
-              }
-            },
-            "additions": {
-              "type": "array",
-              "description": "List of instructions to be added in a component.",
-              "items": {
-                "type": "object",
-                "properties": {
-                  "component": {
-                    "type": "string",
-                    "description": "Component type in which the instruction needs to be added.",
-                    "enum": ["AGENT", "KNOWLEDGE_BASE", "CONVERSATION"]
-                  },
-                  "path": {
-                    "type": "string",
-                    "description": "Full Path of the field inside the component prompt where the new instructions are to be added."
-                  },
-                  "preText": {
-                    "type": "string",
-                    "description": "Instruction text after which the new instruction is to be added."
-                  },
-                  "newInstruction": {
-                    "type": "string",
-                    "description": "New instructions to be added."
-                  },
-                  "reasoning": {
-                    "type": "string",
-                    "description": "Reasoning for adding the new instructions."
-                  }
-                }
-              }
-            }
-          }
-        },
-        "expectedImpact": {
-          "type": "string",
-          "description": "Detailed impact expectation report of the prompt modifications on the assistant's behavior and what all things should be tested after the modifications."
-        }
-      }
-    }`;
-  } else {
-    // NLP Bot architecture
-    architecturalDetails = `
-# IMPORTANT ARCHITECTURAL DETAILS FOR UNDERSTANDING
- - This is an NLP Bot based on a single system prompt.
- - The bot uses a single SYSTEM_PROMPT that defines its behavior, capabilities, and tone.
- - The SYSTEM_PROMPT is initialized at the beginning of the conversation and guides the bot's responses throughout.
- - This bot doesn't use the Agent-Tools architecture and instead relies on a comprehensive system prompt to handle all interactions.
- - The system prompt typically includes instructions for handling various types of queries, personality guidelines, response formats, and contextual boundaries.
- - The bot processes conversation history along with the system prompt to generate appropriate responses for each user input.`;
-
-    // Configured prompts section for NLP Bot
-    configuredPromptsSection = `
-# CONFIGURED PROMPTS 
-## SYSTEM_PROMPT
-${configuredPrompts.SYSTEM_PROMPT || 'Not provided'}
-
-## ADDITIONAL_INSTRUCTIONS (if any)
-${configuredPrompts.ADDITIONAL_INSTRUCTIONS || 'Not provided'}`;
-
-    // Output schema for NLP Bot
-    outputSchema = `
-    {
-    "type": "object",
-    "properties": {
-        "gapAnalysis": {
-        "type": "string",
-        "description": "Detailed analysis of the user feedback, the reason why the assistant didn't behave as expected, and an assessment of the prompt's effectiveness in achieving the conversational goal."
-        },
-        "promptChanges": {
-        "type": "object",
-        "description": "Prompt modifications required based on the user feedback.",
-        "properties": {
-            "modifications": {
-            "type": "array",
-            "description": "List of instructions to be modified in the system prompt.",
-            "items": {
-                "type": "object",
-                "properties": {
-                "component": {
-                    "type": "string",
-                    "description": "Component type where the instruction is to be modified.",
-                    "enum": ["SYSTEM_PROMPT", "ADDITIONAL_INSTRUCTIONS"]
-                },
-                "path": {
-                    "type": "string",
-                    "description": "Section or category inside the system prompt where the instruction to be modified exists."
-                },
-                "current": {
-                    "type": "string",
-                    "description": "Current instruction text to be replaced."
-                },
-                "updated": {
-                    "type": "string",
-                    "description": "Updated instruction text."
-                },
-                "reasoning": {
-                    "type": "string",
-                    "description": "Detailed reasoning for the modification."
-                }
-                }
-            }
-            },
-            "deletions": {
-            "type": "array",
-            "description": "List of instructions to be deleted from the system prompt.",
-            "items": {
-                "type": "object",
-                "properties": {
-                "component": {
-                    "type": "string",
-                    "description": "Component type where the instruction is to be deleted.",
-                    "enum": ["SYSTEM_PROMPT", "ADDITIONAL_INSTRUCTIONS"]
-                },
-                "path": {
-                    "type": "string",
-                    "description": "Section or category inside the system prompt from which the instruction needs to be deleted."
-                },
-                "instructionText": {
-                    "type": "string",
-                    "description": "Current instruction text to be deleted."
-                },
-                "reasoning": {
-                    "type": "string",
-                    "description": "Detailed reasoning for the deletion."
-                }
-                }
-            }
-            },
-            "additions": {
-            "type": "array",
-            "description": "List of instructions to be added to the system prompt.",
-            "items": {
-                "type": "object",
-                "properties": {
-                "component": {
-                    "type": "string",
-                    "description": "Component type in which the instruction needs to be added.",
-                    "enum": ["SYSTEM_PROMPT", "ADDITIONAL_INSTRUCTIONS"]
-                },
-                "path": {
-                    "type": "string",
-                    "description": "Section or category inside the system prompt where the new instructions are to be added."
-                },
-                "preText": {
-                    "type": "string",
-                    "description": "Instruction text or section after which the new instruction is to be added."
-                },
-                "newInstruction": {
-                    "type": "string",
-                    "description": "New instructions to be added."
-                },
-                "reasoning": {
-                    "type": "string",
-                    "description": "Reasoning for adding the new instructions."
-                }
-                }
-            }
-            }
-        }
-        },
-        "expectedImpact": {
-        "type": "string",
-        "description": "Detailed impact expectation report of the prompt modifications on the assistant's behavior and what all things should be tested after the modifications."
-        }
-    }
-    }
-`;
-  }
-
-  // Common prompt evaluation guidelines
-  const promptEvaluationGuidelines = `
-# SYSTEM PROMPT
-PURPOSE OF THE PROMPT: Clearly define the objective that the bot should achieve during the conversation.
-DATA COLLECTION REQUIREMENTS: Identify what specific details the bot needs to collect from the user (e.g., name, email, preferred date for demo, device type for troubleshooting).
-LOGICAL COHERENCE: Ensure the instructions are logically sound and do not contradict each other.
-HALLUCINATION RISK: Check if the prompt could cause the bot to fabricate information rather than relying on facts.
-ERROR HANDLING: Verify if the prompt includes instructions for handling incomplete or incorrect user input.
-
-# CONVERSATIONAL GUIDELINES:
-TONE & BEHAVIOR: Ensure that the bot maintains a conversational tone suited to the use case (e.g., friendly for customer support, professional for business demos).
-ENGAGEMENT STRATEGY: Define how the bot should keep the user engaged in the conversation without being repetitive or intrusive.
-Error Recovery: Define how the bot should respond if the user provides incomplete or incorrect details.
-BOUNDARY SETTING: Define what the bot should avoid (e.g., not making medical or legal claims, avoiding speculative responses).
-ESCALATION STRATEGY: If applicable, specify when and how the bot should transfer the conversation to a human agent.
-
-***IMPORTANT NOTES***: It is encouraged that the model to articulate its reasoning process step-by-step when identifying issues.\n The model before generating the responses should generate multiple critiques or alternative solutions and verify them against each other and then should output the best one (Without reflecting them in the responses. DO CARRY OUT THE SELF CRITIQUE STEP.).`;
-
-  // Combine all sections based on bot type
-  return `${introduction}
-${architecturalDetails}
-${promptEvaluationGuidelines}
-# CONVERSATION HISTORY TILL THAT MESSAGE
-${JSON.stringify(conversationHistory, null, 2)}
-
-# TARGETED BOT RESPONSE
-${JSON.stringify(targetBotResponse, null, 2)}
-
-# USER FEEDBACK ON THE TARGET BOT RESPONSE
-${JSON.stringify(userFeedback, null, 2)}
-
-# IMPORTANT LOGS AND REASONING FOR THE TARGETED USER MESSAGE PROCESSING
-${JSON.stringify(executionContext || {}, null, 2)}
-${configuredPromptsSection}
-${knowledgeBaseUrls ? `
-# KNOWLEDGE BASE URLS
-${JSON.stringify(knowledgeBaseUrls, null, 2)}` : ''}
-
-# OUTPUT
-- You must respond with the prompt modifications required based on the user feedback.
-- Your response should be in valid JSON format matching the schema:
-${outputSchema}`;
+app.get('/api/analyses/:id', async (req, res) => {
+  try {
+    const analysis = await getAnalysisStore().get(req.params.id);
+    if (!analysis) {
+      return res.status(404).json({ error: `Analysis ${req.params.id} not found` });
+    }
+    return res.status(200).json(analysis);
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while loading the analysis',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Accept every change an analysis suggested: the patched prompts become the
+ * next version of each changed component, with the analysis as provenance.
+ */
+app.post('/api/analyses/:id/accept', async (req, res) => {
+  try {
+    const record = await getAnalysisStore().get(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: `Analysis ${req.params.id} not found` });
+    }
+
+    const { botId, author, message } = req.body;
+    const { statusCode, body } = await acceptAnalysis(record, {
+      botId: botId || record.botId,
+      author,
+      message
+    });
+    return res.status(statusCode).json(body);
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while accepting the analysis',
+      details: error.message
+    });
+  }
+});
+
+// ========== Change Reviews ==========
+
+/**
+ * Run `handler(record)` for a stored analysis, answering 404 when it does
+ * not exist. `handler` resolves to the HTTP status and body to return.
+ */
+async function withAnalysisRecord(req, res, action, handler) {
+  try {
+    const record = await getAnalysisStore().get(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: `Analysis ${req.params.id} not found` });
+    }
+
+    const { statusCode, body } = await handler(record);
+    return res.status(statusCode).json(body);
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: `An error occurred while ${action}`,
+      details: error.message
+    });
+  }
 }
 
-async function analyzeLLMPrompt(prompt) {
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4o',
-    messages: [{ role: 'user', content: prompt }],
-    temperature: 1,
-    max_completion_tokens: 4000
-  });
+app.get('/api/analyses/:id/review', (req, res) =>
+  withAnalysisRecord(req, res, 'loading the review', record => getReview(record)));
+
+/**
+ * Accept, reject or edit one suggested change:
+ * `{ decision: "accept"|"reject"|"edit", change, comment, reviewer }`.
+ */
+app.post('/api/analyses/:id/review/changes/:changeId', (req, res) =>
+  withAnalysisRecord(req, res, 'reviewing the change', record =>
+    reviewChange(record, req.params.changeId, req.body)));
+
+/**
+ * Record the next prompt versions from the accepted and edited changes.
+ */
+app.post('/api/analyses/:id/review/apply', (req, res) =>
+  withAnalysisRecord(req, res, 'applying the review', record => {
+    const { botId, author, message } = req.body;
+    return applyReview(record, { botId: botId || record.botId, author, message });
+  }));
+
+// ========== Prompt Versions ==========
+
+app.get('/api/prompts/:botId', async (req, res) => {
+  try {
+    const components = await getPromptVersionStore().list(req.params.botId);
+    return res.status(200).json({ botId: req.params.botId, components });
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while listing prompts',
+      details: error.message
+    });
+  }
+});
 
-  return response.choices[0].message.content;
+/**
+ * Load a component's history, answering 404 when it has none.
+ */
+async function loadPromptHistory(req, res) {
+  const { botId, component } = req.params;
+  const history = await getPromptVersionStore().get(botId, component);
+  if (!history) {
+    res.status(404).json({ error: `No versions of ${component} for bot ${botId}` });
+    return null;
+  }
+  return history;
 }
 
-function validateAnalysisResponse(analysisString) {
-  const jsonMatch = analysisString.match(/\{[\s\S]*\}/);
-  if (jsonMatch) return JSON.parse(jsonMatch[0]);
-  throw new Error('LLM response is not valid JSON');
+app.get('/api/prompts/:botId/:component', async (req, res) => {
+  try {
+    const history = await loadPromptHistory(req, res);
+    if (!history) return;
+
+    return res.status(200).json({
+      ...history,
+      versions: history.versions.map(version => describeVersion(version, history)).reverse()
+    });
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while listing versions',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/prompts/:botId/:component/versions/:ref', async (req, res) => {
+  try {
+    const history = await loadPromptHistory(req, res);
+    if (!history) return;
+
+    const version = resolveVersion(history, req.params.ref);
+    if (!version) {
+      return res.status(404).json({ error: `Version ${req.params.ref} not found` });
+    }
+    return res.status(200).json({ ...version, tags: describeVersion(version, history).tags });
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while loading the version',
+      details: error.message
+    });
+  }
+});
+
+app.post('/api/prompts/:botId/:component/versions', async (req, res) => {
+  try {
+    const { botId, component } = req.params;
+    const { content, message, author, analysisId } = req.body;
+
+    if (!isValidBotId(botId)) {
+      return res.status(400).json({ error: `Invalid botId: ${botId}` });
+    }
+    if (!isPromptComponent(component)) {
+      return res.status(400).json({ error: `Unknown component ${component}. Expected one of: ${PROMPT_COMPONENTS.join(', ')} CONVERSATION:<toolId> or TOOL_DESCRIPTION:<toolId>` });
+    }
+    if (typeof content !== 'string' || !content) {
+      return res.status(400).json({ error: 'content must be a non-empty string' });
+    }
+
+    const { version, created } = await getPromptVersionStore().createVersion(botId, component, {
+      content,
+      message,
+      author,
+      provenance: analysisId ? { type: 'analysis', analysisId } : { type: 'manual' }
+    });
+    return res.status(created ? 201 : 200).json({ ...describeVersion(version), created });
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while creating the version',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Diff two versions (`from`, default the head's parent; `to`, default the
+ * head) given as numbers, tags or `head`.
+ */
+app.get('/api/prompts/:botId/:component/diff', async (req, res) => {
+  try {
+    const context = parseContext(req.query.context);
+    if (context === null) {
+      return res.status(400).json({ error: 'context must be a non-negative integer' });
+    }
+
+    const history = await loadPromptHistory(req, res);
+    if (!history) return;
+
+    const to = resolveVersion(history, req.query.to || 'head');
+    const from = resolveVersion(history, req.query.from || (to && to.parentVersion));
+    if (!from || !to) {
+      return res.status(404).json({ error: 'Both versions must exist; pass from and to as version numbers or tags' });
+    }
+
+    const { component } = req.params;
+    return res.status(200).json({
+      from: from.version,
+      to: to.version,
+      ...renderDiff(from.content, to.content, {
+        context,
+        originalLabel: `${component}@${from.version}`,
+        patchedLabel: `${component}@${to.version}`
+      })
+    });
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while rendering the diff',
+      details: error.message
+    });
+  }
+});
+
+app.post('/api/prompts/:botId/:component/tags', async (req, res) => {
+  try {
+    const { botId, component } = req.params;
+    const { tag, version: ref = 'head' } = req.body;
+    if (!isValidTag(tag)) {
+      return res.status(400).json({ error: 'tag must contain only letters, digits, ".", "_" or "-", and not be a number or "head"' });
+    }
+    if (!(await loadPromptHistory(req, res))) return;
+
+    const version = await getPromptVersionStore().tag(botId, component, ref, tag);
+    if (!version) {
+      return res.status(404).json({ error: `Version ${ref} not found` });
+    }
+    return res.status(200).json({ tag, version: version.version });
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while tagging the version',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Make an older version (number or tag) the head again by appending a copy
+ * of it as a new version.
+ */
+app.post('/api/prompts/:botId/:component/rollback', async (req, res) => {
+  try {
+    const { botId, component } = req.params;
+    const { version: ref, author, message } = req.body;
+    if (ref === undefined) {
+      return res.status(400).json({ error: 'Provide the version (number or tag) to roll back to' });
+    }
+    if (!(await loadPromptHistory(req, res))) return;
+
+    const rollback = await getPromptVersionStore().rollback(botId, component, ref, { author, message });
+    if (!rollback) {
+      return res.status(404).json({ error: `Version ${ref} not found` });
+    }
+    return res.status(rollback.created ? 201 : 200).json({ ...describeVersion(rollback.version), created: rollback.created });
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while rolling back',
+      details: error.message
+    });
+  }
+});
+
+// ========== Rule Packs ==========
+
+/**
+ * Load a bot's rule pack history, answering 404 when it has none.
+ */
+async function loadRulePackHistory(req, res) {
+  const history = await getRulePackStore().get(req.params.botId);
+  if (!history) {
+    res.status(404).json({ error: `No rule pack for bot ${req.params.botId}` });
+    return null;
+  }
+  return history;
 }
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Prompt Debugger API running on port ${PORT}`);
+app.get('/api/rule-packs/:botId', async (req, res) => {
+  try {
+    const history = await loadRulePackHistory(req, res);
+    if (!history) return;
+    return res.status(200).json({ ...history, versions: [...history.versions].reverse() });
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while listing rule pack versions',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/rule-packs/:botId/versions/:ref', async (req, res) => {
+  try {
+    const history = await loadRulePackHistory(req, res);
+    if (!history) return;
+
+    const version = resolveRulePackVersion(history, req.params.ref);
+    if (!version) {
+      return res.status(404).json({ error: `Version ${req.params.ref} not found` });
+    }
+    return res.status(200).json(version);
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while loading the rule pack version',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Create a new version of a bot's rule pack. An empty `rules` array turns
+ * the pack off for later analyses.
+ */
+app.post('/api/rule-packs/:botId/versions', async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const { title, rules, message, author } = req.body;
+
+    if (!isValidBotId(botId)) {
+      return res.status(400).json({ error: `Invalid botId: ${botId}` });
+    }
+    const packError = validateRulePack({ title, rules });
+    if (packError) {
+      return res.status(400).json({ error: packError });
+    }
+
+    const { version, created } = await getRulePackStore().createVersion(botId, { title, rules, message, author });
+    return res.status(created ? 201 : 200).json({ ...version, created });
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while creating the rule pack version',
+      details: error.message
+    });
+  }
 });
 
-module.exports = app;
\ No newline at end of file
+// ========== Jobs ==========
+
+/**
+ * Queue an analysis (same body as /api/analyze-prompt) and return its job
+ * id straight away; poll GET /api/jobs/:id for the result.
+ */
+app.post('/api/jobs', async (req, res) => {
+  try {
+    const validationError = validateAnalysisRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const job = await getJobQueue().enqueue(req.body, {
+      cacheMode: parseCacheControl(req.get('Cache-Control'))
+    });
+    return res.status(202).location(`/api/jobs/${job.id}`).json(describeJob(job));
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while queueing the analysis',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await getJobQueue().get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: `Job ${req.params.id} not found` });
+    }
+    return res.status(200).json(describeJob(job));
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while loading the job',
+      details: error.message
+    });
+  }
+});
+
+app.delete('/api/jobs/:id', async (req, res) => {
+  try {
+    const queue = getJobQueue();
+    const existing = await queue.get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: `Job ${req.params.id} not found` });
+    }
+    if (![JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(existing.status)) {
+      return res.status(409).json({ error: `Job ${req.params.id} is already ${existing.status}` });
+    }
+
+    const job = await queue.cancel(req.params.id);
+    return res.status(200).json(describeJob(job));
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while cancelling the job',
+      details: error.message
+    });
+  }
+});
+
+// ========== Knowledge Bases ==========
+
+/**
+ * Upload a document (`name`, `content` and optionally `format`, otherwise
+ * implied by the name's extension) to a knowledge base, created on first
+ * upload. A document with the same name is replaced.
+ */
+app.post('/api/knowledge-bases/:kbId/documents', async (req, res) => {
+  try {
+    const { kbId } = req.params;
+    const { name, content } = req.body;
+    if (!isValidKnowledgeBaseId(kbId)) {
+      return res.status(400).json({ error: `Invalid knowledge base id: ${kbId}` });
+    }
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'content must be a non-empty string' });
+    }
+    const format = detectFormat(name, req.body.format);
+    if (!format) {
+      return res.status(400).json({
+        error: `Unknown document format. Provide format as one of: ${DOCUMENT_FORMATS.join(', ')}`
+      });
+    }
+
+    const document = await getKnowledgeBaseStore().addDocument(kbId, { name: name.trim(), format, content });
+    if (!document) {
+      return res.status(422).json({ error: 'The document has no text to index' });
+    }
+    return res.status(201).json(document);
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while adding the document',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/knowledge-bases/:kbId', async (req, res) => {
+  try {
+    const knowledgeBase = await getKnowledgeBaseStore().get(req.params.kbId);
+    if (!knowledgeBase) {
+      return res.status(404).json({ error: `Knowledge base ${req.params.kbId} not found` });
+    }
+    return res.status(200).json(describeKnowledgeBase(knowledgeBase));
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while loading the knowledge base',
+      details: error.message
+    });
+  }
+});
+
+app.delete('/api/knowledge-bases/:kbId/documents/:documentId', async (req, res) => {
+  try {
+    const { kbId, documentId } = req.params;
+    if (!(await getKnowledgeBaseStore().get(kbId))) {
+      return res.status(404).json({ error: `Knowledge base ${kbId} not found` });
+    }
+    if (!(await getKnowledgeBaseStore().removeDocument(kbId, documentId))) {
+      return res.status(404).json({ error: `Document ${documentId} not found` });
+    }
+    return res.status(204).end();
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while removing the document',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * The passages an analysis would retrieve for `q`, to check what the
+ * knowledge base holds for a user message.
+ */
+app.get('/api/knowledge-bases/:kbId/search', async (req, res) => {
+  try {
+    const { q, limit } = req.query;
+    if (typeof q !== 'string' || !q.trim()) {
+      return res.status(400).json({ error: 'q is required' });
+    }
+    if (limit !== undefined && (typeof limit !== 'string' || !/^\d+$/.test(limit) || parseInt(limit, 10) === 0)) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+
+    const passages = await getKnowledgeBaseStore().search(req.params.kbId, q, {
+      limit: Math.min(limit ? parseInt(limit, 10) : KB_CONFIG.retrievalLimit, 50)
+    });
+    if (!passages) {
+      return res.status(404).json({ error: `Knowledge base ${req.params.kbId} not found` });
+    }
+    return res.status(200).json({ query: q, passages });
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while searching the knowledge base',
+      details: error.message
+    });
+  }
+});
+
+// ========== Regression Suites ==========
+
+app.get('/api/suites/:botId', async (req, res) => {
+  try {
+    const suite = await getSuiteStore().get(req.params.botId);
+    if (!suite) {
+      return res.status(404).json({ error: `No regression suite for bot ${req.params.botId}` });
+    }
+    return res.status(200).json(suite);
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while loading the suite',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Add scenarios to a bot's suite, either given directly (`scenarios`) or
+ * taken from a stored analysis (`analysisId`).
+ */
+app.post('/api/suites/:botId/scenarios', async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const { scenarios, analysisId } = req.body;
+    if (!isValidBotId(botId)) {
+      return res.status(400).json({ error: `Invalid botId: ${botId}` });
+    }
+
+    if (analysisId) {
+      const record = await getAnalysisStore().get(analysisId);
+      if (!record) {
+        return res.status(404).json({ error: `Analysis ${analysisId} not found` });
+      }
+      const imported = await addScenariosFromAnalysis(record, botId);
+      if (!imported) {
+        return res.status(422).json({ error: `Analysis ${analysisId} has no test scenarios` });
+      }
+      return res.status(201).json(imported);
+    }
+
+    const validationError = validateScenarios(scenarios);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    return res.status(201).json(await getSuiteStore().addScenarios(botId, scenarios));
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while adding scenarios',
+      details: error.message
+    });
+  }
+});
+
+app.delete('/api/suites/:botId/scenarios/:scenarioId', async (req, res) => {
+  try {
+    const { botId, scenarioId } = req.params;
+    if (!(await getSuiteStore().get(botId))) {
+      return res.status(404).json({ error: `No regression suite for bot ${botId}` });
+    }
+    if (!(await getSuiteStore().removeScenario(botId, scenarioId))) {
+      return res.status(404).json({ error: `Scenario ${scenarioId} not found` });
+    }
+    return res.status(204).end();
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while removing the scenario',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Run every scenario of a bot's suite against a prompt version and grade
+ * the replies with an LLM judge.
+ */
+app.post('/api/suites/:botId/run', async (req, res) => {
+  try {
+    const { statusCode, body } = await runSuite(req.params.botId, req.body);
+    return res.status(statusCode).json(body);
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while running the suite',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/suites/:botId/runs', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    return res.status(200).json(await getSuiteHistory(req.params.botId, { limit }));
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({
+      error: 'An error occurred while loading the suite history',
+      details: error.message
+    });
+  }
+});
+
+if (require.main === module) {
+  // Resume jobs left queued or running by the previous process
+  getJobQueue();
+
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    console.log(`Prompt Debugger API running on port ${PORT}`);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,22 @@
+/**
+ * Run `fn` over `values` with at most `limit` calls in flight, keeping the
+ * results in input order.
+ */
+async function mapWithConcurrency(values, limit, fn) {
+  const results = new Array(values.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < values.length) {
+      const index = next++;
+      results[index] = await fn(values[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, values.length) }, worker));
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
@@ -0,0 +1,113 @@
+const { BOT_TYPES, resolveBotType } = require('./analysis_prompts');
+const { validateAnalysisRequest, runAnalysis, getResultChangeSet } = require('./analysis_service');
+const { consolidateChangeSets } = require('./change_consolidator');
+const { applyChangeSet } = require('./prompt_patcher');
+const { renderComponentDiffs } = require('./diff_renderer');
+const { mapWithConcurrency } = require('./async_pool');
+
+/**
+ * Analyzes many feedback items for one bot configuration. Every item is a
+ * regular analysis (and is stored in the analysis history); their change
+ * sets are then consolidated into one.
+ */
+
+const BATCH_CONFIG = {
+  maxItems: parseInt(process.env.BATCH_MAX_ITEMS, 10) || 100,
+  concurrency: parseInt(process.env.BATCH_CONCURRENCY, 10) || 3
+};
+
+// Per-item fields; everything else in the request is the shared bot configuration
+const ITEM_FIELDS = ['conversationHistory', 'targetBotResponse', 'userFeedback', 'executionContext', 'skill_execution_status'];
+
+function buildItemRequest(body, item) {
+  const { items, concurrency, ...configuration } = body;
+  const request = { ...configuration };
+  ITEM_FIELDS
+    .filter(field => item[field] !== undefined)
+    .forEach(field => { request[field] = item[field]; });
+  return request;
+}
+
+/**
+ * Validate a batch request. Returns an error message, or null.
+ */
+function validateBatchRequest(body) {
+  const { items, concurrency } = body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return 'items must be a non-empty array of { conversationHistory, targetBotResponse, userFeedback }';
+  }
+  if (items.length > BATCH_CONFIG.maxItems) {
+    return `A batch can contain at most ${BATCH_CONFIG.maxItems} items`;
+  }
+  if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency > 0)) {
+    return 'concurrency must be a positive integer';
+  }
+
+  for (const [index, item] of items.entries()) {
+    if (!item || typeof item !== 'object') return `items[${index}] must be an object`;
+    const itemError = validateAnalysisRequest(buildItemRequest(body, item));
+    if (itemError) return `items[${index}]: ${itemError}`;
+  }
+  return null;
+}
+
+/**
+ * Analyze every item of a validated batch request and consolidate the
+ * suggested changes. Items are identified by their `id`, or their index.
+ */
+async function runBatchAnalysis(body, { cacheMode = 'default' } = {}) {
+  const botType = resolveBotType(body);
+  const engine = body.engine || 'single';
+  const concurrency = Math.min(body.concurrency || BATCH_CONFIG.concurrency, BATCH_CONFIG.concurrency);
+
+  const items = await mapWithConcurrency(body.items, concurrency, async (item, index) => {
+    const source = item.id !== undefined ? item.id : index;
+    try {
+      const { statusCode, body: result } = await runAnalysis(buildItemRequest(body, item), { cacheMode });
+      return {
+        source,
+        status: statusCode === 200 ? 'completed' : 'failed',
+        statusCode,
+        analysisId: result.analysisId,
+        result
+      };
+    } catch (error) {
+      console.error(`Error analyzing batch item ${source}:`, error);
+      return { source, status: 'failed', statusCode: 500, error: error.message };
+    }
+  });
+
+  const originalPrompts = BOT_TYPES[botType].getPrompts(body);
+  const consolidation = consolidateChangeSets(
+    originalPrompts,
+    items
+      .filter(item => item.status === 'completed')
+      .map(item => ({ source: item.source, changeSet: getResultChangeSet(botType, engine, item.result) }))
+  );
+  const { patchedPrompts, results } = applyChangeSet(originalPrompts, consolidation.changeSet);
+
+  return {
+    botType,
+    engine,
+    items,
+    consolidated: {
+      changeSet: consolidation.changeSet,
+      conflicts: consolidation.conflicts,
+      results,
+      diff: { components: renderComponentDiffs(originalPrompts, patchedPrompts) }
+    },
+    summary: {
+      items: items.length,
+      completed: items.filter(item => item.status === 'completed').length,
+      failed: items.filter(item => item.status === 'failed').length,
+      ...consolidation.summary
+    }
+  };
+}
+
+module.exports = {
+  BATCH_CONFIG,
+  validateBatchRequest,
+  runBatchAnalysis
+};
@@ -0,0 +1,64 @@
+const { BOT_TYPES } = require('./analysis_prompts');
+
+/**
+ * Replays a conversation through the bot's own prompts so an original and a
+ * patched prompt can be compared on the same user turn.
+ */
+
+const ASSISTANT_ROLES = ['assistant', 'bot', 'agent', 'ai'];
+
+/**
+ * Convert a conversation history to chat messages. Entries may be plain
+ * strings (user turns) or objects with a role (`role`, `sender`, `speaker`
+ * or `from`) and text (`content`, `message` or `text`).
+ */
+function toChatMessages(conversationHistory = []) {
+  return conversationHistory.map(entry => {
+    if (typeof entry === 'string') return { role: 'user', content: entry };
+
+    const role = String(entry.role || entry.sender || entry.speaker || entry.from || 'user').toLowerCase();
+    const content = entry.content || entry.message || entry.text;
+    return {
+      role: ASSISTANT_ROLES.includes(role) ? 'assistant' : 'user',
+      content: typeof content === 'string' ? content : JSON.stringify(content !== undefined ? content : entry)
+    };
+  });
+}
+
+/**
+ * The conversation up to and including the user turn the bot has to answer.
+ * Trailing bot turns (for example the targeted response itself) are dropped.
+ */
+function extractTargetTurn(conversationHistory) {
+  const messages = toChatMessages(conversationHistory);
+  while (messages.length && messages[messages.length - 1].role === 'assistant') messages.pop();
+  if (messages.length === 0) return null;
+
+  return {
+    history: messages,
+    userMessage: messages[messages.length - 1].content
+  };
+}
+
+/**
+ * Ask the bot model (`llm`) for its reply to `history` when configured with
+ * `prompts`. Sampling follows the bot's `model_configuration` when given.
+ */
+async function simulateBotResponse({ botType, prompts, inputs, history, llm }) {
+  const modelConfig = inputs.model_configuration || {};
+  const systemPrompt = BOT_TYPES[botType].renderBotPrompt(prompts, inputs);
+
+  const response = await llm.complete({
+    messages: [{ role: 'system', content: systemPrompt }, ...history],
+    temperature: modelConfig.temperature !== undefined ? modelConfig.temperature : 0.2,
+    maxTokens: modelConfig.max_tokens || 1000
+  });
+
+  return response.content;
+}
+
+module.exports = {
+  toChatMessages,
+  extractTargetTurn,
+  simulateBotResponse
+};
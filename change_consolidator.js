@@ -0,0 +1,179 @@
+/**
+ * Consolidates the change sets of several analyses of the same bot into a
+ * single change set. Suggestions that edit the same span of a component
+ * prompt are grouped; a group whose suggestions agree is merged into one
+ * change, while a group whose suggestions disagree is reported as a
+ * conflict and left out of the consolidated change set.
+ */
+
+const DiffMatchPatch = require('diff-match-patch');
+const { locateAnchor, resolveChangeComponent } = require('./prompt_patcher');
+
+const CONSOLIDATION_CONFIG = {
+  // Normalised similarity above which two suggested texts count as the same
+  mergeSimilarity: 0.9
+};
+
+// The text each change type is anchored on, and the text it introduces
+const ANCHOR_FIELDS = { modifications: 'current', deletions: 'instructionText', additions: 'preText' };
+const PAYLOAD_FIELDS = { modifications: 'updated', deletions: null, additions: 'newInstruction' };
+
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function similarity(a, b) {
+  const left = normalizeText(a);
+  const right = normalizeText(b);
+  if (left === right) return 1;
+
+  const dmp = new DiffMatchPatch();
+  const distance = dmp.diff_levenshtein(dmp.diff_main(left, right));
+  return 1 - distance / Math.max(left.length, right.length);
+}
+
+// ========== Grouping ==========
+
+/**
+ * Flatten change sets into entries that remember which item proposed them
+ * and where their anchor sits in the original component prompt.
+ */
+function collectEntries(originalPrompts, changeSets) {
+  const entries = [];
+
+  changeSets.forEach(({ source, changeSet }) => {
+    for (const type of Object.keys(ANCHOR_FIELDS)) {
+      (changeSet[type] || []).forEach(change => {
+        const component = resolveChangeComponent(originalPrompts, change);
+        const anchor = change[ANCHOR_FIELDS[type]] || null;
+        const text = originalPrompts[component];
+        const location = typeof text === 'string' && anchor ? locateAnchor(text, anchor) : null;
+
+        entries.push({
+          type,
+          change,
+          source,
+          component,
+          anchor,
+          span: location && !location.error ? { start: location.start, end: location.end } : null
+        });
+      });
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Two entries touch the same place when their located spans overlap, or,
+ * when either anchor could not be located, when the anchors read the same.
+ * Appended additions (no anchor) only group with each other.
+ */
+function touchSamePlace(a, b) {
+  if (a.component !== b.component) return false;
+  if (!a.anchor || !b.anchor) return !a.anchor && !b.anchor;
+  if (a.span && b.span) return a.span.start < b.span.end && b.span.start < a.span.end;
+  return normalizeText(a.anchor) === normalizeText(b.anchor);
+}
+
+function groupEntries(entries) {
+  const parent = entries.map((_, index) => index);
+  const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      if (touchSamePlace(entries[i], entries[j])) parent[find(j)] = find(i);
+    }
+  }
+
+  const groups = new Map();
+  entries.forEach((entry, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(entry);
+  });
+  return [...groups.values()];
+}
+
+/**
+ * Split a group into clusters of equivalent suggestions: same change type
+ * and (for modifications and additions) near-identical new text.
+ */
+function clusterEquivalent(group) {
+  const clusters = [];
+
+  for (const entry of group) {
+    const payloadField = PAYLOAD_FIELDS[entry.type];
+    const cluster = clusters.find(candidate => {
+      const representative = candidate[0];
+      if (representative.type !== entry.type) return false;
+      if (!payloadField) return true;
+      return similarity(representative.change[payloadField], entry.change[payloadField]) >= CONSOLIDATION_CONFIG.mergeSimilarity;
+    });
+
+    if (cluster) cluster.push(entry);
+    else clusters.push([entry]);
+  }
+
+  return clusters;
+}
+
+function mergeCluster(cluster) {
+  const sources = [...new Set(cluster.map(entry => entry.source))];
+  return {
+    type: cluster[0].type,
+    change: { ...cluster[0].change, sources, support: sources.length }
+  };
+}
+
+// ========== Consolidation ==========
+
+/**
+ * Consolidate `changeSets`, a list of `{ source, changeSet }` where
+ * `source` identifies the analyzed item, against the original prompts.
+ *
+ * Returns the merged `changeSet` (every change carries the `sources` that
+ * proposed it and their count as `support`), the `conflicts` that need a
+ * human decision and a `summary`.
+ */
+function consolidateChangeSets(originalPrompts, changeSets) {
+  const entries = collectEntries(originalPrompts, changeSets);
+  const changeSet = { modifications: [], deletions: [], additions: [] };
+  const conflicts = [];
+
+  for (const group of groupEntries(entries)) {
+    const clusters = clusterEquivalent(group);
+    const onlyAdditions = group.every(entry => entry.type === 'additions');
+
+    // Different instructions added at the same place can all be kept
+    if (clusters.length === 1 || onlyAdditions) {
+      clusters.map(mergeCluster).forEach(({ type, change }) => changeSet[type].push(change));
+      continue;
+    }
+
+    conflicts.push({
+      component: group[0].component,
+      anchor: group[0].anchor,
+      candidates: clusters.map(mergeCluster)
+    });
+  }
+
+  // Changes proposed by more items come first
+  Object.values(changeSet).forEach(changes => changes.sort((a, b) => b.support - a.support));
+
+  const merged = Object.values(changeSet).reduce((count, changes) => count + changes.length, 0);
+  return {
+    changeSet,
+    conflicts,
+    summary: {
+      suggestions: entries.length,
+      merged,
+      conflicts: conflicts.length
+    }
+  };
+}
+
+module.exports = {
+  CONSOLIDATION_CONFIG,
+  consolidateChangeSets
+};
@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { BOT_TYPES, isValidBotId } = require('./analysis_prompts');
+const { getResultChangeSet } = require('./analysis_service');
+const { resolveChangeComponent } = require('./prompt_patcher');
+const { createVersionsFromChangeSet } = require('./prompt_versions');
+
+/**
+ * Review workflow for the changes an analysis suggests. Every modification,
+ * deletion and addition gets a stable id derived from its content, and
+ * reviewers accept, reject or edit each one with a comment. Applying the
+ * review records the next prompt versions from the accepted (and edited)
+ * changes only. Every decision is kept in the review's audit log.
+ *
+ * Layout: $DATA_DIR/reviews/<analysisId>.json
+ */
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+const REVIEW_DECISIONS = ['accept', 'reject', 'edit'];
+
+const CHANGE_REVIEW_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+  EDITED: 'edited'
+};
+
+const DECISION_STATUS = {
+  accept: CHANGE_REVIEW_STATUS.ACCEPTED,
+  reject: CHANGE_REVIEW_STATUS.REJECTED,
+  edit: CHANGE_REVIEW_STATUS.EDITED
+};
+
+// Text fields a reviewer may rewrite, per change type
+const EDITABLE_FIELDS = {
+  modifications: ['current', 'updated'],
+  deletions: ['instructionText'],
+  additions: ['preText', 'newInstruction']
+};
+
+/**
+ * Id of a change, stable across reviews of the same analysis: a hash of
+ * its type and content, suffixed when the same change is suggested twice.
+ */
+function changeId(type, change, seen) {
+  const hash = crypto.createHash('sha256').update(JSON.stringify([type, change])).digest('hex').slice(0, 12);
+  const base = `${type.replace(/s$/, '')}-${hash}`;
+  const count = seen.get(base) || 0;
+  seen.set(base, count + 1);
+  return count === 0 ? base : `${base}-${count + 1}`;
+}
+
+function buildReview(record) {
+  const changeSet = getResultChangeSet(record.botType, record.engine, record.result);
+  const prompts = BOT_TYPES[record.botType].getPrompts(record.inputs);
+  const seen = new Map();
+  const changes = [];
+
+  Object.keys(EDITABLE_FIELDS).forEach(type => {
+    (changeSet[type] || []).forEach(change => {
+      changes.push({
+        id: changeId(type, change, seen),
+        type,
+        component: resolveChangeComponent(prompts, change) || null,
+        change,
+        status: CHANGE_REVIEW_STATUS.PENDING,
+        edited: null,
+        comment: null,
+        reviewer: null,
+        reviewedAt: null
+      });
+    });
+  });
+
+  return {
+    analysisId: record.id,
+    botId: record.botId || null,
+    botType: record.botType,
+    createdAt: new Date().toISOString(),
+    changes,
+    audit: [],
+    applied: null
+  };
+}
+
+/**
+ * Validate a reviewer decision. Returns an error message, or null.
+ */
+function validateDecision(type, { decision, change, comment }) {
+  if (!REVIEW_DECISIONS.includes(decision)) {
+    return `decision must be one of: ${REVIEW_DECISIONS.join(', ')}`;
+  }
+  if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+    return 'comment must be a string';
+  }
+  if (decision !== 'edit') return null;
+
+  if (!change || typeof change !== 'object') {
+    return `An edit needs the edited change, with any of: ${EDITABLE_FIELDS[type].join(', ')}`;
+  }
+  const unknown = Object.keys(change).filter(field => !EDITABLE_FIELDS[type].includes(field));
+  if (unknown.length > 0) {
+    return `Cannot edit ${unknown.join(', ')} of ${type}; editable fields are ${EDITABLE_FIELDS[type].join(', ')}`;
+  }
+  const invalid = Object.keys(change).filter(field => typeof change[field] !== 'string');
+  if (invalid.length > 0) return `${invalid.join(', ')} must be strings`;
+  return null;
+}
+
+function summarizeReview(review) {
+  const summary = { total: review.changes.length };
+  Object.values(CHANGE_REVIEW_STATUS).forEach(status => {
+    summary[status] = review.changes.filter(change => change.status === status).length;
+  });
+  return summary;
+}
+
+// ========== Review Store ==========
+
+class ReviewStore {
+  constructor({ directory = path.join(DATA_DIR, 'reviews') } = {}) {
+    this.directory = directory;
+    // analysisId -> last pending update, so read-modify-write cycles never interleave
+    this.locks = new Map();
+  }
+
+  reviewPath(analysisId) {
+    return path.join(this.directory, `${analysisId}.json`);
+  }
+
+  async get(analysisId) {
+    if (!/^[\w-]+$/.test(analysisId)) return null;
+    try {
+      return JSON.parse(await fs.readFile(this.reviewPath(analysisId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Apply `update(review)` to the review of `record` (created from the
+   * analysis when missing) and save it. Resolves to whatever `update`
+   * returns.
+   */
+  update(record, update) {
+    const previous = this.locks.get(record.id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const review = (await this.get(record.id)) || buildReview(record);
+      const result = await update(review);
+      review.updatedAt = new Date().toISOString();
+
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.writeFile(this.reviewPath(record.id), JSON.stringify(review), 'utf8');
+      return result;
+    });
+
+    this.locks.set(record.id, next);
+    next.then(() => {
+      if (this.locks.get(record.id) === next) this.locks.delete(record.id);
+    }, () => {});
+    return next;
+  }
+}
+
+let reviewStore = null;
+
+function getReviewStore() {
+  if (!reviewStore) reviewStore = new ReviewStore();
+  return reviewStore;
+}
+
+// ========== Workflow ==========
+
+function withSummary(review) {
+  return { ...review, summary: summarizeReview(review) };
+}
+
+/**
+ * The review of a stored analysis, started when it does not exist yet.
+ * Resolves to the HTTP status and body to return.
+ */
+async function getReview(record) {
+  if (!record.result || record.statusCode !== 200) {
+    return { statusCode: 422, body: { error: `Analysis ${record.id} did not complete successfully` } };
+  }
+
+  const store = getReviewStore();
+  const review = (await store.get(record.id)) || (await store.update(record, current => current));
+  return { statusCode: 200, body: withSummary(review) };
+}
+
+/**
+ * Record a reviewer's decision on one change. `decision` is `accept`,
+ * `reject` or `edit`; an edit carries the rewritten fields in `change`.
+ * Deciding again overrides the previous decision, which stays in the audit
+ * log. Resolves to the HTTP status and body to return.
+ */
+async function reviewChange(record, id, { decision, change, comment = null, reviewer = null } = {}) {
+  if (!record.result || record.statusCode !== 200) {
+    return { statusCode: 422, body: { error: `Analysis ${record.id} did not complete successfully` } };
+  }
+
+  return getReviewStore().update(record, review => {
+    if (review.applied) {
+      return { statusCode: 409, body: { error: 'The review has already been applied' } };
+    }
+    const entry = review.changes.find(candidate => candidate.id === id);
+    if (!entry) return { statusCode: 404, body: { error: `Change ${id} not found` } };
+
+    const validationError = validateDecision(entry.type, { decision, change, comment });
+    if (validationError) return { statusCode: 400, body: { error: validationError } };
+
+    const reviewedAt = new Date().toISOString();
+    review.audit.push({
+      at: reviewedAt,
+      action: decision,
+      changeId: id,
+      reviewer,
+      comment,
+      previousStatus: entry.status,
+      ...(decision === 'edit' ? { edit: change } : {})
+    });
+
+    Object.assign(entry, {
+      status: DECISION_STATUS[decision],
+      edited: decision === 'edit' ? { ...entry.change, ...change } : null,
+      comment,
+      reviewer,
+      reviewedAt
+    });
+    return { statusCode: 200, body: { change: entry, summary: summarizeReview(review) } };
+  });
+}
+
+/**
+ * Apply the accepted and edited changes of a review to the bot's head
+ * prompts, recording a new version of each changed component. Pending and
+ * rejected changes are left out. A review is applied at most once.
+ * Resolves to the HTTP status and body to return.
+ */
+async function applyReview(record, { botId = record.botId, author = null, message = null } = {}) {
+  if (!isValidBotId(botId)) {
+    return { statusCode: 400, body: { error: 'The analysis has no botId; provide one to record versions' } };
+  }
+  if (!record.result || record.statusCode !== 200) {
+    return { statusCode: 422, body: { error: `Analysis ${record.id} did not complete successfully` } };
+  }
+
+  return getReviewStore().update(record, async review => {
+    if (review.applied) {
+      return { statusCode: 409, body: { error: 'The review has already been applied', applied: review.applied } };
+    }
+
+    const selected = review.changes.filter(entry =>
+      [CHANGE_REVIEW_STATUS.ACCEPTED, CHANGE_REVIEW_STATUS.EDITED].includes(entry.status));
+    if (selected.length === 0) {
+      return { statusCode: 422, body: { error: 'No changes have been accepted', summary: summarizeReview(review) } };
+    }
+
+    const changeSet = {};
+    selected.forEach(entry => {
+      changeSet[entry.type] = [...(changeSet[entry.type] || []), entry.edited || entry.change];
+    });
+
+    const { versions, results, summary } = await createVersionsFromChangeSet(botId, record, changeSet, {
+      author,
+      message: message || `Applied review of analysis ${record.id}`,
+      provenance: { reviewed: true, changeIds: selected.map(entry => entry.id) }
+    });
+
+    // Results are indexed per change type in the order the change set was built
+    const byType = {};
+    selected.forEach(entry => { byType[entry.type] = [...(byType[entry.type] || []), entry.id]; });
+    const applied = {
+      at: new Date().toISOString(),
+      botId,
+      author,
+      versions: Object.fromEntries(Object.entries(versions).map(([component, version]) => [component, version.version])),
+      results: results.map(({ type, index, ...result }) => ({ changeId: byType[type][index], type, ...result })),
+      summary
+    };
+
+    review.applied = applied;
+    review.audit.push({ at: applied.at, action: 'apply', reviewer: author, comment: message, versions: applied.versions });
+    return { statusCode: 201, body: { analysisId: record.id, botId, versions, results: applied.results, summary } };
+  });
+}
+
+module.exports = {
+  REVIEW_DECISIONS,
+  CHANGE_REVIEW_STATUS,
+  getReview,
+  reviewChange,
+  applyReview
+};
@@ -0,0 +1,251 @@
+const DiffMatchPatch = require('diff-match-patch');
+
+const { DIFF_DELETE, DIFF_EQUAL } = DiffMatchPatch;
+
+/**
+ * Renders the difference between an original prompt and its patched
+ * version as unified diff text, a structured hunk list and an HTML
+ * side-by-side table.
+ */
+
+// ========== Line Diff ==========
+
+/**
+ * Line-level diff using diff-match-patch's line mode. Returns one entry per
+ * line with its type (context, remove, add) and line numbers.
+ */
+function diffLines(original, patched) {
+  const dmp = new DiffMatchPatch();
+  // Terminate both texts so a missing final newline does not mark the last line as changed
+  const terminate = text => (text === '' || text.endsWith('\n') ? text : `${text}\n`);
+  const { chars1, chars2, lineArray } = dmp.diff_linesToChars_(terminate(original), terminate(patched));
+  const diffs = dmp.diff_main(chars1, chars2, false);
+  dmp.diff_charsToLines_(diffs, lineArray);
+
+  const lines = [];
+  let oldLine = 1;
+  let newLine = 1;
+
+  for (const [op, text] of diffs) {
+    const segmentLines = text.split('\n');
+    // A trailing newline does not start another line
+    if (segmentLines[segmentLines.length - 1] === '') segmentLines.pop();
+
+    for (const line of segmentLines) {
+      if (op === DIFF_EQUAL) {
+        lines.push({ type: 'context', text: line, oldLine: oldLine++, newLine: newLine++ });
+      } else if (op === DIFF_DELETE) {
+        lines.push({ type: 'remove', text: line, oldLine: oldLine++ });
+      } else {
+        lines.push({ type: 'add', text: line, newLine: newLine++ });
+      }
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Group changed lines into hunks with `context` unchanged lines around them.
+ */
+function buildHunks(lines, context) {
+  const hunks = [];
+  let current = null;
+  let lastChange = -Infinity;
+
+  lines.forEach((line, index) => {
+    if (line.type === 'context') return;
+
+    const from = Math.max(index - context, 0);
+    if (current && from <= lastChange + context + 1) {
+      current.end = index;
+    } else {
+      if (current) hunks.push(current);
+      current = { start: from, end: index };
+    }
+    lastChange = index;
+  });
+  if (current) hunks.push(current);
+
+  return hunks.map(({ start, end }) => {
+    const hunkLines = lines.slice(start, Math.min(end + context + 1, lines.length));
+    const firstOld = hunkLines.find(line => line.oldLine !== undefined);
+    const firstNew = hunkLines.find(line => line.newLine !== undefined);
+    const oldLines = hunkLines.filter(line => line.type !== 'add').length;
+    const newLines = hunkLines.filter(line => line.type !== 'remove').length;
+
+    return {
+      oldStart: firstOld ? firstOld.oldLine : 0,
+      oldLines,
+      newStart: firstNew ? firstNew.newLine : 0,
+      newLines,
+      lines: hunkLines
+    };
+  });
+}
+
+// ========== Renderers ==========
+
+const UNIFIED_PREFIX = { context: ' ', remove: '-', add: '+' };
+
+function renderUnified(hunks, { originalLabel, patchedLabel }) {
+  if (hunks.length === 0) return '';
+
+  const body = hunks.map(hunk => {
+    const header = `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`;
+    const lines = hunk.lines.map(line => `${UNIFIED_PREFIX[line.type]}${line.text}`);
+    return [header, ...lines].join('\n');
+  });
+
+  return [`--- ${originalLabel}`, `+++ ${patchedLabel}`, ...body].join('\n') + '\n';
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Highlight the characters that differ between a removed and an added line.
+ */
+function renderInlineChanges(removed, added) {
+  const dmp = new DiffMatchPatch();
+  const diffs = dmp.diff_main(removed, added);
+  dmp.diff_cleanupSemantic(diffs);
+
+  let left = '';
+  let right = '';
+  for (const [op, text] of diffs) {
+    const escaped = escapeHtml(text);
+    if (op === DIFF_EQUAL) {
+      left += escaped;
+      right += escaped;
+    } else if (op === DIFF_DELETE) {
+      left += `<del>${escaped}</del>`;
+    } else {
+      right += `<ins>${escaped}</ins>`;
+    }
+  }
+  return { left, right };
+}
+
+/**
+ * Pair each run of removed lines with the run of added lines that follows it
+ * so replacements sit on the same row.
+ */
+function buildSideBySideRows(hunkLines) {
+  const rows = [];
+  let i = 0;
+
+  while (i < hunkLines.length) {
+    const line = hunkLines[i];
+    if (line.type === 'context') {
+      rows.push({ type: 'context', left: line, right: line });
+      i++;
+      continue;
+    }
+
+    const removed = [];
+    const added = [];
+    while (i < hunkLines.length && hunkLines[i].type === 'remove') removed.push(hunkLines[i++]);
+    while (i < hunkLines.length && hunkLines[i].type === 'add') added.push(hunkLines[i++]);
+
+    for (let j = 0; j < Math.max(removed.length, added.length); j++) {
+      rows.push({ type: 'change', left: removed[j] || null, right: added[j] || null });
+    }
+  }
+
+  return rows;
+}
+
+function renderHtmlCell(line, side, content) {
+  if (!line) return '<td class="diff-line-number"></td><td class="diff-empty"></td>';
+
+  const number = side === 'left' ? line.oldLine : line.newLine;
+  const cssClass = line.type === 'context' ? 'diff-context' : (side === 'left' ? 'diff-remove' : 'diff-add');
+  return `<td class="diff-line-number">${number}</td><td class="${cssClass}">${content}</td>`;
+}
+
+function renderHtml(hunks, { originalLabel, patchedLabel }) {
+  const body = hunks.map(hunk => {
+    const header = `<tr class="diff-hunk-header"><td colspan="4">@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@</td></tr>`;
+    const rows = buildSideBySideRows(hunk.lines).map(row => {
+      let left = row.left ? escapeHtml(row.left.text) : '';
+      let right = row.right ? escapeHtml(row.right.text) : '';
+      if (row.type === 'change' && row.left && row.right) {
+        ({ left, right } = renderInlineChanges(row.left.text, row.right.text));
+      }
+      return `<tr>${renderHtmlCell(row.left, 'left', left)}${renderHtmlCell(row.right, 'right', right)}</tr>`;
+    });
+    return [header, ...rows].join('\n');
+  });
+
+  return `<table class="prompt-diff">
+<thead><tr><th colspan="2">${escapeHtml(originalLabel)}</th><th colspan="2">${escapeHtml(patchedLabel)}</th></tr></thead>
+<tbody>
+${body.join('\n')}
+</tbody>
+</table>`;
+}
+
+/**
+ * The `context` option of a request: a non-negative integer given as a
+ * number or a string of digits, or 3 when absent. Returns null when invalid.
+ */
+function parseContext(value) {
+  if (value === undefined) return 3;
+  if (typeof value === 'number') return Number.isInteger(value) && value >= 0 ? value : null;
+  return typeof value === 'string' && /^\d+$/.test(value) ? parseInt(value, 10) : null;
+}
+
+/**
+ * Render the diff between `original` and `patched`.
+ *
+ * Options: `context` (unchanged lines around each change, default 3),
+ * `originalLabel` and `patchedLabel` (file names shown in the headers).
+ */
+function renderDiff(original, patched, options = {}) {
+  const {
+    context = 3,
+    originalLabel = 'original',
+    patchedLabel = 'patched'
+  } = options;
+
+  const hunks = buildHunks(diffLines(original || '', patched || ''), context);
+  const labels = { originalLabel, patchedLabel };
+
+  return {
+    changed: hunks.length > 0,
+    unified: renderUnified(hunks, labels),
+    hunks,
+    html: renderHtml(hunks, labels)
+  };
+}
+
+/**
+ * Render a diff per component for every prompt that changed.
+ */
+function renderComponentDiffs(originalPrompts, patchedPrompts, options = {}) {
+  const diffs = {};
+  for (const [component, patched] of Object.entries(patchedPrompts)) {
+    const original = originalPrompts[component];
+    if (typeof original !== 'string' || typeof patched !== 'string' || original === patched) continue;
+
+    diffs[component] = renderDiff(original, patched, {
+      ...options,
+      originalLabel: `${component} (original)`,
+      patchedLabel: `${component} (patched)`
+    });
+  }
+  return diffs;
+}
+
+module.exports = {
+  diffLines,
+  parseContext,
+  renderDiff,
+  renderComponentDiffs
+};
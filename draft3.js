@@ -1,713 +0,0 @@
-const express = require('express');
-const bodyParser = require('body-parser');
-const OpenAI = require('openai');
-const _ = require('lodash');
-const cors = require('cors');
-dotenv = require('dotenv');
-dotenv.config();
-
-const app = express();
-
-// Configure CORS
-app.use(cors({
-  origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  credentials: true,
-  maxAge: 86400 // 24 hours
-}));
-
-// Add OPTIONS handler for preflight requests
-app.options('/api/analyze-prompt', (req, res) => {
-  res.status(200).end();
-});
-
-app.use(bodyParser.json({ limit: '50mb' }));
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-app.post('/api/analyze-prompt', async (req, res) => {
-  try {
-    const {
-      conversationHistory,
-      targetBotResponse,
-      userFeedback,
-      executionContext,
-      dc_node_prompt,
-      configured_variables,
-      configured_skills,
-      skill_execution_status,
-      MODEL_CONFIG,
-      MODEL_RESPONSE
-    } = req.body;
-
-    if (!conversationHistory || !targetBotResponse || !userFeedback) {
-      return res.status(400).json({
-        error: 'Missing required fields. Provide conversationHistory, targetBotResponse, and userFeedback.'
-      });
-    }
-
-    // Validate required DC Node inputs
-    if (!dc_node_prompt) {
-      return res.status(400).json({
-        error: 'Missing required DC Node prompt.'
-      });
-    }
-
-    const analysisPrompt = buildAnalysisPrompt(
-      conversationHistory,
-      targetBotResponse,
-      userFeedback,
-      executionContext,
-      dc_node_prompt,
-      configured_variables,
-      configured_skills,
-      skill_execution_status,
-      MODEL_CONFIG,
-      MODEL_RESPONSE
-    );
-
-    const analysis = await analyzeLLMPrompt(analysisPrompt);
-    const validatedResponse = validateAnalysisResponse(analysis);
-
-    return res.status(200).json(validatedResponse);
-  } catch (error) {
-    console.error('Error:', error);
-    return res.status(500).json({
-      error: 'An error occurred during prompt analysis',
-      details: error.message
-    });
-  }
-});
-
-function buildAnalysisPrompt(
-  conversationHistory, 
-  targetBotResponse, 
-  userFeedback, 
-  executionContext, 
-  dc_node_prompt,
-  configured_variables,
-  configured_skills,
-  skill_execution_status,
-  MODEL_CONFIG,
-  MODEL_RESPONSE
-) {
-  // Core system prompt
-  const systemPrompt = `
-  **SYSTEM PROMPT FOR PROMPT DEBUGGER**
-
-  ## **INTRODUCTION** 
-  You are an AI assistant that helps users modify prompt instructions based on their feedback on previous chatbot conversations. You are an expert in writing clear and precise prompt instructions for an LLM. Your modifications must be unambiguous and well-structured. 
-
-  Before making changes, you must:
-  - Thoroughly review the entire prompt. 
-  - Understand the user's feedback and why the chatbot did not behave as expected.
-  - Ensure that modifications do not introduce conflicting or contradictory instructions. 
-  - Replace conflicting instructions with improved versions rather than adding redundancy. 
-  - **Never discard or remove any part of the existing system prompt. Only revise and optimize it while preserving all necessary instructions.**
-
-  ## **PURPOSE** 
-  - You receive all relevant details, including user feedback on specific chatbot responses. 
-  - Your role is to analyze the situation carefully and modify the prompt to improve chatbot performance. 
-  - If the system prompt exceeds the model's token consumption limit, **rewrite the entire prompt to fit within the limit** while preserving all critical instructions. 
-  - When making **any** other modifications, provide a **directly usable, rewritten prompt segment** that the user can replace in their existing system prompt. 
-  - Ensure that revisions enforce strict compliance with skill execution guidelines, particularly for follow-up questions and non-binary user responses. 
-  - **Preserve all original instructions and formatting while making optimizations.**
-
-  ## **CORE OBJECTIVES** 
-  - **Diagnose chatbot failures** by analyzing system prompts, conversation logs, and user feedback. 
-  - **Improve prompt clarity** by eliminating ambiguity, contradictions, or missing details. 
-  - **Ensure skill execution compliance** by verifying if the chatbot consistently invokes the correct skills. 
-  - **Optimize token consumption** to prevent truncation of critical instructions. 
-  - **Recommend robust and testable solutions** to resolve identified prompt issues. 
-  - **Suggest modifications for both the system prompt and any prompts within configured variables.** 
-  - **Validate the token consumption of the prompt against the model configuration before performing analysis.**
-  - **Automatically rewrite the system prompt if the token limit is exceeded or if a significant issue is detected.** 
-  - **For all suggested changes, directly provide a rewritten version of the modified prompt section to the user.** 
-  - **Ensure that follow-up questions and user responses that are not clear "yes" or "no" always trigger skill execution.** 
-  - **Do not remove existing guidelines or formatting unless necessary to meet token constraints.**
-
-  ## **INPUTS FOR ANALYSIS** 
-  The debugger must consider the following inputs while conducting the analysis: 
-  1. **Prompt being fed to the DC node** – The system prompt that guides chatbot behavior. 2. **Configured Variables** – The variables assigned to the DC node that store context. 
-  3. **Variable Contents** – The actual data within the variables or a description of the type of information they contain. 
-  4. **Skills Configured** – The list of skills available to the bot and their descriptions detailing what each skill does. 
-  5. **Skill Execution Status** – A yes/no (boolean) input from logs indicating whether the skill was executed. 
-  6. **Conversation Between the User and the Bot** – The chat history providing context for how the bot responded. 
-  7. **Bot Response Token Consumption** – The actual number of tokens consumed when the system prompt was used in the DC node. 
-  8. **Issue Description by the User** – A clear description of what went wrong in the bot's response. 
-  9. **Expected Response from the Bot** – Either the exact expected bot response or a description of the expected behavior. 
-  10. **Model Configuration** – A JSON object containing model-specific parameters, including token consumption limits.
-
-  ## **STRICT SKILL EXECUTION RULES FOR FOLLOW-UPS**
-  - **For every user response that is not a clear "yes" or "no," the bot must re-execute the "Skill - Product Troubleshooting V4" skill before responding.** 
-  - **Follow-up questions, clarifications, or new information from the user must always trigger a new execution of the skill.** 
-  - **The bot must never answer from general AI knowledge without executing the skill first.**
-
-  ## **TOKEN CONSUMPTION VALIDATION PROCESS** 
-  Before performing any analysis, the debugger must: 
-  1. **Check the total token consumption** of the system prompt against the model configuration provided. 
-  2. **Ensure that the system prompt does not exceed the allowed token budget** after accounting for reserved tokens for conversation history. 
-  3. **Compare the actual token consumption in the bot response** with the expected token limit to detect potential truncation issues. 
-  4. **If the token consumption exceeds the limit, automatically rewrite the entire system prompt to fit within the limit while preserving critical functionality.** 
-  5. When rewriting the prompt: 
-  - **Retain key functionalities and guidelines**, especially skill execution enforcement. - **Prioritize critical rules over less essential formatting or redundant instructions.**
-  - **Condense or restructure lengthy sections to fit within constraints without removing any essential parts.** 
-  - **Ensure all formatting remains intact as much as possible.**
-
-  ## **CHAIN-OF-THOUGHT REASONING PROCESS** 
-  Before modifying the prompt, follow these reasoning steps: 
-  1. Identify the **specific issue** in chatbot behavior based on logs and user feedback. 
-  2. Examine **why** the model deviated from expected behavior (e.g., token loss, ambiguous instruction, missing skill execution). 
-  3. Determine whether the issue stems from **ambiguity, contradiction, missing instructions, over-constraint, or token truncation.** 
-  4. Generate **3-5 possible solutions** to address the issue. 
-  5. Evaluate each solution based on **clarity, specificity, and alignment** with user intent. 
-  6. Select the most effective solution and provide a **directly usable rewritten prompt segment** for the user to replace.
-
-  ## **SELF-CONSISTENCY CHECKS** 
-  After formulating recommendations: 
-  - Consider **alternative perspectives** on the problem. 
-  - Identify any **contradictions or inconsistencies** in your reasoning. 
-  - Ensure **logical coherence** with existing prompt guidelines. 
-  - Confirm that your suggestions **resolve the root cause** rather than just symptoms. 
-  - Validate that changes do not create **new conflicts** elsewhere in the prompt.
-
-  ## **EVALUATION CRITERIA FOR PROMPT CHANGES** 
-  Analyze prompts based on: 
-  - **CLARITY:** Is the instruction unambiguous? 
-  - **SPECIFICITY:** Does it provide concrete guidance instead of vague principles? 
-  - **CONTEXTUAL AWARENESS:** Does it consider conversation history and state?
-  - **USER INTENT ALIGNMENT:** Does it fulfill the user's intended goal? 
-  - **ROBUSTNESS:** Can it handle variations in user inputs? 
-  - **ETHICAL BOUNDARIES:** Does it maintain necessary guardrails?
-
-  ## **COMMON FAILURE TYPES & DEBUGGING STEPS**
-  ### **1. Skill Execution Failures** 
-  **Symptoms:** The bot does not pull responses from the correct skill or responds with generic knowledge.
-
-  **Root Causes:** 
-  - Missing or vague directive to **re-execute** the correct skill.
-  - Incorrect or ambiguous **skill name reference** in the prompt. 
-  - Bot fails to invoke the skill on **follow-up questions.**
-
-  **Debugger Fix Strategy:** 
-  - Verify if the prompt **explicitly states** that follow-up questions must use the correct skill. 
-  - Ensure **exact skill names** are used (e.g., "Skill - Product Troubleshooting V4" instead of "Troubleshooting Skill"). 
-  - Add a **redundancy check**: Revalidate skill execution **before generating** responses. 
-  - Factor in **whether the skill was executed**, based on DC node logs. 
-  - Require a **yes/no input** on skill execution and adjust analysis accordingly. 
-  - Suggest **modifications to the system prompt or any relevant variable prompts** to enforce correct skill usage.
-  ### **2. Token Truncation & Instruction Loss** 
-  **Symptoms:** The bot ignores key instructions in long conversations.
-
-  **Root Causes:** 
-  - The system prompt **exceeds safe token limits**, causing truncation. 
-  - Instructions are **buried too deep** in the prompt.
-
-  **Debugger Fix Strategy:** 
-  - Analyze **prompt vs. response token usage** and flag potential truncation issues. 
-  - **Reorder important rules** earlier in the system prompt. 
-  - **Remove redundant language** while keeping key constraints intact. 
-  - **Modify any relevant variable prompts** to ensure they do not contribute to excessive token usage.
-
-  ### **3. Contradictory or Ambiguous Instructions** 
-  **Symptoms:** The bot inconsistently follows some rules while ignoring others.
-
-  **Root Causes:** 
-  - Conflicting instructions within the system prompt. 
-  - Ambiguous wording that leads to unpredictable behavior.
-
-  **Debugger Fix Strategy:** 
-  - Identify and **resolve contradictions** between existing rules. 
-  - Rewrite ambiguous instructions to be more **explicit**. 
-  - Validate whether changes impact **other bot functions.** 
-  - Ensure **both system and variable prompts are aligned** and do not introduce contradictions.
-
-  ## **ANTI-PATTERNS TO AVOID** 
-  Avoid recommending changes that: 
-  - Use vague qualifiers (e.g., "try to", "if possible"). 
-  - Introduce **contradictions or circular logic**. 
-  - Lack **actionable specificity**. 
-  - Assume **capabilities beyond the model's ability**. 
-  - Add **unnecessary complexity**.
-
-  ## **FINAL EXPECTATIONS** 
-  - Your goal is to produce **precise, actionable, and effective prompt modifications**. 
-  - If the prompt exceeds the token limit, **rewrite it entirely to fit within the limit while preserving all critical functionalities**. 
-  - If additional user input is needed, **ask clarifying questions** before making changes. 
-  - **For all suggested modifications, provide the re-written section or full prompt for direct implementation.** 
-  - **Ensure skill execution is enforced without exception for follow-up questions.** 
-  - **NEVER remove instructions unless absolutely necessary for token constraints, and always confirm with the user before making removals.**`;
-
-  // Architecture explanation
-  const architectureExplanation = `
-    ## **DC NODE BOT ARCHITECTURE**
-  The **DC (Dynamic Chat) Node Bot** operates on a **single prompt** provided to the chatbot, which defines how it should interact with customers. The bot also takes into consideration **a set of input variables** that provide contextual information. These input variables can be configured and influence the behavior of the bot.
-
-  ### **Key Components of DC Node Bots:**
-  - **Input Variables:** The bot can be configured with multiple variables that store contextual data. Examples include:
-    - **Conversation Guidelines:** Defines general rules and behavior for the bot during conversations.
-    - **Knowledge Base (KB) Search Results:** Stores information retrieved from the KB when a lookup is executed.
-    - **Other Context Variables:** Any additional parameters that enrich the prompt and guide bot behavior.
-  - **Skill Execution:** The bot can be configured with **various skills**, which are predefined functions that execute specific tasks. Examples include:
-    - **Troubleshooting Skills:** Handle product or technical issue resolution.
-    - **Operational Skills:** Perform tasks such as booking, status updates, or user profile management.
-    - **Custom Skills:** Any domain-specific functionality designed for the chatbot's unique needs.
-
-  ### **Debugger Focus for DC Node Bots:**
-  - Ensure the prompt correctly **integrates all relevant input variables** and passes the right context to the bot.
-  - Validate that **knowledge base lookups** are performed where applicable.
-  - Check if **skills are properly executed** based on the configured rules and conversation flow.
-  - Optimize the **structure of conversation guidelines** and other context variables to prevent ambiguity.
-  - 
-  - Analyze the **configured input variables** for the DC node and ensure they are correctly influencing the chatbot's behavior.
-  - Take the **skill descriptions** into account to verify that the skill performs the expected function as per its intended design.
-  - Consider **log data that tracks skill execution** and factor in a **yes/no input** on whether the skill was executed to refine debugging analysis.`;
-
-  // Common errors and debugging strategies
-  const failureTypes = `
-  ## **COMMON FAILURE TYPES & DEBUGGING STEPS**
-  ### **1. Skill Execution Failures**
-  **Symptoms:** The bot does not pull responses from the correct skill or responds with generic knowledge.
-  
-  **Root Causes:**
-  - Missing or vague directive to **re-execute** the correct skill.
-  - Incorrect or ambiguous **skill name reference** in the prompt.
-  - Bot fails to invoke the skill on **follow-up questions.**
-  
-  **Debugger Fix Strategy:**
-  - Verify if the prompt **explicitly states** that follow-up questions must use the correct skill.
-  - Ensure **exact skill names** are used (e.g., "Skill - Product Troubleshooting V4" instead of "Troubleshooting Skill").
-  - Add a **redundancy check**: Revalidate skill execution **before generating** responses.
-  - Factor in **whether the skill was executed**, based on DC node logs.
-  - Require a **yes/no input** on skill execution and adjust analysis accordingly.
-  - Suggest **modifications to the system prompt or any relevant variable prompts** to enforce correct skill usage.
-  
-  ### **2. Token Truncation & Instruction Loss**
-  **Symptoms:** The bot ignores key instructions in long conversations.
-  
-  **Root Causes:**
-  - The system prompt **exceeds safe token limits**, causing truncation.
-  - Instructions are **buried too deep** in the prompt.
-  
-  **Debugger Fix Strategy:**
-  - Analyze **prompt vs. response token usage** and flag potential truncation issues.
-  - **Reorder important rules** earlier in the system prompt.
-  - **Remove redundant language** while keeping key constraints intact.
-  - **Modify any relevant variable prompts** to ensure they do not contribute to excessive token usage.
-  
-  ### **3. Contradictory or Ambiguous Instructions**
-  **Symptoms:** The bot inconsistently follows some rules while ignoring others.
-  
-  **Root Causes:**
-  - Conflicting instructions within the system prompt.
-  - Ambiguous wording that leads to unpredictable behavior.
-  
-  **Debugger Fix Strategy:**
-  - Identify and **resolve contradictions** between existing rules.
-  - Rewrite ambiguous instructions to be more **explicit**.
-  - Validate whether changes impact **other bot functions.**
-  - Ensure **both system and variable prompts are aligned** and do not introduce contradictions.`;
-
-  // Anti-patterns and expectations
-  const antiPatterns = `
-  ## **ANTI-PATTERNS TO AVOID**
-  Avoid recommending changes that:
-  - Use vague qualifiers (e.g., "try to", "if possible").
-  - Introduce **contradictions or circular logic**.
-  - Lack **actionable specificity**.
-  - Assume **capabilities beyond the model's ability**.
-  - Add **unnecessary complexity**.
-  
-  ## **FINAL EXPECTATIONS**
-  - Your goal is to produce **precise, actionable, and effective prompt modifications**.
-  - If you **discard or modify** an instruction, ensure it does not cause unintended consequences.
-  - If additional user input is needed, **ask clarifying questions** before making changes.`;
-
-  // DC Node prompt display
-  const dcNodePromptDisplay = `
-  ## **DC NODE PROMPT**
-  ${dc_node_prompt}`;
-
-  // Variables display
-  let variablesDisplay = `
-  ## **CONFIGURED VARIABLES**`;
-  
-  if (configured_variables && configured_variables.length > 0) {
-    configured_variables.forEach((variable, index) => {
-      variablesDisplay += `
-      ### Variable ${index + 1}: ${variable.variable_name}
-      ${variable.variable_content}`;
-    });
-  } else {
-    variablesDisplay += `
-    No variables configured.`;
-  }
-
-  // Skills display
-  let skillsDisplay = `
-  ## **CONFIGURED SKILLS**`;
-  
-  if (configured_skills && configured_skills.length > 0) {
-    configured_skills.forEach((skill, index) => {
-      skillsDisplay += `
-      ### Skill ${index + 1}: ${skill.skill_name}
-      ${skill.skill_description}`;
-    });
-  } else {
-    skillsDisplay += `
-    No skills configured.`;
-  }
-
-  // Skill execution status
-  const skillExecutionStatus = `
-  ## **SKILL EXECUTION STATUS**
-  ${skill_execution_status !== undefined ? `Skill ${skill_execution_status ? 'was' : 'was NOT'} executed based on DC Node logs.` : 'Skill execution status not provided.'}`;
-
-  // Output format explanation
-  const outputFormat = `
-  ## **OUTPUT FORMAT REQUIRED**
-    Your response must be a valid JSON object with the following structure:
-
-  {
-  "type": "object",
-  "required": [
-    "issue_analysis",
-    "prompt_changes", 
-    "test_scenarios",
-    "reasoning_process"
-  ],
-  "properties": {
-    "issue_analysis": {
-      "type": "object",
-      "description": "Detailed breakdown of the identified chatbot behavior issue",
-      "required": [
-        "specific_issue",
-        "root_causes",
-        "failure_type",
-        "deviation_details"
-      ],
-      "properties": {
-        "specific_issue": {
-          "type": "string",
-          "description": "Precise description of the chatbot's problematic behavior"
-        },
-        "root_causes": {
-          "type": "array",
-          "items": {
-            "type": "string",
-            "description": "Underlying reasons for the chatbot's incorrect behavior"
-          },
-          "minItems": 1,
-          "maxItems": 5
-        },
-        "failure_type": {
-          "type": "string",
-          "enum": [
-            "Skill Execution Failure",
-            "Token Truncation",
-            "Instruction Ambiguity",
-            "Contradictory Instructions",
-            "Context Management Failure"
-          ]
-        },
-        "deviation_details": {
-          "type": "string",
-          "description": "Explanation of how the chatbot's response deviated from expected behavior"
-        }
-      }
-    },
-    "prompt_changes": {
-      "type": "object",
-      "description": "Comprehensive modifications to resolve identified issues",
-      "required": [
-        "modifications",
-        "deletions",
-        "additions"
-      ],
-      "properties": {
-        "modifications": {
-          "type": "array",
-          "description": "Precise instructions for text modifications",
-          "items": {
-            "type": "object",
-            "required": [
-              "target",
-              "path",
-              "current",
-              "updated",
-              "reasoning"
-            ],
-            "properties": {
-              "target": {
-                "type": "string",
-                "enum": [
-                  "dc_node_prompt",
-                  "variable_prompt",
-                  "skill_execution_rules",
-                  "token_management"
-                ]
-              },
-              "path": {
-                "type": "string",
-                "description": "Exact location of the modification in the prompt"
-              },
-              "current": {
-                "type": "string",
-                "description": "Original text to be replaced"
-              },
-              "updated": {
-                "type": "string",
-                "description": "New text to replace the original"
-              },
-              "reasoning": {
-                "type": "string",
-                "description": "Detailed explanation of why this modification resolves the issue"
-              }
-            }
-          }
-        },
-        "deletions": {
-          "type": "array",
-          "description": "Text segments to be removed from the prompt",
-          "items": {
-            "type": "object",
-            "required": [
-              "target",
-              "path",
-              "instruction_text",
-              "reasoning"
-            ],
-            "properties": {
-              "target": {
-                "type": "string",
-                "enum": [
-                  "dc_node_prompt",
-                  "variable_prompt"
-                ]
-              },
-              "path": {
-                "type": "string",
-                "description": "Exact location of text to be deleted"
-              },
-              "instruction_text": {
-                "type": "string",
-                "description": "Complete text to be deleted"
-              },
-              "reasoning": {
-                "type": "string",
-                "description": "Justification for removal of the text"
-              }
-            }
-          }
-        },
-        "additions": {
-          "type": "array",
-          "description": "New text to be added to the prompt",
-          "items": {
-            "type": "object",
-            "required": [
-              "target",
-              "path",
-              "pre_text",
-              "new_instruction",
-              "reasoning"
-            ],
-            "properties": {
-              "target": {
-                "type": "string",
-                "enum": [
-                  "dc_node_prompt",
-                  "variable_prompt"
-                ]
-              },
-              "path": {
-                "type": "string",
-                "description": "Exact location where new text should be inserted"
-              },
-              "pre_text": {
-                "type": "string",
-                "description": "Text preceding the insertion point"
-              },
-              "new_instruction": {
-                "type": "string",
-                "description": "Complete new text to be added"
-              },
-              "reasoning": {
-                "type": "string",
-                "description": "Explanation of how the addition improves prompt clarity or functionality"
-              }
-            }
-          }
-        }
-      }
-    },
-    "reasoning_process": {
-      "type": "object",
-      "description": "Detailed chain-of-thought reasoning for prompt modifications",
-      "required": [
-        "potential_solutions",
-        "solution_evaluation",
-        "selected_solution",
-        "self_consistency_check"
-      ],
-      "properties": {
-        "potential_solutions": {
-          "type": "array",
-          "minItems": 3,
-          "maxItems": 5,
-          "items": {
-            "type": "object",
-            "properties": {
-              "solution_description": {
-                "type": "string",
-                "description": "Detailed description of the proposed solution"
-              },
-              "potential_impact": {
-                "type": "string",
-                "description": "Potential positive and negative impacts of the solution"
-              }
-            }
-          }
-        },
-        "solution_evaluation": {
-          "type": "object",
-          "properties": {
-            "clarity_score": {
-              "type": "number",
-              "minimum": 0,
-              "maximum": 10,
-              "description": "Evaluation of solution clarity"
-            },
-            "specificity_score": {
-              "type": "number",
-              "minimum": 0,
-              "maximum": 10,
-              "description": "Evaluation of solution specificity"
-            },
-            "user_intent_alignment_score": {
-              "type": "number",
-              "minimum": 0,
-              "maximum": 10,
-              "description": "Evaluation of alignment with user intent"
-            }
-          }
-        },
-        "selected_solution": {
-          "type": "object",
-          "properties": {
-            "rationale": {
-              "type": "string",
-              "description": "Reasoning for selecting the final solution"
-            },
-            "confidence_level": {
-              "type": "string",
-              "enum": [
-                "Low",
-                "Medium",
-                "High"
-              ]
-            }
-          }
-        },
-        "self_consistency_check": {
-          "type": "object",
-          "properties": {
-            "contradictions_identified": {
-              "type": "boolean"
-            },
-            "resolution_details": {
-              "type": "string",
-              "description": "Details of how any contradictions were resolved"
-            }
-          }
-        }
-      }
-    },
-    "test_scenarios": {
-      "type": "array",
-      "minItems": 1,
-      "maxItems": 5,
-      "items": {
-        "type": "object",
-        "required": [
-          "scenario",
-          "user_input",
-          "expected_outcome",
-          "validation_criteria"
-        ],
-        "properties": {
-          "scenario": {
-            "type": "string",
-            "description": "Detailed description of the test scenario"
-          },
-          "user_input": {
-            "type": "string",
-            "description": "Exact sample user input for testing"
-          },
-          "expected_outcome": {
-            "type": "string",
-            "description": "Precise description of expected bot behavior"
-          },
-          "validation_criteria": {
-            "type": "string",
-            "description": "Specific measurable criteria to validate the fix"
-          }
-        }
-      }
-    }
-  }
-}`;
-
-  // Combine all sections into the final prompt
-  return `${systemPrompt}
-${architectureExplanation}
-${failureTypes}
-${antiPatterns}
-
-# CONVERSATION HISTORY TILL THAT MESSAGE
-${JSON.stringify(conversationHistory, null, 2)}
-
-# TARGETED BOT RESPONSE
-${JSON.stringify(targetBotResponse, null, 2)}
-
-# USER FEEDBACK ON THE TARGET BOT RESPONSE
-${JSON.stringify(userFeedback, null, 2)}
-
-# IMPORTANT LOGS AND REASONING FOR THE TARGETED USER MESSAGE PROCESSING
-${JSON.stringify(executionContext || {}, null, 2)}
-${dcNodePromptDisplay}
-${variablesDisplay}
-${skillsDisplay}
-${skillExecutionStatus}
-
-${outputFormat}
-
-Analyze the conversation, feedback, and bot configuration carefully. First, conduct your internal reasoning and self-consistency checks without including them in your output. Then generate your final analysis in the required JSON format.`;
-}
-
-async function analyzeLLMPrompt(prompt) {
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4o',
-    messages: [{ role: 'user', content: prompt }],
-    temperature: 1,
-    max_completion_tokens: 4000
-  });
-
-  return response.choices[0].message.content;
-}
-
-function validateAnalysisResponse(analysisString) {
-  const jsonMatch = analysisString.match(/\{[\s\S]*\}/);
-  if (jsonMatch) return JSON.parse(jsonMatch[0]);
-  throw new Error('LLM response is not valid JSON');
-}
-
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`DC Node Prompt Debugger API running on port ${PORT}`);
-});
-
-module.exports = app;
\ No newline at end of file
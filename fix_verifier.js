@@ -0,0 +1,149 @@
+const { BOT_TYPES, resolveBotType, validateBotInputs } = require('./analysis_prompts');
+const { getResultChangeSet } = require('./analysis_service');
+const { getAnalysisStore } = require('./analysis_store');
+const { createProvider, validateProviderOptions } = require('./llm_providers');
+const { applyChangeSet, validateChangeSet } = require('./prompt_patcher');
+const { renderComponentDiffs } = require('./diff_renderer');
+const { extractTargetTurn, simulateBotResponse } = require('./bot_simulator');
+const { judgeFix } = require('./llm_judge');
+
+/**
+ * Verifies a suggested fix by replaying the targeted user turn through the
+ * bot model with the original and the patched prompts, then asking an LLM
+ * judge whether the patched reply satisfies the user feedback.
+ *
+ * The request either names a stored analysis (`analysisId`), whose inputs
+ * and suggested changes are used, or carries the bot configuration and
+ * conversation itself with `promptChanges` or `patchedPrompts`. Fields in
+ * the request override those of the stored analysis.
+ */
+
+function failure(statusCode, error) {
+  return { statusCode, body: { error } };
+}
+
+/**
+ * Merge the stored analysis (if any) with the request into the inputs of
+ * the verification. Resolves to `{ inputs }` or `{ failure }`.
+ */
+async function resolveVerificationInputs(body) {
+  const { analysisId, ...overrides } = body;
+  if (!analysisId) return { inputs: overrides };
+
+  const record = await getAnalysisStore().get(analysisId);
+  if (!record) return { failure: failure(404, `Analysis ${analysisId} not found`) };
+  if (!record.result) return { failure: failure(422, `Analysis ${analysisId} has no result to verify`) };
+
+  return {
+    inputs: {
+      ...record.inputs,
+      botType: record.botType,
+      promptChanges: getResultChangeSet(record.botType, record.engine, record.result),
+      ...overrides
+    }
+  };
+}
+
+/**
+ * Validate resolved verification inputs. Returns an error message, or null.
+ */
+function validateVerificationInputs(inputs) {
+  const { conversationHistory, targetBotResponse, userFeedback, promptChanges, patchedPrompts } = inputs;
+
+  if (!conversationHistory || !targetBotResponse || !userFeedback) {
+    return 'Missing required fields. Provide analysisId, or conversationHistory, targetBotResponse, and userFeedback.';
+  }
+  if (!Array.isArray(conversationHistory) || conversationHistory.some(entry => !entry)) {
+    return 'conversationHistory must be an array of messages';
+  }
+  if (!extractTargetTurn(conversationHistory)) {
+    return 'conversationHistory must contain the user turn to replay';
+  }
+
+  const botError = validateBotInputs(resolveBotType(inputs), inputs);
+  if (botError) return botError;
+
+  if (!promptChanges && !patchedPrompts) {
+    return 'Provide promptChanges or patchedPrompts to verify';
+  }
+  if (patchedPrompts) {
+    if (typeof patchedPrompts !== 'object' || Array.isArray(patchedPrompts) ||
+        Object.values(patchedPrompts).some(prompt => typeof prompt !== 'string')) {
+      return 'patchedPrompts must map prompt components to their patched prompt text';
+    }
+  } else {
+    const changeSetError = validateChangeSet(promptChanges);
+    if (changeSetError) return changeSetError;
+  }
+  return validateProviderOptions(inputs.llm) || validateProviderOptions(inputs.botLlm);
+}
+
+/**
+ * Run the verification. `botLlm` selects the provider replaying the bot
+ * (its model defaults to model_configuration.model), `llm` the judge.
+ * Resolves to the HTTP status and body to return.
+ */
+async function verifyFix(body) {
+  const { inputs, failure: resolveFailure } = await resolveVerificationInputs(body);
+  if (resolveFailure) return resolveFailure;
+
+  const validationError = validateVerificationInputs(inputs);
+  if (validationError) return failure(400, validationError);
+
+  const botType = resolveBotType(inputs);
+  const definition = BOT_TYPES[botType];
+  const originalPrompts = definition.getPrompts(inputs);
+
+  let patchedPrompts;
+  let changes = null;
+  if (inputs.patchedPrompts) {
+    patchedPrompts = { ...originalPrompts, ...inputs.patchedPrompts };
+  } else {
+    const patch = applyChangeSet(originalPrompts, inputs.promptChanges);
+    patchedPrompts = patch.patchedPrompts;
+    changes = { results: patch.results, summary: patch.summary };
+    if (patch.summary.applied === 0) {
+      return failure(422, 'None of the prompt changes could be applied to the configured prompts');
+    }
+  }
+
+  const botOptions = inputs.botLlm || {};
+  const botLlm = createProvider({
+    provider: botOptions.provider,
+    model: botOptions.model || (inputs.model_configuration || {}).model
+  });
+  const judgeLlm = createProvider(inputs.llm);
+
+  const { history, userMessage } = extractTargetTurn(inputs.conversationHistory);
+  const replay = prompts => simulateBotResponse({ botType, prompts, inputs, history, llm: botLlm });
+  const [originalResponse, patchedResponse] = await Promise.all([
+    replay(originalPrompts),
+    replay(patchedPrompts)
+  ]);
+
+  const verdict = await judgeFix(judgeLlm, {
+    history,
+    targetBotResponse: inputs.targetBotResponse,
+    userFeedback: inputs.userFeedback,
+    originalResponse,
+    patchedResponse
+  });
+
+  return {
+    statusCode: 200,
+    body: {
+      analysisId: body.analysisId || null,
+      botType,
+      userMessage,
+      original: { response: originalResponse },
+      patched: { response: patchedResponse, prompts: patchedPrompts },
+      changes,
+      diff: { components: renderComponentDiffs(originalPrompts, patchedPrompts) },
+      verdict
+    }
+  };
+}
+
+module.exports = {
+  verifyFix
+};
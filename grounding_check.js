@@ -0,0 +1,165 @@
+const { chunkDocument } = require('./kb_documents');
+const { Bm25Index, tokenize, isValidKnowledgeBaseId, getKnowledgeBaseStore } = require('./knowledge_base');
+const { GROUNDING_VERDICTS, judgeGrounding } = require('./llm_judge');
+const { createProvider, validateProviderOptions } = require('./llm_providers');
+
+/**
+ * Hallucination check of the target bot response. The response is split
+ * into claims, each claim is searched in the bot's sources (the content of
+ * its `configured_variables`, such as KB search results, and the uploaded
+ * knowledge base named by `knowledgeBaseId`), and an LLM judge marks it
+ * supported, unsupported or contradicted by the passages found.
+ */
+
+const GROUNDING_CONFIG = {
+  maxClaims: parseInt(process.env.GROUNDING_MAX_CLAIMS, 10) || 20,
+  passagesPerClaim: 3
+};
+
+// Sentences that only manage the conversation and state no fact
+const COURTESY_PATTERN = /^(hi|hello|hey|thanks|thank you|sure|of course|certainly|great|happy to help|you're welcome|is there anything else|let me know|feel free)\b/i;
+
+/**
+ * Split a bot response into checkable claims: sentences and list items,
+ * without questions and courtesy phrases.
+ */
+function splitClaims(response) {
+  const text = typeof response === 'string' ? response : JSON.stringify(response);
+
+  return text
+    .split(/\n+/)
+    .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim())
+    .flatMap(line => line.split(/(?<=[.!?])\s+(?=["'(“]?[A-Z0-9])/))
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence && !sentence.endsWith('?'))
+    .filter(sentence => !(COURTESY_PATTERN.test(sentence) && tokenize(sentence).length < 4))
+    .filter(sentence => tokenize(sentence).length >= 2)
+    .slice(0, GROUNDING_CONFIG.maxClaims)
+    .map((sentence, index) => ({ id: `claim-${index + 1}`, text: sentence }));
+}
+
+function variablePassages(configuredVariables) {
+  return (Array.isArray(configuredVariables) ? configuredVariables : [])
+    .filter(variable => variable && typeof variable.variable_content === 'string' && variable.variable_content.trim())
+    .flatMap(variable => chunkDocument(variable.variable_content, 'text').map((passage, index) => ({
+      id: `variable:${variable.variable_name}:${index}`,
+      source: 'variable',
+      document: variable.variable_name,
+      section: null,
+      text: passage.text
+    })));
+}
+
+/**
+ * Whether a request names any source to check the response against.
+ */
+function hasGroundingSources(inputs) {
+  return Boolean(inputs.knowledgeBaseId) || variablePassages(inputs.configured_variables).length > 0;
+}
+
+function summarizeGrounding(claims) {
+  const summary = { total: claims.length };
+  GROUNDING_VERDICTS.forEach(verdict => {
+    summary[verdict] = claims.filter(claim => claim.verdict === verdict).length;
+  });
+  summary.groundedRate = claims.length ? Number((summary.supported / claims.length).toFixed(3)) : 1;
+  return summary;
+}
+
+/**
+ * Check the claims of `inputs.targetBotResponse` against the bot's sources.
+ * Claims no passage relates to are unsupported without asking the judge.
+ * Resolves to `{ claims, summary, sources }`, or null when the knowledge
+ * base does not exist.
+ */
+async function checkGrounding(inputs, llm) {
+  let knowledgeBase = null;
+  if (inputs.knowledgeBaseId) {
+    knowledgeBase = await getKnowledgeBaseStore().get(inputs.knowledgeBaseId);
+    if (!knowledgeBase) return null;
+  }
+
+  const variables = variablePassages(inputs.configured_variables);
+  const variableIndex = new Bm25Index(variables);
+  const limit = GROUNDING_CONFIG.passagesPerClaim;
+
+  const claims = splitClaims(inputs.targetBotResponse).map(claim => ({
+    ...claim,
+    passages: [
+      ...variableIndex.search(claim.text, { limit }),
+      ...(knowledgeBase
+        ? getKnowledgeBaseStore().searchIn(knowledgeBase, claim.text, { limit })
+          .map(({ id, document, section, text }) => ({ id, source: 'knowledge_base', document, section, text }))
+        : [])
+    ]
+  }));
+
+  const judged = claims.filter(claim => claim.passages.length > 0);
+  const verdicts = new Map();
+  if (judged.length > 0) {
+    const { claims: results } = await judgeGrounding(llm, { claims: judged });
+    results.forEach(result => verdicts.set(result.id, result));
+  }
+
+  const checked = claims.map(({ id, text, passages }) => {
+    if (passages.length === 0) {
+      return { id, text, verdict: 'unsupported', evidencePassageIds: [], explanation: 'No source passage relates to this claim.', passages };
+    }
+    const verdict = verdicts.get(id);
+    if (!verdict) throw new Error(`The grounding judge returned no verdict for ${id}`);
+    return {
+      id,
+      text,
+      verdict: verdict.verdict,
+      evidencePassageIds: verdict.evidencePassageIds || [],
+      explanation: verdict.explanation,
+      passages: passages.map(({ id: passageId, source, document, section, text: passageText }) =>
+        ({ id: passageId, source, document, section, text: passageText }))
+    };
+  });
+
+  return {
+    claims: checked,
+    summary: summarizeGrounding(checked),
+    sources: {
+      variables: [...new Set(variables.map(passage => passage.document))],
+      knowledgeBase: knowledgeBase ? { id: knowledgeBase.id, revision: knowledgeBase.revision } : null
+    }
+  };
+}
+
+/**
+ * Standalone grounding check of `targetBotResponse`, outside an analysis.
+ * Resolves to the HTTP status and body to return.
+ */
+async function runGroundingCheck(body) {
+  const { targetBotResponse, knowledgeBaseId, configured_variables } = body;
+  if (!targetBotResponse) {
+    return { statusCode: 400, body: { error: 'targetBotResponse is required' } };
+  }
+  if (configured_variables !== undefined && !Array.isArray(configured_variables)) {
+    return { statusCode: 400, body: { error: 'configured_variables must be an array' } };
+  }
+  if (knowledgeBaseId !== undefined && !isValidKnowledgeBaseId(knowledgeBaseId)) {
+    return { statusCode: 400, body: { error: `Invalid knowledgeBaseId: ${knowledgeBaseId}` } };
+  }
+  if (!hasGroundingSources(body)) {
+    return { statusCode: 400, body: { error: 'Provide configured_variables with content or a knowledgeBaseId to check against' } };
+  }
+  const providerError = validateProviderOptions(body.llm);
+  if (providerError) return { statusCode: 400, body: { error: providerError } };
+
+  const grounding = await checkGrounding(body, createProvider(body.llm));
+  if (!grounding) {
+    return { statusCode: 404, body: { error: `Knowledge base ${knowledgeBaseId} not found` } };
+  }
+  return { statusCode: 200, body: grounding };
+}
+
+module.exports = {
+  GROUNDING_CONFIG,
+  splitClaims,
+  hasGroundingSources,
+  checkGrounding,
+  runGroundingCheck
+};
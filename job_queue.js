@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { runAnalysis } = require('./analysis_service');
+
+/**
+ * In-process queue for analyses that outlive an HTTP request. Jobs are
+ * persisted as one JSON file each under $DATA_DIR/jobs, so queued jobs and
+ * jobs interrupted by a restart are picked up again when the queue starts.
+ * At most JOB_CONCURRENCY (default 2) analyses run at the same time.
+ * Finished jobs are deleted JOB_RETENTION_SECONDS (default 7 days) after
+ * they finish, and the oldest ones beyond JOB_MAX_FINISHED (default 1000).
+ */
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+/**
+ * What GET /api/jobs/:id returns; the stored request is left out.
+ */
+function describeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    attempts: job.attempts,
+    progress: job.progress,
+    result: job.result,
+    error: job.error
+  };
+}
+
+class JobQueue {
+  constructor({
+    directory = path.join(DATA_DIR, 'jobs'),
+    concurrency = parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+    retentionSeconds = parseInt(process.env.JOB_RETENTION_SECONDS, 10) || 7 * 24 * 60 * 60,
+    maxFinished = parseInt(process.env.JOB_MAX_FINISHED, 10) || 1000,
+    runJob = runAnalysis
+  } = {}) {
+    this.directory = directory;
+    this.concurrency = concurrency;
+    this.retentionSeconds = retentionSeconds;
+    this.maxFinished = maxFinished;
+    this.runJob = runJob;
+    this.jobs = new Map();
+    this.pending = [];
+    // job id -> AbortController of the running analysis
+    this.running = new Map();
+    // job id -> last pending write, so writes of the same job never interleave
+    this.writes = new Map();
+    this.ready = null;
+  }
+
+  jobPath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  save(job) {
+    const previous = this.writes.get(job.id) || Promise.resolve();
+    const write = previous.catch(() => {}).then(() => this.writeJob(job));
+    this.writes.set(job.id, write);
+    write.then(() => {
+      if (this.writes.get(job.id) === write) this.writes.delete(job.id);
+    }, () => {});
+    return write;
+  }
+
+  async writeJob(job) {
+    await fs.mkdir(this.directory, { recursive: true });
+    // Write then rename so a crash never leaves a half-written job file
+    const tempPath = `${this.jobPath(job.id)}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(job), 'utf8');
+    await fs.rename(tempPath, this.jobPath(job.id));
+  }
+
+  /**
+   * Load persisted jobs and requeue the ones that had not finished,
+   * oldest first. Safe to call more than once; a failed restore is retried
+   * by the next call.
+   */
+  start() {
+    if (!this.ready) {
+      this.ready = this.restore().catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  /**
+   * A persisted job, or null when its file cannot be read or is not a job.
+   * Unreadable job files are logged and skipped so one bad file never
+   * blocks the queue.
+   */
+  async readJob(file) {
+    try {
+      const job = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+      if (!job || typeof job.id !== 'string' || typeof job.createdAt !== 'string') {
+        throw new Error('not a job record');
+      }
+      return job;
+    } catch (error) {
+      console.error(`Skipping unreadable job file ${file}:`, error.message);
+      return null;
+    }
+  }
+
+  async restore() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const jobs = (await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => this.readJob(file))
+    )).filter(Boolean);
+
+    jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    for (const job of jobs) {
+      this.jobs.set(job.id, job);
+      if (FINISHED_STATUSES.includes(job.status)) continue;
+
+      // A running job was interrupted by the restart and starts over
+      job.status = JOB_STATUS.QUEUED;
+      job.startedAt = null;
+      job.progress = null;
+      await this.save(job);
+      this.pending.push(job.id);
+    }
+
+    await this.prune();
+    this.drain();
+  }
+
+  /**
+   * Delete finished jobs past the retention period, then the oldest ones
+   * beyond the finished job limit, from memory and disk.
+   */
+  async prune() {
+    const expiresBefore = Date.now() - this.retentionSeconds * 1000;
+    const finished = [...this.jobs.values()]
+      .filter(job => FINISHED_STATUSES.includes(job.status) && !this.running.has(job.id))
+      .sort((a, b) => (a.completedAt || a.createdAt).localeCompare(b.completedAt || b.createdAt));
+
+    const expired = finished.filter((job, index) =>
+      index < finished.length - this.maxFinished || new Date(job.completedAt || job.createdAt) < expiresBefore);
+    for (const job of expired) {
+      this.jobs.delete(job.id);
+      // Let a pending write land first so it cannot recreate the file
+      await (this.writes.get(job.id) || Promise.resolve()).catch(() => {});
+      await fs.rm(this.jobPath(job.id), { force: true });
+    }
+  }
+
+  async enqueue(request, { cacheMode = 'default' } = {}) {
+    await this.start();
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: JOB_STATUS.QUEUED,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      attempts: 0,
+      cacheMode,
+      request,
+      progress: null,
+      result: null,
+      error: null
+    };
+
+    this.jobs.set(job.id, job);
+    await this.save(job);
+    this.pending.push(job.id);
+    this.drain();
+    return job;
+  }
+
+  async get(id) {
+    await this.start();
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Cancel a queued or running job. A running analysis stops before its
+   * next LLM call. Returns the job, or null when it does not exist.
+   */
+  async cancel(id) {
+    await this.start();
+    const job = this.jobs.get(id);
+    if (!job || FINISHED_STATUSES.includes(job.status)) return job || null;
+
+    this.pending = this.pending.filter(pendingId => pendingId !== id);
+    if (this.running.has(id)) this.running.get(id).abort();
+
+    job.status = JOB_STATUS.CANCELLED;
+    job.completedAt = new Date().toISOString();
+    await this.save(job);
+    this.prune().catch(error => console.error('Error pruning jobs:', error));
+    return job;
+  }
+
+  drain() {
+    while (this.running.size < this.concurrency && this.pending.length > 0) {
+      const job = this.jobs.get(this.pending.shift());
+      this.run(job).catch(error => console.error(`Error running job ${job.id}:`, error));
+    }
+  }
+
+  async run(job) {
+    const controller = new AbortController();
+    this.running.set(job.id, controller);
+
+    const onEvent = (type, { result, ...data }) => {
+      job.progress = { type, ...data, at: new Date().toISOString() };
+      this.save(job).catch(error => console.error(`Error saving job ${job.id}:`, error));
+    };
+
+    // Everything after taking the slot is inside the try so the slot is
+    // always released
+    try {
+      job.status = JOB_STATUS.RUNNING;
+      job.startedAt = new Date().toISOString();
+      job.attempts++;
+      await this.save(job);
+
+      const { statusCode, body } = await this.runJob(job.request, {
+        cacheMode: job.cacheMode,
+        signal: controller.signal,
+        onEvent
+      });
+      if (job.status === JOB_STATUS.RUNNING) {
+        job.status = JOB_STATUS.COMPLETED;
+        job.result = { statusCode, body };
+      }
+    } catch (error) {
+      if (job.status === JOB_STATUS.RUNNING) {
+        job.status = JOB_STATUS.FAILED;
+        job.error = error.message;
+      }
+    } finally {
+      this.running.delete(job.id);
+      if (job.status !== JOB_STATUS.CANCELLED) {
+        job.completedAt = new Date().toISOString();
+        await this.save(job).catch(error => console.error(`Error saving job ${job.id}:`, error));
+      }
+      this.drain();
+      this.prune().catch(error => console.error('Error pruning jobs:', error));
+    }
+  }
+}
+
+let jobQueue = null;
+
+function getJobQueue() {
+  if (!jobQueue) {
+    jobQueue = new JobQueue();
+    jobQueue.start().catch(error => console.error('Error restoring jobs:', error));
+  }
+  return jobQueue;
+}
+
+module.exports = {
+  JOB_STATUS,
+  JobQueue,
+  getJobQueue,
+  describeJob
+};
@@ -0,0 +1,254 @@
+/**
+ * Turns uploaded knowledge base documents into passages for retrieval.
+ * Every format is first reduced to sections (a title trail and its text),
+ * then sections are packed into chunks of roughly KB_CHUNK_WORDS words
+ * with a small overlap when a paragraph has to be split.
+ *
+ * Supported formats: `html`, `markdown`, `pdf` (text extracted from a PDF;
+ * form feeds separate pages), `csv` (FAQ with question and answer columns)
+ * and `text`.
+ */
+
+const CHUNK_CONFIG = {
+  words: parseInt(process.env.KB_CHUNK_WORDS, 10) || 180,
+  overlap: 30
+};
+
+const DOCUMENT_FORMATS = ['html', 'markdown', 'pdf', 'csv', 'text'];
+
+const FORMAT_EXTENSIONS = {
+  html: 'html',
+  htm: 'html',
+  md: 'markdown',
+  markdown: 'markdown',
+  pdf: 'pdf',
+  csv: 'csv',
+  txt: 'text'
+};
+
+/**
+ * The format of a document: the explicit `format`, or the one implied by
+ * the extension of its name. Returns null when neither is known.
+ */
+function detectFormat(name, format) {
+  if (format) return DOCUMENT_FORMATS.includes(format) ? format : null;
+  const extension = String(name || '').split('.').pop().toLowerCase();
+  return FORMAT_EXTENSIONS[extension] || null;
+}
+
+// ========== HTML ==========
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      // Out of range or a surrogate: not a character, so it is left as written
+      const isCharacter = value <= 0x10ffff && (value < 0xd800 || value > 0xdfff);
+      return isCharacter ? String.fromCodePoint(value) : entity;
+    }
+    const named = HTML_ENTITIES[code.toLowerCase()];
+    return named !== undefined ? named : entity;
+  });
+}
+
+/**
+ * Reduce HTML to Markdown-like text: headings become `#` lines, block
+ * elements line breaks, list items `- ` lines, and scripts, styles and
+ * navigation are dropped.
+ */
+function htmlToMarkdown(html) {
+  return decodeEntities(html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|nav|footer|head)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, title) =>
+      `\n\n${'#'.repeat(Number(level))} ${title.replace(/<[^>]+>/g, '').trim()}\n\n`)
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|section|article|li|ul|ol|tr|table|blockquote|pre)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n[ \t]+/g, '\n');
+}
+
+// ========== Sections ==========
+
+function markdownSections(text) {
+  const sections = [];
+  const trail = [];
+  let current = { title: null, lines: [] };
+
+  for (const line of text.split(/\r?\n/)) {
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (!heading) {
+      current.lines.push(line);
+      continue;
+    }
+
+    sections.push(current);
+    const level = heading[1].length;
+    trail.splice(level - 1);
+    trail[level - 1] = heading[2];
+    current = { title: trail.filter(Boolean).join(' > '), lines: [] };
+  }
+  sections.push(current);
+
+  return sections.map(({ title, lines }) => ({ title, text: lines.join('\n').trim() }));
+}
+
+function pdfSections(text) {
+  return text.split('\f').map((page, index) => ({ title: `Page ${index + 1}`, page: index + 1, text: page.trim() }));
+}
+
+/**
+ * Parse CSV (RFC 4180: quoted fields may hold commas, line breaks and
+ * doubled quotes) into rows of fields.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+/**
+ * One section per FAQ entry. The question and answer columns are found by
+ * their header (`question`/`q`, `answer`/`a`/`response`); without such a
+ * header the first two columns are used.
+ */
+function faqSections(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(value => value.trim().toLowerCase());
+  let question = header.findIndex(value => ['question', 'q', 'questions'].includes(value));
+  let answer = header.findIndex(value => ['answer', 'a', 'answers', 'response'].includes(value));
+  let entries = rows.slice(1);
+  if (question === -1 || answer === -1) {
+    question = 0;
+    answer = 1;
+    entries = rows;
+  }
+
+  return entries
+    .filter(row => (row[question] || '').trim())
+    .map(row => ({
+      title: row[question].trim(),
+      text: `Q: ${row[question].trim()}\nA: ${(row[answer] || '').trim()}`,
+      // FAQ entries stay whole however long the answer is
+      atomic: true
+    }));
+}
+
+function extractSections(content, format) {
+  switch (format) {
+    case 'html':
+      return markdownSections(htmlToMarkdown(content));
+    case 'markdown':
+      return markdownSections(content);
+    case 'pdf':
+      return pdfSections(content);
+    case 'csv':
+      return faqSections(content);
+    default:
+      return [{ title: null, text: content.trim() }];
+  }
+}
+
+// ========== Chunking ==========
+
+function splitWords(paragraph, { words, overlap }) {
+  const tokens = paragraph.split(/\s+/).filter(Boolean);
+  const pieces = [];
+  for (let start = 0; start < tokens.length; start += words - overlap) {
+    pieces.push(tokens.slice(start, start + words).join(' '));
+    if (start + words >= tokens.length) break;
+  }
+  return pieces;
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Pack the paragraphs of a section into chunks of at most `words` words.
+ */
+function chunkSection(section, config = CHUNK_CONFIG) {
+  if (section.atomic) return [section.text];
+
+  const chunks = [];
+  let current = [];
+  let size = 0;
+  const flush = () => {
+    if (current.length) chunks.push(current.join('\n\n'));
+    current = [];
+    size = 0;
+  };
+
+  for (const paragraph of section.text.split(/\n\s*\n/).map(text => text.trim()).filter(Boolean)) {
+    const length = countWords(paragraph);
+    if (length > config.words) {
+      flush();
+      chunks.push(...splitWords(paragraph, config));
+      continue;
+    }
+    if (size + length > config.words) flush();
+    current.push(paragraph);
+    size += length;
+  }
+  flush();
+  return chunks;
+}
+
+/**
+ * Split a document into passages: `{ section, page, text }`.
+ */
+function chunkDocument(content, format) {
+  return extractSections(content, format)
+    .filter(section => section.text)
+    .flatMap(section => chunkSection(section).map(text => ({
+      section: section.title || null,
+      page: section.page || null,
+      text
+    })));
+}
+
+module.exports = {
+  DOCUMENT_FORMATS,
+  detectFormat,
+  chunkDocument
+};
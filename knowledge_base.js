@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { chunkDocument } = require('./kb_documents');
+
+/**
+ * Local knowledge bases for KB-grounded analysis. Uploaded documents are
+ * chunked into passages (see kb_documents.js) and searched with BM25, so an
+ * analysis can see whether the knowledge base actually held the answer to
+ * the targeted user turn.
+ *
+ * Layout: $DATA_DIR/knowledge/<kbId>.json holds the documents and their
+ * passages; the BM25 index is rebuilt in memory when the revision changes.
+ */
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+const KB_CONFIG = {
+  retrievalLimit: parseInt(process.env.KB_RETRIEVAL_LIMIT, 10) || 5,
+  k1: 1.2,
+  b: 0.75
+};
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'how', 'i',
+  'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'them',
+  'there', 'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'will', 'with', 'you', 'your'
+]);
+
+function isValidKnowledgeBaseId(kbId) {
+  return typeof kbId === 'string' && /^\w[\w.-]*$/.test(kbId);
+}
+
+/**
+ * Lowercased word tokens without stopwords, with a light plural stemming
+ * so "refunds" matches "refund".
+ */
+function tokenize(text) {
+  return (String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(token => !STOPWORDS.has(token))
+    .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+// ========== BM25 ==========
+
+class Bm25Index {
+  constructor(passages, { k1 = KB_CONFIG.k1, b = KB_CONFIG.b } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.passages = passages;
+    this.documentFrequency = new Map();
+    this.termFrequencies = passages.map(passage => {
+      // Section titles are indexed with the passage text
+      const frequencies = new Map();
+      tokenize(`${passage.section || ''} ${passage.text}`).forEach(token => {
+        frequencies.set(token, (frequencies.get(token) || 0) + 1);
+      });
+      frequencies.forEach((count, token) => {
+        this.documentFrequency.set(token, (this.documentFrequency.get(token) || 0) + 1);
+      });
+      return frequencies;
+    });
+    this.lengths = this.termFrequencies.map(frequencies =>
+      [...frequencies.values()].reduce((total, count) => total + count, 0));
+    this.averageLength = this.lengths.reduce((total, length) => total + length, 0) / (passages.length || 1);
+  }
+
+  idf(token) {
+    const frequency = this.documentFrequency.get(token) || 0;
+    return Math.log(1 + (this.passages.length - frequency + 0.5) / (frequency + 0.5));
+  }
+
+  /**
+   * Passages ranked by BM25 score for `query`, best first, without the ones
+   * sharing no term with it.
+   */
+  search(query, { limit = KB_CONFIG.retrievalLimit } = {}) {
+    const terms = [...new Set(tokenize(query))];
+
+    return this.passages
+      .map((passage, index) => {
+        const frequencies = this.termFrequencies[index];
+        const norm = this.k1 * (1 - this.b + this.b * this.lengths[index] / (this.averageLength || 1));
+        const score = terms.reduce((total, term) => {
+          const frequency = frequencies.get(term) || 0;
+          return frequency ? total + this.idf(term) * frequency * (this.k1 + 1) / (frequency + norm) : total;
+        }, 0);
+        return { ...passage, score: Number(score.toFixed(4)) };
+      })
+      .filter(passage => passage.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+// ========== Knowledge Base Store ==========
+
+class KnowledgeBaseStore {
+  constructor({ directory = path.join(DATA_DIR, 'knowledge') } = {}) {
+    this.directory = directory;
+    // kbId -> last pending update, so read-modify-write cycles never interleave
+    this.locks = new Map();
+    // kbId -> { revision, index }
+    this.indexes = new Map();
+  }
+
+  knowledgeBasePath(kbId) {
+    return path.join(this.directory, `${kbId}.json`);
+  }
+
+  async get(kbId) {
+    if (!isValidKnowledgeBaseId(kbId)) return null;
+    try {
+      return JSON.parse(await fs.readFile(this.knowledgeBasePath(kbId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Apply `update(knowledgeBase)` (created when missing), bump its revision
+   * and save it. Resolves to whatever `update` returns.
+   */
+  update(kbId, update) {
+    const previous = this.locks.get(kbId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const now = new Date().toISOString();
+      const knowledgeBase = (await this.get(kbId)) || { id: kbId, createdAt: now, revision: 0, documents: [], passages: [] };
+      const result = update(knowledgeBase);
+      knowledgeBase.revision++;
+      knowledgeBase.updatedAt = now;
+
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.writeFile(this.knowledgeBasePath(kbId), JSON.stringify(knowledgeBase), 'utf8');
+      return result;
+    });
+
+    this.locks.set(kbId, next);
+    next.then(() => {
+      if (this.locks.get(kbId) === next) this.locks.delete(kbId);
+    }, () => {});
+    return next;
+  }
+
+  /**
+   * Chunk and add a document. A document with the same name is replaced.
+   * Resolves to the document metadata, or to null without touching the
+   * knowledge base when the document has no text to index.
+   */
+  async addDocument(kbId, { name, format, content }) {
+    const passages = chunkDocument(content, format);
+    if (passages.length === 0) return null;
+    return this.update(kbId, knowledgeBase => {
+      const replaced = knowledgeBase.documents.find(document => document.name === name);
+      if (replaced) this.removeFrom(knowledgeBase, replaced.id);
+
+      const document = {
+        id: crypto.randomUUID(),
+        name,
+        format,
+        createdAt: new Date().toISOString(),
+        size: content.length,
+        passages: passages.length
+      };
+      knowledgeBase.documents.push(document);
+      passages.forEach((passage, index) => {
+        knowledgeBase.passages.push({ id: `${document.id}:${index}`, documentId: document.id, document: name, ...passage });
+      });
+      return { ...document, replaced: Boolean(replaced) };
+    });
+  }
+
+  removeFrom(knowledgeBase, documentId) {
+    knowledgeBase.documents = knowledgeBase.documents.filter(document => document.id !== documentId);
+    knowledgeBase.passages = knowledgeBase.passages.filter(passage => passage.documentId !== documentId);
+  }
+
+  async removeDocument(kbId, documentId) {
+    const knowledgeBase = await this.get(kbId);
+    if (!knowledgeBase || !knowledgeBase.documents.some(document => document.id === documentId)) return false;
+
+    await this.update(kbId, current => this.removeFrom(current, documentId));
+    return true;
+  }
+
+  /**
+   * BM25 search of a knowledge base. Resolves to null when it does not
+   * exist.
+   */
+  async search(kbId, query, options = {}) {
+    const knowledgeBase = await this.get(kbId);
+    return knowledgeBase ? this.searchIn(knowledgeBase, query, options) : null;
+  }
+
+  searchIn(knowledgeBase, query, options = {}) {
+    let cached = this.indexes.get(knowledgeBase.id);
+    if (!cached || cached.revision !== knowledgeBase.revision) {
+      cached = { revision: knowledgeBase.revision, index: new Bm25Index(knowledgeBase.passages) };
+      this.indexes.set(knowledgeBase.id, cached);
+    }
+    return cached.index.search(query, options);
+  }
+}
+
+let knowledgeBaseStore = null;
+
+function getKnowledgeBaseStore() {
+  if (!knowledgeBaseStore) knowledgeBaseStore = new KnowledgeBaseStore();
+  return knowledgeBaseStore;
+}
+
+/**
+ * Knowledge base metadata without its passages.
+ */
+function describeKnowledgeBase({ passages, ...knowledgeBase }) {
+  return { ...knowledgeBase, passages: passages.length };
+}
+
+/**
+ * Retrieve the passages relevant to `query` for an analysis. Resolves to
+ * `{ id, revision, query, passages }`, or null when the knowledge base does
+ * not exist.
+ */
+async function retrieveKnowledge(kbId, query, { limit = KB_CONFIG.retrievalLimit } = {}) {
+  const store = getKnowledgeBaseStore();
+  const knowledgeBase = await store.get(kbId);
+  if (!knowledgeBase) return null;
+
+  const passages = store.searchIn(knowledgeBase, query, { limit });
+  return {
+    id: kbId,
+    revision: knowledgeBase.revision,
+    query,
+    passages: passages.map(({ id, document, section, page, text, score }) => ({ id, document, section, page, score, text }))
+  };
+}
+
+module.exports = {
+  KB_CONFIG,
+  Bm25Index,
+  tokenize,
+  isValidKnowledgeBaseId,
+  getKnowledgeBaseStore,
+  describeKnowledgeBase,
+  retrieveKnowledge
+};
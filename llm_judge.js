@@ -0,0 +1,215 @@
+const Ajv = require('ajv').default;
+
+/**
+ * LLM-as-judge prompts. Judges always answer with a small JSON verdict that
+ * is validated before it is returned.
+ */
+
+const ajv = new Ajv({ allErrors: true });
+
+const FIX_VERDICTS = ['fixed', 'not_fixed', 'regressed', 'inconclusive'];
+
+const FIX_VERDICT_SCHEMA = {
+  type: 'object',
+  required: ['verdict', 'feedbackSatisfied', 'confidence', 'reasoning'],
+  properties: {
+    verdict: { type: 'string', enum: FIX_VERDICTS },
+    feedbackSatisfied: { type: 'boolean' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    reasoning: { type: 'string' },
+    originalAssessment: { type: 'string' },
+    patchedAssessment: { type: 'string' }
+  }
+};
+
+function parseVerdict(content, schema) {
+  const jsonMatch = content.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) throw new Error('Judge response is not valid JSON');
+
+  const json = JSON.parse(jsonMatch[0]);
+  const validate = ajv.compile(schema);
+  if (!validate(json)) {
+    throw new Error(`Judge response does not match the verdict schema: ${ajv.errorsText(validate.errors)}`);
+  }
+  return json;
+}
+
+// ========== Fix Verification ==========
+
+function buildFixJudgePrompt({ history, targetBotResponse, userFeedback, originalResponse, patchedResponse }) {
+  return `You are judging whether a prompt change fixed a chatbot failure.
+
+A user reported a problem with the bot's response to the last user turn of the conversation below. The same turn was replayed twice: once with the original bot prompt and once with the patched prompt.
+
+# CONVERSATION
+${JSON.stringify(history, null, 2)}
+
+# REPORTED BOT RESPONSE
+${JSON.stringify(targetBotResponse, null, 2)}
+
+# USER FEEDBACK ON THE REPORTED RESPONSE
+${JSON.stringify(userFeedback, null, 2)}
+
+# REPLAYED RESPONSE WITH THE ORIGINAL PROMPT
+${originalResponse}
+
+# REPLAYED RESPONSE WITH THE PATCHED PROMPT
+${patchedResponse}
+
+Decide whether the patched response satisfies the user feedback.
+- "fixed": the patched response addresses the feedback.
+- "not_fixed": the patched response still has the reported problem.
+- "regressed": the patched response is worse than the original replay or introduces a new problem.
+- "inconclusive": the replays do not show whether the feedback is addressed.
+
+Respond with raw JSON only:
+{
+  "verdict": "fixed|not_fixed|regressed|inconclusive",
+  "feedbackSatisfied": boolean,
+  "confidence": number (0-1),
+  "reasoning": string,
+  "originalAssessment": string,
+  "patchedAssessment": string
+}`;
+}
+
+/**
+ * Judge whether the patched replay satisfies the user feedback that the
+ * original response received.
+ */
+async function judgeFix(llm, evidence) {
+  const response = await llm.complete({
+    messages: [{ role: 'user', content: buildFixJudgePrompt(evidence) }],
+    temperature: 0,
+    maxTokens: 800
+  });
+  return parseVerdict(response.content, FIX_VERDICT_SCHEMA);
+}
+
+// ========== Scenario Grading ==========
+
+const SCENARIO_GRADE_SCHEMA = {
+  type: 'object',
+  required: ['passed', 'score', 'reasoning'],
+  properties: {
+    passed: { type: 'boolean' },
+    score: { type: 'number', minimum: 0, maximum: 1 },
+    reasoning: { type: 'string' }
+  }
+};
+
+function buildScenarioJudgePrompt({ scenario, response }) {
+  return `You are grading a chatbot response against a regression test scenario.
+
+# SCENARIO
+${scenario.scenario}
+
+# USER INPUT
+${scenario.user_input}
+
+# EXPECTED OUTCOME
+${scenario.expected_outcome}
+
+# VALIDATION CRITERIA
+${scenario.validation_criteria}
+
+# BOT RESPONSE
+${response}
+
+The scenario passes only if the bot response meets the validation criteria and matches the expected outcome. Score how well it does from 0 to 1.
+
+Respond with raw JSON only:
+{
+  "passed": boolean,
+  "score": number (0-1),
+  "reasoning": string
+}`;
+}
+
+/**
+ * Grade a bot response against a test scenario's expected outcome and
+ * validation criteria.
+ */
+async function gradeScenario(llm, evidence) {
+  const response = await llm.complete({
+    messages: [{ role: 'user', content: buildScenarioJudgePrompt(evidence) }],
+    temperature: 0,
+    maxTokens: 500
+  });
+  return parseVerdict(response.content, SCENARIO_GRADE_SCHEMA);
+}
+
+// ========== Grounding ==========
+
+const GROUNDING_VERDICTS = ['supported', 'unsupported', 'contradicted'];
+
+const GROUNDING_VERDICT_SCHEMA = {
+  type: 'object',
+  required: ['claims'],
+  properties: {
+    claims: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'verdict', 'explanation'],
+        properties: {
+          id: { type: 'string' },
+          verdict: { type: 'string', enum: GROUNDING_VERDICTS },
+          evidencePassageIds: { type: 'array', items: { type: 'string' } },
+          explanation: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+function buildGroundingJudgePrompt({ claims }) {
+  const claimList = claims.map(claim => `## CLAIM ${claim.id}
+${claim.text}
+
+### SOURCE PASSAGES
+${claim.passages.map(passage => `[${passage.id}] (${passage.document}${passage.section ? ` > ${passage.section}` : ''})
+${passage.text}`).join('\n\n')}`).join('\n\n');
+
+  return `You are checking whether the claims a chatbot made are grounded in the bot's sources.
+
+Each claim below comes with the source passages most related to it. Judge every claim against its passages only, not against your own knowledge.
+- "supported": the passages state or directly imply the claim.
+- "contradicted": the passages state something incompatible with the claim.
+- "unsupported": the passages neither support nor contradict the claim.
+
+${claimList}
+
+Respond with raw JSON only, with one entry per claim:
+{
+  "claims": [
+    {
+      "id": string,
+      "verdict": "supported|unsupported|contradicted",
+      "evidencePassageIds": [string],
+      "explanation": string
+    }
+  ]
+}`;
+}
+
+/**
+ * Judge each claim (`{ id, text, passages }`) against its source passages.
+ * Resolves to a verdict per claim id.
+ */
+async function judgeGrounding(llm, evidence) {
+  const response = await llm.complete({
+    messages: [{ role: 'user', content: buildGroundingJudgePrompt(evidence) }],
+    temperature: 0,
+    maxTokens: 300 + 150 * evidence.claims.length
+  });
+  return parseVerdict(response.content, GROUNDING_VERDICT_SCHEMA);
+}
+
+module.exports = {
+  FIX_VERDICTS,
+  GROUNDING_VERDICTS,
+  judgeFix,
+  gradeScenario,
+  judgeGrounding
+};
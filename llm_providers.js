@@ -0,0 +1,310 @@
+const OpenAI = require('openai');
+const { AzureOpenAI } = require('openai');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * LLM provider layer. Every provider exposes the same method:
+ *
+ *   complete({ messages, model, temperature, maxTokens })
+ *     -> Promise<{ content, model, usage }>
+ *
+ * `messages` uses the OpenAI chat format ({ role, content }). Providers are
+ * selected per request (`llm: { provider, model }` in the request body) or
+ * through the LLM_* environment variables. Credentials and endpoints only
+ * ever come from the environment.
+ */
+
+// ========== Providers ==========
+
+class OpenAIProvider {
+  constructor({ apiKey = process.env.OPENAI_API_KEY, baseURL, model = 'gpt-4o' } = {}) {
+    this.name = 'openai';
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+    this.defaultModel = model;
+    this.maxTokensParam = 'max_completion_tokens';
+    this.client = null;
+  }
+
+  createClient() {
+    return new OpenAI({ apiKey: this.apiKey, baseURL: this.baseURL });
+  }
+
+  async complete({ messages, model, temperature, maxTokens }) {
+    // Created lazily so a missing key only fails requests that use this provider
+    if (!this.client) this.client = this.createClient();
+
+    const response = await this.client.chat.completions.create({
+      model: model || this.defaultModel,
+      messages,
+      temperature,
+      [this.maxTokensParam]: maxTokens
+    });
+
+    return {
+      content: response.choices[0].message.content,
+      model: response.model,
+      usage: response.usage || null
+    };
+  }
+}
+
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor({
+    apiKey = process.env.AZURE_OPENAI_API_KEY,
+    endpoint = process.env.AZURE_OPENAI_ENDPOINT,
+    apiVersion = process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+    deployment = process.env.AZURE_OPENAI_DEPLOYMENT,
+    model
+  } = {}) {
+    super({ apiKey, model: model || deployment });
+    this.name = 'azure';
+    this.endpoint = endpoint;
+    this.apiVersion = apiVersion;
+    this.deployment = deployment;
+    this.maxTokensParam = 'max_tokens';
+  }
+
+  createClient() {
+    return new AzureOpenAI({
+      apiKey: this.apiKey,
+      endpoint: this.endpoint,
+      apiVersion: this.apiVersion,
+      deployment: this.deployment
+    });
+  }
+}
+
+/**
+ * Any server speaking the OpenAI chat completions API (vLLM, Ollama,
+ * LM Studio, ...). Local servers usually ignore the API key.
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor({
+    apiKey = process.env.LLM_API_KEY || 'not-needed',
+    baseURL = process.env.LLM_BASE_URL,
+    model = process.env.LLM_MODEL
+  } = {}) {
+    super({ apiKey, baseURL, model });
+    this.name = 'openai_compatible';
+    this.maxTokensParam = 'max_tokens';
+  }
+
+  async complete(params) {
+    if (!this.baseURL) {
+      throw new Error('LLM_BASE_URL must be set to use the openai_compatible provider');
+    }
+    return super.complete(params);
+  }
+}
+
+class AnthropicProvider {
+  constructor({
+    apiKey = process.env.ANTHROPIC_API_KEY,
+    baseURL = process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+    model = 'claude-3-5-sonnet-latest'
+  } = {}) {
+    this.name = 'anthropic';
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+    this.defaultModel = model;
+  }
+
+  async complete({ messages, model, temperature, maxTokens = 4000 }) {
+    if (!this.apiKey) {
+      throw new Error('ANTHROPIC_API_KEY must be set to use the anthropic provider');
+    }
+
+    // Anthropic takes system instructions separately from the turns
+    const system = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+    const turns = messages.filter(message => message.role !== 'system');
+
+    const response = await fetch(`${this.baseURL}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({
+        model: model || this.defaultModel,
+        system: system || undefined,
+        messages: turns,
+        // Anthropic caps temperature at 1
+        temperature: temperature === undefined ? undefined : Math.min(temperature, 1),
+        max_tokens: maxTokens
+      })
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(`Anthropic request failed (${response.status}): ${data.error ? data.error.message : response.statusText}`);
+    }
+
+    return {
+      content: data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      model: data.model,
+      usage: data.usage || null
+    };
+  }
+}
+
+/**
+ * Deterministic fixture-replay provider for offline runs. A fixture is a
+ * JSON file named after the SHA-256 of the request messages and holding
+ * `{ "content": "..." }`. When no fixture matches, `default.json` is used if
+ * present. Setting `recordFrom` (LLM_MOCK_RECORD_FROM) to another provider
+ * name records missing fixtures from that provider instead.
+ */
+class MockProvider {
+  constructor({
+    fixturesDir = process.env.LLM_FIXTURES_DIR || path.join(__dirname, 'fixtures', 'llm'),
+    recordFrom = process.env.LLM_MOCK_RECORD_FROM,
+    model = 'mock'
+  } = {}) {
+    this.name = 'mock';
+    this.fixturesDir = fixturesDir;
+    this.recordFrom = recordFrom;
+    this.defaultModel = model;
+  }
+
+  static fixtureKey(messages) {
+    return crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex');
+  }
+
+  readFixture(fileName) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.fixturesDir, fileName), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async complete(params) {
+    const key = MockProvider.fixtureKey(params.messages);
+    let fixture = this.readFixture(`${key}.json`);
+
+    if (!fixture && this.recordFrom) {
+      const result = await createProvider({ provider: this.recordFrom }).complete(params);
+      fixture = { content: result.content, model: result.model };
+      fs.mkdirSync(this.fixturesDir, { recursive: true });
+      fs.writeFileSync(path.join(this.fixturesDir, `${key}.json`), JSON.stringify(fixture, null, 2), 'utf8');
+    }
+
+    if (!fixture) fixture = this.readFixture('default.json');
+    if (!fixture) {
+      throw new Error(`No LLM fixture found for request ${key} in ${this.fixturesDir}`);
+    }
+
+    return {
+      content: fixture.content,
+      model: fixture.model || params.model || this.defaultModel,
+      usage: null
+    };
+  }
+}
+
+/**
+ * Wraps another provider and keeps the raw output, model, usage and timing
+ * of every call so an analysis can be persisted with what the LLM returned.
+ * Once `signal` is aborted, further calls fail so a cancelled analysis
+ * stops at its next LLM call.
+ */
+class RecordingProvider {
+  constructor(provider, { signal } = {}) {
+    this.provider = provider;
+    this.name = provider.name;
+    this.defaultModel = provider.defaultModel;
+    this.signal = signal;
+    this.calls = [];
+  }
+
+  async complete(params) {
+    if (this.signal && this.signal.aborted) {
+      throw new Error('Analysis cancelled');
+    }
+
+    const startedAt = Date.now();
+    const result = await this.provider.complete(params);
+    this.calls.push({
+      content: result.content,
+      model: result.model,
+      usage: result.usage,
+      durationMs: Date.now() - startedAt
+    });
+    return result;
+  }
+}
+
+// ========== Provider Selection ==========
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  azure: AzureOpenAIProvider,
+  anthropic: AnthropicProvider,
+  openai_compatible: OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+function isProviderName(name) {
+  return typeof name === 'string' && Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+}
+
+/**
+ * Create the provider for a request. `options` is the request's `llm`
+ * object; anything it leaves out falls back to LLM_PROVIDER / LLM_MODEL.
+ */
+function createProvider(options = {}) {
+  const name = options.provider || process.env.LLM_PROVIDER || 'openai';
+  if (!isProviderName(name)) {
+    throw new Error(`Unsupported LLM provider "${name}"`);
+  }
+
+  const model = options.model || process.env.LLM_MODEL;
+  return new PROVIDERS[name](model ? { model } : {});
+}
+
+/**
+ * Validate the `llm` option of a request. Returns an error message, or null.
+ */
+function validateProviderOptions(options) {
+  if (options === undefined) return null;
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    return 'llm must be an object with optional provider and model fields';
+  }
+  if (options.provider && !isProviderName(options.provider)) {
+    return `Unsupported LLM provider "${options.provider}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`;
+  }
+  if (options.model !== undefined && (typeof options.model !== 'string' || !options.model.trim())) {
+    return 'llm.model must be a non-empty string';
+  }
+  if (options.temperature !== undefined &&
+      (typeof options.temperature !== 'number' || !(options.temperature >= 0 && options.temperature <= 2))) {
+    return 'llm.temperature must be a number between 0 and 2';
+  }
+  if (options.maxTokens !== undefined && (!Number.isInteger(options.maxTokens) || options.maxTokens <= 0)) {
+    return 'llm.maxTokens must be a positive integer';
+  }
+  return null;
+}
+
+module.exports = {
+  PROVIDERS,
+  OpenAIProvider,
+  AzureOpenAIProvider,
+  OpenAICompatibleProvider,
+  AnthropicProvider,
+  MockProvider,
+  RecordingProvider,
+  createProvider,
+  validateProviderOptions
+};
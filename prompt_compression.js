@@ -0,0 +1,286 @@
+const { tokenize } = require('./knowledge_base');
+
+/**
+ * Prompt compression that never silently drops an instruction. A prompt is
+ * compressed towards a token budget in steps, cheapest first:
+ *
+ * 1. whitespace is normalised,
+ * 2. while over budget, repeated instructions (identical once whitespace
+ *    and case are normalised) are merged into their first occurrence,
+ * 3. examples are shortened, longest first, only while over budget.
+ *    Examples holding must-keep text are never shortened.
+ *
+ * Instructions that are only similar are never removed: a single word can
+ * change their meaning ("under 100 dollars", "over 100 dollars"). They are
+ * reported as near-duplicates for a person to review.
+ *
+ * The result is checked against the original: every instruction must still
+ * be present or be reported as merged into an equivalent one, and every
+ * must-keep instruction, example or heading must survive verbatim. Otherwise the compression is
+ * rejected and the original prompt is kept.
+ */
+
+const COMPRESSION_CONFIG = {
+  // Jaccard similarity of content words from which instructions are equivalent
+  similarityThreshold: 0.8,
+  // Instructions with fewer content words are only equivalent when identical
+  minComparableWords: 3,
+  minExampleChars: 80
+};
+
+// Instructions holding one of these are must-keep even when not listed
+const MUST_KEEP_PATTERN = /\b(MUST|NEVER|ALWAYS|DO NOT|DON'T|IMPORTANT|CRITICAL|REQUIRED)\b/;
+const NEGATION_PATTERN = /\b(not|never|no|don't|dont|avoid|without)\b/i;
+// Words that change an instruction's scope: instructions differing in one are never equivalent
+const QUALIFIER_PATTERN = /^(?:\d+|under|over|above|below|more|less|fewer|greater|higher|lower|larger|smaller|longer|shorter|earlier|later|least|most|than|only|except|unless|before|after|within|maximum|minimum|max|min|all|any|some|every|each|first|last)$/;
+const EXAMPLE_PATTERN = /^\s*(?:[-*]\s*)?(?:examples?|e\.g\.)\b[^:\n]*:/i;
+const HEADING_PATTERN = /^\s*(#{1,6}\s|\*\*[^*]+\*\*\s*$|```)/;
+
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function instructionText(line) {
+  return line.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim();
+}
+
+/**
+ * Split a prompt into blocks: headings, blank lines, examples (the example
+ * line and its indented continuation) and instruction lines.
+ */
+function parseBlocks(prompt) {
+  const lines = prompt.split('\n');
+  const blocks = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.trim()) {
+      blocks.push({ type: 'blank', text: line });
+    } else if (HEADING_PATTERN.test(line)) {
+      blocks.push({ type: 'heading', text: line });
+    } else if (EXAMPLE_PATTERN.test(line)) {
+      const example = [line];
+      while (i + 1 < lines.length && /^\s+\S/.test(lines[i + 1]) && !EXAMPLE_PATTERN.test(lines[i + 1])) {
+        example.push(lines[++i]);
+      }
+      blocks.push({ type: 'example', text: example.join('\n') });
+    } else {
+      blocks.push({ type: 'instruction', text: line });
+    }
+  }
+  return blocks;
+}
+
+function holdsMustKeep(text, mustKeep) {
+  const normalized = normalizeText(text);
+  return MUST_KEEP_PATTERN.test(text) ||
+    mustKeep.some(entry => normalizeText(entry) && normalized.includes(normalizeText(entry)));
+}
+
+function renderBlocks(blocks) {
+  return blocks.map(block => block.text).join('\n');
+}
+
+// Content words with light verb stemming, so "checking" matches "check"
+function contentWords(text) {
+  return new Set(tokenize(text).map(token => token.length > 5 ? token.replace(/(ing|ed)$/, '') : token));
+}
+
+function similarity(a, b) {
+  const left = contentWords(a);
+  const right = contentWords(b);
+  if (left.size < COMPRESSION_CONFIG.minComparableWords || right.size < COMPRESSION_CONFIG.minComparableWords) {
+    return normalizeText(a) === normalizeText(b) ? 1 : 0;
+  }
+  const shared = [...left].filter(token => right.has(token)).length;
+  return shared / (left.size + right.size - shared);
+}
+
+function differsInQualifiers(a, b) {
+  const left = contentWords(a);
+  const right = contentWords(b);
+  return [...left].filter(token => !right.has(token))
+    .concat([...right].filter(token => !left.has(token)))
+    .some(token => QUALIFIER_PATTERN.test(token));
+}
+
+function isEquivalent(a, b) {
+  if (normalizeText(a) === normalizeText(b)) return { similarity: 1, identical: true };
+  if (NEGATION_PATTERN.test(a) !== NEGATION_PATTERN.test(b) || differsInQualifiers(a, b)) return null;
+  const score = similarity(a, b);
+  return score >= COMPRESSION_CONFIG.similarityThreshold
+    ? { similarity: Number(score.toFixed(3)), identical: false }
+    : null;
+}
+
+// ========== Steps ==========
+
+function optimizeFormatting(prompt) {
+  return prompt
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Instructions equivalent to an earlier one without being identical to it:
+ * `{ instruction, similarTo, similarity }`. They are reported, not removed.
+ */
+function findNearDuplicates(blocks) {
+  const seen = [];
+  const nearDuplicates = [];
+  blocks.filter(block => block.type === 'instruction').forEach(block => {
+    const text = instructionText(block.text);
+    for (const candidate of seen) {
+      const match = isEquivalent(text, candidate);
+      if (!match) continue;
+      if (!match.identical) nearDuplicates.push({ instruction: text, similarTo: candidate, similarity: match.similarity });
+      return;
+    }
+    seen.push(text);
+  });
+  return nearDuplicates;
+}
+
+/**
+ * Drop instructions identical (once normalised) to an earlier one.
+ */
+function mergeRepeatedInstructions(blocks) {
+  const kept = new Map();
+  const merged = [];
+
+  const result = blocks.filter(block => {
+    if (block.type !== 'instruction') return true;
+    const text = instructionText(block.text);
+    const key = normalizeText(text);
+    if (kept.has(key)) {
+      merged.push({ instruction: text, mergedInto: kept.get(key), similarity: 1 });
+      return false;
+    }
+    kept.set(key, text);
+    return true;
+  });
+  return { blocks: result, merged };
+}
+
+function shortenText(text, maxChars) {
+  if (text.length <= maxChars) return text;
+  const cut = text.slice(0, maxChars);
+  const sentence = cut.search(/[.!?][^.!?]*$/);
+  const end = sentence > maxChars / 2 ? sentence + 1 : cut.lastIndexOf(' ');
+  return `${cut.slice(0, end > 0 ? end : maxChars).trim()}...`;
+}
+
+/**
+ * Shorten examples, longest first, until the prompt fits `budget`. Each
+ * example keeps at least `minExampleChars` characters, and examples holding
+ * must-keep text are left whole.
+ */
+function shortenExamples(blocks, budget, count, mustKeep) {
+  const shortened = [];
+  const examples = blocks
+    .filter(block => block.type === 'example' && !holdsMustKeep(block.text, mustKeep))
+    .sort((a, b) => b.text.length - a.text.length);
+
+  for (const example of examples) {
+    const excess = count(renderBlocks(blocks)) - budget;
+    if (excess <= 0) break;
+
+    const original = example.text;
+    const [label] = original.match(EXAMPLE_PATTERN);
+    const content = original.slice(label.length).replace(/\s+/g, ' ').trim();
+    // Roughly four characters a token; never below the minimum example length
+    const target = Math.max(COMPRESSION_CONFIG.minExampleChars, content.length - excess * 4);
+    const text = `${label} ${shortenText(content, target)}`;
+    if (text.length >= original.length) continue;
+
+    example.text = text;
+    shortened.push({ original, shortened: text });
+  }
+  return shortened;
+}
+
+// ========== Verification ==========
+
+/**
+ * Check that every instruction of `original` is in `compressed`, or merged
+ * into an instruction that is, and that no must-keep text is lost, whether
+ * it is an instruction, an example or a heading.
+ */
+function verifyInstructions(original, compressed, merged, mustKeep) {
+  const present = normalizeText(compressed);
+  const mergedByText = new Map(merged.map(entry => [entry.instruction, entry]));
+  const blocks = parseBlocks(original);
+  const instructions = blocks
+    .filter(block => block.type === 'instruction')
+    .map(block => instructionText(block.text));
+
+  const missing = [];
+  let preserved = 0;
+  instructions.forEach(text => {
+    if (present.includes(normalizeText(text))) {
+      preserved++;
+      return;
+    }
+    const entry = mergedByText.get(text);
+    if (!entry || !present.includes(normalizeText(entry.mergedInto))) missing.push(text);
+  });
+
+  const originalText = normalizeText(original);
+  const mustKeepInstructions = [
+    ...instructions.filter(text => MUST_KEEP_PATTERN.test(text)),
+    ...blocks
+      .filter(block => (block.type === 'example' || block.type === 'heading') && MUST_KEEP_PATTERN.test(block.text))
+      .map(block => block.text.trim()),
+    ...mustKeep.filter(entry => normalizeText(entry) && originalText.includes(normalizeText(entry)))
+  ];
+  const lost = [...new Set(mustKeepInstructions)].filter(text => !present.includes(normalizeText(text)));
+
+  return {
+    instructions: { total: instructions.length, preserved, merged, missing },
+    mustKeep: { total: new Set(mustKeepInstructions).size, lost }
+  };
+}
+
+/**
+ * Compress `prompt` towards `budget` tokens (counted with `count`).
+ * `mustKeep` lists instruction texts that must survive verbatim, on top of
+ * the ones holding MUST, NEVER, ALWAYS and the like. Returns `{ prompt,
+ * report }`; when the compression is rejected `prompt` is the original.
+ */
+function compressPrompt(prompt, { budget = Infinity, mustKeep = [], count = text => Math.ceil(text.length / 4) } = {}) {
+  const originalTokens = count(prompt);
+  const formatted = optimizeFormatting(prompt);
+  const nearDuplicates = findNearDuplicates(parseBlocks(formatted));
+  const { blocks, merged } = count(formatted) > budget
+    ? mergeRepeatedInstructions(parseBlocks(formatted))
+    : { blocks: parseBlocks(formatted), merged: [] };
+  const shortened = count(renderBlocks(blocks)) > budget ? shortenExamples(blocks, budget, count, mustKeep) : [];
+  const compressed = renderBlocks(blocks);
+
+  const { instructions, mustKeep: mustKeepReport } = verifyInstructions(prompt, compressed, merged, mustKeep);
+  const accepted = instructions.missing.length === 0 && mustKeepReport.lost.length === 0;
+  const compressedTokens = count(accepted ? compressed : prompt);
+
+  return {
+    prompt: accepted ? compressed : prompt,
+    report: {
+      accepted,
+      reason: accepted ? null : `Compression would lose ${mustKeepReport.lost.length ? 'must-keep ' : ''}instructions; the original prompt was kept`,
+      budget: Number.isFinite(budget) ? budget : null,
+      originalTokens,
+      compressedTokens,
+      withinBudget: compressedTokens <= budget,
+      instructions: { ...instructions, nearDuplicates },
+      mustKeep: mustKeepReport,
+      examples: { shortened }
+    }
+  };
+}
+
+module.exports = {
+  COMPRESSION_CONFIG,
+  instructionText,
+  isEquivalent,
+  compressPrompt
+};
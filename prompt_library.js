@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const { DC_NODE_OUTPUT_SCHEMA } = require('./analysis_schemas');
 
 const generateChecksum = (content) => 
   crypto.createHash('sha256').update(content).digest('hex');
@@ -21,7 +22,7 @@ const PROMPT_LIBRARY = {
   - Your role is to analyze the situation carefully and modify the prompt to improve chatbot performance. 
   - If the system prompt exceeds the model's token consumption limit, **rewrite the entire prompt to fit within the limit** while preserving all critical instructions. 
   - When making **any** other modifications, provide a **directly usable, rewritten prompt segment** that the user can replace in their existing system prompt. 
-  - Ensure that revisions enforce strict compliance with skill execution guidelines, particularly for follow-up questions and non-binary user responses. 
+  - Ensure that revisions enforce strict compliance with the bot's skill execution guidelines and any bot-specific rules. 
   - **Preserve all original instructions and formatting while making optimizations.**
 
   ## **CORE OBJECTIVES** 
@@ -34,7 +35,6 @@ const PROMPT_LIBRARY = {
   - **Validate the token consumption of the prompt against the model configuration before performing analysis.**
   - **Automatically rewrite the system prompt if the token limit is exceeded or if a significant issue is detected.** 
   - **For all suggested changes, directly provide a rewritten version of the modified prompt section to the user.** 
-  - **Ensure that follow-up questions and user responses that are not clear "yes" or "no" always trigger skill execution.** 
   - **Do not remove existing guidelines or formatting unless necessary to meet token constraints.**
 
   ## **INPUTS FOR ANALYSIS** 
@@ -49,10 +49,7 @@ const PROMPT_LIBRARY = {
   9. **Expected Response from the Bot** – Either the exact expected bot response or a description of the expected behavior. 
   10. **Model Configuration** – A JSON object containing model-specific parameters, including token consumption limits.
 
-  ## **STRICT SKILL EXECUTION RULES FOR FOLLOW-UPS**
-  - **For every user response that is not a clear "yes" or "no," the bot must re-execute the "Skill - Product Troubleshooting V4" skill before responding.** 
-  - **Follow-up questions, clarifications, or new information from the user must always trigger a new execution of the skill.** 
-  - **The bot must never answer from general AI knowledge without executing the skill first.**
+  {{BOT_RULES}}
 
   ## **TOKEN CONSUMPTION VALIDATION PROCESS** 
   Before performing any analysis, the debugger must: 
@@ -102,7 +99,7 @@ const PROMPT_LIBRARY = {
 
   **Debugger Fix Strategy:** 
   - Verify if the prompt **explicitly states** that follow-up questions must use the correct skill. 
-  - Ensure **exact skill names** are used (e.g., "Skill - Product Troubleshooting V4" instead of "Troubleshooting Skill"). 
+  - Ensure **exact skill names** are used (the name exactly as listed in the configured skills, not a paraphrase such as "Troubleshooting Skill"). 
   - Add a **redundancy check**: Revalidate skill execution **before generating** responses. 
   - Factor in **whether the skill was executed**, based on DC node logs. 
   - Require a **yes/no input** on skill execution and adjust analysis accordingly. 
@@ -174,7 +171,7 @@ const PROMPT_LIBRARY = {
   
   **Debugger Fix Strategy:**
   - Verify if the prompt **explicitly states** that follow-up questions must use the correct skill.
-  - Ensure **exact skill names** are used (e.g., "Skill - Product Troubleshooting V4" instead of "Troubleshooting Skill").
+  - Ensure **exact skill names** are used (the name exactly as listed in the configured skills, not a paraphrase such as "Troubleshooting Skill").
   - Add a **redundancy check**: Revalidate skill execution **before generating** responses.
   - Factor in **whether the skill was executed**, based on DC node logs.
   - Require a **yes/no input** on skill execution and adjust analysis accordingly.
@@ -217,168 +214,133 @@ const PROMPT_LIBRARY = {
     outputFormat: `## **OUTPUT FORMAT REQUIRED**
     Your response must be a valid JSON object with the following structure:
 
-  {
-  "type": "object",
-  "required": [
-    "issue_identified", 
-    "root_cause_analysis", 
-    "prompt_changes", 
-    "expected_impact", 
-    "test_scenarios", 
-    "model_configuration_analysis",
-    "confidence_score"
-  ],
-  "properties": {
-    "issue_identified": {
-      "type": "string",
-      "description": "A clear, specific description of the exact issue detected in the chatbot's behavior, with concrete examples from the conversation."
-    },
-    "root_cause_analysis": {
-      "type": "string",
-      "description": "Comprehensive technical explanation of why the issue occurred, based on detailed analysis of the prompt, configured variables, skills, and execution logs. Include specific references to problematic sections."
-    },
-    "model_configuration_analysis": {
-      "type": "object",
-      "description": "Detailed analysis of how model and response configurations impact the chatbot's performance",
-      "properties": {
-        "configuration_impact": {
-          "type": "string",
-          "description": "Explanation of how current model configurations contribute to the identified issue"
-        },
-        "recommended_configuration_changes": {
-          "type": "array",
-          "items": {
-            "type": "object",
-            "properties": {
-              "parameter": {
-                "type": "string",
-                "description": "Specific model or response configuration parameter to modify"
-              },
-              "current_value": {
-                "type": "string",
-                "description": "Current value of the parameter"
-              },
-              "recommended_value": {
-                "type": "string",
-                "description": "Suggested new value for the parameter"
-              },
-              "rationale": {
-                "type": "string",
-                "description": "Detailed explanation for why this configuration change is recommended"
-              }
-            }
-          }
-        },
-        "performance_limitations": {
-          "type": "array",
-          "items": {
-            "type": "string",
-            "description": "Specific limitations in the current model or response configuration that may be hindering performance"
-          }
-        }
-      }
-    },
-    "prompt_changes": {
-      "type": "object",
-      "description": "Comprehensive and explicit details of all required prompt modifications that MUST be implemented exactly as specified.",
-      "properties": {
-        "modifications": {
-          "type": "array",
-          "items": {
-            "type": "object",
-            "required": ["target", "path", "current", "updated", "reasoning"],
-            "properties": {
-              "target": {
-                "type": "string",
-                "enum": ["dc_node_prompt", "variable_prompt", "model_configuration"]
-              },
-              "path": {
-                "type": "string",
-                "description": "Exact path/location within the component where the modification MUST be applied"
-              },
-              "current": {
-                "type": "string", 
-                "description": "Complete original text that MUST be replaced"
-              },
-              "updated": {
-                "type": "string",
-                "description": "Complete replacement text that MUST be inserted exactly as written"
-              },
-              "reasoning": {
-                "type": "string",
-                "description": "Detailed technical explanation of how this modification resolves the identified issue"
-              }
-            }
-          }
-        }
-      }
-    },
-    "expected_impact": {
-      "type": "string",
-      "description": "Precise explanation of how the proposed changes will improve the chatbot's performance"
-    },
-    "risks_and_tradeoffs": {
-      "type": "string",
-      "description": "Comprehensive analysis of potential risks, unintended consequences, or trade-offs associated with implementing the proposed fixes"
-    },
-    "test_scenarios": {
-      "type": "array",
-      "items": {
-        "type": "object",
-        "required": ["scenario", "user_input", "expected_outcome", "validation_criteria"],
-        "properties": {
-          "scenario": {
-            "type": "string",
-            "description": "Detailed description of the test scenario"
-          },
-          "user_input": {
-            "type": "string",
-            "description": "Exact sample user input text for testing the fix"
-          },
-          "expected_outcome": {
-            "type": "string",
-            "description": "Precise description of the expected behavior after implementing the fix"
-          },
-          "validation_criteria": {
-            "type": "string",
-            "description": "Specific measurable criteria to determine if the fix was successful"
-          }
-        }
-      }
-    },
-    "implementation_guide": {
-      "type": "object",
-      "properties": {
-        "priority": {
-          "type": "string",
-          "enum": ["high", "medium", "low"]
-        },
-        "difficulty": {
-          "type": "string",
-          "enum": ["easy", "moderate", "complex"]
-        },
-        "implementation_steps": {
-          "type": "array",
-          "items": {
-            "type": "string"
-          }
-        }
-      }
-    },
-    "confidence_score": {
-      "type": "string",
-      "description": "Assessment of confidence level that the proposed fixes will completely resolve the identified issues",
-      "enum": ["High", "Medium", "Low"]
-    }
-  }
-}`
+${JSON.stringify(DC_NODE_OUTPUT_SCHEMA, null, 2)}`,
+
+    analystIntroduction: `# INTRODUCTION
+- You are an AI assistant which helps the user modify the prompt instructions based on their feedback on some previous conversation.
+- You are an expert in writing Prompt instructions for a LLM. Each of your instructions must be very clear to understand and must not be ambiguous.
+- You must go through the entire prompt before you start modifying the instructions.
+- You should first try to understand the user's feedback and the reason why the assistant didn't behave as expected by the user. Only then you should modify the instructions.
+- You must not add a conflicting instruction with the existing instructions. Replace the conflicting instruction with the new one.
+
+# PURPOSE
+- You are given with all the available details below for the user feedback on certain response of the assistant.
+- You must take your time and respond with your analysis and the prompt modifications required based on the user feedback.
+
+# CHAIN-OF-THOUGHT REASONING PROCESS
+Before providing your final recommendations, follow these reasoning steps:
+1. First, identify the specific issue or gap in the current prompt based on user feedback.
+2. Consider the conversational context and execution logs to understand why the model behaved as it did.
+3. Analyze whether the issue is due to ambiguity, contradiction, missing instructions, or over-constraint.
+4. Generate 3-5 possible solutions to address the identified issue.
+5. Evaluate each solution against criteria like clarity, specificity, and alignment with user intent.
+6. Select the best solution(s) and provide detailed reasoning for your choice.
+
+# SELF-CONSISTENCY CHECKS
+After formulating your initial recommendations:
+- Generate alternative perspectives on the same problem.
+- Identify any contradictions or inconsistencies in your reasoning.
+- Verify that your proposed changes are logically coherent with the existing prompt.
+- Ensure your recommendations address the root cause rather than symptoms.
+- Check that your suggestions wouldn't create new issues elsewhere in the prompt.
+
+# EVALUATION CRITERIA FOR PROMPT CHANGES
+Consider these dimensions when analyzing prompts:
+- CLARITY: Is the instruction expressed in unambiguous language?
+- SPECIFICITY: Does it provide concrete guidance rather than vague principles?
+- CONTEXTUAL AWARENESS: Does it account for the conversation's history and state?
+- USER INTENT ALIGNMENT: Does it help fulfill what the user is ultimately trying to accomplish?
+- ROBUSTNESS: Will it handle variations in user inputs?
+- ETHICAL BOUNDARIES: Does it maintain appropriate guardrails?
+
+# ANTI-PATTERNS TO AVOID
+Avoid recommending prompt changes that:
+- Use vague qualifiers (e.g., "try to", "if possible")
+- Contain contradictory instructions
+- Lack actionable specificity
+- Create circular logic
+- Rely on undefined terms or concepts
+- Assume capabilities beyond what the model can do
+- Introduce unnecessary complexity
+
+# TEMPORAL CONTEXT AWARENESS
+When analyzing conversation history:
+- Pay special attention to shifts in user intent throughout the conversation
+- Note how previous model responses may have set expectations
+- Identify any context that may have been lost or misinterpreted
+- Consider how the timing and sequence of messages affects interpretation
+
+# EDGE CASE HANDLING
+For each recommendation, consider how it would handle:
+- Ambiguous or incomplete user inputs
+- Requests that are at the boundary of what's allowed
+- Multi-part or complex requests
+- Requests that require knowledge beyond what's available
+- Emotionally charged interactions
+
+# CONFIDENCE SCORING
+For each recommended change, assign a confidence level (High, Medium, Low) and explain what factors influenced this assessment.
+
+# IMPACT PREDICTION METRICS
+For the expected impact section, include:
+- Specific test scenarios that should be run to verify improvement
+- Percentage estimates of potential improvement in relevant dimensions
+- Potential side effects or trade-offs of implementing the changes
+- Key metrics to monitor after implementation`,
+
+    agenticArchitecture: `# IMPORTANT ARCHITECTURAL DETAILS FOR UNDERSTANDING
+ - On a high level, there are 2 components involved in the conversation: AGENT & TOOLS
+ - AGENT
+  - This is the first layer of LLM through which all the user messages pass through.
+  - It has access to different types of tools which can handle different type of user queries or requests.
+  - Based on the current user message and conversation history, the AGENT decides which tool should be used to handle the current user query.
+ - TOOLS
+  - These are the second layer of LLM which are specialized in handling specific type of user queries or requests.
+  - There are only 5 types of tools: KNOWLEDGE_BASE, CONVERSATION, SMALLTALK, GENERIC_QUERY & FALLBACK
+  - KNOWLEDGE_BASE: This is a system defined tool which can answer the user query by referring to a FAQ document or a website. This usually contain urls to websites with information fed.
+  - CONVERSATION: There can be multiple instances of this tool with different ids in the chatbot. These are user defined tools to handle a use case or a flow. E.g. Book a flight, Book a hotel, Cancel flight etc..
+  - SMALLTALK: This is a system defined tool which can handle user queries like greetings, goodbyes, thanks etc..
+  - GENERIC_QUERY: This is a system defined tool which can handle generic user queries which are out of scope.
+  - FALLBACK: This is a system defined tool which is used when the user query falls in the scope of the bot but no tool is available to handle it.
+ - For a user message, only one tool can generate the bot response. The AGENT decides which tool should be used.
+ - Response for the tools SMALLTALK and GENERIC_QUERY are generated by the AGENT itself. The response for the tools KNOWLEDGE_BASE and CONVERSATION are generated by the respective tools.
+ - Make changes in the agent prompt only if the user feedback is related to SMALLTALK, GENERIC_QUERY, or the FALLBACK tool.`,
+
+    nlpArchitecture: `# IMPORTANT ARCHITECTURAL DETAILS FOR UNDERSTANDING
+ - This is an NLP Bot based on a single system prompt.
+ - The bot uses a single SYSTEM_PROMPT that defines its behavior, capabilities, and tone.
+ - The SYSTEM_PROMPT is initialized at the beginning of the conversation and guides the bot's responses throughout.
+ - This bot doesn't use the Agent-Tools architecture and instead relies on a comprehensive system prompt to handle all interactions.
+ - The system prompt typically includes instructions for handling various types of queries, personality guidelines, response formats, and contextual boundaries.
+ - The bot processes conversation history along with the system prompt to generate appropriate responses for each user input.`,
+
+    evaluationGuidelines: `# SYSTEM PROMPT
+PURPOSE OF THE PROMPT: Clearly define the objective that the bot should achieve during the conversation.
+DATA COLLECTION REQUIREMENTS: Identify what specific details the bot needs to collect from the user (e.g., name, email, preferred date for demo, device type for troubleshooting).
+LOGICAL COHERENCE: Ensure the instructions are logically sound and do not contradict each other.
+HALLUCINATION RISK: Check if the prompt could cause the bot to fabricate information rather than relying on facts.
+ERROR HANDLING: Verify if the prompt includes instructions for handling incomplete or incorrect user input.
+
+# CONVERSATIONAL GUIDELINES:
+TONE & BEHAVIOR: Ensure that the bot maintains a conversational tone suited to the use case (e.g., friendly for customer support, professional for business demos).
+ENGAGEMENT STRATEGY: Define how the bot should keep the user engaged in the conversation without being repetitive or intrusive.
+Error Recovery: Define how the bot should respond if the user provides incomplete or incorrect details.
+BOUNDARY SETTING: Define what the bot should avoid (e.g., not making medical or legal claims, avoiding speculative responses).
+ESCALATION STRATEGY: If applicable, specify when and how the bot should transfer the conversation to a human agent.
+
+***IMPORTANT NOTES***: It is encouraged that the model to articulate its reasoning process step-by-step when identifying issues.
+ The model before generating the responses should generate multiple critiques or alternative solutions and verify them against each other and then should output the best one (Without reflecting them in the responses. DO CARRY OUT THE SELF CRITIQUE STEP.).`
   };
   PROMPT_LIBRARY.checksums = {
     system: generateChecksum(PROMPT_LIBRARY.system),
     architecture: generateChecksum(PROMPT_LIBRARY.architecture),
     failureTypes: generateChecksum(PROMPT_LIBRARY.failureTypes),
     antiPatterns: generateChecksum(PROMPT_LIBRARY.antiPatterns),
-    outputFormat: generateChecksum(PROMPT_LIBRARY.outputFormat)
+    outputFormat: generateChecksum(PROMPT_LIBRARY.outputFormat),
+    analystIntroduction: generateChecksum(PROMPT_LIBRARY.analystIntroduction),
+    agenticArchitecture: generateChecksum(PROMPT_LIBRARY.agenticArchitecture),
+    nlpArchitecture: generateChecksum(PROMPT_LIBRARY.nlpArchitecture),
+    evaluationGuidelines: generateChecksum(PROMPT_LIBRARY.evaluationGuidelines)
   };
   
   module.exports = PROMPT_LIBRARY;
\ No newline at end of file
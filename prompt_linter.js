@@ -0,0 +1,331 @@
+const PROMPT_LIBRARY = require('./prompt_library');
+const { BOT_TYPES } = require('./analysis_prompts');
+const { scanHeadings } = require('./prompt_paths');
+const { tokenize } = require('./knowledge_base');
+const { getTokenizer } = require('./token_accounting');
+const { isEquivalent, instructionText } = require('./prompt_compression');
+const { MENTION_STATUS, findSkillReferences, matchSkillName } = require('./skill_names');
+
+/**
+ * Offline static lint for bot prompts, run before any LLM call. Findings
+ * carry the component, 1-based line and column, and the character offset
+ * and length of the offending text.
+ *
+ * Rules:
+ * - `contradiction`: an always/must instruction and a never/must-not
+ *   instruction about the same subject.
+ * - `vague-qualifier`: qualifiers the analyzer's ANTI-PATTERNS section
+ *   warns about ("try to", "if possible", ...).
+ * - `undefined-variable`: `{{name}}` or `${name}` placeholders that are not
+ *   configured variables (checked when `configured_variables` is given).
+ * - `unknown-skill`: references to skills not named exactly (case
+ *   included) as in `configured_skills` (checked when `configured_skills`
+ *   is given), with the closest
+ *   configured name as `suggestion` for near misses.
+ * - `duplicate-instruction`: an instruction equivalent to an earlier one.
+ * - `long-section`: a heading section over `maxSectionTokens` tokens.
+ */
+
+const LINT_CONFIG = {
+  maxSectionTokens: parseInt(process.env.PROMPT_LINT_MAX_SECTION_TOKENS, 10) || 800,
+  // Share of subject words two instructions need in common to be about the same thing
+  subjectSimilarity: 0.6
+};
+
+const LINT_SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+const LINT_RULES = {
+  contradiction: LINT_SEVERITY.ERROR,
+  'undefined-variable': LINT_SEVERITY.ERROR,
+  'unknown-skill': LINT_SEVERITY.WARNING,
+  'vague-qualifier': LINT_SEVERITY.WARNING,
+  'duplicate-instruction': LINT_SEVERITY.INFO,
+  'long-section': LINT_SEVERITY.WARNING
+};
+
+const POSITIVE_PATTERN = /\b(always|must)\b/i;
+const NEGATIVE_PATTERN = /\b(never|must not|mustn't|do not|don't|should not|shouldn't|cannot|can't)\b/i;
+const MODAL_WORDS = new Set(['always', 'must', 'never', 'not', 'mustn', 'don', 'should', 'shouldn', 'cannot', 'can', 't']);
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}|\$\{\s*([\w.-]+)\s*\}/g;
+
+/**
+ * Vague qualifiers quoted in the analyzer's ANTI-PATTERNS section, plus
+ * common variants.
+ */
+const VAGUE_QUALIFIERS = [...new Set([
+  ...((PROMPT_LIBRARY.antiPatterns.match(/vague qualifiers[^\n]*/i) || [''])[0].match(/"([^"]+)"/g) || [])
+    .map(phrase => phrase.slice(1, -1).toLowerCase()),
+  'try to', 'if possible', 'as much as possible', 'where possible', 'when appropriate', 'if appropriate',
+  'if needed', 'as needed', 'might want to', 'should probably', 'ideally', 'maybe', 'perhaps'
+])];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const VAGUE_PATTERN = new RegExp(`\\b(${VAGUE_QUALIFIERS.map(escapeRegExp).join('|')})\\b`, 'gi');
+
+function normalizeName(name) {
+  return String(name).replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// ========== Locations ==========
+
+/**
+ * 1-based line and column of `offset` in `text`.
+ */
+function locate(text, offset) {
+  const before = text.slice(0, offset);
+  const line = before.split('\n').length;
+  return { line, column: offset - before.lastIndexOf('\n') };
+}
+
+function finding(rule, text, { component, offset, length, message, ...extra }) {
+  return {
+    rule,
+    severity: LINT_RULES[rule],
+    component,
+    ...locate(text, offset),
+    offset,
+    length,
+    excerpt: text.slice(offset, offset + length),
+    message,
+    ...extra
+  };
+}
+
+/**
+ * Instruction lines of a prompt (not headings, fences or blank lines) with
+ * their offsets, and the sentences they hold.
+ */
+function instructionLines(text) {
+  const lines = [];
+  let offset = 0;
+  let inFence = false;
+
+  for (const line of text.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const content = instructionText(line);
+    if (!inFence && content && !/^#{1,6}\s/.test(line.trim())) {
+      const start = offset + line.indexOf(content);
+      const sentences = [];
+      const pattern = /[^.!?]+(?:[.!?]+|$)/g;
+      let match;
+      while ((match = pattern.exec(content)) !== null) {
+        const sentence = match[0].trim();
+        if (sentence) sentences.push({ text: sentence, offset: start + match.index + match[0].indexOf(sentence) });
+        if (match[0].length === 0) pattern.lastIndex++;
+      }
+      lines.push({ text: content, offset: start, sentences });
+    }
+    offset += line.length + 1;
+  }
+  return lines;
+}
+
+// ========== Rules ==========
+
+function subjectWords(sentence) {
+  return new Set(tokenize(sentence).filter(token => !MODAL_WORDS.has(token)));
+}
+
+function subjectSimilarity(a, b) {
+  if (a.size < 2 || b.size < 2) return 0;
+  const shared = [...a].filter(word => b.has(word)).length;
+  return shared / (a.size + b.size - shared);
+}
+
+function lintContradictions(text, lines, component) {
+  const statements = lines.flatMap(line => line.sentences)
+    .map(sentence => ({
+      ...sentence,
+      polarity: NEGATIVE_PATTERN.test(sentence.text) ? 'negative' : POSITIVE_PATTERN.test(sentence.text) ? 'positive' : null,
+      subject: subjectWords(sentence.text)
+    }))
+    .filter(sentence => sentence.polarity);
+
+  const findings = [];
+  statements.forEach((statement, index) => {
+    const earlier = statements.slice(0, index).find(candidate =>
+      candidate.polarity !== statement.polarity &&
+      subjectSimilarity(candidate.subject, statement.subject) >= LINT_CONFIG.subjectSimilarity);
+    if (!earlier) return;
+    findings.push(finding('contradiction', text, {
+      component,
+      offset: statement.offset,
+      length: statement.text.length,
+      message: `Contradicts "${earlier.text}" (line ${locate(text, earlier.offset).line})`,
+      related: { ...locate(text, earlier.offset), offset: earlier.offset, length: earlier.text.length }
+    }));
+  });
+  return findings;
+}
+
+function lintVagueQualifiers(text, lines, component) {
+  return lines.flatMap(line => [...line.text.matchAll(VAGUE_PATTERN)].map(match => finding('vague-qualifier', text, {
+    component,
+    offset: line.offset + match.index,
+    length: match[0].length,
+    message: `Vague qualifier "${match[0]}": state exactly when and what the bot must do`
+  })));
+}
+
+function lintPlaceholders(text, variables, component) {
+  const known = new Set(variables.map(normalizeName));
+  return [...text.matchAll(PLACEHOLDER_PATTERN)]
+    .filter(match => !known.has(normalizeName(match[1] || match[2])))
+    .map(match => finding('undefined-variable', text, {
+      component,
+      offset: match.index,
+      length: match[0].length,
+      message: `Placeholder ${match[0]} is not a configured variable`
+    }));
+}
+
+// Skills only run when named exactly as configured, so case differences are flagged too
+function lintSkillReferences(text, skills, component) {
+  return findSkillReferences(text, skills)
+    .map(reference => ({ reference, match: matchSkillName(reference.name, skills) }))
+    .filter(({ match }) => match.status !== MENTION_STATUS.EXACT)
+    .map(({ reference, match }) => {
+      const suggestion = match.status === MENTION_STATUS.NEAR_MISS ? match.skill : null;
+      return finding('unknown-skill', text, {
+        component,
+        offset: reference.offset,
+        length: reference.length,
+        message: `"${reference.name}" is not one of the configured skills${suggestion ? `; did you mean "${suggestion}"?` : ''}`,
+        ...(suggestion ? { suggestion } : {})
+      });
+    });
+}
+
+function lintDuplicates(text, lines, component) {
+  const seen = [];
+  const findings = [];
+  lines.forEach(line => {
+    const earlier = seen.find(candidate => isEquivalent(line.text, candidate.text));
+    if (earlier) {
+      findings.push(finding('duplicate-instruction', text, {
+        component,
+        offset: line.offset,
+        length: line.text.length,
+        message: `Repeats "${earlier.text}" (line ${locate(text, earlier.offset).line})`,
+        related: { ...locate(text, earlier.offset), offset: earlier.offset, length: earlier.text.length }
+      }));
+    } else {
+      seen.push(line);
+    }
+  });
+  return findings;
+}
+
+function lintSectionLengths(text, tokenizer, maxSectionTokens, component) {
+  const headings = scanHeadings(text);
+  return headings.map((heading, index) => {
+    const end = index + 1 < headings.length ? headings[index + 1].start : text.length;
+    const tokens = tokenizer.count(text.slice(heading.start, end));
+    if (tokens <= maxSectionTokens) return null;
+    const headingLine = text.slice(heading.start, text.indexOf('\n', heading.start) === -1 ? text.length : text.indexOf('\n', heading.start));
+    return finding('long-section', text, {
+      component,
+      offset: heading.start,
+      length: headingLine.length,
+      message: `Section "${heading.title}" is ${tokens} tokens, over the ${maxSectionTokens} token limit; split or tighten it`,
+      tokens
+    });
+  }).filter(Boolean);
+}
+
+// ========== Linting ==========
+
+function summarizeFindings(findings) {
+  const summary = { total: findings.length };
+  Object.values(LINT_SEVERITY).forEach(severity => {
+    summary[severity] = findings.filter(entry => entry.severity === severity).length;
+  });
+  return summary;
+}
+
+/**
+ * Lint one prompt. `variables` and `skills` are the configured names; the
+ * placeholder and skill rules only run when they are given.
+ */
+function lintPrompt(text, {
+  component = 'prompt',
+  variables = null,
+  skills = null,
+  model = undefined,
+  maxSectionTokens = LINT_CONFIG.maxSectionTokens
+} = {}) {
+  if (typeof text !== 'string' || !text) return [];
+  const lines = instructionLines(text);
+
+  return [
+    ...lintContradictions(text, lines, component),
+    ...lintVagueQualifiers(text, lines, component),
+    ...(variables ? lintPlaceholders(text, variables, component) : []),
+    ...(skills ? lintSkillReferences(text, skills, component) : []),
+    ...lintDuplicates(text, lines, component),
+    ...lintSectionLengths(text, getTokenizer(model), maxSectionTokens, component)
+  ].sort((a, b) => a.offset - b.offset);
+}
+
+const CONFIGURED_NAME_FIELDS = { configured_variables: 'variable_name', configured_skills: 'skill_name' };
+
+/**
+ * Validate `configured_variables` and `configured_skills` of a lint
+ * request: when given, each must be an array of objects with a string
+ * name. Returns an error message, or null.
+ */
+function validateConfiguredNames(inputs) {
+  for (const [field, nameField] of Object.entries(CONFIGURED_NAME_FIELDS)) {
+    const items = inputs[field];
+    if (items === undefined || items === null) continue;
+    if (!Array.isArray(items) || items.some(item => !item || typeof item[nameField] !== 'string')) {
+      return `${field} must be an array of objects with a string ${nameField}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * The configured variable and skill names (`{ variables, skills }`); null
+ * when a list is not given. Entries without a string name are skipped.
+ */
+function configuredNames(inputs) {
+  const [variables, skills] = Object.entries(CONFIGURED_NAME_FIELDS).map(([field, nameField]) =>
+    Array.isArray(inputs[field])
+      ? inputs[field].filter(item => item && typeof item[nameField] === 'string').map(item => item[nameField])
+      : null);
+  return { variables, skills };
+}
+
+/**
+ * Lint every prompt component of a bot configuration. Resolves variable
+ * and skill names from `configured_variables` and `configured_skills`.
+ */
+function lintBotPrompts(botType, inputs, options = {}) {
+  const { variables, skills } = configuredNames(inputs);
+  const model = (inputs.model_configuration || {}).model;
+
+  const findings = Object.entries(BOT_TYPES[botType].getPrompts(inputs))
+    .flatMap(([component, text]) => lintPrompt(text, { component, variables, skills, model, ...options }));
+  return { findings, summary: summarizeFindings(findings) };
+}
+
+module.exports = {
+  LINT_CONFIG,
+  LINT_RULES,
+  LINT_SEVERITY,
+  VAGUE_QUALIFIERS,
+  summarizeFindings,
+  validateConfiguredNames,
+  configuredNames,
+  lintPrompt,
+  lintBotPrompts
+};
@@ -0,0 +1,434 @@
+/**
+ * Applies the `promptChanges` returned by an analysis to the configured
+ * prompts. Each edit is anchored on text that must already exist in the
+ * component prompt and only the matched span is touched; edits whose anchor
+ * cannot be located unambiguously are skipped and reported instead of being
+ * guessed.
+ */
+
+const DiffMatchPatch = require('diff-match-patch');
+const { PATH_STATUS, resolvePromptPath } = require('./prompt_paths');
+
+const CHANGE_STATUS = {
+  APPLIED: 'applied',
+  ANCHOR_NOT_FOUND: 'anchor_not_found',
+  AMBIGUOUS_ANCHOR: 'ambiguous_anchor',
+  COMPONENT_NOT_FOUND: 'component_not_found',
+  INVALID: 'invalid'
+};
+
+const MATCH_CONFIG = {
+  whitespaceConfidence: 0.95,
+  minFuzzyConfidence: 0.8,
+  // Very short anchors match almost anywhere when fuzzy
+  minFuzzyAnchorLength: 12,
+  fuzzyThreshold: 0.4
+};
+
+/**
+ * Find every occurrence of `anchor` in `text`.
+ */
+function findOccurrences(text, anchor) {
+  const occurrences = [];
+  let index = text.indexOf(anchor);
+  while (index !== -1) {
+    occurrences.push(index);
+    index = text.indexOf(anchor, index + 1);
+  }
+  return occurrences;
+}
+
+/**
+ * Collapse whitespace runs to a single space, keeping a map from each
+ * normalised character back to its offset in the original text.
+ */
+function normalizeWhitespace(text) {
+  let normalized = '';
+  const offsets = [];
+  let inWhitespace = false;
+
+  for (let i = 0; i < text.length; i++) {
+    if (/\s/.test(text[i])) {
+      if (!inWhitespace) {
+        normalized += ' ';
+        offsets.push(i);
+      }
+      inWhitespace = true;
+    } else {
+      normalized += text[i];
+      offsets.push(i);
+      inWhitespace = false;
+    }
+  }
+
+  return { normalized, offsets };
+}
+
+// ========== Match Strategies ==========
+
+function exactMatch(text, anchor) {
+  return findOccurrences(text, anchor).map(start => ({
+    start,
+    end: start + anchor.length,
+    confidence: 1
+  }));
+}
+
+function whitespaceMatch(text, anchor) {
+  const { normalized, offsets } = normalizeWhitespace(text);
+  const normalizedAnchor = normalizeWhitespace(anchor).normalized.trim();
+  if (!normalizedAnchor) return [];
+
+  return findOccurrences(normalized, normalizedAnchor).map(index => ({
+    start: offsets[index],
+    end: offsets[index + normalizedAnchor.length - 1] + 1,
+    confidence: MATCH_CONFIG.whitespaceConfidence
+  }));
+}
+
+/**
+ * Fuzzy search with diff-match-patch. `match_main` only accepts patterns of
+ * up to Match_MaxBits characters, so long anchors are located by their head
+ * and tail and the span in between is scored against the whole anchor.
+ */
+function fuzzyLocate(text, anchor) {
+  const dmp = new DiffMatchPatch();
+  const maxBits = dmp.Match_MaxBits;
+  dmp.Match_Threshold = MATCH_CONFIG.fuzzyThreshold;
+  // The LLM gives no expected location, so proximity must not matter
+  dmp.Match_Distance = text.length * 10 + 1000;
+
+  const start = dmp.match_main(text, anchor.slice(0, maxBits), 0);
+  if (start === -1) return null;
+
+  let end = start + anchor.length;
+  if (anchor.length > maxBits) {
+    dmp.Match_Distance = anchor.length;
+    const tailStart = dmp.match_main(text, anchor.slice(-maxBits), start + anchor.length - maxBits);
+    if (tailStart === -1 || tailStart < start) return null;
+    end = tailStart + maxBits;
+  }
+  // Diff against a slightly wider window and drop trailing insertions so the
+  // span ends exactly where the anchor's last character landed
+  const window = text.slice(start, Math.min(end + maxBits, text.length));
+  const diffs = dmp.diff_main(anchor, window);
+  while (diffs.length && diffs[diffs.length - 1][0] === DiffMatchPatch.DIFF_INSERT) diffs.pop();
+  const spanLength = diffs
+    .filter(([op]) => op !== DiffMatchPatch.DIFF_DELETE)
+    .reduce((length, [, segment]) => length + segment.length, 0);
+  end = start + spanLength;
+
+  const span = text.slice(start, end);
+  const distance = dmp.diff_levenshtein(diffs);
+  const confidence = 1 - distance / Math.max(anchor.length, span.length);
+
+  return confidence >= MATCH_CONFIG.minFuzzyConfidence ? { start, end, confidence } : null;
+}
+
+function fuzzyMatch(text, anchor) {
+  if (anchor.trim().length < MATCH_CONFIG.minFuzzyAnchorLength) return [];
+
+  const first = fuzzyLocate(text, anchor);
+  if (!first) return [];
+
+  // Mask the first match and search again to detect a second location
+  const masked = text.slice(0, first.start) + '\u0000'.repeat(first.end - first.start) + text.slice(first.end);
+  const second = fuzzyLocate(masked, anchor);
+
+  return second ? [first, second] : [first];
+}
+
+const MATCH_STRATEGIES = [
+  { name: 'exact', match: exactMatch },
+  { name: 'whitespace', match: whitespaceMatch },
+  { name: 'fuzzy', match: fuzzyMatch }
+];
+
+/**
+ * Locate `anchor` in `text`, trying an exact match first, then a
+ * whitespace-normalised match and finally a fuzzy match. The first strategy
+ * that finds anything decides the outcome.
+ *
+ * Returns `{ start, end, strategy, confidence }` for a unique match, or
+ * `{ error }` holding the change status that explains why it was not found.
+ */
+function locateAnchor(text, anchor) {
+  if (!anchor) return { error: CHANGE_STATUS.ANCHOR_NOT_FOUND };
+
+  for (const strategy of MATCH_STRATEGIES) {
+    const matches = strategy.match(text, anchor);
+    if (matches.length === 0) continue;
+
+    if (matches.length > 1) {
+      return {
+        error: CHANGE_STATUS.AMBIGUOUS_ANCHOR,
+        strategy: strategy.name,
+        occurrences: matches.length
+      };
+    }
+    return { ...matches[0], strategy: strategy.name };
+  }
+
+  return { error: CHANGE_STATUS.ANCHOR_NOT_FOUND };
+}
+
+// ========== Edit Operations ==========
+
+function applyModification(text, change) {
+  const location = locateAnchor(text, change.current);
+  if (location.error) return { text, location };
+
+  return {
+    text: text.slice(0, location.start) + change.updated + text.slice(location.end),
+    location
+  };
+}
+
+function applyDeletion(text, change) {
+  const location = locateAnchor(text, change.instructionText);
+  if (location.error) return { text, location };
+
+  let start = location.start;
+  let end = location.end;
+
+  // Drop the whole line when the deleted instruction was all that was on it
+  const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+  const lineEndIndex = text.indexOf('\n', end);
+  const lineEnd = lineEndIndex === -1 ? text.length : lineEndIndex;
+  const remainder = text.slice(lineStart, start) + text.slice(end, lineEnd);
+  if (remainder.trim() === '') {
+    if (lineEndIndex !== -1) {
+      start = lineStart;
+      end = lineEnd + 1;
+    } else {
+      // Last line: take the preceding line break with it
+      start = Math.max(lineStart - 1, 0);
+      end = lineEnd;
+    }
+  }
+
+  return { text: text.slice(0, start) + text.slice(end), location };
+}
+
+function applyAddition(text, change) {
+  // Without a preText the new instruction is appended to the component
+  if (!change.preText) {
+    const separator = text === '' || text.endsWith('\n') ? '' : '\n';
+    return {
+      text: `${text}${separator}${change.newInstruction}`,
+      location: { start: text.length, end: text.length, strategy: 'append', confidence: 1 }
+    };
+  }
+
+  const location = locateAnchor(text, change.preText);
+  if (location.error) return { text, location };
+
+  // Insert on its own line, right after the line holding the anchor
+  const lineEndIndex = text.indexOf('\n', location.end);
+  const insertAt = lineEndIndex === -1 ? text.length : lineEndIndex;
+
+  return {
+    text: `${text.slice(0, insertAt)}\n${change.newInstruction}${text.slice(insertAt)}`,
+    location
+  };
+}
+
+const OPERATIONS = {
+  modifications: applyModification,
+  deletions: applyDeletion,
+  additions: applyAddition
+};
+
+function describeLocation(location) {
+  if (location.error) {
+    return {
+      status: location.error,
+      ...(location.occurrences ? { occurrences: location.occurrences, strategy: location.strategy } : {})
+    };
+  }
+  return {
+    status: CHANGE_STATUS.APPLIED,
+    match: {
+      strategy: location.strategy,
+      confidence: Number(location.confidence.toFixed(3))
+    }
+  };
+}
+
+/**
+ * Raw offset (inside the quotes) of each UTF-16 unit of a JSON string
+ * literal's decoded value, plus the end of the literal.
+ */
+function jsonStringOffsets(inner) {
+  const offsets = [];
+  for (let index = 0; index < inner.length;) {
+    offsets.push(index);
+    index += inner[index] !== '\\' ? 1 : inner[index + 1] === 'u' ? 6 : 2;
+  }
+  offsets.push(inner.length);
+  return offsets;
+}
+
+/**
+ * Re-encode the edit of a JSON string literal: only the span that differs
+ * between `before` and `after` (its decoded values) is encoded again, so
+ * the escapes elsewhere in the literal (`\u00e9`, `\/`) are kept as written.
+ */
+function replaceInJsonString(raw, before, after) {
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < before.length - prefix && suffix < after.length - prefix &&
+         before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) suffix++;
+
+  const offsets = jsonStringOffsets(raw.slice(1, -1));
+  const start = offsets[prefix] + 1;
+  const end = offsets[before.length - suffix] + 1;
+  const edited = JSON.stringify(after.slice(prefix, after.length - suffix)).slice(1, -1);
+  return raw.slice(0, start) + edited + raw.slice(end);
+}
+
+/**
+ * Apply `operation` within the field or section the change's `path`
+ * addresses. JSON string values are edited decoded, and only the edited
+ * span is re-encoded (see replaceInJsonString). When the path cannot be
+ * resolved the edit falls back to the whole component; an anchor missing
+ * from a resolved section is reported, never looked up elsewhere. Also
+ * returns the path report.
+ */
+function applyScoped(operation, text, change, component) {
+  if (!change.path) return { ...operation(text, change), path: null };
+
+  const scope = resolvePromptPath(text, change.path, { component });
+  if (scope.error) {
+    return {
+      ...operation(text, change),
+      path: { value: change.path, status: scope.error, reason: scope.reason, scoped: false }
+    };
+  }
+
+  const raw = text.slice(scope.start, scope.end);
+  const section = scope.jsonString ? JSON.parse(raw) : raw;
+  const scoped = operation(section, change);
+  const path = { value: change.path, status: PATH_STATUS.RESOLVED, format: scope.format, scoped: true };
+  if (scoped.location.error) return { text, location: scoped.location, path };
+
+  const replacement = scope.jsonString ? replaceInJsonString(raw, section, scoped.text) : scoped.text;
+  return {
+    text: text.slice(0, scope.start) + replacement + text.slice(scope.end),
+    location: scoped.location,
+    path
+  };
+}
+
+/**
+ * The prompt key a change targets: its `component` (or `target` for DC node
+ * analyses), narrowed to `component:toolId` when it names a CONVERSATION
+ * tool. A bot with a single tool does not need to name it.
+ */
+function resolveChangeComponent(prompts, change) {
+  const component = change.component || change.target;
+  if (change.toolId && typeof prompts[`${component}:${change.toolId}`] === 'string') {
+    return `${component}:${change.toolId}`;
+  }
+  if (typeof prompts[component] !== 'string') {
+    const tools = Object.keys(prompts).filter(key => key.startsWith(`${component}:`));
+    if (tools.length === 1) return tools[0];
+    if (change.toolId) return `${component}:${change.toolId}`;
+  }
+  return component;
+}
+
+function isOptionalString(value) {
+  return value === undefined || value === null || typeof value === 'string';
+}
+
+/**
+ * Why a change cannot be applied as given, or null when it is well formed.
+ */
+function invalidChangeReason(type, change) {
+  if (!change || typeof change !== 'object' || Array.isArray(change)) return 'The change must be an object';
+  if (!isOptionalString(change.path)) return 'path must be a string';
+  if (type === 'modifications') {
+    if (typeof change.current !== 'string' || !change.current) return 'current must be a non-empty string';
+    if (typeof change.updated !== 'string') return 'updated must be a string';
+  } else if (type === 'deletions') {
+    if (typeof change.instructionText !== 'string' || !change.instructionText) return 'instructionText must be a non-empty string';
+  } else {
+    if (typeof change.newInstruction !== 'string' || !change.newInstruction) return 'newInstruction must be a non-empty string';
+    if (!isOptionalString(change.preText)) return 'preText must be a string';
+  }
+  return null;
+}
+
+/**
+ * Validate the shape of a change set: an object whose `modifications`,
+ * `deletions` and `additions`, when given, are arrays. Returns an error
+ * message, or null. Malformed changes inside the arrays are reported per
+ * change by applyChangeSet.
+ */
+function validateChangeSet(promptChanges) {
+  if (!promptChanges || typeof promptChanges !== 'object' || Array.isArray(promptChanges)) {
+    return 'promptChanges must be an object';
+  }
+  const invalid = Object.keys(OPERATIONS).filter(type => promptChanges[type] !== undefined && promptChanges[type] !== null &&
+    !Array.isArray(promptChanges[type]));
+  return invalid.length ? `promptChanges.${invalid.join(', promptChanges.')} must be an array` : null;
+}
+
+/**
+ * Apply a change set to the configured prompts.
+ *
+ * Changes are applied in order (modifications, deletions, then additions)
+ * to the prompt as patched so far. The component is read from `component`
+ * or, for DC node analyses, `target`, and `toolId` selects one CONVERSATION
+ * tool (see resolveChangeComponent). A change's `path` scopes the edit
+ * (see prompt_paths.js) and its resolution is reported in the result.
+ * A malformed change (see invalidChangeReason) is reported `invalid` with
+ * its `reason` and leaves the prompts untouched.
+ */
+function applyChangeSet(configuredPrompts, promptChanges = {}) {
+  const patchedPrompts = { ...configuredPrompts };
+  const results = [];
+
+  for (const [type, operation] of Object.entries(OPERATIONS)) {
+    (promptChanges[type] || []).forEach((change, index) => {
+      const reason = invalidChangeReason(type, change);
+      if (reason) {
+        results.push({ type, index, component: null, status: CHANGE_STATUS.INVALID, reason });
+        return;
+      }
+
+      const component = resolveChangeComponent(patchedPrompts, change);
+      const result = { type, index, component };
+
+      if (typeof patchedPrompts[component] !== 'string') {
+        results.push({ ...result, status: CHANGE_STATUS.COMPONENT_NOT_FOUND });
+        return;
+      }
+
+      const { text, location, path } = applyScoped(operation, patchedPrompts[component], change, change.component || change.target);
+      patchedPrompts[component] = text;
+      results.push({ ...result, ...describeLocation(location), ...(path ? { path } : {}) });
+    });
+  }
+
+  return {
+    patchedPrompts,
+    results,
+    summary: {
+      total: results.length,
+      applied: results.filter(result => result.status === CHANGE_STATUS.APPLIED).length,
+      failed: results.filter(result => result.status !== CHANGE_STATUS.APPLIED).length
+    }
+  };
+}
+
+module.exports = {
+  CHANGE_STATUS,
+  MATCH_CONFIG,
+  locateAnchor,
+  resolveChangeComponent,
+  validateChangeSet,
+  applyChangeSet
+};
@@ -0,0 +1,246 @@
+/**
+ * Resolves the `path` an analysis gives for a change to the span of the
+ * component prompt it addresses, so edits can be scoped to that field or
+ * section.
+ *
+ * - JSON prompts take a JSON pointer (`/flows/0/message`) or a dot path
+ *   (`flows[0].message`, `$.flows.0.message`).
+ * - Markdown prompts take a heading path (`## Guidelines > ### Escalation`);
+ *   the heading levels are optional and nested headings may skip levels.
+ *
+ * A leading segment naming the component itself (`AGENT > ## Rules`) is
+ * ignored, and an empty path, `/` or `$` addresses the whole prompt.
+ */
+
+const PATH_STATUS = {
+  RESOLVED: 'resolved',
+  NOT_FOUND: 'path_not_found',
+  AMBIGUOUS: 'ambiguous_path',
+  INVALID: 'invalid_path',
+  UNSTRUCTURED: 'unstructured_prompt'
+};
+
+const ROOT_PATHS = ['', '/', '$', '#'];
+
+// ========== JSON ==========
+
+/**
+ * Parse JSON while keeping the source span of every value:
+ * `{ type, start, end, value?, children? }`. Throws on invalid JSON.
+ */
+function scanJson(text) {
+  let position = 0;
+
+  const fail = expected => {
+    throw new Error(`Expected ${expected} at offset ${position}`);
+  };
+  const skipWhitespace = () => {
+    while (position < text.length && /\s/.test(text[position])) position++;
+  };
+
+  function scanString() {
+    const start = position;
+    position++;
+    while (position < text.length && text[position] !== '"') {
+      position += text[position] === '\\' ? 2 : 1;
+    }
+    if (position >= text.length) fail('closing quote');
+    position++;
+    return { type: 'string', start, end: position, value: JSON.parse(text.slice(start, position)) };
+  }
+
+  function scanContainer(type, close) {
+    const start = position;
+    const children = new Map();
+    position++;
+    skipWhitespace();
+    if (text[position] === close) {
+      position++;
+      return { type, start, end: position, children };
+    }
+
+    for (;;) {
+      skipWhitespace();
+      let key = children.size;
+      if (type === 'object') {
+        if (text[position] !== '"') fail('property name');
+        key = scanString().value;
+        skipWhitespace();
+        if (text[position] !== ':') fail('":"');
+        position++;
+      }
+      children.set(String(key), scanValue());
+      skipWhitespace();
+
+      if (text[position] === ',') {
+        position++;
+      } else if (text[position] === close) {
+        position++;
+        return { type, start, end: position, children };
+      } else {
+        fail(`"," or "${close}"`);
+      }
+    }
+  }
+
+  function scanValue() {
+    skipWhitespace();
+    if (text[position] === '{') return scanContainer('object', '}');
+    if (text[position] === '[') return scanContainer('array', ']');
+    if (text[position] === '"') return scanString();
+
+    const literal = /-?\d+(\.\d+)?([eE][+-]?\d+)?|true|false|null/y;
+    literal.lastIndex = position;
+    const match = literal.exec(text);
+    if (!match) fail('a JSON value');
+    const start = position;
+    position += match[0].length;
+    return { type: 'literal', start, end: position };
+  }
+
+  const root = scanValue();
+  skipWhitespace();
+  if (position !== text.length) fail('end of input');
+  return root;
+}
+
+function parseJsonPath(path) {
+  if (path.startsWith('/')) {
+    return path.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  }
+
+  const segments = [];
+  const pattern = /\[\s*(?:(\d+)|"([^"]*)"|'([^']*)')\s*\]|[^.[\]]+/g;
+  let match;
+  while ((match = pattern.exec(path.replace(/^\$\.?/, ''))) !== null) {
+    const segment = match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[0];
+    segments.push(segment.trim());
+  }
+  return segments;
+}
+
+function resolveJsonPath(root, segments) {
+  let node = root;
+  for (const segment of segments) {
+    const child = node.children && node.children.get(segment);
+    if (!child) return { error: PATH_STATUS.NOT_FOUND, reason: `No field "${segment}"` };
+    node = child;
+  }
+  return {
+    start: node.start,
+    end: node.end,
+    format: 'json',
+    // String values are edited decoded and re-encoded afterwards
+    jsonString: node.type === 'string'
+  };
+}
+
+// ========== Markdown ==========
+
+/**
+ * ATX headings outside fenced code blocks, each with the span of its
+ * section (up to the next heading of the same or a higher level, without
+ * trailing blank lines).
+ */
+function scanHeadings(text) {
+  const headings = [];
+  let offset = 0;
+  let inFence = false;
+
+  for (const line of text.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const match = !inFence && line.match(/^(#{1,6})[ \t]+(.+?)[ \t#]*$/);
+    if (match) headings.push({ level: match[1].length, title: match[2], start: offset });
+    offset += line.length + 1;
+  }
+
+  headings.forEach((heading, index) => {
+    const next = headings.slice(index + 1).find(candidate => candidate.level <= heading.level);
+    let end = next ? next.start : text.length;
+    while (end > heading.start && /\s/.test(text[end - 1])) end--;
+    heading.end = end;
+  });
+  return headings;
+}
+
+function normalizeTitle(title) {
+  return title.replace(/[*_`]/g, '').replace(/:\s*$/, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function parseHeadingPath(path) {
+  return path.split('>').map(segment => segment.trim()).filter(Boolean).map(segment => {
+    const match = segment.match(/^(#{1,6})\s*(.*)$/);
+    return match
+      ? { level: match[1].length, title: normalizeTitle(match[2]) }
+      : { level: null, title: normalizeTitle(segment) };
+  });
+}
+
+function resolveHeadingPath(headings, segments, text) {
+  let parent = { level: 0, start: -1, end: text.length };
+  for (const segment of segments) {
+    const matches = headings.filter(heading =>
+      heading.start > parent.start &&
+      heading.start < parent.end &&
+      heading.level > parent.level &&
+      (segment.level === null || heading.level === segment.level) &&
+      normalizeTitle(heading.title) === segment.title);
+
+    if (matches.length === 0) return { error: PATH_STATUS.NOT_FOUND, reason: `No heading "${segment.title}"` };
+    if (matches.length > 1) {
+      return { error: PATH_STATUS.AMBIGUOUS, reason: `${matches.length} headings named "${segment.title}"` };
+    }
+    parent = matches[0];
+  }
+  return { start: parent.start, end: parent.end, format: 'markdown' };
+}
+
+// ========== Resolution ==========
+
+function detectJson(text) {
+  if (!/^\s*[[{]/.test(text)) return null;
+  try {
+    return scanJson(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resolve `path` in a component prompt. Returns `{ start, end, format,
+ * jsonString? }`, or `{ error, reason }` holding the path status that
+ * explains why it could not be resolved.
+ */
+function resolvePromptPath(text, path, { component } = {}) {
+  if (typeof path !== 'string') return { error: PATH_STATUS.INVALID, reason: 'The path must be a string' };
+
+  let value = path.trim();
+  if (component) {
+    const prefix = new RegExp(`^${component.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*(>|\\.|/|$)`, 'i');
+    value = value.replace(prefix, (match, separator) => (separator === '/' ? '/' : '')).trim();
+  }
+  if (ROOT_PATHS.includes(value)) return { start: 0, end: text.length, format: 'text' };
+
+  const json = detectJson(text);
+  if (json) {
+    const segments = parseJsonPath(value);
+    if (segments.length === 0 || segments.some(segment => segment === '')) {
+      return { error: PATH_STATUS.INVALID, reason: 'Expected a JSON pointer or dot path' };
+    }
+    return resolveJsonPath(json, segments);
+  }
+
+  const headings = scanHeadings(text);
+  if (headings.length === 0) {
+    return { error: PATH_STATUS.UNSTRUCTURED, reason: 'The prompt is neither JSON nor Markdown with headings' };
+  }
+  const segments = parseHeadingPath(value);
+  if (segments.length === 0) return { error: PATH_STATUS.INVALID, reason: 'Expected a heading path' };
+  return resolveHeadingPath(headings, segments, text);
+}
+
+module.exports = {
+  PATH_STATUS,
+  scanHeadings,
+  resolvePromptPath
+};
@@ -0,0 +1,273 @@
+const Ajv = require('ajv').default;
+const { scanHeadings } = require('./prompt_paths');
+const { getTokenizer, promptTokenLimit } = require('./token_accounting');
+const { createProvider, validateProviderOptions } = require('./llm_providers');
+
+/**
+ * Full-prompt rewrite for prompts over their token budget, as promised by
+ * the analyst system prompt. The prompt is split into sections, the LLM
+ * rewrites the whole prompt below the limit and maps every rewritten
+ * section to the original sections it covers, and the result is counted
+ * with the model's tokenizer. A rewrite still over the limit is retried
+ * with its measured size before the request fails.
+ */
+
+const ajv = new Ajv({ allErrors: true });
+
+const REWRITE_CONFIG = {
+  maxAttempts: 2,
+  // Share of the limit the rewrite aims for, leaving room for tokenizer differences
+  targetRatio: 0.9
+};
+
+const REWRITE_OUTPUT_SCHEMA = {
+  type: 'object',
+  required: ['sections'],
+  properties: {
+    sections: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'content', 'sourceSectionIds'],
+        properties: {
+          id: { type: 'string' },
+          title: { type: 'string' },
+          content: { type: 'string' },
+          sourceSectionIds: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    removedSections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'reason'],
+        properties: {
+          id: { type: 'string' },
+          reason: { type: 'string' }
+        }
+      }
+    },
+    notes: { type: 'string' }
+  }
+};
+
+/**
+ * Split a prompt into `{ id, title, text }` sections at its Markdown
+ * headings. Text before the first heading is a preamble; a prompt without
+ * headings is split into paragraphs.
+ */
+function splitSections(prompt) {
+  const headings = scanHeadings(prompt);
+  const parts = [];
+
+  if (headings.length === 0) {
+    prompt.split(/\n\s*\n/).map(text => text.trim()).filter(Boolean)
+      .forEach((text, index) => parts.push({ title: `Paragraph ${index + 1}`, text }));
+  } else {
+    const preamble = prompt.slice(0, headings[0].start).trim();
+    if (preamble) parts.push({ title: '(preamble)', text: preamble });
+    headings.forEach((heading, index) => {
+      const end = index + 1 < headings.length ? headings[index + 1].start : prompt.length;
+      parts.push({ title: heading.title, text: prompt.slice(heading.start, end).trim() });
+    });
+  }
+  return parts.map((part, index) => ({ id: `S${index + 1}`, ...part }));
+}
+
+/**
+ * Why the previous attempt was not accepted, for the retry prompt.
+ */
+function describePreviousAttempt(previous, limit) {
+  if (previous.error) {
+    return `Your previous response could not be used (${previous.error}). Respond with JSON in exactly the format below.`;
+  }
+  const problems = [];
+  if (previous.tokens > limit) {
+    problems.push(`Your previous rewrite was ${previous.tokens} tokens, which is still over the limit. Shorten it further.`);
+  }
+  if (previous.unmapped.length > 0) {
+    problems.push(`Your previous rewrite did not account for sections ${previous.unmapped.join(', ')}. List each of them in the sourceSectionIds of the section carrying its content, or in removedSections with the reason.`);
+  }
+  return problems.join('\n');
+}
+
+function buildRewritePrompt({ sections, limit, target, previous }) {
+  const sectionList = sections.map(section => `<section id="${section.id}" tokens="${section.tokens}">
+${section.text}
+</section>`).join('\n\n');
+
+  return `You are an expert in writing prompt instructions for an LLM.
+
+The system prompt below has to fit within a token limit of ${limit} tokens. Rewrite the ENTIRE prompt so that it fits in about ${target} tokens.
+- Preserve every critical instruction, constraint, variable placeholder and output format requirement.
+- Merge redundant instructions and tighten wording before removing anything.
+- Only remove content when the limit cannot be met otherwise, and list each removed original section with the reason.
+- Keep the Markdown heading structure where it helps the bot.
+
+Return the rewritten prompt as ordered sections. Each rewritten section lists, in sourceSectionIds, the ids of the original sections whose content it carries. Every original section must appear in some sourceSectionIds or in removedSections.
+${previous ? `
+${describePreviousAttempt(previous, limit)}
+` : ''}
+# ORIGINAL PROMPT SECTIONS
+${sectionList}
+
+Respond with raw JSON only:
+{
+  "sections": [
+    { "id": "R1", "title": string, "content": string (the full text of the section, including its heading), "sourceSectionIds": [string] }
+  ],
+  "removedSections": [{ "id": string, "reason": string }],
+  "notes": string
+}`;
+}
+
+function parseRewrite(content) {
+  const jsonMatch = content.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) throw new Error('LLM response is not valid JSON');
+
+  const json = JSON.parse(jsonMatch[0]);
+  const validate = ajv.compile(REWRITE_OUTPUT_SCHEMA);
+  if (!validate(json)) {
+    throw new Error(`LLM response does not match the rewrite schema: ${ajv.errorsText(validate.errors)}`);
+  }
+  return json;
+}
+
+/**
+ * For each original section, the rewritten sections carrying it, or the
+ * reason it was removed.
+ */
+function buildMapping(sections, rewrite) {
+  const removed = new Map((rewrite.removedSections || []).map(entry => [entry.id, entry.reason]));
+  return sections.map(section => {
+    const rewrittenIds = rewrite.sections
+      .filter(candidate => candidate.sourceSectionIds.includes(section.id))
+      .map(candidate => candidate.id);
+    return {
+      original: { id: section.id, title: section.title, tokens: section.tokens },
+      rewritten: rewrittenIds,
+      status: rewrittenIds.length ? 'rewritten' : removed.has(section.id) ? 'removed' : 'unmapped',
+      ...(removed.has(section.id) && !rewrittenIds.length ? { reason: removed.get(section.id) } : {})
+    };
+  });
+}
+
+/**
+ * Validate a rewrite request. Returns an error message, or null.
+ */
+function validateRewriteRequest(body) {
+  const { prompt, model_configuration: modelConfig, reservedTokens } = body;
+  if (typeof prompt !== 'string' || !prompt.trim()) return 'prompt must be a non-empty string';
+  if (!modelConfig || typeof modelConfig !== 'object') {
+    return 'model_configuration is required to know the token limit';
+  }
+  if (reservedTokens !== undefined && (!Number.isInteger(reservedTokens) || reservedTokens < 0)) {
+    return 'reservedTokens must be a non-negative integer';
+  }
+  const limit = promptTokenLimit(modelConfig, { reservedTokens });
+  if (!limit || limit <= 0) {
+    return 'model_configuration must give a positive prompt_token_limit, or a known model (or context_window) with room left after max_tokens';
+  }
+  return validateProviderOptions(body.llm);
+}
+
+/**
+ * Rewrite `prompt` to fit the token limit of `model_configuration`. A
+ * prompt already within the limit is returned unchanged unless `force` is
+ * set. Resolves to the HTTP status and body to return.
+ */
+async function rewritePrompt(body) {
+  const validationError = validateRewriteRequest(body);
+  if (validationError) return { statusCode: 400, body: { error: validationError } };
+
+  const modelConfig = body.model_configuration;
+  const tokenizer = getTokenizer(modelConfig.model);
+  const limit = promptTokenLimit(modelConfig, { reservedTokens: body.reservedTokens });
+  const originalTokens = tokenizer.count(body.prompt);
+  const tokens = rewrittenTokens => ({
+    encoding: tokenizer.encoding,
+    approximate: tokenizer.approximate,
+    limit,
+    original: originalTokens,
+    rewritten: rewrittenTokens,
+    withinLimit: rewrittenTokens <= limit
+  });
+
+  if (originalTokens <= limit && !body.force) {
+    return { statusCode: 200, body: { rewritten: false, prompt: body.prompt, tokens: tokens(originalTokens) } };
+  }
+
+  const sections = splitSections(body.prompt).map(section => ({ ...section, tokens: tokenizer.count(section.text) }));
+  const llm = createProvider(body.llm);
+  const target = Math.floor(limit * REWRITE_CONFIG.targetRatio);
+
+  // The last parsed rewrite, and the last response (parsed or not) to give feedback on
+  let attempt = null;
+  let previous = null;
+  let attempts = 0;
+  while (attempts < REWRITE_CONFIG.maxAttempts) {
+    attempts++;
+    const response = await llm.complete({
+      messages: [{ role: 'user', content: buildRewritePrompt({ sections, limit, target, previous }) }],
+      temperature: 0.3,
+      maxTokens: Math.min(Math.max(limit * 2, 1000), 16000)
+    });
+
+    let rewrite;
+    try {
+      rewrite = parseRewrite(response.content);
+    } catch (error) {
+      previous = { error: error.message };
+      continue;
+    }
+    const prompt = rewrite.sections.map(section => section.content.trim()).join('\n\n');
+    const mapping = buildMapping(sections, rewrite);
+    const unmapped = mapping.filter(entry => entry.status === 'unmapped').map(entry => entry.original.id);
+    attempt = { rewrite, prompt, mapping, unmapped, tokens: tokenizer.count(prompt) };
+    previous = attempt;
+    if (attempt.tokens <= limit && unmapped.length === 0) break;
+  }
+
+  if (!attempt) {
+    return {
+      statusCode: 502,
+      body: { error: `The LLM response could not be parsed after ${attempts} attempts: ${previous.error}` }
+    };
+  }
+
+  const { rewrite, prompt, mapping, unmapped } = attempt;
+  const problems = [
+    ...(attempt.tokens > limit ? ['is still over the limit'] : []),
+    ...(unmapped.length > 0 ? [`does not account for sections ${unmapped.join(', ')}`] : [])
+  ];
+  return {
+    statusCode: problems.length ? 422 : 200,
+    body: {
+      rewritten: true,
+      ...(problems.length ? { error: `The rewritten prompt ${problems.join(' and ')} after ${attempts} attempts` } : {}),
+      ...(unmapped.length ? { unmappedSections: unmapped } : {}),
+      prompt,
+      tokens: tokens(attempt.tokens),
+      attempts,
+      sections: {
+        original: sections.map(({ id, title, tokens: sectionTokens }) => ({ id, title, tokens: sectionTokens })),
+        rewritten: rewrite.sections.map(section => ({
+          id: section.id,
+          title: section.title || null,
+          tokens: tokenizer.count(section.content),
+          sourceSectionIds: section.sourceSectionIds
+        }))
+      },
+      mapping,
+      notes: rewrite.notes || null
+    }
+  };
+}
+
+module.exports = {
+  REWRITE_CONFIG,
+  splitSections,
+  rewritePrompt
+};
@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { BOT_TYPES, isValidBotId, parseToolComponent } = require('./analysis_prompts');
+const { getResultChangeSet } = require('./analysis_service');
+const { applyChangeSet } = require('./prompt_patcher');
+
+/**
+ * Versioned prompt repository. Every bot component (AGENT, SYSTEM_PROMPT,
+ * dc_node_prompt, ...) has an append-only history of versions numbered from
+ * 1; the newest version is the head. Rolling back creates a new version
+ * with an older content, so history is never rewritten. Tags name versions
+ * and can be moved.
+ *
+ * Each version records its provenance: `manual`, `import` (the prompt an
+ * analysis was run against), `analysis` (produced by accepting an
+ * analysis) or `rollback`.
+ *
+ * Layout: $DATA_DIR/prompts/<botId>/<component>.json
+ */
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+const PROMPT_COMPONENTS = [...new Set(Object.values(BOT_TYPES).flatMap(definition => definition.components))];
+
+// Version references that are not tag names
+const RESERVED_REFS = ['head', 'latest'];
+
+/**
+ * A bot component, or the prompt or description of one CONVERSATION tool
+ * of an agentic bot (`CONVERSATION:<toolId>`, `TOOL_DESCRIPTION:<toolId>`).
+ */
+function isPromptComponent(component) {
+  const tool = parseToolComponent(component);
+  return tool ? /^[\w.-]+$/.test(tool.toolId) : PROMPT_COMPONENTS.includes(component);
+}
+
+function isValidTag(tag) {
+  return typeof tag === 'string' && /^[\w.-]+$/.test(tag) && !/^\d+$/.test(tag) && !RESERVED_REFS.includes(tag);
+}
+
+function checksum(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Find a version by number, tag name, or `head`/`latest`.
+ */
+function resolveVersion(history, ref) {
+  if (!history || ref === undefined || ref === null) return null;
+
+  const value = String(ref);
+  let number;
+  if (RESERVED_REFS.includes(value)) number = history.head;
+  else if (/^\d+$/.test(value)) number = parseInt(value, 10);
+  else number = history.tags[value];
+
+  return history.versions.find(version => version.version === number) || null;
+}
+
+/**
+ * Version metadata without the prompt content, for listings.
+ */
+function describeVersion(version, history = null) {
+  const { content, ...metadata } = version;
+  return {
+    ...metadata,
+    tags: history ? Object.keys(history.tags).filter(tag => history.tags[tag] === version.version) : [],
+    length: content.length
+  };
+}
+
+// ========== Version Store ==========
+
+class PromptVersionStore {
+  constructor({ directory = path.join(DATA_DIR, 'prompts') } = {}) {
+    this.directory = directory;
+    // file -> last pending update, so read-modify-write cycles never interleave
+    this.locks = new Map();
+  }
+
+  historyPath(botId, component) {
+    return path.join(this.directory, botId, `${component}.json`);
+  }
+
+  async get(botId, component) {
+    if (!isValidBotId(botId) || !isPromptComponent(component)) return null;
+    try {
+      return JSON.parse(await fs.readFile(this.historyPath(botId, component), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Component histories of a bot, without their versions.
+   */
+  async list(botId) {
+    if (!isValidBotId(botId)) return [];
+
+    let files;
+    try {
+      files = await fs.readdir(path.join(this.directory, botId));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const histories = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(async file => JSON.parse(await fs.readFile(path.join(this.directory, botId, file), 'utf8')))
+    );
+    return histories.map(({ versions, ...history }) => ({ ...history, versions: versions.length }));
+  }
+
+  /**
+   * Apply `update(history)` to the component history (created when
+   * missing) and save it. Resolves to whatever `update` returns.
+   */
+  update(botId, component, update) {
+    const key = `${botId}/${component}`;
+    const previous = this.locks.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const history = (await this.get(botId, component)) || { botId, component, head: 0, tags: {}, versions: [] };
+      const result = update(history);
+
+      await fs.mkdir(path.join(this.directory, botId), { recursive: true });
+      await fs.writeFile(this.historyPath(botId, component), JSON.stringify(history), 'utf8');
+      return result;
+    });
+
+    this.locks.set(key, next);
+    next.then(() => {
+      if (this.locks.get(key) === next) this.locks.delete(key);
+    }, () => {});
+    return next;
+  }
+
+  /**
+   * Append a version. When `content` equals the head the head is returned
+   * with `created: false` instead of adding a duplicate.
+   */
+  createVersion(botId, component, { content, message = null, author = null, provenance = { type: 'manual' } }) {
+    return this.update(botId, component, history => {
+      const head = resolveVersion(history, 'head');
+      if (head && head.content === content) return { version: head, created: false };
+
+      const version = {
+        version: history.head + 1,
+        content,
+        checksum: checksum(content),
+        createdAt: new Date().toISOString(),
+        message,
+        author,
+        parentVersion: head ? head.version : null,
+        provenance
+      };
+      history.versions.push(version);
+      history.head = version.version;
+      return { version, created: true };
+    });
+  }
+
+  /**
+   * Point `tag` at a version. Resolves to the version, or null when the
+   * reference does not exist.
+   */
+  tag(botId, component, ref, tag) {
+    return this.update(botId, component, history => {
+      const version = resolveVersion(history, ref);
+      if (version) history.tags[tag] = version.version;
+      return version;
+    });
+  }
+
+  /**
+   * Make an older version the head again by appending a copy of it.
+   * Resolves to `{ version, created }`, or null when the reference does not
+   * exist.
+   */
+  rollback(botId, component, ref, { message = null, author = null } = {}) {
+    return this.update(botId, component, history => {
+      const target = resolveVersion(history, ref);
+      if (!target) return null;
+      if (target.version === history.head) return { version: target, created: false };
+
+      const version = {
+        version: history.head + 1,
+        content: target.content,
+        checksum: target.checksum,
+        createdAt: new Date().toISOString(),
+        message: message || `Roll back to version ${target.version}`,
+        author,
+        parentVersion: history.head,
+        provenance: { type: 'rollback', rolledBackTo: target.version }
+      };
+      history.versions.push(version);
+      history.head = version.version;
+      return { version, created: true };
+    });
+  }
+}
+
+let promptVersionStore = null;
+
+function getPromptVersionStore() {
+  if (!promptVersionStore) promptVersionStore = new PromptVersionStore();
+  return promptVersionStore;
+}
+
+// ========== Accepting Analyses ==========
+
+/**
+ * The head content of every component in `prompts`, importing the given
+ * prompt as version 1 for components without history.
+ */
+async function loadHeadPrompts(botId, prompts, { analysisId, author }) {
+  const store = getPromptVersionStore();
+  const heads = {};
+
+  for (const [component, content] of Object.entries(prompts)) {
+    const head = resolveVersion(await store.get(botId, component), 'head');
+    if (head) {
+      heads[component] = { version: head.version, content: head.content };
+      continue;
+    }
+
+    const { version } = await store.createVersion(botId, component, {
+      content,
+      author,
+      message: 'Imported from analysis inputs',
+      provenance: { type: 'import', analysisId }
+    });
+    heads[component] = { version: version.version, content };
+  }
+
+  return heads;
+}
+
+/**
+ * Apply `changeSet` to the bot's head prompts (imported from the analysis
+ * inputs when a component has no history yet) and record a new version for
+ * every component that changed, with the analysis as provenance.
+ */
+async function createVersionsFromChangeSet(botId, record, changeSet, { author = null, message = null, provenance = {} } = {}) {
+  const prompts = BOT_TYPES[record.botType].getPrompts(record.inputs);
+  const heads = await loadHeadPrompts(botId, prompts, { analysisId: record.id, author });
+
+  const headPrompts = {};
+  Object.entries(heads).forEach(([component, head]) => { headPrompts[component] = head.content; });
+  const { patchedPrompts, results, summary } = applyChangeSet(headPrompts, changeSet);
+
+  const versions = {};
+  for (const [component, content] of Object.entries(patchedPrompts)) {
+    if (content === headPrompts[component]) continue;
+
+    const { version } = await getPromptVersionStore().createVersion(botId, component, {
+      content,
+      author,
+      message: message || `Accepted analysis ${record.id}`,
+      provenance: {
+        type: 'analysis',
+        analysisId: record.id,
+        baseVersion: heads[component].version,
+        ...provenance
+      }
+    });
+    versions[component] = describeVersion(version);
+  }
+
+  return { versions, results, summary };
+}
+
+/**
+ * The versions of the bot's components already recorded from `record`,
+ * by component.
+ */
+async function findAnalysisVersions(botId, record) {
+  const versions = {};
+  for (const component of Object.keys(BOT_TYPES[record.botType].getPrompts(record.inputs))) {
+    const history = await getPromptVersionStore().get(botId, component);
+    const version = history && history.versions.find(candidate =>
+      candidate.provenance && candidate.provenance.type === 'analysis' && candidate.provenance.analysisId === record.id);
+    if (version) versions[component] = describeVersion(version);
+  }
+  return versions;
+}
+
+/**
+ * Accept every change suggested by a stored analysis. `botId` defaults to
+ * the analysis's bot. An analysis whose changes were already recorded for
+ * the bot is not applied again: the response is 409 with those versions.
+ * Resolves to the HTTP status and body to return.
+ */
+async function acceptAnalysis(record, { botId = record.botId, author = null, message = null } = {}) {
+  if (!isValidBotId(botId)) {
+    return { statusCode: 400, body: { error: 'The analysis has no botId; provide one to record versions' } };
+  }
+  if (!record.result || record.statusCode !== 200) {
+    return { statusCode: 422, body: { error: `Analysis ${record.id} did not complete successfully` } };
+  }
+
+  const existing = await findAnalysisVersions(botId, record);
+  if (Object.keys(existing).length > 0) {
+    return {
+      statusCode: 409,
+      body: { error: `Analysis ${record.id} was already accepted for bot ${botId}`, botId, analysisId: record.id, versions: existing }
+    };
+  }
+
+  const changeSet = getResultChangeSet(record.botType, record.engine, record.result);
+  const accepted = await createVersionsFromChangeSet(botId, record, changeSet, { author, message });
+  return { statusCode: 201, body: { botId, analysisId: record.id, ...accepted } };
+}
+
+module.exports = {
+  PROMPT_COMPONENTS,
+  isPromptComponent,
+  isValidTag,
+  resolveVersion,
+  describeVersion,
+  getPromptVersionStore,
+  createVersionsFromChangeSet,
+  acceptAnalysis
+};
@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { BOT_TYPES, isValidBotId, resolveBotType, validateBotInputs } = require('./analysis_prompts');
+const { createProvider, validateProviderOptions } = require('./llm_providers');
+const { simulateBotResponse } = require('./bot_simulator');
+const { gradeScenario } = require('./llm_judge');
+const { mapWithConcurrency } = require('./async_pool');
+
+/**
+ * Per-bot regression suites built from the `test_scenarios` that analyses
+ * generate. A suite keeps its scenarios and the bot configuration of the
+ * latest analysis; each run replays every scenario's `user_input` through
+ * the bot model with a given prompt version and lets an LLM judge grade the
+ * reply against `expected_outcome` and `validation_criteria`.
+ *
+ * Layout under $DATA_DIR/suites/<botId>/: suite.json and runs/<runId>.json.
+ */
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const SUITES_DIR = path.join(DATA_DIR, 'suites');
+
+const SUITE_CONFIG = {
+  concurrency: parseInt(process.env.SUITE_CONCURRENCY, 10) || 3
+};
+
+// Request fields that describe the bot rather than one conversation
+const BOT_CONFIG_FIELDS = [
+  'botType',
+  'isAgenticBot',
+  'configuredPrompts',
+  'knowledgeBaseUrls',
+  'dc_node_prompt',
+  'configured_variables',
+  'configured_skills',
+  'model_configuration',
+  'model_response_configuration'
+];
+
+const SCENARIO_FIELDS = ['scenario', 'user_input', 'expected_outcome', 'validation_criteria'];
+
+function pickBotConfiguration(inputs) {
+  const configuration = {};
+  BOT_CONFIG_FIELDS
+    .filter(field => inputs[field] !== undefined)
+    .forEach(field => { configuration[field] = inputs[field]; });
+  return configuration;
+}
+
+function scenarioKey(scenario) {
+  return [scenario.user_input, scenario.expected_outcome]
+    .map(text => String(text).replace(/\s+/g, ' ').trim().toLowerCase())
+    .join('\u0000');
+}
+
+/**
+ * Validate scenarios supplied by a client. Returns an error message, or null.
+ */
+function validateScenarios(scenarios) {
+  if (!Array.isArray(scenarios) || scenarios.length === 0) {
+    return 'scenarios must be a non-empty array';
+  }
+  for (const [index, scenario] of scenarios.entries()) {
+    const missing = SCENARIO_FIELDS.filter(field => typeof (scenario || {})[field] !== 'string');
+    if (missing.length > 0) return `scenarios[${index}] is missing ${missing.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * The test scenarios in an analysis result, wherever the engine put them.
+ */
+function extractTestScenarios(engine, result) {
+  const analysis = engine === 'framework' ? (result || {}).analysis : result;
+  return (analysis && Array.isArray(analysis.test_scenarios)) ? analysis.test_scenarios : [];
+}
+
+// ========== Suite Store ==========
+
+class SuiteStore {
+  constructor({ directory = SUITES_DIR } = {}) {
+    this.directory = directory;
+    // botId -> last pending update, so read-modify-write cycles never interleave
+    this.locks = new Map();
+  }
+
+  suitePath(botId) {
+    return path.join(this.directory, botId, 'suite.json');
+  }
+
+  runsDirectory(botId) {
+    return path.join(this.directory, botId, 'runs');
+  }
+
+  async get(botId) {
+    if (!isValidBotId(botId)) return null;
+    try {
+      return JSON.parse(await fs.readFile(this.suitePath(botId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Apply `update(suite)` to the suite (created when missing) and save it.
+   */
+  update(botId, update) {
+    const previous = this.locks.get(botId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const now = new Date().toISOString();
+      const suite = (await this.get(botId)) || { botId, createdAt: now, configuration: null, scenarios: [] };
+      update(suite);
+      suite.updatedAt = now;
+
+      await fs.mkdir(path.dirname(this.suitePath(botId)), { recursive: true });
+      await fs.writeFile(this.suitePath(botId), JSON.stringify(suite), 'utf8');
+      return suite;
+    });
+
+    this.locks.set(botId, next);
+    next.then(() => {
+      if (this.locks.get(botId) === next) this.locks.delete(botId);
+    }, () => {});
+    return next;
+  }
+
+  /**
+   * Add scenarios that are not in the suite yet (same user input and
+   * expected outcome). Resolves to the suite and the scenarios added.
+   */
+  async addScenarios(botId, scenarios, { sourceAnalysisId = null, configuration = null } = {}) {
+    const added = [];
+    const suite = await this.update(botId, current => {
+      const known = new Set(current.scenarios.map(scenarioKey));
+      for (const scenario of scenarios) {
+        if (known.has(scenarioKey(scenario))) continue;
+        known.add(scenarioKey(scenario));
+
+        const entry = { id: crypto.randomUUID(), createdAt: new Date().toISOString(), sourceAnalysisId };
+        SCENARIO_FIELDS.forEach(field => { entry[field] = scenario[field]; });
+        current.scenarios.push(entry);
+        added.push(entry);
+      }
+      if (configuration) current.configuration = configuration;
+    });
+    return { suite, added };
+  }
+
+  async removeScenario(botId, scenarioId) {
+    let removed = false;
+    await this.update(botId, suite => {
+      const remaining = suite.scenarios.filter(scenario => scenario.id !== scenarioId);
+      removed = remaining.length !== suite.scenarios.length;
+      suite.scenarios = remaining;
+    });
+    return removed;
+  }
+
+  async saveRun(run) {
+    await fs.mkdir(this.runsDirectory(run.botId), { recursive: true });
+    await fs.writeFile(path.join(this.runsDirectory(run.botId), `${run.id}.json`), JSON.stringify(run), 'utf8');
+    return run;
+  }
+
+  /**
+   * Runs of a suite, newest first.
+   */
+  async listRuns(botId) {
+    if (!isValidBotId(botId)) return [];
+
+    let files;
+    try {
+      files = await fs.readdir(this.runsDirectory(botId));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const runs = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(async file => JSON.parse(await fs.readFile(path.join(this.runsDirectory(botId), file), 'utf8')))
+    );
+    return runs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+}
+
+let suiteStore = null;
+
+function getSuiteStore() {
+  if (!suiteStore) suiteStore = new SuiteStore();
+  return suiteStore;
+}
+
+/**
+ * Add the test scenarios of a stored analysis record to the suite of
+ * `botId` (the record's bot by default). Resolves to null when there is no
+ * bot or the analysis has no scenarios.
+ */
+async function addScenariosFromAnalysis(record, botId = record.botId) {
+  const scenarios = extractTestScenarios(record.engine, record.result)
+    .filter(scenario => !validateScenarios([scenario]));
+  if (!isValidBotId(botId) || scenarios.length === 0) return null;
+
+  return getSuiteStore().addScenarios(botId, scenarios, {
+    sourceAnalysisId: record.id,
+    configuration: { ...pickBotConfiguration(record.inputs), botType: record.botType }
+  });
+}
+
+// ========== Suite Runs ==========
+
+/**
+ * Run a bot's suite. The prompt version under test comes from the request's
+ * bot configuration fields, falling back to the suite's stored
+ * configuration. `label` names the version in the history, `scenarioIds`
+ * restricts the run, `botLlm` selects the model replaying the bot (for
+ * example `{ provider: "mock" }` for a local run) and `llm` the judge.
+ * Resolves to the HTTP status and body to return.
+ */
+async function runSuite(botId, body = {}) {
+  const store = getSuiteStore();
+  const suite = await store.get(botId);
+  if (!suite) return { statusCode: 404, body: { error: `No regression suite for bot ${botId}` } };
+
+  const inputs = { ...(suite.configuration || {}), ...pickBotConfiguration(body) };
+  const botType = resolveBotType(inputs);
+  const configError = validateBotInputs(botType, inputs)
+    || validateProviderOptions(body.botLlm)
+    || validateProviderOptions(body.llm);
+  if (configError) return { statusCode: 400, body: { error: configError } };
+  if (body.scenarioIds !== undefined &&
+      (!Array.isArray(body.scenarioIds) || body.scenarioIds.some(id => typeof id !== 'string'))) {
+    return { statusCode: 400, body: { error: 'scenarioIds must be an array of scenario ids' } };
+  }
+
+  const scenarios = body.scenarioIds
+    ? suite.scenarios.filter(scenario => body.scenarioIds.includes(scenario.id))
+    : suite.scenarios;
+  if (scenarios.length === 0) return { statusCode: 422, body: { error: 'The suite has no scenarios to run' } };
+
+  const botOptions = body.botLlm || {};
+  const botLlm = createProvider({
+    provider: botOptions.provider,
+    model: botOptions.model || (inputs.model_configuration || {}).model
+  });
+  const judgeLlm = createProvider(body.llm);
+  const prompts = BOT_TYPES[botType].getPrompts(inputs);
+
+  const results = await mapWithConcurrency(scenarios, SUITE_CONFIG.concurrency, async scenario => {
+    const result = { scenarioId: scenario.id, scenario: scenario.scenario, user_input: scenario.user_input };
+    try {
+      const response = await simulateBotResponse({
+        botType,
+        prompts,
+        inputs,
+        history: [{ role: 'user', content: scenario.user_input }],
+        llm: botLlm
+      });
+      const grade = await gradeScenario(judgeLlm, { scenario, response });
+      return { ...result, response, ...grade };
+    } catch (error) {
+      return { ...result, passed: false, score: 0, error: error.message };
+    }
+  });
+
+  const passed = results.filter(result => result.passed).length;
+  const run = {
+    id: crypto.randomUUID(),
+    botId,
+    createdAt: new Date().toISOString(),
+    label: body.label || null,
+    botType,
+    prompts,
+    model: { provider: botLlm.name, model: botLlm.defaultModel || null },
+    results,
+    summary: {
+      total: results.length,
+      passed,
+      failed: results.length - passed,
+      errored: results.filter(result => result.error).length,
+      passRate: Number((passed / results.length).toFixed(3))
+    }
+  };
+
+  await store.saveRun(run);
+  return { statusCode: 200, body: run };
+}
+
+/**
+ * Pass/fail history of a suite: run summaries (newest first) and, per
+ * scenario, its result in each run.
+ */
+async function getSuiteHistory(botId, { limit = 50 } = {}) {
+  const runs = (await getSuiteStore().listRuns(botId)).slice(0, limit);
+
+  const scenarios = {};
+  for (const run of runs) {
+    for (const result of run.results) {
+      if (!scenarios[result.scenarioId]) scenarios[result.scenarioId] = [];
+      scenarios[result.scenarioId].push({
+        runId: run.id,
+        createdAt: run.createdAt,
+        label: run.label,
+        passed: result.passed,
+        score: result.score
+      });
+    }
+  }
+
+  return {
+    runs: runs.map(({ id, createdAt, label, botType, model, summary }) => ({ id, createdAt, label, botType, model, summary })),
+    scenarios
+  };
+}
+
+module.exports = {
+  SUITE_CONFIG,
+  validateScenarios,
+  getSuiteStore,
+  addScenariosFromAnalysis,
+  runSuite,
+  getSuiteHistory
+};
@@ -0,0 +1,173 @@
+const { ROUTING_TOOLS } = require('./analysis_schemas');
+const { getConversationTools } = require('./analysis_prompts');
+
+/**
+ * Tool routing diagnosis for agentic bots. Many bad responses are not a
+ * problem of the tool that answered but of the AGENT picking the wrong
+ * tool. The routing engine reads the tool the AGENT chose from the
+ * execution context, asks the LLM which tool should have handled the turn
+ * and, for a misroute, keeps only changes to the AGENT prompt and the
+ * CONVERSATION tool descriptions.
+ */
+
+// Execution context keys that hold the routing decision, compared without case, "_" or "-"
+const CHOSEN_TOOL_KEYS = ['selectedtool', 'chosentool', 'tool', 'toolname', 'routedto', 'route', 'routing', 'selectedroute'];
+const TOOL_ID_KEYS = ['toolid', 'selectedtoolid', 'chosentoolid', 'conversationid', 'conversationtoolid'];
+
+const TOOL_ALIASES = {
+  KB: 'KNOWLEDGE_BASE',
+  KNOWLEDGEBASE: 'KNOWLEDGE_BASE',
+  SMALL_TALK: 'SMALLTALK',
+  GENERIC: 'GENERIC_QUERY',
+  GENERICQUERY: 'GENERIC_QUERY'
+};
+
+const MAX_CONTEXT_DEPTH = 6;
+
+function normalizeKey(key) {
+  return key.toLowerCase().replace(/[_-]/g, '');
+}
+
+/**
+ * Map a logged tool name to `{ tool, toolId }`. CONVERSATION tools may be
+ * logged by their id or name.
+ */
+function normalizeTool(value, tools) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const name = value.trim().toUpperCase().replace(/[\s-]+/g, '_');
+  const tool = TOOL_ALIASES[name] || name;
+  if (ROUTING_TOOLS.includes(tool)) return { tool, toolId: null };
+
+  const conversationPrefix = value.match(/^CONVERSATION[:/.](.+)$/i);
+  const candidate = (conversationPrefix ? conversationPrefix[1] : value).trim().toLowerCase();
+  const toolId = Object.keys(tools).find(id =>
+    id.toLowerCase() === candidate || String((tools[id] || {}).name || '').toLowerCase() === candidate);
+  return toolId ? { tool: 'CONVERSATION', toolId } : null;
+}
+
+/**
+ * Breadth-first search of the execution context for values under one of
+ * `keys`, nearest to the root first.
+ */
+function findContextValues(executionContext, keys) {
+  const values = [];
+  let level = [executionContext];
+
+  for (let depth = 0; depth < MAX_CONTEXT_DEPTH && level.length; depth++) {
+    const next = [];
+    for (const node of level) {
+      if (!node || typeof node !== 'object') continue;
+      for (const [key, value] of Object.entries(node)) {
+        if (keys.includes(normalizeKey(key))) values.push(value);
+        if (value && typeof value === 'object') next.push(value);
+      }
+    }
+    level = next;
+  }
+  return values;
+}
+
+/**
+ * The tool the AGENT chose for the targeted turn according to the request's
+ * `executionContext`: `{ tool, toolId }`, or null when it is not recorded.
+ */
+function extractChosenTool(inputs) {
+  const { executionContext, configuredPrompts = {} } = inputs;
+  if (!executionContext || typeof executionContext !== 'object') return null;
+
+  const tools = getConversationTools(configuredPrompts.CONVERSATION) || {};
+  const chosen = findContextValues(executionContext, CHOSEN_TOOL_KEYS)
+    .map(value => normalizeTool(value, tools))
+    .find(Boolean);
+  if (!chosen || chosen.tool !== 'CONVERSATION' || chosen.toolId) return chosen || null;
+
+  const toolId = findContextValues(executionContext, TOOL_ID_KEYS)
+    .map(value => normalizeTool(value, tools))
+    .find(match => match && match.toolId);
+  return { tool: 'CONVERSATION', toolId: toolId ? toolId.toolId : null };
+}
+
+/**
+ * Whether the turn was misrouted, judged on the (possibly logged) chosen
+ * tool. The LLM's own flag only decides between CONVERSATION tools whose
+ * ids are not both known.
+ */
+function isMisroute(routing) {
+  if (routing.chosenTool !== routing.expectedTool) return true;
+  if (routing.chosenTool !== 'CONVERSATION') return false;
+  if (routing.chosenToolId && routing.expectedToolId) {
+    return routing.chosenToolId !== routing.expectedToolId;
+  }
+  return routing.misrouted;
+}
+
+/**
+ * Reconcile the LLM's routing diagnosis with the logged decision. The
+ * logged tool wins over the inferred one, and a turn that was routed
+ * correctly keeps no changes: its fix belongs to the tool prompt.
+ */
+function finalizeRoutingAnalysis(analysis, chosenTool) {
+  const routing = { ...analysis.routing };
+  if (chosenTool) {
+    routing.chosenTool = chosenTool.tool;
+    if (chosenTool.toolId) routing.chosenToolId = chosenTool.toolId;
+    else if (chosenTool.tool !== 'CONVERSATION') delete routing.chosenToolId;
+  }
+  routing.chosenToolSource = chosenTool ? 'executionContext' : 'inferred';
+  routing.misrouted = isMisroute(routing);
+
+  if (routing.misrouted) return { ...analysis, routing };
+  return {
+    ...analysis,
+    routing,
+    promptChanges: {},
+    recommendation: 'The message was routed to the right tool; analyze the tool prompt with the single engine instead.'
+  };
+}
+
+// ========== Confusion Summary ==========
+
+function routeLabel(tool, toolId) {
+  return tool === 'CONVERSATION' && toolId ? `CONVERSATION:${toolId}` : tool;
+}
+
+/**
+ * Routing confusion across stored routing analyses (the `routing` field of
+ * analysis summaries): how often each chosen tool should have been another
+ * one, most frequent confusions first.
+ */
+function summarizeRoutingConfusion(summaries) {
+  const diagnosed = summaries.filter(summary => summary.routing && summary.statusCode === 200);
+  const matrix = {};
+  const confusions = new Map();
+
+  diagnosed.forEach(({ id, createdAt, routing }) => {
+    const chosen = routeLabel(routing.chosenTool, routing.chosenToolId);
+    const expected = routeLabel(routing.expectedTool, routing.expectedToolId);
+    matrix[chosen] = matrix[chosen] || {};
+    matrix[chosen][expected] = (matrix[chosen][expected] || 0) + 1;
+
+    if (!routing.misrouted) return;
+    const key = `${chosen}\u0000${expected}`;
+    const confusion = confusions.get(key) || { chosenTool: chosen, expectedTool: expected, count: 0, analyses: [] };
+    confusion.count++;
+    confusion.analyses.push({ id, createdAt });
+    confusions.set(key, confusion);
+  });
+
+  const misrouted = diagnosed.filter(summary => summary.routing.misrouted).length;
+  return {
+    total: diagnosed.length,
+    misrouted,
+    misrouteRate: diagnosed.length ? Number((misrouted / diagnosed.length).toFixed(3)) : 0,
+    matrix,
+    confusions: [...confusions.values()].sort((a, b) => b.count - a.count)
+  };
+}
+
+module.exports = {
+  extractChosenTool,
+  finalizeRoutingAnalysis,
+  summarizeRoutingConfusion
+};
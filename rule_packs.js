@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { isValidBotId } = require('./analysis_prompts');
+
+/**
+ * Per-bot rule packs: customer-specific policies (for example "re-execute
+ * the troubleshooting skill on every reply that is not a clear yes or no")
+ * that the analyzer must hold the bot to. A bot's pack is injected into the
+ * analyzer's system prompt only for analyses of that bot (`botId`), so one
+ * customer's policies never bias another bot's analysis.
+ *
+ * Each bot has an append-only history of versions numbered from 1; the
+ * newest version is the head. A version with no rules turns the pack off.
+ *
+ * Layout: $DATA_DIR/rule-packs/<botId>.json
+ */
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+const RULE_PACK_LIMITS = {
+  maxRules: 50,
+  maxRuleLength: 2000,
+  maxTitleLength: 200
+};
+
+/**
+ * Validate the title and rules of a new version. Returns an error message,
+ * or null.
+ */
+function validateRulePack({ title, rules }) {
+  if (title !== undefined && title !== null &&
+      (typeof title !== 'string' || !title.trim() || title.length > RULE_PACK_LIMITS.maxTitleLength)) {
+    return `title must be a non-empty string of at most ${RULE_PACK_LIMITS.maxTitleLength} characters`;
+  }
+  if (!Array.isArray(rules) || rules.length > RULE_PACK_LIMITS.maxRules) {
+    return `rules must be an array of at most ${RULE_PACK_LIMITS.maxRules} rules`;
+  }
+  if (rules.some(rule => typeof rule !== 'string' || !rule.trim() || rule.length > RULE_PACK_LIMITS.maxRuleLength)) {
+    return `Each rule must be a non-empty string of at most ${RULE_PACK_LIMITS.maxRuleLength} characters`;
+  }
+  return null;
+}
+
+function checksum(pack) {
+  return crypto.createHash('sha256').update(JSON.stringify([pack.title, pack.rules])).digest('hex');
+}
+
+/**
+ * Find a version by number, or `head`/`latest`.
+ */
+function resolveRulePackVersion(history, ref = 'head') {
+  if (!history) return null;
+  const value = String(ref);
+  const number = value === 'head' || value === 'latest' ? history.head : /^\d+$/.test(value) ? parseInt(value, 10) : null;
+  return history.versions.find(version => version.version === number) || null;
+}
+
+// ========== Rule Pack Store ==========
+
+class RulePackStore {
+  constructor({ directory = path.join(DATA_DIR, 'rule-packs') } = {}) {
+    this.directory = directory;
+    // botId -> last pending update, so read-modify-write cycles never interleave
+    this.locks = new Map();
+  }
+
+  historyPath(botId) {
+    return path.join(this.directory, `${botId}.json`);
+  }
+
+  async get(botId) {
+    if (!isValidBotId(botId)) return null;
+    try {
+      return JSON.parse(await fs.readFile(this.historyPath(botId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Apply `update(history)` to the bot's history (created when missing)
+   * and save it. Resolves to whatever `update` returns.
+   */
+  update(botId, update) {
+    const previous = this.locks.get(botId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const history = (await this.get(botId)) || { botId, head: 0, versions: [] };
+      const result = update(history);
+
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.writeFile(this.historyPath(botId), JSON.stringify(history), 'utf8');
+      return result;
+    });
+
+    this.locks.set(botId, next);
+    next.then(() => {
+      if (this.locks.get(botId) === next) this.locks.delete(botId);
+    }, () => {});
+    return next;
+  }
+
+  /**
+   * Append a version. When the title and rules equal the head the head is
+   * returned with `created: false` instead of adding a duplicate.
+   */
+  createVersion(botId, { title = null, rules, message = null, author = null }) {
+    return this.update(botId, history => {
+      const head = resolveRulePackVersion(history);
+      const pack = { title: title ? title.trim() : null, rules: rules.map(rule => rule.trim()) };
+      const packChecksum = checksum(pack);
+      if (head && head.checksum === packChecksum) return { version: head, created: false };
+
+      const version = {
+        version: history.head + 1,
+        ...pack,
+        checksum: packChecksum,
+        createdAt: new Date().toISOString(),
+        message,
+        author,
+        parentVersion: head ? head.version : null
+      };
+      history.versions.push(version);
+      history.head = version.version;
+      return { version, created: true };
+    });
+  }
+}
+
+let rulePackStore = null;
+
+function getRulePackStore() {
+  if (!rulePackStore) rulePackStore = new RulePackStore();
+  return rulePackStore;
+}
+
+/**
+ * A version of the rule pack of `botId`: `{ botId, version, title, rules,
+ * checksum }`, or null when the bot has no pack or no such version.
+ */
+async function loadRulePack(botId, ref = 'head') {
+  const version = resolveRulePackVersion(await getRulePackStore().get(botId), ref);
+  if (!version) return null;
+  const { title, rules, checksum: packChecksum } = version;
+  return { botId, version: version.version, title, rules, checksum: packChecksum };
+}
+
+module.exports = {
+  RULE_PACK_LIMITS,
+  validateRulePack,
+  resolveRulePackVersion,
+  getRulePackStore,
+  loadRulePack
+};
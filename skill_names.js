@@ -0,0 +1,288 @@
+const { applyChangeSet, locateAnchor } = require('./prompt_patcher');
+
+/**
+ * Skill-name consistency for DC node bots. The bot only executes a skill
+ * when the prompt names it exactly as configured ("Skill - Product
+ * Troubleshooting V4", not "Troubleshooting Skill"). Every skill mention in
+ * `dc_node_prompt` and the variable prompts is cross-referenced against
+ * `configured_skills`; near misses get an exact-name correction as a DC
+ * node modification that can be applied as is.
+ */
+
+const SKILL_MATCH_CONFIG = {
+  // Score from which a mention is a near miss of a configured skill
+  threshold: 0.6,
+  // Candidates closer than this to the best one make a mention ambiguous
+  ambiguityMargin: 0.05
+};
+
+const MENTION_STATUS = {
+  EXACT: 'exact',
+  NEAR_MISS: 'near_miss',
+  AMBIGUOUS: 'ambiguous',
+  UNKNOWN: 'unknown'
+};
+
+const SKILL_REFERENCE_PATTERNS = [
+  // "Skill - Product Troubleshooting V4"
+  /["“'`]?(Skill\s*[-–:]\s*[^"”'`\n.,;()]+?)(?=["”'`]|\s+(?:skill|and|or|then|after|before|to|for|when|if|with)\b|\s*[.,;:)\n]|\s*$)/g,
+  // the "Order Lookup" skill
+  /["“'`]([^"”'`\n]{2,60})["”'`]\s+skill\b/gi,
+  // Troubleshooting Skill, the Order Lookup skill
+  /\b((?:[A-Z][\w-]*\s+){1,4})[Ss]kill\b(?!\s*[-–:])/g
+];
+const UNQUOTED_PATTERN = 2;
+
+const LEADING_WORDS = /^(?:the|this|that|each|any|a|an|use|call|run|execute|trigger|invoke)\s+/i;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Skill names mentioned in `text`: `{ name, offset, length }` for each
+ * configured name, "Skill - X" name, quoted name followed by "skill", and
+ * capitalised name followed by "skill" (whose span includes the word
+ * "skill"). Configured names win over overlapping mentions, then the
+ * longest mention does.
+ */
+function findSkillReferences(text, configuredNames = []) {
+  const candidates = [];
+
+  configuredNames.filter(Boolean).forEach(name => {
+    for (const match of text.matchAll(new RegExp(escapeRegExp(name), 'gi'))) {
+      candidates.push({ name: match[0], offset: match.index, length: match[0].length, configured: true });
+    }
+  });
+
+  SKILL_REFERENCE_PATTERNS.forEach((pattern, index) => {
+    for (const match of text.matchAll(pattern)) {
+      let name = match[1].trim();
+      let offset = match.index + match[0].indexOf(match[1]);
+      let leading;
+      while ((leading = `${name} `.match(LEADING_WORDS))) {
+        name = name.slice(leading[0].length);
+        offset += leading[0].length;
+      }
+      // "Skill" alone, or only leading words, names nothing
+      if (name.length < 2 || /^skill$/i.test(name)) continue;
+      const end = index === UNQUOTED_PATTERN ? match.index + match[0].length : offset + name.length;
+      candidates.push({ name, offset, length: end - offset, configured: false });
+    }
+  });
+
+  const references = [];
+  candidates
+    .sort((a, b) => Number(b.configured) - Number(a.configured) || b.length - a.length)
+    .forEach(candidate => {
+      const overlaps = references.some(reference =>
+        candidate.offset < reference.offset + reference.length && reference.offset < candidate.offset + candidate.length);
+      if (!overlaps) references.push(candidate);
+    });
+  return references
+    .map(({ configured, ...reference }) => reference)
+    .sort((a, b) => a.offset - b.offset);
+}
+
+// ========== Matching ==========
+
+function nameWords(name) {
+  return String(name).toLowerCase()
+    .replace(/\bskill\b/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * How closely a mention matches a configured skill name, from 0 to 1: the
+ * best of word overlap, the share of the mention's words found in the
+ * name (slightly discounted) and character similarity.
+ */
+function scoreSkillName(mention, skill) {
+  const mentionWords = nameWords(mention);
+  const skillWords = nameWords(skill);
+  if (mentionWords.length === 0 || skillWords.length === 0) return 0;
+
+  const shared = mentionWords.filter(word => skillWords.includes(word)).length;
+  const jaccard = shared / new Set([...mentionWords, ...skillWords]).size;
+  const containment = 0.8 * shared / mentionWords.length;
+  const a = mentionWords.join(' ');
+  const b = skillWords.join(' ');
+  const characters = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+  return Number(Math.max(jaccard, containment, characters).toFixed(3));
+}
+
+/**
+ * Match a mentioned name against the configured skills. Returns `{ status,
+ * skill, score, candidates }`.
+ */
+function matchSkillName(name, skills) {
+  if (skills.includes(name)) return { status: MENTION_STATUS.EXACT, skill: name, score: 1, candidates: [] };
+
+  const candidates = skills
+    .map(skill => ({ skill, score: scoreSkillName(name, skill) }))
+    .filter(candidate => candidate.score >= SKILL_MATCH_CONFIG.threshold)
+    .sort((a, b) => b.score - a.score);
+
+  if (candidates.length === 0) return { status: MENTION_STATUS.UNKNOWN, skill: null, score: 0, candidates };
+  const [best, second] = candidates;
+  if (second && best.score - second.score < SKILL_MATCH_CONFIG.ambiguityMargin) {
+    return { status: MENTION_STATUS.AMBIGUOUS, skill: null, score: best.score, candidates };
+  }
+  return { status: MENTION_STATUS.NEAR_MISS, skill: best.skill, score: best.score, candidates };
+}
+
+// ========== Checker ==========
+
+/**
+ * A line with every near miss on it replaced by the configured name.
+ */
+function correctLine(lineText, lineStart, lineMentions) {
+  let updated = lineText;
+  // Replace from the end so earlier offsets stay valid
+  [...lineMentions].sort((a, b) => b.offset - a.offset).forEach(mention => {
+    const at = mention.offset - lineStart;
+    updated = `${updated.slice(0, at)}${mention.skill}${updated.slice(at + mention.length)}`;
+  });
+  return updated;
+}
+
+/**
+ * Mentions of one prompt and the modifications correcting its near misses:
+ * one per line, replacing every misnamed skill on it. A line that is not a
+ * unique anchor (the same line elsewhere in the prompt) is widened with its
+ * neighbouring lines until it is, correcting every line it then covers.
+ * Modifications are computed against the prompt as corrected so far, since
+ * they are applied in order.
+ */
+function checkText(text, skills, { target, variableName = null }) {
+  const mentions = findSkillReferences(text, skills).map(reference => ({
+    target,
+    ...(variableName ? { variableName } : {}),
+    name: reference.name,
+    length: reference.length,
+    line: text.slice(0, reference.offset).split('\n').length,
+    offset: reference.offset,
+    ...matchSkillName(reference.name, skills)
+  }));
+
+  const lines = text.split('\n');
+  const lineStarts = [];
+  lines.reduce((start, line) => {
+    lineStarts.push(start);
+    return start + line.length + 1;
+  }, 0);
+  const byLine = new Map();
+  mentions.filter(mention => mention.status === MENTION_STATUS.NEAR_MISS).forEach(mention => {
+    byLine.set(mention.line - 1, [...(byLine.get(mention.line - 1) || []), mention]);
+  });
+
+  const corrected = [...lines];
+  const done = new Set();
+  const modifications = [];
+  [...byLine.keys()].sort((a, b) => a - b).forEach(lineIndex => {
+    if (done.has(lineIndex)) return;
+
+    let first = lineIndex;
+    let last = lineIndex;
+    const span = () => corrected.slice(first, last + 1).join('\n');
+    while (locateAnchor(corrected.join('\n'), span()).error && (first > 0 || last < lines.length - 1)) {
+      if (last < lines.length - 1) last++;
+      else first--;
+    }
+
+    const current = span();
+    const covered = [];
+    for (let index = first; index <= last; index++) {
+      if (!byLine.has(index) || done.has(index)) continue;
+      corrected[index] = correctLine(lines[index], lineStarts[index], byLine.get(index));
+      done.add(index);
+      covered.push(...byLine.get(index));
+    }
+    modifications.push({
+      target,
+      path: '',
+      ...(variableName ? { variableName } : {}),
+      current,
+      updated: span(),
+      reasoning: `Use the exact configured skill name${covered.length > 1 ? 's' : ''}: ${covered
+        .map(mention => `"${mention.name}" should be "${mention.skill}"`).join(', ')}.`
+    });
+  });
+
+  return { mentions, modifications };
+}
+
+/**
+ * Check the skill names of a DC node bot. Returns the mentions with their
+ * match status, how often each configured skill is named, the corrections
+ * as DC node `promptChanges`, and the prompts with the corrections applied.
+ */
+function checkSkillNames({ dc_node_prompt: prompt = '', configured_variables: variables = [], configured_skills: configuredSkills = [] }) {
+  const skills = configuredSkills.filter(Boolean).map(skill => skill.skill_name).filter(Boolean);
+  const sources = [
+    { target: 'dc_node_prompt', text: prompt },
+    ...variables.filter(variable => variable && typeof variable.variable_content === 'string')
+      .map(variable => ({ target: 'variable_prompt', variableName: variable.variable_name, text: variable.variable_content }))
+  ];
+
+  const checked = sources.map(source => ({ source, ...checkText(source.text, skills, source) }));
+  const mentions = checked.flatMap(entry => entry.mentions);
+  const modifications = checked.flatMap(entry => entry.modifications);
+
+  // Apply each prompt's corrections on its own, so they can be reviewed per prompt
+  const results = [];
+  const patchedVariables = variables.map(variable => ({ ...variable }));
+  let patchedPrompt = prompt;
+  checked.forEach(({ source, modifications: changes }) => {
+    if (changes.length === 0) return;
+    const { patchedPrompts, results: applied } = applyChangeSet({ [source.target]: source.text }, { modifications: changes });
+    results.push(...applied.map(result => ({ ...result, target: source.target, variableName: source.variableName || null })));
+    if (source.target === 'dc_node_prompt') {
+      patchedPrompt = patchedPrompts.dc_node_prompt;
+    } else {
+      patchedVariables.find(variable => variable.variable_name === source.variableName).variable_content = patchedPrompts.variable_prompt;
+    }
+  });
+
+  const summary = { total: mentions.length };
+  Object.values(MENTION_STATUS).forEach(status => {
+    summary[status] = mentions.filter(mention => mention.status === status).length;
+  });
+
+  return {
+    mentions,
+    skills: skills.map(skill => ({
+      name: skill,
+      mentions: mentions.filter(mention => mention.skill === skill && mention.status === MENTION_STATUS.EXACT).length,
+      nearMisses: mentions.filter(mention => mention.skill === skill && mention.status === MENTION_STATUS.NEAR_MISS).length
+    })),
+    summary,
+    promptChanges: { modifications },
+    results,
+    patched: { dc_node_prompt: patchedPrompt, configured_variables: patchedVariables }
+  };
+}
+
+module.exports = {
+  SKILL_MATCH_CONFIG,
+  MENTION_STATUS,
+  findSkillReferences,
+  scoreSkillName,
+  matchSkillName,
+  checkSkillNames
+};
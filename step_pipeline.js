@@ -1,202 +1,72 @@
-const express = require('express');
-const bodyParser = require('body-parser');
-const OpenAI = require('openai');
-const _ = require('lodash');
-const cors = require('cors');
-const dotenv = require('dotenv');
-const fs = require('fs').promises;
-const path = require('path');
-dotenv.config();
-
-// Initialize Express app
-const app = express();
-
-// Configure CORS
-app.use(cors({
-  origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  credentials: true,
-  maxAge: 86400 // 24 hours
-}));
-
-// Add OPTIONS handler for preflight requests
-app.options('/api/analyze-prompt', (req, res) => {
-  res.status(200).end();
-});
-
-app.use(bodyParser.json({ limit: '50mb' }));
-
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-// Cache directory for storing analysis results
-const CACHE_DIR = path.join(__dirname, 'analysis_cache');
-
-// Ensure cache directory exists
-async function ensureCacheDirectory() {
-  try {
-    await fs.mkdir(CACHE_DIR, { recursive: true });
-  } catch (error) {
-    console.error('Error creating cache directory:', error);
-  }
-}
-
-ensureCacheDirectory();
-
 /**
- * Main API endpoint for prompt analysis
+ * Five-step DC node analysis pipeline (problem analysis, root causes,
+ * solutions, validation, refinement) followed by a final report that uses
+ * the DC node output format. Each step is a separate LLM call that sees the
+ * results of the steps before it.
+ *
+ * `onEvent(type, data)` is called with `step-started` and `step-completed`
+ * (carrying the step's parsed result) so callers can report progress.
  */
-app.post('/api/analyze-prompt', async (req, res) => {
-  try {
-    const {
-      conversationHistory,
-      targetBotResponse,
-      userFeedback,
-      executionContext,
-      dc_node_prompt,
-      configured_variables,
-      configured_skills,
-      skill_execution_status,
-      model_configuration,
-      model_response_configuration
-    } = req.body;
-
-    // Validate required fields
-    if (!conversationHistory || !targetBotResponse || !userFeedback) {
-      return res.status(400).json({
-        error: 'Missing required fields. Provide conversationHistory, targetBotResponse, and userFeedback.'
-      });
-    }
 
-    // Validate required DC Node inputs
-    if (!dc_node_prompt) {
-      return res.status(400).json({
-        error: 'Missing required DC Node prompt.'
-      });
-    }
-
-    // Create a unique ID for this analysis request
-    const analysisId = generateAnalysisId(conversationHistory, targetBotResponse, userFeedback);
-    
-    // Check if we have a cached result
-    const cachedResult = await getCachedResult(analysisId);
-    if (cachedResult && process.env.USE_CACHE === 'true') {
-      return res.status(200).json(cachedResult);
-    }
-
-    // Create the agent context
-    const agentContext = {
-      analysisId,
-      conversationHistory,
-      targetBotResponse,
-      userFeedback,
-      executionContext,
-      dc_node_prompt,
-      configured_variables,
-      configured_skills,
-      skill_execution_status,
-      model_configuration,
-      model_response_configuration,
-      workingMemory: {},
-      analysisSteps: []
-    };
-
-    // Execute the agentic analysis pipeline
-    const result = await executeAgentPipeline(agentContext);
-    
-    // Cache the result
-    await cacheResult(analysisId, result);
-    
-    return res.status(200).json(result);
-  } catch (error) {
-    console.error('Error:', error);
-    return res.status(500).json({
-      error: 'An error occurred during prompt analysis',
-      details: error.message
-    });
-  }
-});
+const PIPELINE_STEPS = [
+  'problemAnalysis',
+  'rootCauseAnalysis',
+  'solutionGeneration',
+  'solutionValidation',
+  'solutionRefinement'
+];
+
+// Different steps need different sampling parameters
+const STEP_CONFIGS = {
+  problemAnalysis: { temperature: 0.2, max_tokens: 1500 },
+  rootCauseAnalysis: { temperature: 0.1, max_tokens: 2000 },
+  solutionGeneration: { temperature: 0.7, max_tokens: 2500 },
+  solutionValidation: { temperature: 0.1, max_tokens: 1500 },
+  solutionRefinement: { temperature: 0.3, max_tokens: 2000 }
+};
+
+// ========== Pipeline ==========
 
 /**
- * Generate a unique ID for an analysis request
+ * Run every step and the final report for a DC node analysis request.
  */
-function generateAnalysisId(conversationHistory, targetBotResponse, userFeedback) {
-  const content = JSON.stringify({ 
-    conversationHistory: conversationHistory.slice(-2), // Only use the latest exchanges for the ID
-    targetResponse: targetBotResponse,
-    feedback: userFeedback
-  });
-  
-  // Simple hash function
-  let hash = 0;
-  for (let i = 0; i < content.length; i++) {
-    const char = content.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32bit integer
-  }
-  return `analysis_${Math.abs(hash).toString(16)}`;
-}
+async function runStepPipeline(inputs, llm, { onEvent = () => {} } = {}) {
+  const context = {
+    conversationHistory: inputs.conversationHistory,
+    targetBotResponse: inputs.targetBotResponse,
+    userFeedback: inputs.userFeedback,
+    executionContext: inputs.executionContext,
+    dc_node_prompt: inputs.dc_node_prompt,
+    configured_variables: inputs.configured_variables,
+    configured_skills: inputs.configured_skills,
+    skill_execution_status: inputs.skill_execution_status,
+    model_configuration: inputs.model_configuration,
+    model_response_configuration: inputs.model_response_configuration,
+    workingMemory: {},
+    analysisSteps: []
+  };
 
-/**
- * Check if we have a cached result for this analysis
- */
-async function getCachedResult(analysisId) {
-  try {
-    const cachePath = path.join(CACHE_DIR, `${analysisId}.json`);
-    const data = await fs.readFile(cachePath, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return null; // File doesn't exist or other error
+  for (const [index, stepName] of PIPELINE_STEPS.entries()) {
+    onEvent('step-started', { step: stepName, index, total: PIPELINE_STEPS.length + 1 });
+    const result = await executeStep(context, stepName, llm);
+    onEvent('step-completed', { step: stepName, index, result });
   }
-}
 
-/**
- * Cache an analysis result
- */
-async function cacheResult(analysisId, result) {
-  try {
-    const cachePath = path.join(CACHE_DIR, `${analysisId}.json`);
-    await fs.writeFile(cachePath, JSON.stringify(result), 'utf8');
-  } catch (error) {
-    console.error('Error caching result:', error);
-  }
-}
+  const finalIndex = PIPELINE_STEPS.length;
+  onEvent('step-started', { step: 'finalResponse', index: finalIndex, total: finalIndex + 1 });
+  const finalResponse = await generateFinalResponse(context, llm);
+  onEvent('step-completed', { step: 'finalResponse', index: finalIndex, result: finalResponse });
 
-/**
- * Execute the full agent pipeline
- */
-async function executeAgentPipeline(context) {
-  // Step 1: Initial problem analysis
-  await executeStep(context, 'problemAnalysis');
-  
-  // Step 2: Identify root causes
-  await executeStep(context, 'rootCauseAnalysis');
-  
-  // Step 3: Generate solutions
-  await executeStep(context, 'solutionGeneration');
-  
-  // Step 4: Validate solutions
-  await executeStep(context, 'solutionValidation');
-  
-  // Step 5: Refine solutions
-  await executeStep(context, 'solutionRefinement');
-  
-  // Step 6: Generate final response
-  return await generateFinalResponse(context);
+  return finalResponse;
 }
 
 /**
- * Execute a single step of the agent pipeline
+ * Execute a single step of the pipeline
  */
-async function executeStep(context, stepName) {
-  console.log(`Executing step: ${stepName}`);
-  
+async function executeStep(context, stepName, llm) {
   const prompt = buildStepPrompt(context, stepName);
-  const result = await callLLM(prompt, stepName);
-  
+  const result = await callLLM(llm, prompt, stepName);
+
   // Parse and store the result in context
   try {
     const parsedResult = JSON.parse(result);
@@ -205,7 +75,6 @@ async function executeStep(context, stepName) {
       step: stepName,
       result: parsedResult
     });
-    console.log(`Completed step: ${stepName}`);
     return parsedResult;
   } catch (error) {
     console.error(`Error parsing result for step ${stepName}:`, error);
@@ -217,45 +86,34 @@ async function executeStep(context, stepName) {
 /**
  * Call the LLM with a prompt and get the result
  */
-/**
- * Call the LLM with a prompt and get the result
- */
-async function callLLM(prompt, stepName) {
-    // Different steps might need different parameters
-    const stepConfigs = {
-      problemAnalysis: { temperature: 0.2, max_tokens: 1500 },
-      rootCauseAnalysis: { temperature: 0.1, max_tokens: 2000 },
-      solutionGeneration: { temperature: 0.7, max_tokens: 2500 },
-      solutionValidation: { temperature: 0.1, max_tokens: 1500 },
-      solutionRefinement: { temperature: 0.3, max_tokens: 2000 }
-    };
-    
-    const config = stepConfigs[stepName] || { temperature: 0.5, max_tokens: 2000 };
-    
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [{ role: 'user', content: prompt }],
-      temperature: config.temperature,
-      max_tokens: config.max_tokens
-    });
-    
-    const rawResponse = response.choices[0].message.content;
-    
-    // Clean the response to handle potential markdown code blocks
-    let cleanResponse = rawResponse;
-    
-    // Remove markdown code blocks if present (```json...```)
-    const codeBlockMatch = rawResponse.match(/```(?:json)?([\s\S]*?)```/);
-    if (codeBlockMatch && codeBlockMatch[1]) {
-      cleanResponse = codeBlockMatch[1].trim();
-    }
-    
-    // Remove any leading/trailing backticks and whitespace
-    cleanResponse = cleanResponse.replace(/^`+|`+$/g, '').trim();
-    
-    return cleanResponse;
+async function callLLM(llm, prompt, stepName) {
+  const config = STEP_CONFIGS[stepName] || { temperature: 0.5, max_tokens: 2000 };
+
+  const response = await llm.complete({
+    messages: [{ role: 'user', content: prompt }],
+    temperature: config.temperature,
+    maxTokens: config.max_tokens
+  });
+
+  const rawResponse = response.content;
+
+  // Clean the response to handle potential markdown code blocks
+  let cleanResponse = rawResponse;
+
+  // Remove markdown code blocks if present (```json...```)
+  const codeBlockMatch = rawResponse.match(/```(?:json)?([\s\S]*?)```/);
+  if (codeBlockMatch && codeBlockMatch[1]) {
+    cleanResponse = codeBlockMatch[1].trim();
   }
 
+  // Remove any leading/trailing backticks and whitespace
+  cleanResponse = cleanResponse.replace(/^`+|`+$/g, '').trim();
+
+  return cleanResponse;
+}
+
+// ========== Step Prompts ==========
+
 /**
  * Build the prompt for a specific step of the analysis
  */
@@ -449,7 +307,7 @@ Return a JSON object with the following structure:
 /**
  * Generate the final response based on all analysis steps
  */
-async function generateFinalResponse(context) {
+async function generateFinalResponse(context, llm) {
   const finalPrompt = `
 You are an AI assistant specialized in summarizing chatbot prompt analysis and solutions.
 
@@ -509,7 +367,7 @@ Return a JSON object with the following structure:
   "confidence_score": "High|Medium|Low" // Confidence in the proposed solution
 }`;
 
-  const result = await callLLM(finalPrompt, 'finalResponse');
+  const result = await callLLM(llm, finalPrompt, 'finalResponse');
   
   // Parse the result
   try {
@@ -527,48 +385,7 @@ Return a JSON object with the following structure:
   }
 }
 
-/**
- * Calculate token count for a string
- * This is a simple approximation - production systems should use a proper tokenizer
- */
-function estimateTokenCount(text) {
-  // Rough approximation: 1 token ≈ 4 characters for English text
-  return Math.ceil(text.length / 4);
-}
-
-/**
- * Check for conflicts between prompt sections
- */
-function detectPromptConflicts(prompt) {
-  // This would be a more sophisticated function in a production system
-  // For now, we'll just look for some common patterns that might indicate conflicts
-  
-  const conflictPatterns = [
-    { pattern: /never.*always/i, description: "Contradiction between 'never' and 'always'" },
-    { pattern: /always.*never/i, description: "Contradiction between 'always' and 'never'" },
-    { pattern: /must.*should not/i, description: "Contradiction between 'must' and 'should not'" },
-    { pattern: /should not.*must/i, description: "Contradiction between 'should not' and 'must'" }
-  ];
-  
-  const conflicts = [];
-  
-  for (const { pattern, description } of conflictPatterns) {
-    if (pattern.test(prompt)) {
-      conflicts.push({
-        type: "potential_contradiction",
-        description: description,
-        severity: "medium"
-      });
-    }
-  }
-  
-  return conflicts;
-}
-
-// Start the server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Agentic Prompt Debugger API running on port ${PORT}`);
-});
-
-module.exports = app;
\ No newline at end of file
+module.exports = {
+  PIPELINE_STEPS,
+  runStepPipeline
+};
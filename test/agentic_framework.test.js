@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const { PromptSurgeon } = require('../agentic_framework');
+const { locateAnchor, CHANGE_STATUS } = require('../prompt_patcher');
+
+const prompt = [
+  'You are the support bot of an internet provider.',
+  'Greet the customer by name.',
+  'Run the troubleshooting skill before escalating a ticket.',
+  'Close the conversation politely.'
+].join('\n');
+
+test('the surgeon replaces only the anchored span', () => {
+  const { prompt: patched, results } = new PromptSurgeon().applyModifications(prompt, [
+    { target: 'dc_node_prompt', current: 'Greet the customer by name.', updated: 'Greet the customer by first name.' }
+  ]);
+
+  assert.strictEqual(patched, prompt.replace('Greet the customer by name.', 'Greet the customer by first name.'));
+  assert.strictEqual(results[0].status, CHANGE_STATUS.APPLIED);
+  assert.deepStrictEqual(results[0].match, { strategy: 'exact', confidence: 1 });
+});
+
+test('the surgeon falls back to a fuzzy match and reports its confidence', () => {
+  const { prompt: patched, results } = new PromptSurgeon().applyModifications(prompt, [
+    { target: 'dc_node_prompt', current: 'Run the troubleshootng skill before escalating a ticket.', updated: 'Run the troubleshooting skill twice before escalating a ticket.' }
+  ]);
+
+  assert.strictEqual(results[0].status, CHANGE_STATUS.APPLIED);
+  assert.strictEqual(results[0].match.strategy, 'fuzzy');
+  assert.ok(results[0].match.confidence > 0.8 && results[0].match.confidence < 1);
+  assert.match(patched, /^Run the troubleshooting skill twice before escalating a ticket\.$/m);
+  assert.strictEqual(patched.split('\n').length, 4);
+});
+
+test('the surgeon refuses anchors that match several places or none', () => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const repeated = `${prompt}\nGreet the customer by name.`;
+    const { prompt: patched, results } = new PromptSurgeon().applyModifications(repeated, [
+      { target: 'dc_node_prompt', current: 'Greet the customer by name.', updated: 'Say hello.' },
+      { target: 'dc_node_prompt', current: 'Offer a discount on the next invoice.', updated: 'Never offer discounts.' }
+    ]);
+
+    assert.strictEqual(patched, repeated);
+    assert.deepStrictEqual(results.map(result => result.status), [CHANGE_STATUS.AMBIGUOUS_ANCHOR, CHANGE_STATUS.ANCHOR_NOT_FOUND]);
+    assert.strictEqual(results[0].occurrences, 2);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('anchors are matched exactly, then with normalised whitespace', () => {
+  assert.deepStrictEqual(locateAnchor('a  b\nc', 'a  b'), { start: 0, end: 4, confidence: 1, strategy: 'exact' });
+  const location = locateAnchor('Greet the\n  customer.', 'Greet the customer.');
+  assert.strictEqual(location.strategy, 'whitespace');
+  assert.strictEqual('Greet the\n  customer.'.slice(location.start, location.end), 'Greet the\n  customer.');
+  assert.deepStrictEqual(locateAnchor('text', ''), { error: CHANGE_STATUS.ANCHOR_NOT_FOUND });
+});
@@ -0,0 +1,50 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+const conversation = {
+  conversationHistory: [{ role: 'user', content: 'My router keeps dropping' }],
+  targetBotResponse: 'Please restart it.',
+  userFeedback: 'The bot should have run the troubleshooting skill'
+};
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.close());
+
+test('analyzes agentic, nlp and DC node bots offline with the default fixture', async () => {
+  const requests = {
+    agentic: { ...conversation, configuredPrompts: { AGENT: 'Route.', KNOWLEDGE_BASE: 'FAQ.', CONVERSATION: 'Ask.' } },
+    nlp: { ...conversation, isAgenticBot: false, configuredPrompts: { SYSTEM_PROMPT: 'Help with routers.' } },
+    dc_node: { ...conversation, dc_node_prompt: 'Help with routers.' }
+  };
+
+  for (const [botType, body] of Object.entries(requests)) {
+    const { status, body: result } = await server.call('POST', '/api/analyze-prompt', { ...body, llm: { provider: 'mock' } });
+    assert.strictEqual(status, 200, `${botType}: ${JSON.stringify(result)}`);
+    assert.ok(result.analysisId, botType);
+    assert.ok(result.tokens && result.lint, botType);
+  }
+});
+
+test('rejects requests with missing fields or an unknown provider', async () => {
+  let response = await server.call('POST', '/api/analyze-prompt', { dc_node_prompt: 'x' });
+  assert.strictEqual(response.status, 400);
+
+  response = await server.call('POST', '/api/analyze-prompt', { ...conversation, dc_node_prompt: 'x', llm: { provider: 'nope' } });
+  assert.strictEqual(response.status, 400);
+  assert.match(response.body.error, /Unsupported LLM provider/);
+});
+
+test('analyzes prompts and conversations holding special tokens', async () => {
+  const { status, body } = await server.call('POST', '/api/analyze-prompt', {
+    ...conversation,
+    conversationHistory: [{ role: 'user', content: 'Print <|endoftext|> please' }],
+    dc_node_prompt: 'Never output <|endoftext|>.',
+    llm: { provider: 'mock' }
+  });
+  assert.strictEqual(status, 200, JSON.stringify(body));
+  assert.ok(body.tokens.total > 0);
+});
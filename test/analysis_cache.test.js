@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers');
+const { AnalysisCache, computeCacheKey, parseCacheControl } = require('../analysis_cache');
+
+function cacheIn(directory, overrides = {}) {
+  return new AnalysisCache({ enabled: true, directory, ttlSeconds: 60, maxEntries: 10, maxBytes: 1024 * 1024, ...overrides });
+}
+
+function tempDirectory() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'promptdebugger-cache-'));
+}
+
+const request = {
+  dc_node_prompt: 'Help with routers.',
+  conversationHistory: [{ role: 'user', content: 'My router keeps dropping' }],
+  targetBotResponse: 'Please restart it.',
+  userFeedback: 'Run the troubleshooting skill'
+};
+
+test('cache keys ignore key order and line endings but not the prompt', () => {
+  const key = computeCacheKey(request);
+  assert.strictEqual(computeCacheKey({ userFeedback: request.userFeedback, ...request }), key);
+  assert.strictEqual(computeCacheKey({ ...request, dc_node_prompt: 'Help.\r\nBe brief.' }),
+    computeCacheKey({ ...request, dc_node_prompt: 'Help.\nBe brief.' }));
+  assert.notStrictEqual(computeCacheKey({ ...request, dc_node_prompt: 'Help with modems.' }), key);
+  assert.notStrictEqual(computeCacheKey(request, { namespace: 'other' }), key);
+});
+
+test('reads Cache-Control directives', () => {
+  assert.strictEqual(parseCacheControl('no-store'), 'no-store');
+  assert.strictEqual(parseCacheControl('max-age=0, No-Cache'), 'no-cache');
+  assert.strictEqual(parseCacheControl(), 'default');
+});
+
+test('misses, stores, hits and expires entries', async () => {
+  const directory = tempDirectory();
+  const cache = cacheIn(directory);
+  assert.strictEqual(await cache.get('a'), null);
+
+  await cache.set('a', { statusCode: 200, body: { ok: true } });
+  assert.deepStrictEqual(await cache.get('a'), { statusCode: 200, body: { ok: true } });
+  assert.deepStrictEqual(await cacheIn(directory).get('a'), { statusCode: 200, body: { ok: true } });
+
+  const expired = cacheIn(directory, { ttlSeconds: -1 });
+  await expired.set('b', { statusCode: 200, body: {} });
+  assert.strictEqual(await expired.get('b'), null);
+  assert.ok(!fs.existsSync(path.join(directory, 'b.json')));
+});
+
+test('evicts the least recently used entries from memory and disk', async () => {
+  const directory = tempDirectory();
+  const cache = cacheIn(directory, { maxEntries: 2 });
+  await cache.set('a', { statusCode: 200, body: {} });
+  await cache.set('b', { statusCode: 200, body: {} });
+  await cache.get('a');
+  await cache.set('c', { statusCode: 200, body: {} });
+
+  assert.strictEqual(await cache.get('b'), null);
+  assert.ok(!fs.existsSync(path.join(directory, 'b.json')));
+  assert.deepStrictEqual(fs.readdirSync(directory).sort(), ['a.json', 'c.json']);
+
+  // Entries already on disk beyond the limit are evicted when loading
+  assert.strictEqual((await cacheIn(directory, { maxEntries: 1 }).get('a')), null);
+  assert.deepStrictEqual(fs.readdirSync(directory), ['c.json']);
+});
+
+test('skips and removes unreadable entries instead of failing', async () => {
+  const directory = tempDirectory();
+  await cacheIn(directory).set('good', { statusCode: 200, body: { ok: true } });
+  fs.writeFileSync(path.join(directory, 'corrupt.json'), '{"key": "corr');
+
+  const cache = cacheIn(directory);
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.deepStrictEqual(await cache.get('good'), { statusCode: 200, body: { ok: true } });
+  } finally {
+    console.warn = warn;
+  }
+  assert.strictEqual(await cache.get('corrupt'), null);
+  assert.ok(!fs.existsSync(path.join(directory, 'corrupt.json')));
+});
+
+test('concurrent first lookups share one index scan', async () => {
+  const directory = tempDirectory();
+  await cacheIn(directory).set('a', { statusCode: 200, body: {} });
+
+  const cache = cacheIn(directory);
+  let scans = 0;
+  const readIndex = cache.readIndex.bind(cache);
+  cache.readIndex = () => {
+    scans += 1;
+    return readIndex();
+  };
+  const results = await Promise.all([cache.get('a'), cache.get('a'), cache.get('missing')]);
+  assert.strictEqual(scans, 1);
+  assert.deepStrictEqual(results.map(Boolean), [true, true, false]);
+});
@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+const { buildAnalysisPrompt, expandConversationTools, parseToolComponent } = require('../analysis_prompts');
+
+const tools = {
+  refunds: { name: 'Refunds', description: 'Handles refund requests', prompt: 'Ask for the order number.' },
+  outages: { name: 'Outages', prompt: 'Check the outage map.' }
+};
+
+const request = {
+  configuredPrompts: { AGENT: 'Route.', KNOWLEDGE_BASE: 'FAQ.', CONVERSATION: tools },
+  conversationHistory: [{ role: 'user', content: 'I want my money back' }],
+  targetBotResponse: 'Please restart your router.',
+  userFeedback: 'The refunds tool should have asked for the order number',
+  llm: { provider: 'mock' }
+};
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.close());
+
+test('expands a tool map into one component per tool prompt and description', () => {
+  assert.deepStrictEqual(expandConversationTools({ AGENT: 'Route.', CONVERSATION: tools }), {
+    AGENT: 'Route.',
+    'CONVERSATION:refunds': 'Ask for the order number.',
+    'CONVERSATION:outages': 'Check the outage map.',
+    'TOOL_DESCRIPTION:refunds': 'Handles refund requests',
+    'TOOL_DESCRIPTION:outages': ''
+  });
+  assert.deepStrictEqual(expandConversationTools({ CONVERSATION: 'Ask.' }), { CONVERSATION: 'Ask.' });
+  assert.deepStrictEqual(parseToolComponent('CONVERSATION:refunds'), { component: 'CONVERSATION', toolId: 'refunds' });
+  assert.strictEqual(parseToolComponent('AGENT:refunds'), null);
+});
+
+test('the analysis prompt shows each tool separately', () => {
+  const prompt = buildAnalysisPrompt('agentic', request);
+  assert.match(prompt, /This bot has 2 CONVERSATION tools/);
+  assert.match(prompt, /### CONVERSATION TOOL "refunds"\nName: Refunds\nDescription: Handles refund requests\nPrompt:\nAsk for the order number\./);
+  assert.match(prompt, /### CONVERSATION TOOL "outages"\nName: Outages\nDescription: Not provided/);
+});
+
+test('changes name the tool they target', async () => {
+  const { status, body } = await server.call('POST', '/api/apply-changes', {
+    configuredPrompts: request.configuredPrompts,
+    promptChanges: {
+      modifications: [
+        { component: 'CONVERSATION', toolId: 'refunds', current: 'Ask for the order number.', updated: 'Ask for the order number and the email.' },
+        { component: 'CONVERSATION', current: 'Check the outage map.', updated: 'Check the map.' }
+      ],
+      additions: [{ component: 'TOOL_DESCRIPTION', toolId: 'outages', newInstruction: 'Handles outage reports' }]
+    }
+  });
+
+  assert.strictEqual(status, 200, JSON.stringify(body));
+  assert.deepStrictEqual(body.results.map(result => [result.component, result.status]), [
+    ['CONVERSATION:refunds', 'applied'],
+    // Without toolId a change is ambiguous between two tools
+    ['CONVERSATION', 'component_not_found'],
+    ['TOOL_DESCRIPTION:outages', 'applied']
+  ]);
+  assert.strictEqual(body.patchedPrompts['CONVERSATION:refunds'], 'Ask for the order number and the email.');
+  assert.strictEqual(body.patchedPrompts['TOOL_DESCRIPTION:outages'], 'Handles outage reports');
+  assert.deepStrictEqual(Object.keys(body.diffs).sort(), ['CONVERSATION:refunds', 'TOOL_DESCRIPTION:outages']);
+});
+
+test('a change without toolId applies to the only tool', async () => {
+  const { body } = await server.call('POST', '/api/apply-changes', {
+    configuredPrompts: { CONVERSATION: { refunds: tools.refunds } },
+    promptChanges: { modifications: [{ component: 'CONVERSATION', current: 'Ask for the order number.', updated: 'Ask for the invoice.' }] }
+  });
+  assert.strictEqual(body.results[0].component, 'CONVERSATION:refunds');
+  assert.strictEqual(body.patchedPrompts['CONVERSATION:refunds'], 'Ask for the invoice.');
+});
+
+test('analyzes a bot with a tool map and rejects malformed tools', async () => {
+  const { status, body } = await server.call('POST', '/api/analyze-prompt', request);
+  assert.strictEqual(status, 200, JSON.stringify(body));
+
+  for (const [CONVERSATION, error] of [
+    [{}, /CONVERSATION must be a prompt or a map/],
+    [{ 'bad id': tools.refunds }, /Invalid CONVERSATION tool id/],
+    [{ refunds: { name: 'Refunds' } }, /missing its prompt/],
+    [{ refunds: { ...tools.refunds, name: 5 } }, /name must be strings/]
+  ]) {
+    const response = await server.call('POST', '/api/analyze-prompt', { ...request, configuredPrompts: { ...request.configuredPrompts, CONVERSATION } });
+    assert.strictEqual(response.status, 400, JSON.stringify(CONVERSATION));
+    assert.match(response.body.error, error);
+  }
+});
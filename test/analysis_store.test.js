@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers');
+const { FileSystemAnalysisStore } = require('../analysis_store');
+
+function record(id, { botId = 'router-bot', createdAt, confidence = 'High' } = {}) {
+  return {
+    id,
+    botId,
+    botType: 'dc_node',
+    engine: 'single',
+    createdAt,
+    statusCode: 200,
+    confidence,
+    model: { provider: 'mock', model: 'mock' },
+    timings: { durationMs: 5 },
+    inputs: { dc_node_prompt: 'Help with routers.' },
+    result: { confidence_score: confidence }
+  };
+}
+
+function storeIn() {
+  return new FileSystemAnalysisStore({ directory: fs.mkdtempSync(path.join(os.tmpdir(), 'promptdebugger-analyses-')) });
+}
+
+test('saves records atomically and returns them by id', async () => {
+  const store = storeIn();
+  await store.save(record('a', { createdAt: '2026-01-01T00:00:00.000Z' }));
+
+  assert.deepStrictEqual(fs.readdirSync(store.directory), ['a.json']);
+  assert.strictEqual((await store.get('a')).inputs.dc_node_prompt, 'Help with routers.');
+  assert.strictEqual(await store.get('missing'), null);
+  assert.strictEqual(await store.get('../a'), null);
+});
+
+test('lists summaries newest first with filters, limit and offset', async () => {
+  const store = storeIn();
+  await store.save(record('a', { createdAt: '2026-01-01T00:00:00.000Z' }));
+  await store.save(record('b', { createdAt: '2026-01-03T00:00:00.000Z', confidence: 'Low' }));
+  await store.save(record('c', { createdAt: '2026-01-02T00:00:00.000Z', botId: 'other-bot' }));
+
+  assert.deepStrictEqual((await store.list()).map(summary => summary.id), ['b', 'c', 'a']);
+  assert.strictEqual((await store.list()).find(summary => summary.id === 'a').inputs, undefined);
+  assert.deepStrictEqual((await store.list({ botId: 'router-bot' })).map(summary => summary.id), ['b', 'a']);
+  assert.deepStrictEqual((await store.list({ confidence: ['Low'] })).map(summary => summary.id), ['b']);
+  assert.deepStrictEqual((await store.list({ from: new Date('2026-01-02T00:00:00.000Z') })).map(summary => summary.id), ['b', 'c']);
+  assert.deepStrictEqual((await store.list({ limit: 1, offset: 1 })).map(summary => summary.id), ['c']);
+});
+
+test('lists records written by another store and forgets deleted ones', async () => {
+  const store = storeIn();
+  await store.save(record('a', { createdAt: '2026-01-01T00:00:00.000Z' }));
+  assert.strictEqual((await store.list()).length, 1);
+
+  await new FileSystemAnalysisStore({ directory: store.directory }).save(record('b', { createdAt: '2026-01-02T00:00:00.000Z' }));
+  fs.rmSync(path.join(store.directory, 'a.json'));
+  assert.deepStrictEqual((await store.list()).map(summary => summary.id), ['b']);
+});
+
+test('skips unreadable records instead of failing the listing', async () => {
+  const store = storeIn();
+  await store.save(record('a', { createdAt: '2026-01-01T00:00:00.000Z' }));
+  fs.writeFileSync(path.join(store.directory, 'corrupt.json'), '{"id": "corr');
+  fs.writeFileSync(path.join(store.directory, 'partial.json'), JSON.stringify({ id: 'partial' }));
+
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+  try {
+    assert.deepStrictEqual((await store.list()).map(summary => summary.id), ['a']);
+  } finally {
+    console.warn = warn;
+  }
+  assert.strictEqual(warnings.length, 2);
+});
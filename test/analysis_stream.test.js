@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+const { MockProvider } = require('../llm_providers');
+
+const request = {
+  conversationHistory: [{ role: 'user', content: 'My router keeps dropping' }],
+  targetBotResponse: 'Please restart it.',
+  userFeedback: 'The bot should have run the troubleshooting skill',
+  dc_node_prompt: 'Help with routers.',
+  llm: { provider: 'mock' }
+};
+
+/**
+ * Parse a Server-Sent Events body into `{ event, data }` entries.
+ */
+function parseEvents(text) {
+  return text.trim().split('\n\n').map(chunk => {
+    const [eventLine, dataLine] = chunk.split('\n');
+    return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+  });
+}
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.close());
+
+test('streams the steps of a single analysis and the final response', async () => {
+  const { status, body } = await server.call('POST', '/api/analyze-prompt/stream', request);
+  assert.strictEqual(status, 200);
+
+  const events = parseEvents(body);
+  assert.deepStrictEqual(events.map(({ event, data }) => `${event}:${data.step || ''}`),
+    ['step-started:analysis', 'step-completed:analysis', 'final:']);
+  assert.ok(events[1].data.result.promptChanges);
+  const final = events[2].data;
+  assert.strictEqual(final.statusCode, 200);
+  assert.strictEqual(final.cacheStatus, null);
+  assert.ok(final.body.analysisId);
+});
+
+test('streams every pipeline step with its position', async () => {
+  const { body } = await server.call('POST', '/api/analyze-prompt/stream', { ...request, engine: 'pipeline' });
+  const events = parseEvents(body);
+  const started = events.filter(({ event }) => event === 'step-started');
+
+  assert.strictEqual(started.length, started[0].data.total);
+  assert.deepStrictEqual(started.map(({ data }) => data.index), started.map((_, index) => index));
+  assert.strictEqual(started[started.length - 1].data.step, 'finalResponse');
+  assert.strictEqual(events.filter(({ event }) => event === 'step-completed').length, started.length);
+  assert.strictEqual(events[events.length - 1].event, 'final');
+});
+
+test('streams an error event when the analysis fails', async () => {
+  const complete = MockProvider.prototype.complete;
+  const consoleError = console.error;
+  MockProvider.prototype.complete = async () => { throw new Error('provider down'); };
+  console.error = () => {};
+  try {
+    const { status, body } = await server.call('POST', '/api/analyze-prompt/stream', { ...request, userFeedback: 'Failing run' });
+    assert.strictEqual(status, 200);
+    const events = parseEvents(body);
+    assert.deepStrictEqual(events.map(({ event }) => event), ['step-started', 'error']);
+    assert.match(events[1].data.details, /provider down/);
+  } finally {
+    MockProvider.prototype.complete = complete;
+    console.error = consoleError;
+  }
+});
+
+test('answers invalid requests with a JSON 400', async () => {
+  const { status, body } = await server.call('POST', '/api/analyze-prompt/stream', { dc_node_prompt: 'x' });
+  assert.strictEqual(status, 400);
+  assert.ok(body.error);
+});
@@ -0,0 +1,45 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+const item = {
+  conversationHistory: [{ role: 'user', content: 'My router keeps dropping' }],
+  targetBotResponse: 'Please restart it.',
+  userFeedback: 'The bot should have run the troubleshooting skill'
+};
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.close());
+
+test('analyzes every item and consolidates their change sets', async () => {
+  const { status, body } = await server.call('POST', '/api/analyze-batch', {
+    dc_node_prompt: 'Help with routers.',
+    llm: { provider: 'mock' },
+    concurrency: 2,
+    items: [{ id: 'first', ...item }, { ...item, userFeedback: 'Too short' }]
+  });
+
+  assert.strictEqual(status, 200, JSON.stringify(body));
+  assert.strictEqual(body.botType, 'dc_node');
+  assert.deepStrictEqual(body.items.map(entry => [entry.source, entry.status]), [['first', 'completed'], [1, 'completed']]);
+  assert.ok(body.items.every(entry => entry.analysisId));
+  assert.deepStrictEqual(body.consolidated.conflicts, []);
+  assert.deepStrictEqual(body.summary, { items: 2, completed: 2, failed: 0, suggestions: 0, merged: 0, conflicts: 0 });
+});
+
+test('rejects invalid batches', async () => {
+  const base = { dc_node_prompt: 'Help with routers.', llm: { provider: 'mock' } };
+  for (const [body, error] of [
+    [{ ...base, items: [] }, /items must be a non-empty array/],
+    [{ ...base, items: [item], concurrency: 0 }, /concurrency/],
+    [{ ...base, items: [item, null] }, /items\[1\] must be an object/],
+    [{ ...base, items: [{ ...item, userFeedback: undefined }] }, /items\[0\]/]
+  ]) {
+    const response = await server.call('POST', '/api/analyze-batch', body);
+    assert.strictEqual(response.status, 400, JSON.stringify(body));
+    assert.match(response.body.error, error);
+  }
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { consolidateChangeSets } = require('../change_consolidator');
+
+const prompts = { AGENT: 'Greet the user.\nAnswer briefly.\nClose politely.' };
+
+test('merges equivalent suggestions and counts their sources', () => {
+  const { changeSet, conflicts, summary } = consolidateChangeSets(prompts, [
+    { source: 'a', changeSet: { modifications: [{ component: 'AGENT', current: 'Answer briefly.', updated: 'Answer briefly and politely.' }] } },
+    { source: 'b', changeSet: { modifications: [{ component: 'AGENT', current: 'Answer briefly.', updated: 'Answer briefly and  politely!' }] } },
+    { source: 'c', changeSet: { deletions: [{ component: 'AGENT', instructionText: 'Close politely.' }] } }
+  ]);
+
+  assert.deepStrictEqual(conflicts, []);
+  assert.strictEqual(changeSet.modifications.length, 1);
+  assert.deepStrictEqual(changeSet.modifications[0].sources, ['a', 'b']);
+  assert.strictEqual(changeSet.modifications[0].support, 2);
+  assert.deepStrictEqual(changeSet.deletions[0].sources, ['c']);
+  assert.deepStrictEqual(summary, { suggestions: 3, merged: 2, conflicts: 0 });
+});
+
+test('reports suggestions that edit the same span differently as conflicts', () => {
+  const { changeSet, conflicts } = consolidateChangeSets(prompts, [
+    { source: 'a', changeSet: { modifications: [{ component: 'AGENT', current: 'Answer briefly.', updated: 'Answer in detail.' }] } },
+    { source: 'b', changeSet: { modifications: [{ component: 'AGENT', current: 'Answer briefly', updated: 'Answer in one sentence.' }] } },
+    { source: 'c', changeSet: { deletions: [{ component: 'AGENT', instructionText: 'Answer briefly.' }] } }
+  ]);
+
+  assert.deepStrictEqual(changeSet.modifications, []);
+  assert.deepStrictEqual(changeSet.deletions, []);
+  assert.strictEqual(conflicts.length, 1);
+  assert.strictEqual(conflicts[0].component, 'AGENT');
+  assert.deepStrictEqual(conflicts[0].candidates.map(candidate => candidate.type), ['modifications', 'modifications', 'deletions']);
+});
+
+test('keeps different additions at the same place', () => {
+  const { changeSet, conflicts } = consolidateChangeSets(prompts, [
+    { source: 'a', changeSet: { additions: [{ component: 'AGENT', preText: 'Greet the user.', newInstruction: 'Ask for the order number.' }] } },
+    { source: 'b', changeSet: { additions: [{ component: 'AGENT', preText: 'Greet the user.', newInstruction: 'Offer the FAQ link.' }] } }
+  ]);
+
+  assert.deepStrictEqual(conflicts, []);
+  assert.deepStrictEqual(changeSet.additions.map(change => change.newInstruction), ['Ask for the order number.', 'Offer the FAQ link.']);
+});
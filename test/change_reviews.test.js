@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, fixturesWith } = require('./helpers');
+
+const fixture = JSON.parse(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'llm', 'default.json'), 'utf8')).content);
+process.env.LLM_FIXTURES_DIR = fixturesWith({
+  ...fixture,
+  promptChanges: {
+    modifications: [{ component: 'AGENT', current: 'Answer briefly.', updated: 'Route router issues to troubleshooting.', reasoning: 'Routing was skipped.' }],
+    additions: [{ component: 'AGENT', newInstruction: 'Escalate after two failed attempts.', reasoning: 'No escalation rule.' }],
+    deletions: [{ component: 'AGENT', instructionText: 'Never mention competitors.', reasoning: 'Not related.' }]
+  }
+});
+
+const analysis = {
+  botId: 'review-bot',
+  configuredPrompts: { AGENT: 'Help with routers.\nAnswer briefly.\nNever mention competitors.', KNOWLEDGE_BASE: 'FAQ.', CONVERSATION: 'Ask.' },
+  conversationHistory: [{ role: 'user', content: 'My router keeps dropping' }],
+  targetBotResponse: 'Please restart it.',
+  userFeedback: 'The bot should have run the troubleshooting skill',
+  llm: { provider: 'mock' }
+};
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.close());
+
+test('applies only accepted and edited changes, once', async () => {
+  const { body: analyzed } = await server.call('POST', '/api/analyze-prompt', analysis);
+  const base = `/api/analyses/${analyzed.analysisId}/review`;
+
+  const review = await server.call('GET', base);
+  assert.strictEqual(review.status, 200, JSON.stringify(review.body));
+  assert.deepStrictEqual(review.body.changes.map(change => [change.type, change.status]),
+    [['modifications', 'pending'], ['deletions', 'pending'], ['additions', 'pending']]);
+  assert.deepStrictEqual((await server.call('GET', base)).body.changes.map(change => change.id),
+    review.body.changes.map(change => change.id));
+  const [modification, deletion, addition] = review.body.changes.map(change => change.id);
+
+  assert.strictEqual((await server.call('POST', `${base}/apply`, {})).status, 422);
+
+  const edited = await server.call('POST', `${base}/changes/${modification}`, {
+    decision: 'edit', change: { updated: 'Answer briefly and run troubleshooting.' }, comment: 'Keep it short', reviewer: 'qa'
+  });
+  assert.strictEqual(edited.status, 200, JSON.stringify(edited.body));
+  assert.strictEqual(edited.body.change.status, 'edited');
+  await server.call('POST', `${base}/changes/${deletion}`, { decision: 'reject', reviewer: 'qa' });
+  await server.call('POST', `${base}/changes/${addition}`, { decision: 'reject', reviewer: 'qa' });
+  const accepted = await server.call('POST', `${base}/changes/${addition}`, { decision: 'accept', reviewer: 'lead' });
+  assert.deepStrictEqual(accepted.body.summary, { total: 3, pending: 0, accepted: 1, rejected: 1, edited: 1 });
+
+  const applied = await server.call('POST', `${base}/apply`, { author: 'lead' });
+  assert.strictEqual(applied.status, 201, JSON.stringify(applied.body));
+  const head = await server.call('GET', '/api/prompts/review-bot/AGENT/versions/head');
+  assert.strictEqual(head.body.content,
+    'Help with routers.\nAnswer briefly and run troubleshooting.\nNever mention competitors.\nEscalate after two failed attempts.');
+
+  const audit = (await server.call('GET', base)).body.audit;
+  assert.deepStrictEqual(audit.map(entry => entry.action), ['edit', 'reject', 'reject', 'accept', 'apply']);
+  assert.strictEqual((await server.call('POST', `${base}/apply`, {})).status, 409);
+  assert.strictEqual((await server.call('POST', `${base}/changes/${deletion}`, { decision: 'accept' })).status, 409);
+});
+
+test('rejects invalid decisions and unknown changes', async () => {
+  const { body: analyzed } = await server.call('POST', '/api/analyze-prompt', { ...analysis, userFeedback: 'Second review' });
+  const base = `/api/analyses/${analyzed.analysisId}/review`;
+  const { body: review } = await server.call('GET', base);
+  const modification = review.changes[0].id;
+
+  for (const decision of [
+    { decision: 'maybe' },
+    { decision: 'accept', comment: 5 },
+    { decision: 'edit' },
+    { decision: 'edit', change: { instructionText: 'x' } },
+    { decision: 'edit', change: { updated: 5 } }
+  ]) {
+    assert.strictEqual((await server.call('POST', `${base}/changes/${modification}`, decision)).status, 400, JSON.stringify(decision));
+  }
+  assert.strictEqual((await server.call('POST', `${base}/changes/missing`, { decision: 'accept' })).status, 404);
+});
@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+const { diffLines, parseContext, renderDiff, renderComponentDiffs } = require('../diff_renderer');
+
+const original = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight'].join('\n');
+const patched = ['one', 'two', 'THREE', 'four', 'five', 'six', 'seven', 'eight', 'nine'].join('\n');
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.close());
+
+test('diffs lines with their line numbers', () => {
+  assert.deepStrictEqual(diffLines('a\nb', 'a\nc\n'), [
+    { type: 'context', text: 'a', oldLine: 1, newLine: 1 },
+    { type: 'remove', text: 'b', oldLine: 2 },
+    { type: 'add', text: 'c', newLine: 2 }
+  ]);
+});
+
+test('renders unified text, hunks and HTML', () => {
+  const diff = renderDiff(original, patched, { context: 1 });
+
+  assert.strictEqual(diff.changed, true);
+  assert.deepStrictEqual(diff.hunks.map(({ oldStart, oldLines, newStart, newLines }) => [oldStart, oldLines, newStart, newLines]),
+    [[2, 3, 2, 3], [8, 1, 8, 2]]);
+  assert.match(diff.unified, /^--- original\n\+\+\+ patched\n@@ -2,3 \+2,3 @@\n two\n-three\n\+THREE\n four\n/);
+  assert.match(diff.html, /<table/);
+  assert.match(diff.html, /nine/);
+
+  // Hunks closer than twice the context are merged
+  assert.strictEqual(renderDiff(original, patched).hunks.length, 1);
+  assert.strictEqual(renderDiff(original, patched, { context: 0 }).hunks[0].oldLines, 1);
+  assert.strictEqual(renderDiff(original, original).changed, false);
+  assert.deepStrictEqual(renderDiff(original, original).hunks, []);
+});
+
+test('escapes HTML in prompt text', () => {
+  assert.doesNotMatch(renderDiff('<b>', '<i>').html, /<b>|<i>/);
+});
+
+test('renders a diff only for components that changed', () => {
+  const diffs = renderComponentDiffs({ AGENT: 'a', KNOWLEDGE_BASE: 'b' }, { AGENT: 'a', KNOWLEDGE_BASE: 'c' });
+  assert.deepStrictEqual(Object.keys(diffs), ['KNOWLEDGE_BASE']);
+  assert.match(diffs.KNOWLEDGE_BASE.unified, /^--- KNOWLEDGE_BASE \(original\)/);
+});
+
+test('parses context as a non-negative integer', () => {
+  assert.strictEqual(parseContext(undefined), 3);
+  assert.strictEqual(parseContext(0), 0);
+  assert.strictEqual(parseContext('5'), 5);
+  for (const value of [-1, 1.5, '-1', '2x', '', null, [1]]) {
+    assert.strictEqual(parseContext(value), null, JSON.stringify(value));
+  }
+});
+
+test('render-diff rejects an invalid context', async () => {
+  for (const context of [-1, 'abc', 1.5, null]) {
+    const { status, body } = await server.call('POST', '/api/render-diff', { original, patched, context });
+    assert.strictEqual(status, 400, JSON.stringify(context));
+    assert.match(body.error, /context/);
+  }
+  const { status, body } = await server.call('POST', '/api/render-diff', { original, patched, context: '1' });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.hunks.length, 2);
+  assert.strictEqual((await server.call('POST', '/api/render-diff', { original })).status, 400);
+});
+
+test('the prompt version diff rejects an invalid context', async () => {
+  const base = '/api/prompts/diff-bot/AGENT';
+  await server.call('POST', `${base}/versions`, { content: original });
+  await server.call('POST', `${base}/versions`, { content: patched });
+
+  for (const context of ['-1', 'abc', '1.5']) {
+    const { status } = await server.call('GET', `${base}/diff?context=${context}`);
+    assert.strictEqual(status, 400, context);
+  }
+  const { status, body } = await server.call('GET', `${base}/diff?context=1`);
+  assert.strictEqual(status, 200, JSON.stringify(body));
+  assert.strictEqual(body.hunks.length, 2);
+  assert.match(body.unified, /^--- AGENT@1\n\+\+\+ AGENT@2\n/);
+});
@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+const request = {
+  dc_node_prompt: 'Help with routers.\nAnswer briefly.',
+  conversationHistory: [
+    { role: 'user', content: 'My router keeps dropping' },
+    { role: 'assistant', content: 'Please restart it.' }
+  ],
+  targetBotResponse: 'Please restart it.',
+  userFeedback: 'The bot should have run the troubleshooting skill',
+  llm: { provider: 'mock' },
+  botLlm: { provider: 'mock' }
+};
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.close());
+
+test('replays the target turn with the original and patched prompts', async () => {
+  const { status, body } = await server.call('POST', '/api/verify-fix', {
+    ...request,
+    promptChanges: {
+      modifications: [{ target: 'dc_node_prompt', current: 'Answer briefly.', updated: 'Run the troubleshooting skill first.' }]
+    }
+  });
+  assert.strictEqual(status, 200, JSON.stringify(body));
+  assert.strictEqual(body.userMessage, 'My router keeps dropping');
+  assert.match(body.patched.prompts.dc_node_prompt, /troubleshooting skill first/);
+  assert.strictEqual(body.changes.summary.applied, 1);
+  assert.ok(body.verdict);
+});
+
+test('answers 422 when no change applies', async () => {
+  const { status } = await server.call('POST', '/api/verify-fix', {
+    ...request,
+    promptChanges: { modifications: [{ target: 'dc_node_prompt', current: 'Not in the prompt at all.', updated: 'x' }] }
+  });
+  assert.strictEqual(status, 422);
+});
+
+test('rejects malformed prompts, change sets and conversations with 400', async () => {
+  const bodies = [
+    { ...request, promptChanges: { modifications: 'Answer briefly.' } },
+    { ...request, promptChanges: [] },
+    { ...request, patchedPrompts: 'Run the skill.' },
+    { ...request, patchedPrompts: { dc_node_prompt: 42 } },
+    { ...request, conversationHistory: 'My router keeps dropping', patchedPrompts: { dc_node_prompt: 'x' } },
+    { ...request, conversationHistory: [null], patchedPrompts: { dc_node_prompt: 'x' } },
+    { ...request }
+  ];
+  for (const body of bodies) {
+    const { status, body: result } = await server.call('POST', '/api/verify-fix', body);
+    assert.strictEqual(status, 400, `${JSON.stringify(body)} -> ${JSON.stringify(result)}`);
+  }
+});
@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, fixturesWith } = require('./helpers');
+const { splitClaims } = require('../grounding_check');
+
+const fixture = JSON.parse(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'llm', 'default.json'), 'utf8')).content);
+process.env.LLM_FIXTURES_DIR = fixturesWith({
+  ...fixture,
+  claims: [
+    { id: 'claim-1', verdict: 'supported', evidencePassageIds: ['variable:kb_results:0'], explanation: 'The policy states 14 days.' },
+    { id: 'claim-2', verdict: 'contradicted', evidencePassageIds: ['variable:kb_results:0'], explanation: 'Orders ship from Berlin.' }
+  ]
+});
+
+const request = {
+  targetBotResponse: 'Hello! Refunds are processed within 14 days.\n- Orders ship from Paris.\nOur mascot juggles penguins. Anything else?',
+  configured_variables: [
+    { variable_name: 'kb_results', variable_content: 'Refunds are processed within 14 days. Orders ship from Berlin.' },
+    { variable_name: 'empty', variable_content: '  ' }
+  ],
+  llm: { provider: 'mock' }
+};
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.close());
+
+test('splits a response into claims without questions and courtesy phrases', () => {
+  assert.deepStrictEqual(splitClaims(request.targetBotResponse), [
+    { id: 'claim-1', text: 'Refunds are processed within 14 days.' },
+    { id: 'claim-2', text: 'Orders ship from Paris.' },
+    { id: 'claim-3', text: 'Our mascot juggles penguins.' }
+  ]);
+  assert.deepStrictEqual(splitClaims('1. Reset the router.\n2) Wait two minutes.').map(claim => claim.text),
+    ['Reset the router.', 'Wait two minutes.']);
+  assert.deepStrictEqual(splitClaims('Thanks! Happy to help.'), []);
+});
+
+test('judges claims against the configured variables', async () => {
+  const { status, body } = await server.call('POST', '/api/check-grounding', request);
+  assert.strictEqual(status, 200, JSON.stringify(body));
+
+  assert.deepStrictEqual(body.claims.map(claim => [claim.id, claim.verdict]),
+    [['claim-1', 'supported'], ['claim-2', 'contradicted'], ['claim-3', 'unsupported']]);
+  assert.deepStrictEqual(body.claims[2].passages, []);
+  assert.strictEqual(body.claims[0].passages[0].id, 'variable:kb_results:0');
+  assert.deepStrictEqual(body.summary, { total: 3, supported: 1, unsupported: 1, contradicted: 1, groundedRate: 0.333 });
+  assert.deepStrictEqual(body.sources, { variables: ['kb_results'], knowledgeBase: null });
+});
+
+test('rejects requests without sources to check against', async () => {
+  for (const invalid of [
+    { ...request, targetBotResponse: undefined },
+    { ...request, configured_variables: 'kb_results' },
+    { ...request, configured_variables: [request.configured_variables[1]] },
+    { ...request, knowledgeBaseId: '../etc' },
+    { ...request, llm: { provider: 'mock', temperature: 5 } }
+  ]) {
+    assert.strictEqual((await server.call('POST', '/api/check-grounding', invalid)).status, 400, JSON.stringify(invalid));
+  }
+  const missing = await server.call('POST', '/api/check-grounding', { ...request, knowledgeBaseId: 'missing-kb' });
+  assert.strictEqual(missing.status, 404);
+});
+
+test('adds the grounding check to an analysis', async () => {
+  const analysis = {
+    ...request,
+    dc_node_prompt: 'Answer from the knowledge base.',
+    conversationHistory: [{ role: 'user', content: 'Where do orders ship from?' }],
+    userFeedback: 'The bot invented the shipping location'
+  };
+
+  const { status, body } = await server.call('POST', '/api/analyze-prompt', { ...analysis, checkGrounding: true });
+  assert.strictEqual(status, 200, JSON.stringify(body));
+  assert.strictEqual(body.grounding.summary.contradicted, 1);
+
+  assert.strictEqual((await server.call('POST', '/api/analyze-prompt', { ...analysis, checkGrounding: 'yes' })).status, 400);
+  assert.strictEqual((await server.call('POST', '/api/analyze-prompt',
+    { ...analysis, configured_variables: [], checkGrounding: true })).status, 400);
+});
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Shared setup for the offline test suite. Requiring this module first
+ * points every store at a fresh temporary DATA_DIR and every LLM call at the
+ * fixture-replay mock provider, so no test touches the network or the
+ * working tree.
+ */
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'promptdebugger-test-'));
+process.env.LLM_PROVIDER = 'mock';
+delete process.env.LLM_FIXTURES_DIR;
+delete process.env.LLM_MOCK_RECORD_FROM;
+delete process.env.USE_CACHE;
+
+/**
+ * Start the app on a free port. Resolves to `{ call, close }`, where
+ * `call(method, url, body)` resolves to `{ status, body }`.
+ */
+function startServer() {
+  const app = require('../app');
+  return new Promise(resolve => {
+    const server = app.listen(0, () => {
+      const base = `http://127.0.0.1:${server.address().port}`;
+      const call = async (method, url, body) => {
+        const response = await fetch(`${base}${url}`, {
+          method,
+          headers: { 'content-type': 'application/json' },
+          body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        let json = text;
+        try {
+          json = JSON.parse(text);
+        } catch (error) {
+          // Empty and non-JSON bodies are returned as text
+        }
+        return { status: response.status, body: json };
+      };
+      resolve({ call, close: () => new Promise(done => server.close(done)) });
+    });
+  });
+}
+
+/**
+ * A fixtures directory holding only `default.json` with `response` as the
+ * LLM reply.
+ */
+function fixturesWith(response) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'promptdebugger-fixtures-'));
+  fs.writeFileSync(path.join(directory, 'default.json'), JSON.stringify({
+    content: typeof response === 'string' ? response : JSON.stringify(response)
+  }));
+  return directory;
+}
+
+module.exports = {
+  startServer,
+  fixturesWith
+};
@@ -0,0 +1,135 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+require('./helpers');
+const { JobQueue, JOB_STATUS } = require('../job_queue');
+
+function jobsDirectory(name) {
+  return path.join(process.env.DATA_DIR, name);
+}
+
+function waitFor(condition) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const check = () => {
+      if (condition()) return resolve();
+      if (Date.now() - started > 2000) return reject(new Error('Timed out'));
+      setTimeout(check, 10);
+    };
+    check();
+  });
+}
+
+test('restoring skips unreadable job files and requeues the rest', async () => {
+  const directory = jobsDirectory('jobs-restore');
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(path.join(directory, 'broken.json'), '{ not json');
+  fs.writeFileSync(path.join(directory, 'no-date.json'), JSON.stringify({ id: 'no-date', status: 'queued' }));
+  fs.writeFileSync(path.join(directory, 'good.json'), JSON.stringify({
+    id: 'good', status: JOB_STATUS.RUNNING, createdAt: new Date().toISOString(), attempts: 1, request: { x: 1 }
+  }));
+
+  const queue = new JobQueue({ directory, runJob: async () => ({ statusCode: 200, body: { ok: true } }) });
+  await queue.start();
+
+  assert.strictEqual(await queue.get('no-date'), null);
+  const job = await queue.get('good');
+  await waitFor(() => job.status === JOB_STATUS.COMPLETED);
+  assert.deepStrictEqual(job.result, { statusCode: 200, body: { ok: true } });
+});
+
+test('a failed restore is retried by the next call', async () => {
+  const directory = jobsDirectory('jobs-retry');
+  // A file where the jobs directory should be makes readdir fail
+  fs.writeFileSync(directory, '');
+
+  const queue = new JobQueue({ directory, runJob: async () => ({ statusCode: 200, body: {} }) });
+  await assert.rejects(queue.start());
+
+  fs.unlinkSync(directory);
+  await queue.start();
+  const job = await queue.enqueue({ x: 1 });
+  assert.strictEqual((await queue.get(job.id)).id, job.id);
+});
+
+test('runs jobs to completion or failure and cancels queued ones', async () => {
+  const directory = jobsDirectory('jobs-lifecycle');
+  let release;
+  const blocked = new Promise(resolve => { release = resolve; });
+  const queue = new JobQueue({
+    directory,
+    concurrency: 1,
+    runJob: async request => {
+      await blocked;
+      if (request.fail) throw new Error('analysis failed');
+      return { statusCode: 200, body: { ok: true } };
+    }
+  });
+
+  const completed = await queue.enqueue({});
+  const failed = await queue.enqueue({ fail: true });
+  const cancelled = await queue.enqueue({});
+  assert.strictEqual(completed.status, JOB_STATUS.RUNNING);
+  assert.strictEqual(failed.status, JOB_STATUS.QUEUED);
+
+  assert.strictEqual((await queue.cancel(cancelled.id)).status, JOB_STATUS.CANCELLED);
+  release();
+  await waitFor(() => failed.status === JOB_STATUS.FAILED);
+
+  assert.strictEqual(completed.status, JOB_STATUS.COMPLETED);
+  assert.strictEqual(completed.attempts, 1);
+  assert.strictEqual(failed.error, 'analysis failed');
+  assert.strictEqual(cancelled.attempts, 0);
+  await waitFor(() => JSON.parse(fs.readFileSync(path.join(directory, `${failed.id}.json`), 'utf8')).status === JOB_STATUS.FAILED);
+});
+
+test('deletes finished jobs past the retention period or beyond the limit', async () => {
+  const directory = jobsDirectory('jobs-retention');
+  fs.mkdirSync(directory, { recursive: true });
+  const finishedJob = (id, daysAgo) => {
+    const at = new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString();
+    fs.writeFileSync(path.join(directory, `${id}.json`), JSON.stringify({
+      id, status: JOB_STATUS.COMPLETED, createdAt: at, completedAt: at, attempts: 1, request: {}
+    }));
+  };
+  finishedJob('expired', 8);
+  finishedJob('older', 3);
+  finishedJob('newer', 2);
+  finishedJob('newest', 1);
+
+  const queue = new JobQueue({ directory, maxFinished: 2, runJob: async () => ({ statusCode: 200, body: {} }) });
+  await queue.start();
+
+  assert.strictEqual(await queue.get('expired'), null);
+  assert.strictEqual(await queue.get('older'), null);
+  assert.deepStrictEqual(fs.readdirSync(directory).sort(), ['newer.json', 'newest.json']);
+
+  const job = await queue.enqueue({});
+  await waitFor(() => job.status === JOB_STATUS.COMPLETED && !fs.existsSync(path.join(directory, 'newer.json')));
+  assert.strictEqual(await queue.get('newer'), null);
+  assert.strictEqual((await queue.get(job.id)).id, job.id);
+});
+
+test('a failed save releases the slot and fails the job', async () => {
+  const queue = new JobQueue({ directory: jobsDirectory('jobs-save'), concurrency: 1, runJob: async () => ({ statusCode: 200, body: {} }) });
+
+  // The first save of a running job fails
+  const writeJob = queue.writeJob.bind(queue);
+  let failures = 1;
+  queue.writeJob = job => {
+    if (job.status === JOB_STATUS.RUNNING && failures > 0) {
+      failures--;
+      return Promise.reject(new Error('disk full'));
+    }
+    return writeJob(job);
+  };
+
+  const first = await queue.enqueue({});
+  const second = await queue.enqueue({});
+  await waitFor(() => second.status === JOB_STATUS.COMPLETED);
+
+  assert.strictEqual(first.status, JOB_STATUS.FAILED);
+  assert.strictEqual(first.error, 'disk full');
+  assert.strictEqual(queue.running.size, 0);
+});
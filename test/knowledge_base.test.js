@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+const { chunkDocument } = require('../kb_documents');
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.close());
+
+test('rejects an empty re-upload without touching the existing document', async () => {
+  const upload = content => server.call('POST', '/api/knowledge-bases/router-faq/documents', { name: 'faq.html', content });
+
+  let response = await upload('<h1>Router</h1><p>Restart the router to reconnect.</p>');
+  assert.strictEqual(response.status, 201);
+  const { revision } = (await server.call('GET', '/api/knowledge-bases/router-faq')).body;
+
+  response = await upload('<script>track()</script>');
+  assert.strictEqual(response.status, 422);
+
+  const knowledgeBase = (await server.call('GET', '/api/knowledge-bases/router-faq')).body;
+  assert.strictEqual(knowledgeBase.revision, revision);
+  assert.strictEqual(knowledgeBase.documents.length, 1);
+  const search = await server.call('GET', '/api/knowledge-bases/router-faq/search?q=restart');
+  assert.ok(search.body.passages.length > 0);
+});
+
+test('leaves numeric entities that are not characters as written', () => {
+  const [passage] = chunkDocument('<p>Caf&#xe9; &#x110000; &#55357; &#99999999999;</p>', 'html');
+  assert.strictEqual(passage.text, 'Café &#x110000; &#55357; &#99999999999;');
+});
+
+test('builds each knowledge base schema variant once', () => {
+  const { withKnowledgeBaseAssessment, AGENTIC_OUTPUT_SCHEMA, NLP_OUTPUT_SCHEMA } = require('../analysis_schemas');
+  const variant = withKnowledgeBaseAssessment(AGENTIC_OUTPUT_SCHEMA);
+  assert.strictEqual(withKnowledgeBaseAssessment(AGENTIC_OUTPUT_SCHEMA), variant);
+  assert.ok(variant.required.includes('knowledgeBaseAssessment'));
+  assert.notStrictEqual(withKnowledgeBaseAssessment(NLP_OUTPUT_SCHEMA), variant);
+  assert.ok(!AGENTIC_OUTPUT_SCHEMA.required.includes('knowledgeBaseAssessment'));
+});
+
+test('search takes a positive integer limit', async () => {
+  await server.call('POST', '/api/knowledge-bases/limits/documents', {
+    name: 'faq.md',
+    content: '# Restart\nRestart the router.\n\n# Reset\nReset the router to factory settings.'
+  });
+  for (const limit of ['-1', '0', 'abc', '1.5']) {
+    const { status } = await server.call('GET', `/api/knowledge-bases/limits/search?q=router&limit=${limit}`);
+    assert.strictEqual(status, 400, limit);
+  }
+  const { status, body } = await server.call('GET', '/api/knowledge-bases/limits/search?q=router&limit=1');
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.passages.length, 1);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { fixturesWith } = require('./helpers');
+const { MockProvider, RecordingProvider, createProvider, validateProviderOptions } = require('../llm_providers');
+
+const messages = [{ role: 'user', content: 'Hello' }];
+
+test('the mock provider replays the fixture recorded for the request', async () => {
+  const fixturesDir = fixturesWith('fallback');
+  fs.writeFileSync(path.join(fixturesDir, `${MockProvider.fixtureKey(messages)}.json`), JSON.stringify({ content: 'recorded' }));
+
+  const provider = new MockProvider({ fixturesDir });
+  assert.strictEqual((await provider.complete({ messages })).content, 'recorded');
+  assert.strictEqual((await provider.complete({ messages: [{ role: 'user', content: 'Other' }] })).content, 'fallback');
+});
+
+test('the mock provider fails when no fixture matches and there is no default', async () => {
+  const provider = new MockProvider({ fixturesDir: path.join(fixturesWith('x'), 'missing') });
+  await assert.rejects(provider.complete({ messages }), /No LLM fixture found/);
+});
+
+test('the committed default fixture answers without LLM_FIXTURES_DIR', async () => {
+  const result = await createProvider({ provider: 'mock' }).complete({ messages });
+  const json = JSON.parse(result.content);
+  assert.deepStrictEqual(json.promptChanges, { modifications: [], additions: [], deletions: [] });
+  assert.strictEqual(result.model, 'mock');
+});
+
+test('the recording provider keeps every call', async () => {
+  const llm = new RecordingProvider(createProvider({ provider: 'mock' }));
+  await llm.complete({ messages });
+  assert.strictEqual(llm.calls.length, 1);
+  assert.strictEqual(llm.calls[0].model, 'mock');
+});
+
+test('provider options are validated', () => {
+  assert.strictEqual(validateProviderOptions(undefined), null);
+  assert.strictEqual(validateProviderOptions({ provider: 'mock' }), null);
+  assert.match(validateProviderOptions({ provider: 'nope' }), /Unsupported LLM provider/);
+  assert.match(validateProviderOptions('mock'), /llm must be an object/);
+});
+
+test('provider names and option types are checked', () => {
+  for (const provider of ['constructor', 'toString', '__proto__', 5]) {
+    assert.match(validateProviderOptions({ provider }), /Unsupported LLM provider/, String(provider));
+  }
+  assert.throws(() => createProvider({ provider: 'hasOwnProperty' }), /Unsupported LLM provider/);
+  assert.match(validateProviderOptions([]), /llm must be an object/);
+  assert.match(validateProviderOptions({ model: 4 }), /llm.model/);
+  assert.match(validateProviderOptions({ model: ' ' }), /llm.model/);
+  assert.match(validateProviderOptions({ temperature: '0.2' }), /llm.temperature/);
+  assert.match(validateProviderOptions({ temperature: 3 }), /llm.temperature/);
+  assert.match(validateProviderOptions({ maxTokens: 0 }), /llm.maxTokens/);
+  assert.match(validateProviderOptions({ maxTokens: 1.5 }), /llm.maxTokens/);
+  assert.strictEqual(validateProviderOptions({ provider: 'mock', model: 'mock', temperature: 0, maxTokens: 100 }), null);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { compressPrompt, isEquivalent } = require('../prompt_compression');
+
+const prompt = [
+  '- Offer a refund when the order is over 100 dollars.',
+  '- Offer a refund when the order is under 100 dollars.',
+  '- Ask the customer for the order number first.',
+  '- Ask the customer for the order number first.',
+  '- Ask customers for their order number first.'
+].join('\n');
+
+test('keeps every instruction when the prompt is within budget', () => {
+  const { prompt: compressed, report } = compressPrompt(prompt, { budget: 1000 });
+  assert.strictEqual(compressed, prompt);
+  assert.deepStrictEqual(report.instructions.merged, []);
+  assert.strictEqual(report.accepted, true);
+});
+
+test('merges only repeated instructions when over budget and reports near-duplicates', () => {
+  const { prompt: compressed, report } = compressPrompt(prompt, { budget: 10 });
+  assert.match(compressed, /over 100 dollars/);
+  assert.match(compressed, /under 100 dollars/);
+  assert.match(compressed, /Ask customers for their order number first/);
+  assert.strictEqual(compressed.match(/Ask the customer for the order number first/g).length, 1);
+  assert.deepStrictEqual(report.instructions.merged.map(entry => entry.instruction),
+    ['Ask the customer for the order number first.']);
+  assert.deepStrictEqual(report.instructions.nearDuplicates.map(entry => entry.instruction),
+    ['Ask customers for their order number first.']);
+  assert.strictEqual(report.accepted, true);
+});
+
+test('instructions differing in a number, comparative or qualifier are not equivalent', () => {
+  assert.strictEqual(isEquivalent('Refund orders over 100 dollars right away', 'Refund orders under 100 dollars right away'), null);
+  assert.strictEqual(isEquivalent('Refund orders above 100 dollars right away', 'Refund orders above 50 dollars right away'), null);
+  assert.strictEqual(isEquivalent('Escalate tickets only after two failed attempts', 'Escalate tickets after two failed attempts'), null);
+});
+
+test('never shortens an example holding must-keep text', () => {
+  const filler = 'The customer explains the problem at length and the bot listens carefully before answering. '.repeat(3);
+  const examplePrompt = [
+    '- Greet the customer.',
+    `Example: ${filler}The bot says it will escalate the ticket to a human agent.`,
+    `Example: ${filler}NEVER share the account password.`,
+    `Example: ${filler}The bot closes the ticket.`
+  ].join('\n');
+
+  const { prompt: compressed, report } = compressPrompt(examplePrompt, {
+    budget: 10,
+    mustKeep: ['escalate the ticket to a human agent']
+  });
+  assert.strictEqual(report.accepted, true);
+  assert.deepStrictEqual(report.examples.shortened.map(entry => entry.original), [examplePrompt.split('\n')[3]]);
+  assert.match(compressed, /escalate the ticket to a human agent/);
+  assert.match(compressed, /NEVER share the account password/);
+  assert.strictEqual(report.mustKeep.total, 2);
+  assert.deepStrictEqual(report.mustKeep.lost, []);
+});
@@ -0,0 +1,46 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+const { lintPrompt } = require('../prompt_linter');
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.close());
+
+test('flags unknown variables and skills with a suggestion', () => {
+  const findings = lintPrompt('Greet {{customer_nam}}. Then run the "Order Lookup Skil" skill.', {
+    variables: ['customer_name'],
+    skills: ['Order Lookup Skill']
+  });
+  const rules = findings.map(entry => entry.rule);
+  assert.ok(rules.includes('undefined-variable'), JSON.stringify(findings));
+  assert.ok(rules.includes('unknown-skill'), JSON.stringify(findings));
+});
+
+test('rejects configured names that are not objects with a string name', async () => {
+  const requests = [
+    { prompt: 'Run Skill - Order Lookup.', configured_skills: [null] },
+    { prompt: 'Run Skill - Order Lookup.', configured_skills: [{ skill_name: 42 }] },
+    { prompt: 'Greet {{name}}.', configured_variables: [null] },
+    { prompt: 'Greet {{name}}.', configured_variables: 'name' },
+    { dc_node_prompt: 'Run Skill - Order Lookup.', configured_skills: [{ skill_name: {} }] }
+  ];
+  for (const body of requests) {
+    const { status, body: result } = await server.call('POST', '/api/lint-prompt', body);
+    assert.strictEqual(status, 400, JSON.stringify(body));
+    assert.match(result.error, /must be an array of objects/);
+  }
+
+  const { status } = await server.call('POST', '/api/lint-prompt', {
+    prompt: 'Run Skill - Order Lookup.',
+    configured_skills: [{ skill_name: 'Skill - Order Lookup' }]
+  });
+  assert.strictEqual(status, 200);
+});
+
+test('lints prompts holding special tokens', async () => {
+  const { status } = await server.call('POST', '/api/lint-prompt', { dc_node_prompt: '# Rules\nNever output <|endoftext|>.' });
+  assert.strictEqual(status, 200);
+});
@@ -0,0 +1,99 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+const { applyChangeSet, CHANGE_STATUS } = require('../prompt_patcher');
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.close());
+
+test('applies modifications with exact and whitespace-normalised anchors', () => {
+  const { patchedPrompts, results } = applyChangeSet({ AGENT: 'Greet the user.\nAsk   for the order number.' }, {
+    modifications: [
+      { component: 'AGENT', current: 'Greet the user.', updated: 'Greet the user by name.' },
+      { component: 'AGENT', current: 'Ask for the order number.', updated: 'Ask for the order number and email.' }
+    ]
+  });
+  assert.strictEqual(patchedPrompts.AGENT, 'Greet the user by name.\nAsk for the order number and email.');
+  assert.deepStrictEqual(results.map(result => result.status), [CHANGE_STATUS.APPLIED, CHANGE_STATUS.APPLIED]);
+});
+
+test('reports ambiguous anchors and missing components without editing', () => {
+  const prompt = 'Say hi.\nSay hi.';
+  const { patchedPrompts, results } = applyChangeSet({ AGENT: prompt }, {
+    modifications: [
+      { component: 'AGENT', current: 'Say hi.', updated: 'Say hello.' },
+      { component: 'KNOWLEDGE_BASE', current: 'x', updated: 'y' }
+    ]
+  });
+  assert.strictEqual(patchedPrompts.AGENT, prompt);
+  assert.deepStrictEqual(results.map(result => result.status),
+    [CHANGE_STATUS.AMBIGUOUS_ANCHOR, CHANGE_STATUS.COMPONENT_NOT_FOUND]);
+});
+
+test('keeps the escapes of a JSON string value outside the edited span', () => {
+  const prompt = '{"message": "Caf\\u00e9 hours: see https:\\/\\/example.com. Be brief.", "other": "\\u00e9"}';
+  const { patchedPrompts, results } = applyChangeSet({ AGENT: prompt }, {
+    modifications: [{ component: 'AGENT', path: '/message', current: 'Be brief.', updated: 'Be brief and "polite".' }]
+  });
+  assert.strictEqual(results[0].status, CHANGE_STATUS.APPLIED);
+  assert.strictEqual(results[0].path.scoped, true);
+  assert.strictEqual(patchedPrompts.AGENT,
+    '{"message": "Caf\\u00e9 hours: see https:\\/\\/example.com. Be brief and \\"polite\\".", "other": "\\u00e9"}');
+  assert.strictEqual(JSON.parse(patchedPrompts.AGENT).message, 'Café hours: see https://example.com. Be brief and "polite".');
+});
+
+test('reports malformed changes as invalid without editing the prompt', () => {
+  const prompt = 'Greet the user.';
+  const { patchedPrompts, results } = applyChangeSet({ AGENT: prompt }, {
+    modifications: [
+      { component: 'AGENT', current: 'Greet the user.' },
+      { component: 'AGENT', current: 42, updated: 'x' },
+      null
+    ],
+    additions: [{ component: 'AGENT', preText: 'Greet the user.' }]
+  });
+  assert.strictEqual(patchedPrompts.AGENT, prompt);
+  assert.deepStrictEqual(results.map(result => result.status), Array(4).fill(CHANGE_STATUS.INVALID));
+  assert.ok(results.every(result => result.reason));
+});
+
+test('/api/apply-changes rejects malformed change sets with 400', async () => {
+  const configuredPrompts = { AGENT: 'Greet the user.' };
+  for (const body of [
+    { configuredPrompts, promptChanges: { modifications: 'nope' } },
+    { configuredPrompts, promptChanges: { additions: { newInstruction: 'x' } } },
+    { configuredPrompts, promptChanges: [] },
+    { configuredPrompts: ['Greet the user.'], promptChanges: {} }
+  ]) {
+    const { status } = await server.call('POST', '/api/apply-changes', body);
+    assert.strictEqual(status, 400, JSON.stringify(body));
+  }
+
+  const { status, body } = await server.call('POST', '/api/apply-changes', {
+    configuredPrompts,
+    promptChanges: { modifications: [{ component: 'AGENT', current: 'Greet the user.' }] }
+  });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.patchedPrompts.AGENT, 'Greet the user.');
+  assert.strictEqual(body.results[0].status, 'invalid');
+});
+
+test('reports an anchor missing from the resolved section instead of editing elsewhere', () => {
+  const prompt = '## Greeting\nSay hello.\n\n## Escalation\nBe brief.\n';
+  const { patchedPrompts, results } = applyChangeSet({ AGENT: prompt }, {
+    modifications: [
+      { component: 'AGENT', path: '## Greeting', current: 'Be brief.', updated: 'Be thorough.' },
+      { component: 'AGENT', path: '## Missing', current: 'Say hello.', updated: 'Say hi.' }
+    ]
+  });
+
+  assert.strictEqual(results[0].status, CHANGE_STATUS.ANCHOR_NOT_FOUND);
+  assert.deepStrictEqual(results[0].path, { value: '## Greeting', status: 'resolved', format: 'markdown', scoped: true });
+  // An unresolved path still falls back to the whole component
+  assert.strictEqual(results[1].status, CHANGE_STATUS.APPLIED);
+  assert.strictEqual(results[1].path.scoped, false);
+  assert.strictEqual(patchedPrompts.AGENT, prompt.replace('Say hello.', 'Say hi.'));
+});
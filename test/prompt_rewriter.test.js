@@ -0,0 +1,58 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const { MockProvider } = require('../llm_providers');
+const { rewritePrompt } = require('../prompt_rewriter');
+
+const prompt = '# Greeting\nGreet the customer by name.\n\n# Refunds\nOffer a refund for damaged items.';
+const request = { prompt, model_configuration: { prompt_token_limit: 500 }, force: true, llm: { provider: 'mock' } };
+
+const complete = MockProvider.prototype.complete;
+afterEach(() => {
+  MockProvider.prototype.complete = complete;
+});
+
+// Reply to successive LLM calls with `replies`, recording the prompts sent
+function replyWith(replies) {
+  const prompts = [];
+  MockProvider.prototype.complete = async params => {
+    prompts.push(params.messages[0].content);
+    const reply = replies[prompts.length - 1];
+    return { content: typeof reply === 'string' ? reply : JSON.stringify(reply), model: 'mock', usage: null };
+  };
+  return prompts;
+}
+
+const section = (id, content, sourceSectionIds) => ({ id, title: id, content, sourceSectionIds });
+const completeRewrite = {
+  sections: [section('R1', '# Greeting\nGreet customers by name.', ['S1']), section('R2', '# Refunds\nRefund damaged items.', ['S2'])]
+};
+const partialRewrite = { sections: [section('R1', '# Greeting\nGreet customers by name.', ['S1'])] };
+
+test('retries a response that cannot be parsed', async () => {
+  const prompts = replyWith(['not json', completeRewrite]);
+  const { statusCode, body } = await rewritePrompt(request);
+  assert.strictEqual(statusCode, 200, JSON.stringify(body));
+  assert.strictEqual(body.attempts, 2);
+  assert.match(prompts[1], /previous response could not be used/);
+});
+
+test('fails with 502 when no response can be parsed', async () => {
+  replyWith(['not json', '{"sections": "nope"}']);
+  const { statusCode, body } = await rewritePrompt(request);
+  assert.strictEqual(statusCode, 502);
+  assert.match(body.error, /could not be parsed after 2 attempts/);
+});
+
+test('retries a rewrite with unmapped sections and returns 422 listing them', async () => {
+  const prompts = replyWith([partialRewrite, completeRewrite]);
+  let response = await rewritePrompt(request);
+  assert.strictEqual(response.statusCode, 200);
+  assert.match(prompts[1], /did not account for sections S2/);
+
+  replyWith([partialRewrite, partialRewrite]);
+  response = await rewritePrompt(request);
+  assert.strictEqual(response.statusCode, 422);
+  assert.deepStrictEqual(response.body.unmappedSections, ['S2']);
+  assert.match(response.body.error, /does not account for sections S2 after 2 attempts/);
+});
@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, fixturesWith } = require('./helpers');
+
+const fixture = JSON.parse(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'llm', 'default.json'), 'utf8')).content);
+process.env.LLM_FIXTURES_DIR = fixturesWith({
+  ...fixture,
+  promptChanges: {
+    modifications: [{ component: 'AGENT', current: 'Answer briefly.', updated: 'Route router issues to troubleshooting.', reasoning: 'Routing was skipped.' }],
+    additions: [{ component: 'AGENT', newInstruction: 'Escalate after two failed attempts.', reasoning: 'No escalation rule.' }],
+    deletions: []
+  }
+});
+
+const analysis = {
+  botId: 'router-bot',
+  configuredPrompts: { AGENT: 'Help with routers.\nAnswer briefly.', KNOWLEDGE_BASE: 'FAQ.', CONVERSATION: 'Ask.' },
+  conversationHistory: [{ role: 'user', content: 'My router keeps dropping' }],
+  targetBotResponse: 'Please restart it.',
+  userFeedback: 'The bot should have run the troubleshooting skill',
+  llm: { provider: 'mock' }
+};
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.close());
+
+test('accepting an analysis records a version, and accepting it again is rejected', async () => {
+  const analyzed = await server.call('POST', '/api/analyze-prompt', analysis);
+  assert.strictEqual(analyzed.status, 200, JSON.stringify(analyzed.body));
+  const { analysisId } = analyzed.body;
+
+  const first = await server.call('POST', `/api/analyses/${analysisId}/accept`, { author: 'qa' });
+  assert.strictEqual(first.status, 201, JSON.stringify(first.body));
+  assert.strictEqual(first.body.versions.AGENT.version, 2);
+
+  const second = await server.call('POST', `/api/analyses/${analysisId}/accept`, { author: 'qa' });
+  assert.strictEqual(second.status, 409);
+  assert.strictEqual(second.body.versions.AGENT.version, 2);
+
+  const history = await server.call('GET', '/api/prompts/router-bot/AGENT');
+  assert.strictEqual(history.status, 200, JSON.stringify(history.body));
+  const head = await server.call('GET', '/api/prompts/router-bot/AGENT/versions/head');
+  assert.strictEqual(head.body.content, 'Help with routers.\nRoute router issues to troubleshooting.\nEscalate after two failed attempts.');
+});
+
+test('tags a version and rolls back to it', async () => {
+  const base = '/api/prompts/tagged-bot/AGENT';
+  assert.strictEqual((await server.call('POST', `${base}/versions`, { content: 'First.' })).status, 201);
+  assert.strictEqual((await server.call('POST', `${base}/versions`, { content: 'Second.' })).status, 201);
+
+  const tagged = await server.call('POST', `${base}/tags`, { tag: 'stable', version: 1 });
+  assert.strictEqual(tagged.status, 200, JSON.stringify(tagged.body));
+  assert.strictEqual((await server.call('POST', `${base}/tags`, { tag: 'head' })).status, 400);
+
+  const diff = await server.call('GET', `${base}/diff?from=stable&to=head`);
+  assert.strictEqual(diff.status, 200, JSON.stringify(diff.body));
+
+  const rollback = await server.call('POST', `${base}/rollback`, { version: 'stable' });
+  assert.strictEqual(rollback.status, 201, JSON.stringify(rollback.body));
+  assert.strictEqual(rollback.body.version, 3);
+  const head = await server.call('GET', `${base}/versions/head`);
+  assert.strictEqual(head.body.content, 'First.');
+});
@@ -0,0 +1,46 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+const scenario = {
+  scenario: 'Router drops',
+  user_input: 'My router keeps dropping',
+  expected_outcome: 'The bot runs the troubleshooting skill',
+  validation_criteria: 'Mentions the troubleshooting steps'
+};
+
+let server;
+before(async () => {
+  server = await startServer();
+  const { status } = await server.call('POST', '/api/suites/router-bot/scenarios', {
+    scenarios: [scenario],
+    dc_node_prompt: 'Help with routers.'
+  });
+  assert.strictEqual(status, 201);
+});
+after(() => server.close());
+
+test('rejects scenarioIds that are not an array of ids', async () => {
+  for (const scenarioIds of ['abc', { id: 'abc' }, [1, 2], [null]]) {
+    const { status, body } = await server.call('POST', '/api/suites/router-bot/run', {
+      scenarioIds,
+      dc_node_prompt: 'Help with routers.',
+      botLlm: { provider: 'mock' },
+      llm: { provider: 'mock' }
+    });
+    assert.strictEqual(status, 400, JSON.stringify(scenarioIds));
+    assert.match(body.error, /scenarioIds/);
+  }
+});
+
+test('runs the selected scenarios with the mock provider', async () => {
+  const suite = await server.call('GET', '/api/suites/router-bot');
+  const { status, body } = await server.call('POST', '/api/suites/router-bot/run', {
+    scenarioIds: [suite.body.scenarios[0].id],
+    dc_node_prompt: 'Help with routers.',
+    botLlm: { provider: 'mock' },
+    llm: { provider: 'mock' }
+  });
+  assert.strictEqual(status, 200, JSON.stringify(body));
+  assert.strictEqual(body.summary.total, 1);
+});
@@ -0,0 +1,120 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, fixturesWith } = require('./helpers');
+const { extractChosenTool, finalizeRoutingAnalysis, summarizeRoutingConfusion } = require('../routing_analysis');
+
+const fixture = JSON.parse(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'llm', 'default.json'), 'utf8')).content);
+process.env.LLM_FIXTURES_DIR = fixturesWith({
+  ...fixture,
+  routing: {
+    chosenTool: 'KNOWLEDGE_BASE',
+    expectedTool: 'CONVERSATION',
+    expectedToolId: 'refunds',
+    misrouted: true,
+    confidence: 0.9,
+    reasoning: 'Refund requests belong to the refunds tool.'
+  },
+  promptChanges: {
+    modifications: [{ component: 'AGENT', current: 'Route.', updated: 'Route refund requests to the refunds tool.', reasoning: 'Missing rule.' }],
+    additions: [],
+    deletions: []
+  }
+});
+
+const tools = {
+  refunds: { name: 'Refunds', description: 'Handles refund requests', prompt: 'Ask for the order number.' },
+  outages: { name: 'Outages', prompt: 'Check the outage map.' }
+};
+
+const request = {
+  botId: 'routing-bot',
+  engine: 'routing',
+  configuredPrompts: { AGENT: 'Route.', KNOWLEDGE_BASE: 'FAQ.', CONVERSATION: tools },
+  conversationHistory: [{ role: 'user', content: 'I want my money back' }],
+  targetBotResponse: 'Here is our FAQ on billing.',
+  userFeedback: 'The refunds tool should have handled this',
+  llm: { provider: 'mock' }
+};
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.close());
+
+test('reads the chosen tool from the execution context', () => {
+  const chosen = executionContext => extractChosenTool({ executionContext, configuredPrompts: request.configuredPrompts });
+
+  assert.deepStrictEqual(chosen({ steps: [{ agent: { selected_tool: 'kb' } }] }), { tool: 'KNOWLEDGE_BASE', toolId: null });
+  assert.deepStrictEqual(chosen({ routedTo: 'Refunds' }), { tool: 'CONVERSATION', toolId: 'refunds' });
+  assert.deepStrictEqual(chosen({ route: 'CONVERSATION:outages' }), { tool: 'CONVERSATION', toolId: 'outages' });
+  assert.deepStrictEqual(chosen({ tool: 'conversation', trace: { toolId: 'outages' } }), { tool: 'CONVERSATION', toolId: 'outages' });
+  assert.deepStrictEqual(chosen({ tool: 'conversation' }), { tool: 'CONVERSATION', toolId: null });
+  assert.strictEqual(chosen({ latencyMs: 120 }), null);
+  assert.strictEqual(chosen(undefined), null);
+});
+
+test('the logged tool wins and a correct route keeps no changes', () => {
+  const analysis = {
+    routing: { chosenTool: 'SMALLTALK', expectedTool: 'KNOWLEDGE_BASE', misrouted: true, confidence: 0.8, reasoning: 'r' },
+    promptChanges: { modifications: [{ component: 'AGENT', current: 'a', updated: 'b' }] }
+  };
+
+  const correct = finalizeRoutingAnalysis(analysis, { tool: 'KNOWLEDGE_BASE', toolId: null });
+  assert.strictEqual(correct.routing.chosenTool, 'KNOWLEDGE_BASE');
+  assert.strictEqual(correct.routing.chosenToolSource, 'executionContext');
+  assert.strictEqual(correct.routing.misrouted, false);
+  assert.deepStrictEqual(correct.promptChanges, {});
+  assert.match(correct.recommendation, /single engine/);
+
+  const inferred = finalizeRoutingAnalysis(analysis, null);
+  assert.strictEqual(inferred.routing.chosenToolSource, 'inferred');
+  assert.strictEqual(inferred.routing.misrouted, true);
+  assert.strictEqual(inferred.promptChanges.modifications.length, 1);
+
+  const wrongTool = finalizeRoutingAnalysis({
+    ...analysis,
+    routing: { ...analysis.routing, expectedTool: 'CONVERSATION', expectedToolId: 'refunds', misrouted: false }
+  }, { tool: 'CONVERSATION', toolId: 'outages' });
+  assert.strictEqual(wrongTool.routing.misrouted, true);
+});
+
+test('summarizes routing confusion across analyses', () => {
+  const summary = (id, chosenTool, expectedTool, misrouted, extra = {}) =>
+    ({ id, createdAt: '2026-01-01T00:00:00.000Z', statusCode: 200, routing: { chosenTool, expectedTool, misrouted, ...extra } });
+
+  const result = summarizeRoutingConfusion([
+    summary('a', 'KNOWLEDGE_BASE', 'CONVERSATION', true, { expectedToolId: 'refunds' }),
+    summary('b', 'KNOWLEDGE_BASE', 'CONVERSATION', true, { expectedToolId: 'refunds' }),
+    summary('c', 'SMALLTALK', 'SMALLTALK', false),
+    { ...summary('d', 'FALLBACK', 'SMALLTALK', true), statusCode: 502 },
+    { id: 'e', statusCode: 200, routing: null }
+  ]);
+
+  assert.strictEqual(result.total, 3);
+  assert.strictEqual(result.misrouted, 2);
+  assert.strictEqual(result.misrouteRate, 0.667);
+  assert.deepStrictEqual(result.matrix, { KNOWLEDGE_BASE: { 'CONVERSATION:refunds': 2 }, SMALLTALK: { SMALLTALK: 1 } });
+  assert.deepStrictEqual(result.confusions.map(({ chosenTool, expectedTool, count }) => [chosenTool, expectedTool, count]),
+    [['KNOWLEDGE_BASE', 'CONVERSATION:refunds', 2]]);
+});
+
+test('diagnoses a misroute and reports it in the confusion summary', async () => {
+  const { status, body } = await server.call('POST', '/api/analyze-prompt', {
+    ...request,
+    executionContext: { agent: { selectedTool: 'KNOWLEDGE_BASE' } }
+  });
+  assert.strictEqual(status, 200, JSON.stringify(body));
+  assert.deepStrictEqual(
+    [body.routing.chosenTool, body.routing.chosenToolSource, body.routing.expectedToolId, body.routing.misrouted],
+    ['KNOWLEDGE_BASE', 'executionContext', 'refunds', true]);
+  assert.strictEqual(body.promptChanges.modifications[0].component, 'AGENT');
+
+  const confusion = await server.call('GET', '/api/routing/confusion?botId=routing-bot');
+  assert.strictEqual(confusion.status, 200, JSON.stringify(confusion.body));
+  assert.strictEqual(confusion.body.total, 1);
+  assert.deepStrictEqual(confusion.body.confusions[0].analyses.map(analysis => analysis.id), [body.analysisId]);
+  assert.strictEqual((await server.call('GET', '/api/routing/confusion?from=yesterday')).status, 400);
+});
@@ -0,0 +1,58 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+const { ContextManager, DiagnosticAgent } = require('../agentic_framework');
+const { PROMPT_LIBRARY } = require('../analysis_prompts');
+
+const rulePack = {
+  botId: 'router-bot',
+  version: 1,
+  title: 'Strict skill execution',
+  rules: ['Every reply that is not a plain yes or no must trigger the troubleshooting skill.']
+};
+const inputs = {
+  dc_node_prompt: 'Help with routers.',
+  conversationHistory: [{ role: 'user', content: 'My router keeps dropping' }],
+  targetBotResponse: 'Please restart it.',
+  userFeedback: 'The bot should have run the troubleshooting skill'
+};
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.close());
+
+test('the framework keeps the rule pack when the system prompt is truncated', () => {
+  for (const max_tokens of [2500, 1000, -500]) {
+    const agent = new DiagnosticAgent(new ContextManager({ max_tokens }), null);
+    const prompt = agent.buildAnalysisPrompt(inputs, rulePack);
+    assert.ok(prompt.includes(rulePack.rules[0]), `max_tokens ${max_tokens}`);
+    assert.ok(!prompt.includes('{{BOT_RULES}}'), `max_tokens ${max_tokens}`);
+  }
+});
+
+test('truncation never goes below an empty text', () => {
+  const contextManager = new ContextManager({ max_tokens: 100 });
+  assert.strictEqual(contextManager.calculateTokenBudget(), 85);
+  assert.strictEqual(contextManager.truncateToFit(PROMPT_LIBRARY.system, 1500), '');
+  assert.strictEqual(new ContextManager({ max_tokens: -100 }).calculateTokenBudget(), 0);
+  assert.strictEqual(contextManager.truncateToFit('Never output <|endoftext|>.'), 'Never output <|endoftext|>.');
+});
+
+test('records rule pack versions and rejects invalid bot ids', async () => {
+  const body = { title: rulePack.title, rules: rulePack.rules };
+  let response = await server.call('POST', '/api/rule-packs/router-bot/versions', body);
+  assert.strictEqual(response.status, 201);
+  assert.strictEqual(response.body.version, 1);
+
+  response = await server.call('POST', '/api/rule-packs/router-bot/versions', body);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.created, false);
+
+  response = await server.call('GET', '/api/rule-packs/router-bot/versions/head');
+  assert.deepStrictEqual(response.body.rules, rulePack.rules);
+
+  response = await server.call('POST', '/api/rule-packs/..%2Fetc/versions', body);
+  assert.strictEqual(response.status, 400);
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { checkSkillNames } = require('../skill_names');
+const { lintPrompt } = require('../prompt_linter');
+
+const configured_skills = [{ skill_name: 'Skill - Product Troubleshooting V4' }, { skill_name: 'Skill - Order Lookup' }];
+
+test('corrects near misses with the exact configured name', () => {
+  const result = checkSkillNames({
+    dc_node_prompt: 'Run the Troubleshooting Skill when the device fails.\nUse Skill - Order Lookup for orders.',
+    configured_skills
+  });
+  assert.strictEqual(result.summary.near_miss, 1);
+  assert.strictEqual(result.summary.exact, 1);
+  assert.strictEqual(result.patched.dc_node_prompt,
+    'Run the Skill - Product Troubleshooting V4 when the device fails.\nUse Skill - Order Lookup for orders.');
+});
+
+test('corrects identical lines that misname a skill', () => {
+  const line = 'If the answer is unclear, run the Troubleshooting Skill.';
+  const dc_node_prompt = ['# Morning', line, 'Greet the customer.', '# Evening', line, 'Say goodbye.'].join('\n');
+  const result = checkSkillNames({ dc_node_prompt, configured_skills });
+
+  assert.deepStrictEqual(result.results.map(entry => entry.status), result.results.map(() => 'applied'));
+  assert.ok(!result.patched.dc_node_prompt.includes('Troubleshooting Skill'), result.patched.dc_node_prompt);
+  assert.strictEqual(result.patched.dc_node_prompt.match(/Skill - Product Troubleshooting V4/g).length, 2);
+});
+
+test('corrects a prompt that is only repeated lines', () => {
+  const line = 'Run the Troubleshooting Skill.';
+  const result = checkSkillNames({ dc_node_prompt: `${line}\n${line}`, configured_skills });
+  assert.strictEqual(result.patched.dc_node_prompt,
+    'Run the Skill - Product Troubleshooting V4.\nRun the Skill - Product Troubleshooting V4.');
+});
+
+test('the linter flags a skill name that differs only in case', () => {
+  const findings = lintPrompt('Always run skill - product troubleshooting v4 first.', {
+    skills: configured_skills.map(skill => skill.skill_name)
+  });
+  const finding = findings.find(entry => entry.rule === 'unknown-skill');
+  assert.ok(finding, JSON.stringify(findings));
+  assert.strictEqual(finding.suggestion, 'Skill - Product Troubleshooting V4');
+
+  const exact = lintPrompt('Always run Skill - Product Troubleshooting V4 first.', {
+    skills: configured_skills.map(skill => skill.skill_name)
+  });
+  assert.ok(!exact.some(entry => entry.rule === 'unknown-skill'));
+});
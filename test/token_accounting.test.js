@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getTokenizer, countTokens, accountTokens } = require('../token_accounting');
+
+test('counts gpt-4o, gpt-4.1 and o-series models with o200k_base', () => {
+  for (const model of ['gpt-4o', 'gpt-4o-mini', 'gpt-4.1', 'o1', 'o3-mini', 'o4-mini']) {
+    const tokenizer = getTokenizer(model);
+    assert.strictEqual(tokenizer.encoding, 'o200k_base', model);
+    assert.strictEqual(tokenizer.approximate, false, model);
+  }
+  // Text where the two encodings differ
+  const text = 'Bonjour, comment ça va ? 你好，世界';
+  assert.notStrictEqual(countTokens(text, 'gpt-4o'), countTokens(text, 'gpt-4'));
+  assert.strictEqual(getTokenizer('gpt-4o').decode(getTokenizer('gpt-4o').encode(text)), text);
+});
+
+test('falls back to cl100k_base only for unknown models', () => {
+  assert.deepStrictEqual(
+    ['gpt-4', 'gpt-3.5-turbo', 'my-model'].map(model => {
+      const { encoding, approximate } = getTokenizer(model);
+      return { encoding, approximate };
+    }),
+    [
+      { encoding: 'cl100k_base', approximate: false },
+      { encoding: 'cl100k_base', approximate: false },
+      { encoding: 'cl100k_base', approximate: true }
+    ]
+  );
+  assert.strictEqual(countTokens('', 'gpt-4o'), 0);
+});
+
+test('counts special tokens in a prompt as plain text', () => {
+  const text = 'Stop at <|endoftext|> or <|fim_prefix|>.';
+  const tokenizer = getTokenizer('gpt-4o');
+  assert.ok(tokenizer.count(text) > 2);
+  assert.strictEqual(tokenizer.decode(tokenizer.encode(text)), text);
+});
+
+test('maps gpt-4.5 and gpt-5 to o200k_base', () => {
+  for (const model of ['gpt-4.5-preview', 'gpt-5', 'gpt-5-mini']) {
+    assert.deepStrictEqual(
+      (({ encoding, approximate }) => ({ encoding, approximate }))(getTokenizer(model)),
+      { encoding: 'o200k_base', approximate: false },
+      model
+    );
+  }
+});
+
+test('flags a system prompt over prompt_token_limit', () => {
+  const inputs = {
+    dc_node_prompt: 'Help customers with their routers. '.repeat(20),
+    conversationHistory: [],
+    model_configuration: { model: 'gpt-4o', prompt_token_limit: 50 }
+  };
+  let { limits } = accountTokens('dc_node', inputs);
+  assert.strictEqual(limits.promptTokenLimit, 50);
+  assert.strictEqual(limits.promptExceeded, true);
+
+  ({ limits } = accountTokens('dc_node', { ...inputs, model_configuration: { model: 'gpt-4o', prompt_token_limit: 5000 } }));
+  assert.strictEqual(limits.promptExceeded, false);
+});
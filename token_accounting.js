@@ -0,0 +1,181 @@
+const { Tiktoken } = require('js-tiktoken/lite');
+const { BOT_TYPES, getConversationTools } = require('./analysis_prompts');
+const { toChatMessages } = require('./bot_simulator');
+
+/**
+ * Token accounting for the analyzed bot. Counts are made with the encoding
+ * of the bot's model (`model_configuration.model`), broken down by input
+ * section (system prompt, variables, skills, history) and compared with the
+ * model's context window, the configured `max_tokens` and, for the system
+ * prompt, `prompt_token_limit`.
+ *
+ * Models missing from MODEL_SPECS are counted with cl100k_base and
+ * reported as `approximate`.
+ */
+
+const DEFAULT_MODEL = 'gpt-4o';
+const FALLBACK_ENCODING = 'cl100k_base';
+
+// Model name prefixes, most specific first
+const MODEL_SPECS = [
+  { prefix: 'gpt-5', encoding: 'o200k_base', contextWindow: 400000 },
+  { prefix: 'gpt-4.5', encoding: 'o200k_base', contextWindow: 128000 },
+  { prefix: 'gpt-4.1', encoding: 'o200k_base', contextWindow: 1047576 },
+  { prefix: 'gpt-4o', encoding: 'o200k_base', contextWindow: 128000 },
+  { prefix: 'gpt-4-turbo', encoding: 'cl100k_base', contextWindow: 128000 },
+  { prefix: 'gpt-4-32k', encoding: 'cl100k_base', contextWindow: 32768 },
+  { prefix: 'gpt-4', encoding: 'cl100k_base', contextWindow: 8192 },
+  { prefix: 'gpt-3.5-turbo', encoding: 'cl100k_base', contextWindow: 16385 },
+  { prefix: 'o1', encoding: 'o200k_base', contextWindow: 200000 },
+  { prefix: 'o3', encoding: 'o200k_base', contextWindow: 200000 },
+  { prefix: 'o4', encoding: 'o200k_base', contextWindow: 200000 },
+  { prefix: 'text-davinci', encoding: 'p50k_base', contextWindow: 4097 }
+];
+
+// Chat format overhead, as counted by OpenAI for gpt-3.5 and later models
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_REPLY = 3;
+
+const encodings = new Map();
+
+// Each encoding's ranks are loaded on first use
+function loadEncoding(name) {
+  if (!encodings.has(name)) {
+    encodings.set(name, new Tiktoken(require(`js-tiktoken/ranks/${name}`)));
+  }
+  return encodings.get(name);
+}
+
+function modelSpec(model) {
+  const name = String(model || DEFAULT_MODEL).toLowerCase();
+  return MODEL_SPECS.find(spec => name.startsWith(spec.prefix)) || null;
+}
+
+/**
+ * The tokenizer for `model`: `{ model, encoding, approximate, encode,
+ * decode, count }`. Unknown models fall back to cl100k_base with
+ * `approximate: true`.
+ */
+function getTokenizer(model) {
+  const spec = modelSpec(model);
+  const name = spec ? spec.encoding : FALLBACK_ENCODING;
+  const encoding = loadEncoding(name);
+  // Special tokens such as <|endoftext|> in a prompt or conversation are plain text
+  const encode = text => encoding.encode(String(text), [], []);
+
+  return {
+    model: model || DEFAULT_MODEL,
+    encoding: name,
+    approximate: !spec,
+    encode,
+    decode: tokens => encoding.decode(tokens),
+    count: text => (text ? encode(text).length : 0)
+  };
+}
+
+function countTokens(text, model) {
+  return getTokenizer(model).count(text);
+}
+
+// ========== Breakdown ==========
+
+function countItems(items, nameField, contentField, tokenizer) {
+  const counts = {};
+  (Array.isArray(items) ? items : []).forEach((item, index) => {
+    if (!item) return;
+    const name = item[nameField] || `#${index + 1}`;
+    counts[name] = (counts[name] || 0) + tokenizer.count(`${item[nameField] || ''}\n${item[contentField] || ''}`);
+  });
+  return counts;
+}
+
+function sum(counts) {
+  return Object.values(counts).reduce((total, count) => total + count, 0);
+}
+
+function systemComponents(botType, inputs, tokenizer) {
+  const components = {};
+  Object.entries(BOT_TYPES[botType].getPrompts(inputs)).forEach(([component, prompt]) => {
+    components[component] = tokenizer.count(prompt);
+  });
+
+  // Tool names route the AGENT too, but are not prompt components of their own
+  if (botType === 'agentic') {
+    const tools = getConversationTools((inputs.configuredPrompts || {}).CONVERSATION) || {};
+    Object.entries(tools).forEach(([toolId, tool]) => {
+      if (tool.name) components[`TOOL_NAME:${toolId}`] = tokenizer.count(tool.name);
+    });
+  }
+  return components;
+}
+
+/**
+ * The token limit a bot's system prompt has to fit in:
+ * `model_configuration.prompt_token_limit`, or else the model's context
+ * window minus `max_tokens` and `reservedTokens` (for example the
+ * conversation history). Null when neither is known.
+ */
+function promptTokenLimit(modelConfig = {}, { reservedTokens = 0 } = {}) {
+  if (modelConfig.prompt_token_limit) return modelConfig.prompt_token_limit;
+  const spec = modelSpec(modelConfig.model);
+  const contextWindow = modelConfig.context_window || (spec ? spec.contextWindow : null);
+  return contextWindow ? contextWindow - (modelConfig.max_tokens || 0) - reservedTokens : null;
+}
+
+/**
+ * Token cost of each input section of the analyzed bot, and how the total
+ * compares with the limits of `model_configuration`.
+ */
+function accountTokens(botType, inputs) {
+  const modelConfig = inputs.model_configuration || {};
+  const tokenizer = getTokenizer(modelConfig.model);
+  const spec = modelSpec(modelConfig.model);
+
+  const components = systemComponents(botType, inputs, tokenizer);
+  const variables = countItems(inputs.configured_variables, 'variable_name', 'variable_content', tokenizer);
+  const skills = countItems(inputs.configured_skills, 'skill_name', 'skill_description', tokenizer);
+  const { conversationHistory = [] } = inputs;
+  const messages = Array.isArray(conversationHistory)
+    ? toChatMessages(conversationHistory)
+    : [{ role: 'user', content: typeof conversationHistory === 'string' ? conversationHistory : JSON.stringify(conversationHistory) }];
+  const history = messages.reduce((total, message) => total + TOKENS_PER_MESSAGE + tokenizer.count(message.content), 0);
+
+  const sections = {
+    system: { tokens: sum(components) + TOKENS_PER_MESSAGE, components },
+    variables: { tokens: sum(variables), items: variables },
+    skills: { tokens: sum(skills), items: skills },
+    history: { tokens: history, messages: messages.length }
+  };
+  const input = Object.values(sections).reduce((total, section) => total + section.tokens, 0) + TOKENS_PER_REPLY;
+
+  const contextWindow = modelConfig.context_window || (spec ? spec.contextWindow : null);
+  const maxOutputTokens = modelConfig.max_tokens || null;
+  const available = contextWindow ? contextWindow - (maxOutputTokens || 0) : null;
+  const promptLimit = modelConfig.prompt_token_limit || null;
+
+  return {
+    model: tokenizer.model,
+    encoding: tokenizer.encoding,
+    approximate: tokenizer.approximate,
+    sections,
+    total: input,
+    limits: {
+      contextWindow,
+      maxOutputTokens,
+      availableInputTokens: available,
+      remaining: available !== null ? available - input : null,
+      utilization: available ? Number((input / available).toFixed(4)) : null,
+      exceeded: available !== null && input > available,
+      promptTokenLimit: promptLimit,
+      promptExceeded: promptLimit !== null && sections.system.tokens > promptLimit
+    }
+  };
+}
+
+module.exports = {
+  MODEL_SPECS,
+  getTokenizer,
+  countTokens,
+  promptTokenLimit,
+  accountTokens
+};